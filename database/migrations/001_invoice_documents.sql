@@ -0,0 +1,15 @@
+-- Store invoices in the canonical invoice schema (js/shared/invoice-schema.js)
+-- Brings databases created before the schema up to date. Rows written
+-- before this migration have no document; the API returns them as rows and
+-- the browser upgrades them.
+
+USE `invoice_automation`;
+
+ALTER TABLE `invoices`
+  ADD COLUMN `number` varchar(50) DEFAULT NULL AFTER `id`,
+  ADD COLUMN `schema_version` int DEFAULT NULL AFTER `number`,
+  ADD COLUMN `document` longtext DEFAULT NULL AFTER `currency`,
+  ADD KEY `number` (`number`),
+  MODIFY `status` enum('draft','unpaid','sent','overdue','partially_paid','paid','cancelled') DEFAULT 'unpaid';
+
+UPDATE `invoices` SET `number` = `id` WHERE `number` IS NULL;
@@ -0,0 +1,6 @@
+-- Unit of measure on invoice item rows (hours, pcs, kg, ...)
+
+USE `invoice_automation`;
+
+ALTER TABLE `invoice_items`
+  ADD COLUMN `unit` varchar(20) NOT NULL DEFAULT '' AFTER `quantity`;
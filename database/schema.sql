@@ -33,11 +33,13 @@ CREATE TABLE `clients` (
 -- Table structure for table `invoices`
 CREATE TABLE `invoices` (
   `id` varchar(50) NOT NULL,
+  `number` varchar(50) DEFAULT NULL,
+  `schema_version` int(11) DEFAULT NULL,
   `client_id` varchar(50) NOT NULL,
   `issue_date` date NOT NULL,
   `due_date` date NOT NULL,
   `terms` varchar(50) DEFAULT 'Net 30',
-  `status` enum('unpaid','paid','overdue','cancelled') DEFAULT 'unpaid',
+  `status` enum('draft','unpaid','sent','overdue','partially_paid','paid','cancelled') DEFAULT 'unpaid',
   `subtotal` decimal(10,2) NOT NULL DEFAULT 0.00,
   `tax_rate` decimal(5,2) DEFAULT 0.00,
   `tax_amount` decimal(10,2) DEFAULT 0.00,
@@ -45,6 +47,9 @@ CREATE TABLE `invoices` (
   `total_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
   `notes` text DEFAULT NULL,
   `currency` varchar(10) DEFAULT 'PHP',
+  -- The whole invoice in the canonical schema (js/shared/invoice-schema.js);
+  -- the columns above summarize it for queries
+  `document` longtext DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -57,6 +62,7 @@ CREATE TABLE `invoice_items` (
   `invoice_id` varchar(50) NOT NULL,
   `description` text NOT NULL,
   `quantity` decimal(10,2) NOT NULL DEFAULT 1.00,
+  `unit` varchar(20) NOT NULL DEFAULT '',
   `rate` decimal(10,2) NOT NULL DEFAULT 0.00,
   `tax_rate` decimal(5,2) DEFAULT 0.00,
   `amount` decimal(10,2) NOT NULL DEFAULT 0.00,
@@ -115,6 +121,7 @@ ALTER TABLE `clients`
 ALTER TABLE `invoices`
   ADD PRIMARY KEY (`id`),
   ADD KEY `client_id` (`client_id`),
+  ADD KEY `number` (`number`),
   ADD KEY `status` (`status`),
   ADD KEY `due_date` (`due_date`),
   ADD KEY `issue_date` (`issue_date`),
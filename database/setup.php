@@ -79,6 +79,29 @@ try {
     
     echo "   ✅ Executed $executed SQL statements\n";
     
+    // Bring tables created by older versions up to date. Changes that are
+    // already there (new installs) are skipped.
+    echo "   Applying migrations...\n";
+    foreach (glob(__DIR__ . '/migrations/*.sql') as $migration) {
+        $statements = array_filter(array_map('trim', explode(';', file_get_contents($migration))));
+        
+        foreach ($statements as $statement) {
+            $statement = trim(preg_replace('/^--.*$/m', '', $statement));
+            if (empty($statement) || preg_match('/^USE/i', $statement)) {
+                continue;
+            }
+            
+            try {
+                $connection->exec($statement);
+            } catch (PDOException $e) {
+                if (strpos($e->getMessage(), 'Duplicate column') === false) {
+                    throw $e;
+                }
+            }
+        }
+        echo "   ✅ " . basename($migration) . "\n";
+    }
+    
     // Verify tables were created
     echo "3. Verifying database structure...\n";
     $tables = ['clients', 'invoices', 'invoice_items', 'settings', 'email_logs'];
@@ -24,11 +24,13 @@ CREATE TABLE IF NOT EXISTS `clients` (
 -- Create invoices table
 CREATE TABLE IF NOT EXISTS `invoices` (
   `id` varchar(50) PRIMARY KEY,
+  `number` varchar(50) DEFAULT NULL,
+  `schema_version` int DEFAULT NULL,
   `client_id` varchar(50) NOT NULL,
   `issue_date` date NOT NULL,
   `due_date` date NOT NULL,
   `terms` varchar(50) DEFAULT 'Net 30',
-  `status` enum('unpaid','paid','overdue','cancelled') DEFAULT 'unpaid',
+  `status` enum('draft','unpaid','sent','overdue','partially_paid','paid','cancelled') DEFAULT 'unpaid',
   `subtotal` decimal(10,2) NOT NULL DEFAULT 0.00,
   `tax_rate` decimal(5,2) DEFAULT 0.00,
   `tax_amount` decimal(10,2) DEFAULT 0.00,
@@ -36,6 +38,9 @@ CREATE TABLE IF NOT EXISTS `invoices` (
   `total_amount` decimal(10,2) NOT NULL DEFAULT 0.00,
   `notes` text DEFAULT NULL,
   `currency` varchar(10) DEFAULT 'PHP',
+  -- The whole invoice in the canonical schema (js/shared/invoice-schema.js);
+  -- the columns above summarize it for queries
+  `document` longtext DEFAULT NULL,
   `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (`client_id`) REFERENCES `clients`(`id`) ON DELETE CASCADE
@@ -47,6 +52,7 @@ CREATE TABLE IF NOT EXISTS `invoice_items` (
   `invoice_id` varchar(50) NOT NULL,
   `description` text NOT NULL,
   `quantity` decimal(10,2) NOT NULL DEFAULT 1.00,
+  `unit` varchar(20) NOT NULL DEFAULT '',
   `rate` decimal(10,2) NOT NULL DEFAULT 0.00,
   `tax_rate` decimal(5,2) DEFAULT 0.00,
   `amount` decimal(10,2) NOT NULL DEFAULT 0.00,
@@ -35,7 +35,7 @@ export class AdvancedEmailService {
                 to_email: client.email,
                 client_name: client.name,
                 invoice_id: invoice.id,
-                invoice_amount: new CurrencyFormatter(this.settings.currency).format(invoice.totals.grand),
+                invoice_amount: new CurrencyFormatter(invoice.currency || this.settings.currency).format(invoice.totals.grand),
                 issue_date: DateUtils.formatDate(invoice.issueDate),
                 due_date: DateUtils.formatDate(invoice.dueDate),
                 payment_terms: invoice.terms,
@@ -182,7 +182,7 @@ ${emailData.body}`;
         }
 
         const emailData = this.prepareEmailData(invoice, client, options);
-        const formatter = new CurrencyFormatter(this.settings.currency);
+        const formatter = new CurrencyFormatter(invoice.currency || this.settings.currency);
         
         const shortMessage = `Hi ${client.name}, please find attached invoice ${invoice.id} for ${formatter.format(invoice.totals.grand)}. Due: ${DateUtils.formatDate(invoice.dueDate)}`;
         
@@ -206,7 +206,7 @@ ${emailData.body}`;
      */
     prepareEmailData(invoice, client, options = {}) {
         const settings = store.getSettings();
-        const formatter = new CurrencyFormatter(settings.currency);
+        const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
         
         const subject = options.subject || `Invoice ${invoice.id} - ${formatter.format(invoice.totals.grand)}`;
         
@@ -243,7 +243,7 @@ Invoice Details:
 • Invoice Number: ${invoice.id}
 • Issue Date: ${DateUtils.formatDate(invoice.issueDate)}
 • Due Date: ${DateUtils.formatDate(invoice.dueDate)}
-• Amount Due: ${formatter.format(invoice.totals.grand)}
+• Amount Due: ${formatter.format(invoice.totals.netPayable ?? invoice.totals.grand)}
 • Payment Terms: ${invoice.terms}
 
 `;
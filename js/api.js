@@ -3,6 +3,67 @@ class InvoiceAPI {
     constructor() {
         this.baseURL = 'http://localhost:3000/api';
         this.token = localStorage.getItem('auth_token');
+        this.refreshToken = localStorage.getItem('refresh_token');
+        this.refreshPromise = null;
+        this.organizationId = localStorage.getItem('organization_id');
+    }
+
+    // Persist a token pair returned by sign-in or refresh
+    setTokens({ token, refreshToken }) {
+        this.token = token;
+        this.refreshToken = refreshToken || null;
+        localStorage.setItem('auth_token', this.token);
+        if (this.refreshToken) {
+            localStorage.setItem('refresh_token', this.refreshToken);
+        }
+    }
+
+    clearTokens() {
+        this.token = null;
+        this.refreshToken = null;
+        localStorage.removeItem('auth_token');
+        localStorage.removeItem('refresh_token');
+        localStorage.removeItem('user_info');
+        this.setOrganization(null);
+    }
+
+    // Scope subsequent requests to an organization (null = server default)
+    setOrganization(organizationId) {
+        this.organizationId = organizationId || null;
+        if (this.organizationId) {
+            localStorage.setItem('organization_id', this.organizationId);
+        } else {
+            localStorage.removeItem('organization_id');
+        }
+    }
+
+    // Exchange the refresh token for a new pair; concurrent callers share one request
+    refreshSession() {
+        if (!this.refreshToken) {
+            return Promise.reject(new Error('Session expired. Please sign in again.'));
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            })
+                .then(async response => {
+                    const data = await response.json();
+                    if (!response.ok) {
+                        this.clearTokens();
+                        throw new Error(data.error || 'Session expired. Please sign in again.');
+                    }
+                    this.setTokens(data);
+                    return data;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
     }
 
     // Authentication headers
@@ -13,11 +74,14 @@ class InvoiceAPI {
         if (this.token) {
             headers['Authorization'] = `Bearer ${this.token}`;
         }
+        if (this.organizationId) {
+            headers['X-Organization-Id'] = this.organizationId;
+        }
         return headers;
     }
 
     // Generic API request method
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             headers: this.getHeaders(),
@@ -26,6 +90,13 @@ class InvoiceAPI {
 
         try {
             const response = await fetch(url, config);
+            
+            // Access token expired or revoked: refresh once and replay the request
+            if (response.status === 401 && !retried && this.refreshToken && !['/auth/refresh', '/auth/logout'].includes(endpoint)) {
+                await this.refreshSession();
+                return await this.request(endpoint, options, true);
+            }
+            
             const data = await response.json();
             
             if (!response.ok) {
@@ -47,8 +118,7 @@ class InvoiceAPI {
         });
         
         if (data.success) {
-            this.token = data.token;
-            localStorage.setItem('auth_token', this.token);
+            this.setTokens(data);
             localStorage.setItem('user_info', JSON.stringify(data.user));
         }
         
@@ -56,19 +126,85 @@ class InvoiceAPI {
     }
 
     async logout() {
-        await this.request('/auth/logout', { method: 'POST' });
-        this.token = null;
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('user_info');
+        try {
+            await this.request('/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            });
+        } finally {
+            this.clearTokens();
+        }
     }
 
     async getCurrentUser() {
         return await this.request('/auth/me');
     }
 
+    // Organization methods
+    async getOrganizations() {
+        return await this.request('/organizations');
+    }
+
+    async createOrganization(name) {
+        return await this.request('/organizations', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+    }
+
+    async getMembers(organizationId = this.organizationId) {
+        return organizationId ?
+            await this.request(`/organizations/${organizationId}/members`) :
+            await this.request('/auth/users');
+    }
+
+    async updateMemberRole(organizationId, userId, role) {
+        return await this.request(`/organizations/${organizationId}/members/${userId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ role })
+        });
+    }
+
+    async removeMember(organizationId, userId) {
+        return await this.request(`/organizations/${organizationId}/members/${userId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async inviteMember(organizationId, email, role = 'viewer') {
+        return await this.request(`/organizations/${organizationId}/invitations`, {
+            method: 'POST',
+            body: JSON.stringify({ email, role })
+        });
+    }
+
+    async acceptInvitation(token) {
+        const data = await this.request(`/organizations/invitations/${encodeURIComponent(token)}/accept`, {
+            method: 'POST'
+        });
+        if (data.success) {
+            this.setOrganization(data.organization.id);
+        }
+        return data;
+    }
+
+    // Build "?key=value" from list options, skipping empty values
+    buildQuery(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            query.set(key, Array.isArray(value) ? value.join(',') : value);
+        });
+        const queryString = query.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+
     // Invoice methods
-    async getInvoices() {
-        return await this.request('/invoices');
+    // params: page, limit, sort (e.g. '-date,total'), status, dateFrom, dateTo,
+    // dueFrom, dueTo, clientId, minAmount, maxAmount, q. Without page or limit
+    // every invoice is returned.
+    async getInvoices(params = {}) {
+        return await this.request(`/invoices${this.buildQuery(params)}`);
     }
 
     async getInvoice(id) {
@@ -89,26 +225,73 @@ class InvoiceAPI {
         });
     }
 
+    // Moves the invoice to the trash; it can be restored until it is purged
     async deleteInvoice(id) {
         return await this.request(`/invoices/${id}`, {
             method: 'DELETE'
         });
     }
 
-    async updateInvoiceStatus(id, status) {
+    async getTrashedInvoices() {
+        return await this.request('/invoices/trash');
+    }
+
+    async restoreInvoice(id) {
+        return await this.request(`/invoices/${id}/restore`, {
+            method: 'POST'
+        });
+    }
+
+    // Only once the trash retention period is over (409 before)
+    async purgeInvoice(id) {
+        return await this.request(`/invoices/${id}/purge`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Leaving paid/cancelled needs an action ('void' or 'reopen') and a reason
+    async updateInvoiceStatus(id, status, { action = null, reason = '' } = {}) {
         return await this.request(`/invoices/${id}/status`, {
             method: 'PATCH',
-            body: JSON.stringify({ status })
+            body: JSON.stringify({ status, action, reason })
+        });
+    }
+
+    async getInvoiceHistory(id) {
+        return await this.request(`/invoices/${id}/history`);
+    }
+
+    // Payment ledger; the invoice moves to partially_paid/paid automatically
+    async getPayments(invoiceId) {
+        return await this.request(`/invoices/${invoiceId}/payments`);
+    }
+
+    async recordPayment(invoiceId, paymentData) {
+        return await this.request(`/invoices/${invoiceId}/payments`, {
+            method: 'POST',
+            body: JSON.stringify(paymentData)
         });
     }
 
+    async deletePayment(invoiceId, paymentId) {
+        return await this.request(`/invoices/${invoiceId}/payments/${paymentId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Recurring schedule of a template invoice and the invoices generated from it
+    async getRecurringInvoices(id) {
+        return await this.request(`/invoices/${id}/recurring`);
+    }
+
     async getInvoiceStats() {
         return await this.request('/invoices/stats/summary');
     }
 
     // Client methods
-    async getClients() {
-        return await this.request('/clients');
+    // params: page, limit, sort, q, company, createdFrom, createdTo
+    async getClients(params = {}) {
+        return await this.request(`/clients${this.buildQuery(params)}`);
     }
 
     async getClient(id) {
@@ -129,8 +312,26 @@ class InvoiceAPI {
         });
     }
 
-    async deleteClient(id) {
-        return await this.request(`/clients/${id}`, {
+    // A client with invoices is refused (409) unless cascade moves them to the trash too
+    async deleteClient(id, { cascade = false } = {}) {
+        return await this.request(`/clients/${id}${cascade ? '?cascade=true' : ''}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async getTrashedClients() {
+        return await this.request('/clients/trash');
+    }
+
+    // Also restores the invoices deleted with the client
+    async restoreClient(id) {
+        return await this.request(`/clients/${id}/restore`, {
+            method: 'POST'
+        });
+    }
+
+    async purgeClient(id) {
+        return await this.request(`/clients/${id}/purge`, {
             method: 'DELETE'
         });
     }
@@ -252,20 +453,37 @@ async function handleLogout() {
     }
 }
 
+// Dashboard invoice list: one page is fetched at a time, more on "Load more"
+const dashboardList = {
+    invoices: [],
+    clients: [],
+    query: { page: 1, limit: 10, sort: '-issueDate' },
+    pagination: null
+};
+
+const DASHBOARD_STATUSES = ['draft', 'unpaid', 'sent', 'overdue', 'partially_paid', 'paid', 'cancelled'];
+const DASHBOARD_SORTS = {
+    '-issueDate': 'Newest first',
+    issueDate: 'Oldest first',
+    dueDate: 'Due date',
+    '-total': 'Largest amount'
+};
+
 // Load dashboard data
 async function loadDashboardData() {
     try {
-        // Load invoices
-        const invoicesResponse = await api.getInvoices();
-        console.log('Invoices:', invoicesResponse.invoices);
+        // Load the first page of invoices
+        dashboardList.query.page = 1;
+        const invoicesResponse = await api.getInvoices(dashboardList.query);
+        dashboardList.invoices = invoicesResponse.invoices;
+        dashboardList.pagination = invoicesResponse.pagination;
 
-        // Load clients
-        const clientsResponse = await api.getClients();
-        console.log('Clients:', clientsResponse.clients);
+        // Load clients (all of them, for the client filter)
+        const clientsResponse = await api.getClients({ sort: 'name' });
+        dashboardList.clients = clientsResponse.clients;
 
         // Load stats
         const statsResponse = await api.getInvoiceStats();
-        console.log('Stats:', statsResponse.stats);
 
         // Update UI with data
         updateDashboardUI(invoicesResponse.invoices, clientsResponse.clients, statsResponse.stats);
@@ -276,6 +494,37 @@ async function loadDashboardData() {
     }
 }
 
+// Fetch the next page of invoices and append it to the dashboard list
+async function loadMoreInvoices() {
+    if (!dashboardList.pagination || !dashboardList.pagination.hasMore) return;
+
+    try {
+        dashboardList.query.page = dashboardList.pagination.page + 1;
+        const response = await api.getInvoices(dashboardList.query);
+        dashboardList.invoices = dashboardList.invoices.concat(response.invoices);
+        dashboardList.pagination = response.pagination;
+        updateInvoicesList(dashboardList.invoices);
+    } catch (error) {
+        console.error('Failed to load more invoices:', error);
+        showNotification('Failed to load invoices: ' + error.message, 'error');
+    }
+}
+
+// Re-query the dashboard list with a changed filter or sort, from page 1
+async function filterDashboardInvoices(name, value) {
+    dashboardList.query = { ...dashboardList.query, [name]: value, page: 1 };
+
+    try {
+        const response = await api.getInvoices(dashboardList.query);
+        dashboardList.invoices = response.invoices;
+        dashboardList.pagination = response.pagination;
+        updateInvoicesList(dashboardList.invoices);
+    } catch (error) {
+        console.error('Failed to filter invoices:', error);
+        showNotification('Failed to load invoices: ' + error.message, 'error');
+    }
+}
+
 // Update dashboard UI with data
 function updateDashboardUI(invoices, clients, stats) {
     // Update stats cards
@@ -326,10 +575,79 @@ function updateStatsCards(stats) {
     }
 }
 
-// Update invoices list
+// Escape text for use in HTML
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Options of a filter select, with the current value selected
+function filterOptions(options, selected) {
+    return Object.entries(options).map(([value, label]) =>
+        `<option value="${escapeHTML(value)}" ${value === (selected || '') ? 'selected' : ''}>${escapeHTML(label)}</option>`
+    ).join('');
+}
+
+// Update invoices list: filters, the pages loaded so far and "Load more"
 function updateInvoicesList(invoices) {
-    // Implementation for updating invoices list in UI
-    console.log('Updating invoices list:', invoices);
+    let listElement = document.querySelector('.invoices-list');
+    if (!listElement) {
+        listElement = document.createElement('div');
+        listElement.className = 'invoices-list bg-white rounded-lg p-6 shadow-sm border border-gray-200 mb-8';
+
+        const container = document.querySelector('.container');
+        const statsElement = document.querySelector('.stats-container');
+        if (!container) return;
+        container.insertBefore(listElement, statsElement ? statsElement.nextSibling : null);
+    }
+
+    const { query, pagination, clients } = dashboardList;
+    const statuses = { '': 'All statuses', ...Object.fromEntries(DASHBOARD_STATUSES.map(status => [status, status.replace('_', ' ')])) };
+    const clientOptions = { '': 'All clients', ...Object.fromEntries(clients.map(client => [client.id, client.name])) };
+    const rows = invoices.map(invoice => `
+        <tr class="border-t border-gray-100">
+            <td class="py-2">${escapeHTML(invoice.number)}</td>
+            <td class="py-2">${escapeHTML(invoice.client ? invoice.client.name : '')}</td>
+            <td class="py-2">${escapeHTML(invoice.issueDate)}</td>
+            <td class="py-2">${escapeHTML(invoice.dueDate)}</td>
+            <td class="py-2">${escapeHTML(invoice.status.replace('_', ' '))}</td>
+            <td class="py-2 text-right">${escapeHTML(invoice.currency || '')} ${((invoice.totals && invoice.totals.grand) || 0).toFixed(2)}</td>
+        </tr>
+    `).join('');
+
+    listElement.innerHTML = `
+        <div class="flex flex-wrap gap-3 mb-4">
+            <select class="border border-gray-300 rounded-lg px-3 py-2" onchange="filterDashboardInvoices('status', this.value)">
+                ${filterOptions(statuses, query.status)}
+            </select>
+            <select class="border border-gray-300 rounded-lg px-3 py-2" onchange="filterDashboardInvoices('clientId', this.value)">
+                ${filterOptions(clientOptions, query.clientId)}
+            </select>
+            <input type="search" class="border border-gray-300 rounded-lg px-3 py-2" placeholder="Search invoices..."
+                value="${escapeHTML(query.q)}" onchange="filterDashboardInvoices('q', this.value)">
+            <select class="border border-gray-300 rounded-lg px-3 py-2" onchange="filterDashboardInvoices('sort', this.value)">
+                ${filterOptions(DASHBOARD_SORTS, query.sort)}
+            </select>
+        </div>
+        ${invoices.length > 0 ? `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-500">
+                        <th class="py-2">Number</th><th class="py-2">Client</th><th class="py-2">Issued</th>
+                        <th class="py-2">Due</th><th class="py-2">Status</th><th class="py-2 text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '<p class="text-gray-500">No invoices found</p>'}
+        <div class="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>${invoices.length} of ${pagination ? pagination.total : invoices.length} invoices</span>
+            ${pagination && pagination.hasMore ? `
+                <button onclick="loadMoreInvoices()" class="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
+                    Load more
+                </button>
+            ` : ''}
+        </div>
+    `;
 }
 
 // Update clients list
@@ -369,8 +687,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         } catch (error) {
             console.error('Failed to load user:', error);
             // Clear invalid token
-            localStorage.removeItem('auth_token');
-            localStorage.removeItem('user_info');
+            api.clearTokens();
         }
     }
 
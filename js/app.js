@@ -1,10 +1,18 @@
 // Main Application Bootstrap and Router
 import store from './store.js';
-import { toast, Modal } from './ui.js';
+import { toast, toastWithUndo, Modal } from './ui.js';
 import invoiceBuilder from './invoice.js';
 import dashboard from './dashboard.js';
+import quotesView from './quotes.js';
+import catalogView from './catalog.js';
+import trashView from './trash.js';
 import databaseService from './database.js';
 import { Client, Settings, FormValidator } from './models.js';
+import { DEFAULT_TRASH_RETENTION_DAYS } from './shared/trash.js';
+
+// Id prefix of the numbering inputs in settings for each document type
+const NUMBERING_INPUTS = { invoice: 'invoice', creditNote: 'credit-note', quote: 'quote' };
+const NUMBERING_LABELS = { invoice: 'Invoices', creditNote: 'Credit notes', quote: 'Quotes' };
 
 class App {
     constructor() {
@@ -77,6 +85,19 @@ class App {
         // Settings form
         document.getElementById('save-settings-btn')?.addEventListener('click', this.handleSaveSettings.bind(this));
         document.getElementById('reset-seed-btn')?.addEventListener('click', this.handleResetSeed.bind(this));
+        document.getElementById('numbering-report-btn')?.addEventListener('click', this.renderNumberingReport.bind(this));
+        document.getElementById('migration-backup-btn')?.addEventListener('click', this.handleDownloadMigrationBackup.bind(this));
+        document.getElementById('export-credit-notes-btn')?.addEventListener('click', this.handleExportCreditNotes.bind(this));
+
+        // Taxes
+        document.getElementById('tax-form')?.addEventListener('submit', this.handleAddTax.bind(this));
+
+        // Exchange rates
+        document.getElementById('exchange-rate-form')?.addEventListener('submit', this.handleAddExchangeRate.bind(this));
+        document.getElementById('import-rates-btn')?.addEventListener('click', () => {
+            document.getElementById('import-rates-file').click();
+        });
+        document.getElementById('import-rates-file')?.addEventListener('change', this.handleImportRates.bind(this));
         
         // Database
         document.getElementById('database-btn')?.addEventListener('click', () => {
@@ -91,7 +112,91 @@ class App {
         // Listen for state changes
         window.addEventListener('stateChange', () => {
             this.loadSettings();
+            // Undo and other tabs change clients too
+            if (this.currentView === 'clients') {
+                this.loadClientsView();
+            }
+        });
+
+        // IndexedDB writes finish after the change is shown
+        window.addEventListener('storageError', () => {
+            toast.error('Your latest changes could not be saved in this browser');
         });
+
+        // Undo / redo
+        document.getElementById('undo-btn')?.addEventListener('click', () => this.handleUndo());
+        document.getElementById('redo-btn')?.addEventListener('click', () => this.handleRedo());
+        document.addEventListener('keydown', this.handleHistoryShortcut.bind(this));
+        window.addEventListener('historyChange', this.handleHistoryChange.bind(this));
+
+        // Another tab saved first; its data replaced the change made here
+        window.addEventListener('storageConflict', () => {
+            toast.error('The data was changed in another tab, so your last change was not saved. The latest data is shown.');
+        });
+
+        // Raised while the store loads, before the app exists
+        if (store.migrationError) {
+            toast.error(`Saved data could not be upgraded; changes will not be saved. ${store.migrationError.message}`);
+        }
+    }
+
+    /**
+     * Undo the last change
+     */
+    handleUndo() {
+        if (!store.undo()) toast.info('Nothing to undo');
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    handleRedo() {
+        if (!store.redo()) toast.info('Nothing to redo');
+    }
+
+    /**
+     * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Inside text
+     * fields the browser's own undo of the typing is left alone.
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.metaKey)) {
+            e.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    /**
+     * Keep the undo and redo buttons current, and show what undo or redo did
+     * @param {CustomEvent} e - historyChange event ({ action, undo, redo })
+     */
+    handleHistoryChange(e) {
+        const { action, undo, redo } = e.detail;
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = !undo;
+            undoBtn.title = undo ? `Undo: ${undo} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !redo;
+            redoBtn.title = redo ? `Redo: ${redo} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+
+        if (!action) return;
+
+        if (action === 'undo') {
+            toast.info(`Undone: ${redo}`, 5000, { label: 'Redo', onClick: () => this.handleRedo() });
+        } else {
+            toast.info(`Redone: ${undo}`, 5000, { label: 'Undo', onClick: () => this.handleUndo() });
+        }
     }
 
     /**
@@ -168,11 +273,24 @@ class App {
             case 'builder':
                 if (invoiceBuilder) {
                     invoiceBuilder.init();
+                    // "New Invoice" leaves quote mode; loading a quote re-enters it
+                    if (invoiceBuilder.isQuote()) {
+                        invoiceBuilder.generateNewInvoice();
+                    }
                 }
                 break;
+            case 'quotes':
+                quotesView.loadData();
+                break;
             case 'clients':
                 this.loadClientsView();
                 break;
+            case 'catalog':
+                catalogView.loadData();
+                break;
+            case 'trash':
+                trashView.loadData();
+                break;
             case 'settings':
                 this.loadSettingsView();
                 break;
@@ -201,6 +319,7 @@ class App {
                     <td>${client.company || '-'}</td>
                     <td>${client.email || '-'}</td>
                     <td>${client.phone || '-'}</td>
+                    <td>${this.formatClientBalance(client.id)}</td>
                     <td>
                         <div class="table-actions">
                             <button class="action-btn" onclick="app.editClient('${client.id}')" title="Edit">
@@ -222,6 +341,18 @@ class App {
         }
     }
 
+    /**
+     * Format a client's balance (open invoices less unapplied credit)
+     * @param {string} clientId - Client ID
+     * @returns {string} Formatted balance
+     */
+    formatClientBalance(clientId) {
+        const { balance } = store.getClientBalance(clientId);
+        return balance < 0
+            ? `${dashboard.currencyFormatter.format(-balance)} credit`
+            : dashboard.currencyFormatter.format(balance);
+    }
+
     /**
      * Handle client search
      * @param {Event} e - Input event
@@ -234,7 +365,7 @@ class App {
         if (clients.length === 0 && query.trim()) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" class="text-center text-gray-500 p-4">
+                    <td colspan="6" class="text-center text-gray-500 p-4">
                         No clients found matching "${query}"
                     </td>
                 </tr>
@@ -246,6 +377,7 @@ class App {
                     <td>${client.company || '-'}</td>
                     <td>${client.email || '-'}</td>
                     <td>${client.phone || '-'}</td>
+                    <td>${this.formatClientBalance(client.id)}</td>
                     <td>
                         <div class="table-actions">
                             <button class="action-btn" onclick="app.editClient('${client.id}')" title="Edit">
@@ -283,6 +415,8 @@ class App {
             document.getElementById('client-phone').value = client.phone || '';
             document.getElementById('client-address').value = client.address || '';
             document.getElementById('client-tax-id').value = client.taxId || '';
+            document.getElementById('client-currency').value = client.currency || '';
+            document.getElementById('client-withholding-rate').value = String(client.withholdingRate || 0);
         }
         
         this.clientModal.open();
@@ -302,7 +436,9 @@ class App {
             email: formData.get('client-email') || document.getElementById('client-email').value,
             phone: formData.get('client-phone') || document.getElementById('client-phone').value,
             address: formData.get('client-address') || document.getElementById('client-address').value,
-            taxId: formData.get('client-tax-id') || document.getElementById('client-tax-id').value
+            taxId: formData.get('client-tax-id') || document.getElementById('client-tax-id').value,
+            currency: document.getElementById('client-currency').value.trim().toUpperCase(),
+            withholdingRate: parseFloat(document.getElementById('client-withholding-rate').value) || 0
         };
 
         // Create client instance for validation
@@ -374,24 +510,25 @@ class App {
             return;
         }
 
-        // Check if client is used in any invoices
-        const invoices = store.getInvoices();
-        const clientInvoices = invoices.filter(inv => inv.clientId === clientId);
-        
-        if (clientInvoices.length > 0) {
-            toast.error(`Cannot delete client. Found ${clientInvoices.length} invoice(s) associated with this client.`);
+        // Invoices go to the trash with their client, so none is left without one
+        const clientInvoices = store.getInvoices().filter(inv => inv.clientId === clientId);
+        if (clientInvoices.length > 0 &&
+            !confirm(`"${client.name}" has ${clientInvoices.length} invoice(s). Move the client and these invoices to the trash?`)) {
             return;
         }
 
-        const confirmMessage = `Are you sure you want to delete client "${client.name}"? This action cannot be undone.`;
-        if (confirm(confirmMessage)) {
-            const deleted = store.deleteClient(clientId);
+        try {
+            const deleted = store.deleteClient(clientId, { cascade: clientInvoices.length > 0 });
             if (deleted) {
-                toast.success('Client deleted successfully');
+                toastWithUndo(clientInvoices.length > 0 ?
+                    `Client "${client.name}" and ${clientInvoices.length} invoice(s) moved to the trash` :
+                    `Client "${client.name}" moved to the trash`, store);
                 this.loadClientsView();
             } else {
                 toast.error('Failed to delete client');
             }
+        } catch (error) {
+            toast.error(error.message);
         }
     }
 
@@ -404,6 +541,26 @@ class App {
         document.getElementById('invoice-prefix').value = settings.invoicePrefix || 'INV';
         document.getElementById('currency').value = settings.currency || 'PHP';
         document.getElementById('number-seed').value = settings.numberSeed || 1;
+        document.getElementById('credit-note-prefix').value = settings.creditNotePrefix || 'CN';
+        document.getElementById('credit-note-seed').value = settings.creditNoteSeed || 1;
+        document.getElementById('quote-prefix').value = settings.quotePrefix || 'QT';
+        document.getElementById('quote-seed').value = settings.quoteSeed || 1;
+        document.getElementById('rounding-mode').value = (settings.rounding && settings.rounding.mode) || 'half_up';
+        document.getElementById('rounding-strategy').value = (settings.rounding && settings.rounding.strategy) || 'line';
+        document.getElementById('trash-retention-days').value = settings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+        this.loadNumberingFields(settings);
+    }
+
+    /**
+     * Fill in the number format and reset policy of each document type
+     * @param {Object} settings - Settings
+     */
+    loadNumberingFields(settings) {
+        Object.entries(NUMBERING_INPUTS).forEach(([type, id]) => {
+            const scheme = store.getNumberingScheme(settings, type);
+            document.getElementById(`${id}-number-format`).value = scheme.format;
+            document.getElementById(`${id}-number-reset`).value = scheme.reset;
+        });
     }
 
     /**
@@ -420,14 +577,23 @@ class App {
         document.getElementById('invoice-prefix').value = settings.invoicePrefix || 'INV';
         document.getElementById('currency').value = settings.currency || 'PHP';
         document.getElementById('number-seed').value = settings.numberSeed || 1;
+        document.getElementById('credit-note-prefix').value = settings.creditNotePrefix || 'CN';
+        document.getElementById('credit-note-seed').value = settings.creditNoteSeed || 1;
+        document.getElementById('quote-prefix').value = settings.quotePrefix || 'QT';
+        document.getElementById('quote-seed').value = settings.quoteSeed || 1;
+        document.getElementById('rounding-mode').value = (settings.rounding && settings.rounding.mode) || 'half_up';
+        document.getElementById('rounding-strategy').value = (settings.rounding && settings.rounding.strategy) || 'line';
+        document.getElementById('trash-retention-days').value = settings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+        this.loadNumberingFields(settings);
         
+        this.renderTaxes();
+        this.renderExchangeRates();
+        this.loadMigrationBackupInfo();
+
         // Update currency formatter in other components
         if (dashboard) {
             dashboard.currencyFormatter.setCurrency(settings.currency);
         }
-        if (invoiceBuilder) {
-            invoiceBuilder.currencyFormatter.setCurrency(settings.currency);
-        }
     }
 
     /**
@@ -442,8 +608,25 @@ class App {
             companyAddress: document.getElementById('company-address').value.trim(),
             // Invoice Settings
             invoicePrefix: document.getElementById('invoice-prefix').value.trim(),
-            currency: document.getElementById('currency').value,
-            numberSeed: parseInt(document.getElementById('number-seed').value) || 1
+            currency: document.getElementById('currency').value.trim().toUpperCase(),
+            numberSeed: parseInt(document.getElementById('number-seed').value) || 1,
+            // Credit Note Settings
+            creditNotePrefix: document.getElementById('credit-note-prefix').value.trim(),
+            creditNoteSeed: parseInt(document.getElementById('credit-note-seed').value) || 1,
+            // Quote Settings
+            quotePrefix: document.getElementById('quote-prefix').value.trim(),
+            quoteSeed: parseInt(document.getElementById('quote-seed').value) || 1,
+            // Numbering schemes; prefixes and seeds are above
+            numbering: Object.fromEntries(Object.entries(NUMBERING_INPUTS).map(([type, id]) => [type, {
+                format: document.getElementById(`${id}-number-format`).value.trim(),
+                reset: document.getElementById(`${id}-number-reset`).value
+            }])),
+            // Rounding for new documents; saved documents keep their own
+            rounding: {
+                mode: document.getElementById('rounding-mode').value,
+                strategy: document.getElementById('rounding-strategy').value
+            },
+            trashRetentionDays: Number(document.getElementById('trash-retention-days').value)
         };
 
         // Create settings instance for validation
@@ -465,6 +648,78 @@ class App {
         }
     }
 
+    /**
+     * Show when the data was last upgraded
+     */
+    async loadMigrationBackupInfo() {
+        const info = document.getElementById('migration-backup-info');
+        if (!info) return;
+
+        const backup = await store.getMigrationBackup();
+        info.textContent = backup ?
+            `Last upgrade: schema ${backup.fromVersion} to ${backup.toVersion} on ` +
+                `${new Date(backup.createdAt).toLocaleString()} (${backup.reason === 'import' ? 'imported file' : 'saved data'}).` :
+            'No upgrades so far.';
+    }
+
+    /**
+     * Download the data as it was before the last upgrade
+     */
+    async handleDownloadMigrationBackup() {
+        try {
+            const backup = await store.getMigrationBackup();
+            if (!backup) {
+                toast.info('There is no backup; the data has not been upgraded');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(backup.state, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `invoice-pre-upgrade-v${backup.fromVersion}-${backup.createdAt.split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Backup download failed:', error);
+            toast.error('Failed to download the backup');
+        }
+    }
+
+    /**
+     * Check the issued numbers of each document type for gaps and duplicates
+     */
+    renderNumberingReport() {
+        const container = document.getElementById('numbering-report');
+        if (!container) return;
+
+        container.innerHTML = Object.keys(NUMBERING_INPUTS).map(type => {
+            const report = store.getNumberingReport(type);
+            const issues = [
+                ...report.gaps.map(gap => `Missing ${gap.from === gap.to ? gap.from : `${gap.from}–${gap.to}`}` +
+                    `${gap.period ? ` in ${gap.period}` : ''}` +
+                    `${gap.after ? ` after ${gap.after}` : ''} (before ${gap.before})`),
+                ...report.duplicates.map(duplicate => `Issued more than once: ${duplicate.numbers.join(', ')}`)
+            ];
+            const summary = report.sequences.map(sequence =>
+                `${sequence.period ? `${sequence.period}: ` : ''}${sequence.first} – ${sequence.last} (${sequence.count})`);
+
+            return `
+                <div class="numbering-report-type">
+                    <h4>${NUMBERING_LABELS[type]}</h4>
+                    ${summary.length === 0 ? '<p class="text-sm text-gray-500">No numbers issued yet</p>' :
+                        `<p class="text-sm">${summary.join('<br>')}</p>`}
+                    ${issues.length === 0 ? (summary.length ? '<p class="text-sm text-gray-500">No gaps or duplicates</p>' : '') :
+                        `<ul class="text-sm">${issues.map(issue => `<li>${issue}</li>`).join('')}</ul>`}
+                    ${report.unmatched.length ? `<p class="text-sm text-gray-500">
+                        ${report.unmatched.length} number(s) do not follow the current format and were not checked</p>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Handle reset seed
      */
@@ -482,6 +737,157 @@ class App {
         }
     }
 
+    /**
+     * Render the tax definitions table
+     */
+    renderTaxes() {
+        const tbody = document.getElementById('taxes-tbody');
+        if (!tbody) return;
+
+        const taxes = store.getTaxes();
+        tbody.innerHTML = taxes.length === 0 ?
+            '<tr><td colspan="4" class="text-center text-gray-500">No taxes yet</td></tr>' :
+            taxes.map(tax => `
+                <tr>
+                    <td><strong>${tax.name}</strong></td>
+                    <td class="text-right">${tax.rate}%</td>
+                    <td>${tax.compound ? 'Compound' : 'Simple'}</td>
+                    <td>
+                        <button class="action-btn" onclick="app.handleDeleteTax('${tax.id}')" title="Delete">
+                            🗑️
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+    }
+
+    /**
+     * Add a tax definition
+     * @param {Event} e - Submit event
+     */
+    handleAddTax(e) {
+        e.preventDefault();
+
+        try {
+            const tax = store.saveTax({
+                name: document.getElementById('tax-name').value,
+                rate: document.getElementById('tax-rate').value,
+                compound: document.getElementById('tax-compound').checked
+            });
+            e.target.reset();
+            toast.success(`Tax ${tax.name} saved`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Delete a tax definition
+     * @param {string} taxId - Tax ID
+     */
+    handleDeleteTax(taxId) {
+        const tax = store.getTaxes().find(entry => entry.id === taxId);
+        if (!tax) return;
+        if (!confirm(`Delete the tax "${tax.name}"? Saved invoices keep the taxes on their lines.`)) return;
+
+        store.deleteTax(taxId);
+        toastWithUndo('Tax deleted', store);
+    }
+
+    /**
+     * Render the exchange rate table for the base currency
+     */
+    renderExchangeRates() {
+        const tbody = document.getElementById('exchange-rates-tbody');
+        if (!tbody) return;
+
+        const base = store.getSettings().currency;
+        const rates = store.getExchangeRates()
+            .filter(entry => entry.base === base)
+            .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+
+        tbody.innerHTML = rates.length === 0 ?
+            '<tr><td colspan="5" class="text-center text-gray-500">No exchange rates yet</td></tr>' :
+            rates.map(entry => `
+                <tr>
+                    <td><strong>${entry.currency}</strong></td>
+                    <td class="text-right">1 ${entry.currency} = ${entry.rate} ${base}</td>
+                    <td>${entry.date}</td>
+                    <td>${entry.source === 'import' ? 'Imported' : 'Manual'}</td>
+                    <td>
+                        <button class="action-btn" onclick="app.handleDeleteExchangeRate('${entry.currency}', '${entry.date}')" title="Delete">
+                            🗑️
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+    }
+
+    /**
+     * Add a manually entered exchange rate
+     * @param {Event} e - Submit event
+     */
+    handleAddExchangeRate(e) {
+        e.preventDefault();
+
+        try {
+            const entry = store.saveExchangeRate({
+                currency: document.getElementById('rate-currency').value,
+                rate: document.getElementById('rate-value').value,
+                date: document.getElementById('rate-date').value
+            });
+            e.target.reset();
+            toast.success(`Rate for ${entry.currency} saved`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Import exchange rates from a CSV or JSON file
+     * @param {Event} e - File input change event
+     */
+    async handleImportRates(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const count = store.importExchangeRates(await file.text());
+            toast.success(`Imported ${count} exchange rate${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            toast.error(`Import failed: ${error.message}`);
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    /**
+     * Delete an exchange rate
+     * @param {string} currency - Currency code
+     * @param {string} date - Rate date
+     */
+    handleDeleteExchangeRate(currency, date) {
+        if (!confirm(`Delete the ${currency} rate of ${date}? Saved invoices keep their rate.`)) return;
+
+        store.deleteExchangeRate(currency, date);
+        toastWithUndo('Exchange rate deleted', store);
+    }
+
+    /**
+     * Download all credit notes as CSV
+     */
+    async handleExportCreditNotes() {
+        try {
+            const { exportCreditNotesCSV, downloadTextFile } = await import('./export.js');
+            const date = new Date().toISOString().split('T')[0];
+            downloadTextFile(exportCreditNotesCSV(), `credit-notes-${date}.csv`, 'text/csv');
+            toast.success('Credit notes exported');
+        } catch (error) {
+            console.error('Credit note export failed:', error);
+            toast.error('Failed to export credit notes');
+        }
+    }
+
     /**
      * Get application statistics
      * @returns {Object} App statistics
@@ -495,9 +901,10 @@ class App {
             clients: clients.length,
             invoices: invoices.length,
             ...invoiceStats,
+            // Invoices have ISO timestamps, clients epoch milliseconds
             lastActivity: Math.max(
-                ...clients.map(c => c.updatedAt || c.createdAt),
-                ...invoices.map(i => i.updatedAt || i.createdAt)
+                ...clients.map(c => new Date(c.updatedAt || c.createdAt).getTime()),
+                ...invoices.map(i => new Date(i.updatedAt || i.createdAt).getTime())
             )
         };
     }
@@ -545,8 +952,10 @@ window.addEventListener('DOMContentLoaded', () => {
 });
 
 // Initialize application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     try {
+        // Saved data is loaded from IndexedDB before anything is shown
+        await store.ready;
         window.app = new App();
         console.log('Invoice Automation app initialized successfully');
     } catch (error) {
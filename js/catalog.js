@@ -0,0 +1,203 @@
+// Product and Service Catalog
+import { CurrencyFormatter, Modal, toast, toastWithUndo } from './ui.js';
+import { formatTaxLabel } from './shared/tax.js';
+import store from './store.js';
+
+export class CatalogView {
+    constructor() {
+        this.currencyFormatter = new CurrencyFormatter();
+        this.itemModal = null;
+        this.currentEditingItem = null;
+        this.query = '';
+        this.isInitialized = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize catalog view
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        this.itemModal = new Modal('catalog-item-modal');
+        this.bindEvents();
+        this.loadData();
+
+        // Listen for state changes
+        window.addEventListener('stateChange', () => {
+            this.loadData();
+        });
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        ['new-catalog-item-btn', 'add-first-catalog-item-btn'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => this.showItemModal());
+        });
+        document.getElementById('catalog-search')?.addEventListener('input', (e) => {
+            this.query = e.target.value;
+            this.loadData();
+        });
+        document.getElementById('catalog-item-form')?.addEventListener('submit', this.handleItemSubmit.bind(this));
+    }
+
+    /**
+     * Load catalog entries into the table
+     */
+    loadData() {
+        const tbody = document.getElementById('catalog-tbody');
+        if (!tbody) return;
+
+        this.currencyFormatter.setCurrency(store.getSettings().currency);
+
+        const all = store.getCatalogItems();
+        const items = this.query.trim() ?
+            store.searchCatalogItems(this.query, all.length) :
+            [...all].sort((a, b) => a.description.localeCompare(b.description));
+
+        tbody.innerHTML = items.length === 0 && all.length > 0 ?
+            `<tr><td colspan="7" class="text-center text-gray-500 p-4">No items found matching "${this.query}"</td></tr>` :
+            items.map(item => this.createItemRow(item)).join('');
+
+        document.getElementById('catalog-table').style.display = all.length > 0 ? 'table' : 'none';
+        document.getElementById('catalog-empty').style.display = all.length > 0 ? 'none' : 'block';
+    }
+
+    /**
+     * Create catalog table row
+     * @param {Object} item - Catalog entry
+     * @returns {string} HTML string for table row
+     */
+    createItemRow(item) {
+        return `
+            <tr data-catalog-item-id="${item.id}">
+                <td>${item.sku || '-'}</td>
+                <td>${item.description}</td>
+                <td>${item.unit || '-'}</td>
+                <td class="text-right">${this.currencyFormatter.format(item.unitPrice)}</td>
+                <td>${item.taxes.length > 0 ? item.taxes.map(formatTaxLabel).join(', ') : '-'}</td>
+                <td class="text-right">${item.discountRate ? `${item.discountRate}%` : '-'}</td>
+                <td>
+                    <div class="table-actions">
+                        <button class="action-btn" onclick="catalogView.editItem('${item.id}')" title="Edit">
+                            ✏️
+                        </button>
+                        <button class="action-btn" onclick="catalogView.deleteItem('${item.id}')" title="Delete">
+                            🗑️
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Tax checkboxes for the entry form: every tax defined in settings
+     * @param {Array} selected - Taxes on the entry
+     */
+    renderTaxOptions(selected = []) {
+        const container = document.getElementById('catalog-item-taxes');
+        if (!container) return;
+
+        const taxes = store.getTaxes();
+        container.innerHTML = taxes.length === 0 ?
+            '<small class="text-gray-500">Add taxes in Settings</small>' :
+            taxes.map(tax => `
+                <label class="line-item-tax">
+                    <input type="checkbox" value="${tax.id}" ${selected.some(entry => entry.id === tax.id) ? 'checked' : ''}>
+                    ${formatTaxLabel(tax)}${tax.compound ? ' (compound)' : ''}
+                </label>
+            `).join('');
+    }
+
+    /**
+     * Show catalog entry modal
+     * @param {Object} item - Entry to edit (null for a new entry)
+     */
+    showItemModal(item = null) {
+        this.currentEditingItem = item;
+
+        this.itemModal.setTitle(item ? 'Edit Item' : 'Add Item');
+        this.itemModal.resetForm();
+        this.renderTaxOptions(item ? item.taxes : []);
+
+        if (item) {
+            document.getElementById('catalog-item-sku').value = item.sku || '';
+            document.getElementById('catalog-item-description').value = item.description || '';
+            document.getElementById('catalog-item-unit').value = item.unit || '';
+            document.getElementById('catalog-item-price').value = item.unitPrice;
+            document.getElementById('catalog-item-discount').value = item.discountRate || 0;
+        }
+
+        this.itemModal.open();
+    }
+
+    /**
+     * Handle catalog entry form submission
+     * @param {Event} e - Submit event
+     */
+    handleItemSubmit(e) {
+        e.preventDefault();
+
+        // Taxes are copied from their definitions, like taxes on lines
+        const checked = [...document.querySelectorAll('#catalog-item-taxes input:checked')].map(input => input.value);
+        const taxes = store.getTaxes().filter(tax => checked.includes(tax.id));
+
+        try {
+            const item = store.saveCatalogItem({
+                id: this.currentEditingItem ? this.currentEditingItem.id : undefined,
+                sku: document.getElementById('catalog-item-sku').value,
+                description: document.getElementById('catalog-item-description').value,
+                unit: document.getElementById('catalog-item-unit').value,
+                unitPrice: document.getElementById('catalog-item-price').value,
+                discountRate: document.getElementById('catalog-item-discount').value || 0,
+                taxes
+            });
+
+            toast.success(`Item ${item.sku || item.description} saved`);
+            this.itemModal.close();
+            this.currentEditingItem = null;
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Edit catalog entry
+     * @param {string} itemId - Catalog entry ID
+     */
+    editItem(itemId) {
+        const item = store.getCatalogItem(itemId);
+        if (item) {
+            this.showItemModal(item);
+        } else {
+            toast.error('Item not found');
+        }
+    }
+
+    /**
+     * Delete catalog entry
+     * @param {string} itemId - Catalog entry ID
+     */
+    deleteItem(itemId) {
+        const item = store.getCatalogItem(itemId);
+        if (!item) return;
+        if (!confirm(`Delete "${item.description}" from the catalog? Invoices keep the lines made from it.`)) return;
+
+        store.deleteCatalogItem(itemId);
+        toastWithUndo('Item deleted', store);
+    }
+}
+
+// Create global instance
+const catalogView = new CatalogView();
+
+// Make available globally for event handlers
+window.catalogView = catalogView;
+
+export default catalogView;
@@ -1,5 +1,5 @@
 // Dashboard Statistics, List, and Filters
-import { TableSorter, Search, CurrencyFormatter, DateUtils, toast } from './ui.js';
+import { TableSorter, Search, CurrencyFormatter, DateUtils, toast, toastWithUndo, Modal } from './ui.js';
 import store from './store.js';
 
 export class Dashboard {
@@ -7,6 +7,9 @@ export class Dashboard {
         this.currencyFormatter = new CurrencyFormatter();
         this.tableSorter = null;
         this.search = null;
+        this.mergeModal = new Modal('merge-import-modal');
+        // Backup JSON waiting in the import modal
+        this.pendingImport = null;
         this.isInitialized = false;
         
         this.init();
@@ -45,6 +48,11 @@ export class Dashboard {
         
         // File input for JSON import
         document.getElementById('json-file-input')?.addEventListener('change', this.handleFileImport.bind(this));
+        document.getElementById('import-merge-btn')?.addEventListener('click', this.handleMergeImport.bind(this));
+        document.getElementById('import-replace-btn')?.addEventListener('click', this.handleReplaceImport.bind(this));
+        this.mergeModal.onClose = () => {
+            this.pendingImport = null;
+        };
     }
 
     /**
@@ -84,6 +92,15 @@ export class Dashboard {
         document.getElementById('overdue-invoices').textContent = stats.overdue;
         document.getElementById('collected-month').textContent = 
             this.currencyFormatter.format(stats.collectedThisMonth);
+        document.getElementById('outstanding-amount').textContent =
+            this.currencyFormatter.format(stats.outstanding);
+
+        // Money KPIs are in the base currency
+        const note = stats.unconverted > 0 ?
+            ` · ${stats.unconverted} invoice(s) without an exchange rate excluded` : '';
+        document.querySelectorAll('.kpi-base-currency').forEach(element => {
+            element.textContent = `${settings.currency}${note}`;
+        });
     }
 
     /**
@@ -97,6 +114,8 @@ export class Dashboard {
         
         if (!tbody) return;
         
+        this.toBase = store.getBaseConverter();
+
         // Sort by creation date (newest first)
         const sortedInvoices = [...invoicesList].sort((a, b) => 
             new Date(b.createdAt) - new Date(a.createdAt)
@@ -125,8 +144,11 @@ export class Dashboard {
             new Date(invoice.dueDate) >= new Date() && 
             new Date(invoice.dueDate) <= new Date(Date.now() + 5 * 24 * 60 * 60 * 1000);
         
-        let status = invoice.status;
-        let badgeClass = `badge-${status}`;
+        let status = invoice.status.replace('_', ' ');
+        let badgeClass = `badge-${invoice.status.replace('_', '-')}`;
+        const balanceDue = store.getBalanceDue(invoice.id);
+        const baseCurrency = this.currencyFormatter.currency;
+        const baseTotal = this.toBase ? this.toBase(invoice, invoice.totals.grand) : null;
         
         if (isOverdue) {
             status = 'overdue';
@@ -152,8 +174,10 @@ export class Dashboard {
                     ${isDueSoon ? ' <small class="text-gray-500">(Due Soon)</small>' : ''}
                     ${isOverdue ? ' <small class="text-gray-700">(Overdue)</small>' : ''}
                 </td>
-                <td data-total="${invoice.totals.grand}" class="text-right">
-                    ${this.currencyFormatter.format(invoice.totals.grand)}
+                <td data-total="${baseTotal ?? invoice.totals.grand}" class="text-right">
+                    ${this.currencyFormatter.format(invoice.totals.grand, invoice.currency)}
+                    ${invoice.currency && invoice.currency !== baseCurrency && baseTotal !== null ? `<br><small class="text-gray-500">≈ ${this.currencyFormatter.format(baseTotal)}</small>` : ''}
+                    ${invoice.status === 'partially_paid' ? `<br><small class="text-gray-500">Balance ${this.currencyFormatter.format(balanceDue, invoice.currency)}</small>` : ''}
                 </td>
                 <td data-status="${status}">
                     <span class="badge ${badgeClass}">
@@ -168,7 +192,7 @@ export class Dashboard {
                         <button class="action-btn" onclick="dashboard.viewInvoice('${invoice.id}')" title="View">
                             👁️
                         </button>
-                        ${invoice.status !== 'paid' ? `
+                        ${!['paid', 'cancelled'].includes(invoice.status) ? `
                             <button class="action-btn" onclick="dashboard.markPaid('${invoice.id}')" title="Mark as Paid">
                                 ✓
                             </button>
@@ -255,12 +279,17 @@ export class Dashboard {
      * @param {string} invoiceId - Invoice ID
      */
     markPaid(invoiceId) {
-        const result = store.markPaid(invoiceId);
-        if (result) {
-            toast.success('Invoice marked as paid');
-            this.loadData();
-        } else {
-            toast.error('Failed to mark invoice as paid');
+        try {
+            const result = store.markPaid(invoiceId);
+            if (result) {
+                toast.success('Invoice marked as paid');
+                this.loadData();
+            } else {
+                toast.error('Failed to mark invoice as paid');
+            }
+        } catch (error) {
+            // Rejected by the status lifecycle (e.g. a cancelled invoice)
+            toast.error(error.message);
         }
     }
 
@@ -315,15 +344,12 @@ export class Dashboard {
             return;
         }
         
-        const confirmMessage = `Are you sure you want to delete invoice ${invoice.id}? This action cannot be undone.`;
-        if (confirm(confirmMessage)) {
-            const deleted = store.deleteInvoice(invoiceId);
-            if (deleted) {
-                toast.success('Invoice deleted');
-                this.loadData();
-            } else {
-                toast.error('Failed to delete invoice');
-            }
+        const deleted = store.deleteInvoice(invoiceId);
+        if (deleted) {
+            toastWithUndo(`Invoice ${invoice.id} moved to the trash`, store);
+            this.loadData();
+        } else {
+            toast.error('Failed to delete invoice');
         }
     }
 
@@ -359,7 +385,7 @@ export class Dashboard {
     }
 
     /**
-     * Handle file import
+     * Handle file import: preview what merging the backup would change
      * @param {Event} e - File input change event
      */
     async handleFileImport(e) {
@@ -373,28 +399,18 @@ export class Dashboard {
         
         try {
             const text = await file.text();
-            
-            // Confirm import
-            const confirmMessage = 'This will replace all existing data. Are you sure you want to continue?';
-            if (!confirm(confirmMessage)) {
-                return;
-            }
-            
-            const success = store.importJSON(text);
-            if (success) {
-                toast.success('Data imported successfully');
-                this.loadData();
-                
-                // Update other components
-                if (window.invoiceBuilder) {
-                    window.invoiceBuilder.loadClients();
-                }
-                if (window.clientManager) {
-                    window.clientManager.loadClients();
-                }
-            } else {
+            let plan;
+            try {
+                plan = store.previewMergeJSON(text);
+            } catch (error) {
+                console.error('Import failed:', error);
                 toast.error('Invalid file format or corrupted data');
+                return;
             }
+
+            this.pendingImport = text;
+            this.renderMergePreview(plan);
+            this.mergeModal.open();
         } catch (error) {
             console.error('Import failed:', error);
             toast.error('Failed to import data');
@@ -404,6 +420,161 @@ export class Dashboard {
         }
     }
 
+    /**
+     * Show the backup's records with their merge status, and a choice for
+     * each conflict
+     * @param {Object} plan - Merge plan (see merge-import.js)
+     */
+    renderMergePreview(plan) {
+        const { clients, invoices } = plan.counts;
+        const describe = (counts) => `${counts.new} new, ${counts.updated} updated, ` +
+            `${counts.conflict} conflicting, ${counts.unchanged} unchanged`;
+        document.getElementById('merge-import-summary').textContent =
+            `Clients: ${describe(clients)}. Invoices: ${describe(invoices)}.` +
+            (plan.skipped.length > 0 ? ` Not merged: ${plan.skipped.join(', ')} and settings.` : ' Settings are not merged.');
+
+        const table = document.getElementById('merge-import-records');
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        const entries = [
+            ...plan.clients.map(entry => ({ ...entry, kind: 'Client' })),
+            ...plan.invoices.map(entry => ({ ...entry, kind: 'Invoice' }))
+        ].filter(entry => entry.status !== 'unchanged');
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+
+            const record = document.createElement('td');
+            record.textContent = `${entry.kind} ${entry.label}` +
+                (entry.matchedBy && entry.matchedBy !== 'id' ? ` (same ${entry.matchedBy} as ${entry.mine.name || entry.mine.number || entry.mine.id})` : '');
+
+            const status = document.createElement('td');
+            status.className = `merge-status merge-status-${entry.status}`;
+            status.textContent = entry.status;
+
+            const changes = document.createElement('td');
+            changes.className = 'text-sm';
+            changes.textContent = entry.changes.join(', ') || '—';
+
+            const resolution = document.createElement('td');
+            if (entry.status === 'conflict') {
+                const select = document.createElement('select');
+                select.dataset.mergeKey = entry.key;
+                select.setAttribute('aria-label', `Resolution for ${entry.kind.toLowerCase()} ${entry.label}`);
+                [
+                    ['mine', 'Keep mine'],
+                    ['theirs', 'Take theirs'],
+                    ['both', entry.kind === 'Invoice' ? 'Keep both (renumber theirs)' : 'Keep both']
+                ].forEach(([value, label]) => select.add(new Option(label, value)));
+                resolution.appendChild(select);
+            } else {
+                resolution.textContent = entry.status === 'new' ? 'Add' : 'Take theirs (newer)';
+            }
+
+            row.append(record, status, changes, resolution);
+            tbody.appendChild(row);
+        });
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-gray-500">Nothing to merge; the backup matches your data</td></tr>';
+        }
+
+        table.style.display = '';
+        document.getElementById('merge-import-report').style.display = 'none';
+        document.getElementById('import-merge-btn').style.display = '';
+        document.getElementById('import-replace-btn').style.display = '';
+    }
+
+    /**
+     * Merge the previewed backup with the chosen resolutions and show the
+     * summary report
+     */
+    handleMergeImport() {
+        if (!this.pendingImport) return;
+
+        const resolutions = Object.fromEntries([...document.querySelectorAll('#merge-import-records select[data-merge-key]')]
+            .map(select => [select.dataset.mergeKey, select.value]));
+
+        try {
+            const report = store.mergeJSON(this.pendingImport, resolutions);
+            this.pendingImport = null;
+            this.renderMergeReport(report);
+            this.refreshAfterImport();
+            toast.success('Backup merged');
+        } catch (error) {
+            console.error('Merge failed:', error);
+            toast.error('Failed to merge the backup');
+        }
+    }
+
+    /**
+     * Show what a merge did
+     * @param {Object} report - Summary report (see merge-import.js applyMerge)
+     */
+    renderMergeReport(report) {
+        const describe = (counts) => `${counts.added} added, ${counts.updated} updated, ${counts.kept} kept as mine, ` +
+            `${counts.keptBoth} kept both, ${counts.unchanged} unchanged`;
+        const lines = [
+            `Clients: ${describe(report.clients)}`,
+            `Invoices: ${describe(report.invoices)}`,
+            ...report.renumbered.map(({ from, to }) => `Invoice ${from} from the backup was added as ${to}`),
+            ...(report.skipped.length > 0 ? [`Not merged: ${report.skipped.join(', ')}`] : [])
+        ];
+
+        const container = document.getElementById('merge-import-report');
+        const list = document.createElement('ul');
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        container.innerHTML = '<h4>Merge Report</h4>';
+        container.appendChild(list);
+
+        container.style.display = '';
+        document.getElementById('merge-import-records').style.display = 'none';
+        document.getElementById('merge-import-summary').textContent = '';
+        document.getElementById('import-merge-btn').style.display = 'none';
+        document.getElementById('import-replace-btn').style.display = 'none';
+    }
+
+    /**
+     * Replace all data with the previewed backup
+     */
+    handleReplaceImport() {
+        if (!this.pendingImport) return;
+
+        // Confirm import
+        const confirmMessage = 'This will replace all existing data. Are you sure you want to continue?';
+        if (!confirm(confirmMessage)) {
+            return;
+        }
+
+        const success = store.importJSON(this.pendingImport);
+        if (success) {
+            this.mergeModal.close();
+            toast.success('Data imported successfully');
+            this.refreshAfterImport();
+        } else {
+            toast.error('Invalid file format or corrupted data');
+        }
+    }
+
+    /**
+     * Reload the views that show imported data
+     */
+    refreshAfterImport() {
+        this.loadData();
+
+        // Update other components
+        if (window.invoiceBuilder) {
+            window.invoiceBuilder.loadClients();
+        }
+        if (window.clientManager) {
+            window.clientManager.loadClients();
+        }
+    }
+
     /**
      * Get filtered invoices by status
      * @param {string} status - Status to filter by
@@ -469,10 +640,9 @@ export class Dashboard {
         const stats = store.getInvoiceStats();
         const invoices = store.getInvoices();
         
-        const totalValue = invoices.reduce((sum, invoice) => sum + invoice.totals.grand, 0);
-        const unpaidValue = invoices
-            .filter(inv => inv.status === 'unpaid')
-            .reduce((sum, invoice) => sum + invoice.totals.grand, 0);
+        const toBase = store.getBaseConverter();
+        const totalValue = invoices.reduce((sum, invoice) => sum + (toBase(invoice, invoice.totals.grand) || 0), 0);
+        const unpaidValue = stats.outstanding;
         
         return {
             ...stats,
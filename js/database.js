@@ -1,5 +1,7 @@
 // Database Service - MySQL Integration
 import { toast } from './ui.js';
+import { upgradeInvoice } from './shared/invoice-schema.js';
+import store from './store.js';
 
 /**
  * Database service for Invoice Automation
@@ -74,18 +76,20 @@ export class DatabaseService {
     }
     
     /**
-     * Migrate data from localStorage to database
+     * Migrate data kept in the browser (IndexedDB or localStorage) to the database
      */
     async migrateFromLocalStorage() {
         try {
-            // Get data from localStorage
-            const localData = localStorage.getItem('invoiceApp:v1');
-            if (!localData) {
+            await store.ready;
+            const state = store.getState();
+            if ((state.clients || []).length === 0 && (state.invoices || []).length === 0) {
                 toast.info('No local data found to migrate');
                 return { success: true, message: 'No data to migrate' };
             }
-            
-            const data = JSON.parse(localData);
+            const localData = store.exportJSON();
+
+            // The database stores invoices in the canonical schema
+            const data = { ...state, invoices: (state.invoices || []).map(upgradeInvoice) };
             toast.info('Migrating data to database...');
             
             const response = await fetch(`${this.baseUrl}/?path=migrate`, {
@@ -104,9 +108,9 @@ export class DatabaseService {
                     Settings: ${migrated.settings}`;
                 toast.success(message);
                 
-                // Backup localStorage and clear it
+                // Backup the browser data and clear it
                 localStorage.setItem('invoiceApp:backup', localData);
-                localStorage.removeItem('invoiceApp:v1');
+                store.setState(store.defaultData);
             } else {
                 toast.error('Migration failed: ' + result.message);
             }
@@ -247,7 +251,8 @@ export class DatabaseService {
             const result = await response.json();
             
             if (response.ok) {
-                return result.invoices || [];
+                // Rows saved before invoices were stored as documents are upgraded here
+                return (result.invoices || []).map(upgradeInvoice);
             } else {
                 throw new Error(result.error || 'Failed to fetch invoices');
             }
@@ -267,7 +272,7 @@ export class DatabaseService {
             const result = await response.json();
             
             if (response.ok) {
-                return result.invoice;
+                return upgradeInvoice(result.invoice);
             } else {
                 throw new Error(result.error || 'Invoice not found');
             }
@@ -289,7 +294,7 @@ export class DatabaseService {
             const response = await fetch(`${this.baseUrl}/?path=${path}`, {
                 method,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(invoiceData)
+                body: JSON.stringify(upgradeInvoice(invoiceData))
             });
             
             const result = await response.json();
@@ -297,7 +302,7 @@ export class DatabaseService {
             if (response.ok) {
                 const action = isUpdate ? 'updated' : 'created';
                 toast.success(`Invoice ${action} successfully!`);
-                return result.invoice;
+                return upgradeInvoice(result.invoice);
             } else {
                 throw new Error(result.error || `Failed to ${isUpdate ? 'update' : 'create'} invoice`);
             }
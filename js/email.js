@@ -108,7 +108,7 @@ export class EmailService {
      */
     prepareEmailData(invoice, client, options = {}) {
         const settings = store.getSettings();
-        const formatter = new CurrencyFormatter(settings.currency);
+        const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
         
         const subject = options.subject || `Invoice ${invoice.id} - ${formatter.format(invoice.totals.grand)}`;
         
@@ -145,7 +145,7 @@ Invoice Details:
 • Invoice Number: ${invoice.id}
 • Issue Date: ${DateUtils.formatDate(invoice.issueDate)}
 • Due Date: ${DateUtils.formatDate(invoice.dueDate)}
-• Amount Due: ${formatter.format(invoice.totals.grand)}
+• Amount Due: ${formatter.format(invoice.totals.netPayable ?? invoice.totals.grand)}
 • Payment Terms: ${invoice.terms}
 
 `;
@@ -249,7 +249,7 @@ ${companyName}`;
             throw new Error('Client email address not found');
         }
 
-        const formatter = new CurrencyFormatter(store.getSettings().currency);
+        const formatter = new CurrencyFormatter(invoice.currency || store.getSettings().currency);
         const daysOverdue = Math.floor((Date.now() - new Date(invoice.dueDate)) / (1000 * 60 * 60 * 24));
         
         const reminderSubject = `Payment Reminder: Invoice ${invoice.id} - ${daysOverdue > 0 ? 'Overdue' : 'Due Soon'}`;
@@ -262,7 +262,7 @@ Invoice Details:
 • Invoice Number: ${invoice.id}
 • Issue Date: ${DateUtils.formatDate(invoice.issueDate)}
 • Due Date: ${DateUtils.formatDate(invoice.dueDate)}
-• Amount Due: ${formatter.format(invoice.totals.grand)}
+• Amount Due: ${formatter.format(invoice.totals.netPayable ?? invoice.totals.grand)}
 ${daysOverdue > 0 ? `• Days Overdue: ${daysOverdue}` : ''}
 
 ${daysOverdue > 0 
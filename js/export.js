@@ -1,6 +1,9 @@
 // PDF/JSON Export & Import Functions
 import { CurrencyFormatter, DateUtils } from './ui.js';
+import { Invoice, Quote, CreditNote } from './models.js';
 import store from './store.js';
+import { formatTaxLabel } from './shared/tax.js';
+import { roundMoney } from './shared/payments.js';
 
 /**
  * Export invoice to PDF using html2pdf with live preview format
@@ -45,66 +48,77 @@ export async function exportToPDF(invoice) {
         styles.textContent = getPDFStyles();
         pdfContainer.appendChild(styles);
         
-        // Configure PDF options
-        const opt = {
-            margin: [10, 10, 10, 10], // 10mm margins
-            filename: `Invoice_${invoice.id || 'Draft'}.pdf`,
-            image: { 
-                type: 'jpeg', 
-                quality: 0.98 
-            },
-            html2canvas: { 
-                scale: 2,
-                useCORS: true,
-                letterRendering: true,
-                allowTaint: false,
-                backgroundColor: '#ffffff',
-                logging: false,
-                width: 794, // A4 width in pixels at 96 DPI
-                height: 1123 // A4 height in pixels at 96 DPI
-            },
-            jsPDF: { 
-                unit: 'mm', 
-                format: 'a4', 
-                orientation: 'portrait',
-                putOnlyUsedFonts: true,
-                floatPrecision: 16
-            }
-        };
-        
-        // Create temporary container for PDF generation
-        const tempContainer = document.createElement('div');
-        tempContainer.appendChild(pdfContainer);
-        tempContainer.style.cssText = `
-            position: absolute;
-            left: -9999px;
-            top: 0;
-            width: 210mm;
-            background: white;
-        `;
-        
-        document.body.appendChild(tempContainer);
-        
-        try {
-            // Generate PDF
-            const pdfGenerator = html2pdf().set(opt).from(pdfContainer);
-            await pdfGenerator.save();
-            return true;
-        } catch (pdfError) {
-            console.error('PDF generation error:', pdfError);
-            throw new Error('Failed to generate PDF. Please try again or use the print option.');
-        } finally {
-            // Clean up
-            if (tempContainer.parentNode) {
-                document.body.removeChild(tempContainer);
-            }
-        }
+        const documentName = invoice instanceof Quote ? 'Quote' : 'Invoice';
+        await savePDF(pdfContainer, `${documentName}_${invoice.id || 'Draft'}.pdf`);
+        return true;
     } catch (error) {
         console.error('PDF export error:', error);
         throw error;
     }
 }
 
+/**
+ * Render a prepared document element to a downloaded A4 PDF
+ * @param {HTMLElement} pdfContainer - Styled document element
+ * @param {string} filename - PDF file name
+ * @returns {Promise} Resolves once the PDF is saved
+ */
+async function savePDF(pdfContainer, filename) {
+    // Configure PDF options
+    const opt = {
+        margin: [10, 10, 10, 10], // 10mm margins
+        filename,
+        image: { 
+            type: 'jpeg', 
+            quality: 0.98 
+        },
+        html2canvas: { 
+            scale: 2,
+            useCORS: true,
+            letterRendering: true,
+            allowTaint: false,
+            backgroundColor: '#ffffff',
+            logging: false,
+            width: 794, // A4 width in pixels at 96 DPI
+            height: 1123 // A4 height in pixels at 96 DPI
+        },
+        jsPDF: { 
+            unit: 'mm', 
+            format: 'a4', 
+            orientation: 'portrait',
+            putOnlyUsedFonts: true,
+            floatPrecision: 16
+        }
+    };
+    
+    // Create temporary container for PDF generation
+    const tempContainer = document.createElement('div');
+    tempContainer.appendChild(pdfContainer);
+    tempContainer.style.cssText = `
+        position: absolute;
+        left: -9999px;
+        top: 0;
+        width: 210mm;
+        background: white;
+    `;
+    
+    document.body.appendChild(tempContainer);
+    
+    try {
+        // Generate PDF
+        const pdfGenerator = html2pdf().set(opt).from(pdfContainer);
+        await pdfGenerator.save();
+    } catch (pdfError) {
+        console.error('PDF generation error:', pdfError);
+        throw new Error('Failed to generate PDF. Please try again or use the print option.');
+    } finally {
+        // Clean up
+        if (tempContainer.parentNode) {
+            document.body.removeChild(tempContainer);
+        }
+    }
+}
+
 /**
  * Wait for html2pdf to load
  * @returns {Promise} Promise that resolves when html2pdf is available
@@ -161,6 +175,8 @@ export async function exportInvoiceWithFallback(invoice) {
  * @returns {string} PDF HTML content
  */
 function createPDFContent(invoice, client, settings, formatter) {
+    const model = new Invoice(invoice);
+
     return `
         <div class="invoice-document">
             <!-- Header -->
@@ -215,21 +231,21 @@ function createPDFContent(invoice, client, settings, formatter) {
                         <th>Description</th>
                         <th class="text-right">Qty</th>
                         <th class="text-right">Unit Price</th>
-                        <th class="text-right">Tax %</th>
-                        <th class="text-right">Discount %</th>
+                        <th class="text-right">Taxes</th>
+                        <th class="text-right">Discount</th>
                         <th class="text-right">Total</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${invoice.items.map(item => {
-                        const totals = item.calculateTotals();
+                    ${model.items.map(item => {
+                        const totals = item.calculateTotals(model.taxInclusive, model.rounding);
                         return `
                             <tr>
                                 <td>${item.description || 'Untitled item'}</td>
-                                <td class="text-right">${item.qty}</td>
+                                <td class="text-right">${item.qty}${item.unit ? ` ${item.unit}` : ''}</td>
                                 <td class="text-right">${formatter.format(item.unitPrice)}</td>
-                                <td class="text-right">${item.taxRate}%</td>
-                                <td class="text-right">${item.discountRate}%</td>
+                                <td class="text-right">${item.taxes.map(formatTaxLabel).join(', ') || '—'}</td>
+                                <td class="text-right">${item.getDiscountLabel(amount => formatter.format(amount)) || '—'}</td>
                                 <td class="text-right">${formatter.format(totals.total)}</td>
                             </tr>
                         `;
@@ -241,21 +257,11 @@ function createPDFContent(invoice, client, settings, formatter) {
             <div class="totals-section">
                 <table class="totals-table">
                     <tr>
-                        <td>Subtotal:</td>
+                        <td>Subtotal${model.taxInclusive ? ' (tax inclusive)' : ''}:</td>
                         <td class="text-right">${formatter.format(invoice.totals.subtotal)}</td>
                     </tr>
-                    ${invoice.totals.discount > 0 ? `
-                        <tr>
-                            <td>Discount:</td>
-                            <td class="text-right">-${formatter.format(invoice.totals.discount)}</td>
-                        </tr>
-                    ` : ''}
-                    ${invoice.totals.tax > 0 ? `
-                        <tr>
-                            <td>Tax:</td>
-                            <td class="text-right">${formatter.format(invoice.totals.tax)}</td>
-                        </tr>
-                    ` : ''}
+                    ${renderDiscountRows(model, formatter)}
+                    ${model.taxInclusive ? '' : renderTaxRows(model, formatter)}
                     ${invoice.shipping > 0 ? `
                         <tr>
                             <td>Shipping:</td>
@@ -266,6 +272,26 @@ function createPDFContent(invoice, client, settings, formatter) {
                         <td><strong>Grand Total:</strong></td>
                         <td class="text-right"><strong>${formatter.format(invoice.totals.grand)}</strong></td>
                     </tr>
+                    ${model.taxInclusive ? renderTaxRows(model, formatter) : ''}
+                    ${renderWithholdingRows(model.totals, formatter, 'Net Amount Payable')}
+                    ${model.payments.length > 0 || model.credits.length > 0 ? `
+                        ${model.payments.length > 0 ? `
+                            <tr>
+                                <td>Amount Paid:</td>
+                                <td class="text-right">-${formatter.format(model.getAmountPaid())}</td>
+                            </tr>
+                        ` : ''}
+                        ${model.credits.length > 0 ? `
+                            <tr>
+                                <td>Credited (${model.credits.map(credit => credit.creditNoteId).join(', ')}):</td>
+                                <td class="text-right">-${formatter.format(model.getAmountCredited())}</td>
+                            </tr>
+                        ` : ''}
+                        <tr class="total-row">
+                            <td><strong>Balance Due:</strong></td>
+                            <td class="text-right"><strong>${formatter.format(model.getBalanceDue())}</strong></td>
+                        </tr>
+                    ` : ''}
                 </table>
             </div>
             
@@ -286,6 +312,235 @@ function createPDFContent(invoice, client, settings, formatter) {
     `;
 }
 
+/**
+ * Export a credit note to PDF
+ * @param {Object} creditNoteData - Stored credit note
+ * @returns {Promise} Export promise
+ */
+export async function exportCreditNotePDF(creditNoteData) {
+    if (!window.html2pdf) {
+        await waitForHtml2pdf();
+    }
+
+    if (!window.html2pdf) {
+        throw new Error('html2pdf library not available. Please refresh the page and try again.');
+    }
+
+    const creditNote = new CreditNote(creditNoteData);
+    const settings = store.getSettings();
+    const formatter = new CurrencyFormatter(creditNote.currency);
+
+    const pdfContainer = document.createElement('div');
+    pdfContainer.style.cssText = `
+        background: white;
+        padding: 20px;
+        font-family: Arial, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+        color: black;
+        width: 210mm;
+        min-height: 297mm;
+        box-sizing: border-box;
+    `;
+    pdfContainer.innerHTML = createCreditNoteContent(creditNote, store.getClient(creditNote.clientId), settings, formatter);
+
+    const styles = document.createElement('style');
+    styles.textContent = getPDFStyles();
+    pdfContainer.appendChild(styles);
+
+    await savePDF(pdfContainer, `CreditNote_${creditNote.id}.pdf`);
+    return true;
+}
+
+/**
+ * Totals rows with one line per tax. Tax-inclusive documents list the taxes
+ * as "Includes ..." under the grand total.
+ * @param {Invoice|CreditNote} doc - Document model
+ * @param {CurrencyFormatter} formatter - Currency formatter
+ * @returns {string} Table rows HTML
+ */
+function renderTaxRows(doc, formatter) {
+    return doc.getTaxBreakdown()
+        .filter(entry => entry.amount !== 0)
+        .map(entry => `
+            <tr>
+                <td>${doc.taxInclusive ? 'Includes ' : ''}${formatTaxLabel(entry)}:</td>
+                <td class="text-right">${formatter.format(entry.amount)}</td>
+            </tr>
+        `).join('');
+}
+
+/**
+ * Discount rows: line discounts, then the invoice-level discount
+ * @param {Invoice|CreditNote} doc - Document model
+ * @param {CurrencyFormatter} formatter - Currency formatter
+ * @returns {string} Table rows HTML
+ */
+function renderDiscountRows(doc, formatter) {
+    const invoiceDiscount = doc.totals.invoiceDiscount || 0;
+    const lineDiscount = roundMoney(doc.totals.discount - invoiceDiscount);
+    const rate = doc.invoiceDiscount && doc.invoiceDiscount.type === 'percent' ? ` (${doc.invoiceDiscount.value}%)` : '';
+
+    return `
+        ${lineDiscount > 0 ? `
+            <tr>
+                <td>Discount:</td>
+                <td class="text-right">-${formatter.format(lineDiscount)}</td>
+            </tr>
+        ` : ''}
+        ${invoiceDiscount > 0 ? `
+            <tr>
+                <td>Invoice Discount${rate}:</td>
+                <td class="text-right">-${formatter.format(invoiceDiscount)}</td>
+            </tr>
+        ` : ''}
+    `;
+}
+
+/**
+ * Withholding tax deduction and the net amount, if any tax is withheld
+ * @param {Object} totals - Document totals
+ * @param {CurrencyFormatter} formatter - Currency formatter
+ * @param {string} netLabel - Label for the net amount
+ * @returns {string} Table rows HTML
+ */
+function renderWithholdingRows(totals, formatter, netLabel) {
+    if (!(totals.withholding > 0)) return '';
+
+    return `
+        <tr>
+            <td>Less Withholding Tax (${totals.withholdingRate}%):</td>
+            <td class="text-right">-${formatter.format(totals.withholding)}</td>
+        </tr>
+        <tr class="total-row">
+            <td><strong>${netLabel}:</strong></td>
+            <td class="text-right"><strong>${formatter.format(totals.netPayable)}</strong></td>
+        </tr>
+    `;
+}
+
+/**
+ * Create credit note HTML
+ * @param {CreditNote} creditNote - Credit note
+ * @param {Object} client - Client object
+ * @param {Object} settings - Application settings
+ * @param {CurrencyFormatter} formatter - Currency formatter
+ * @returns {string} Credit note HTML content
+ */
+function createCreditNoteContent(creditNote, client, settings, formatter) {
+    const escape = (value) => String(value || '').replace(/[&<>"]/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+    return `
+        <div class="invoice-document">
+            <div class="invoice-header">
+                <div class="company-info">
+                    <div class="company-name">${escape(settings.companyName) || 'Your Company Name'}</div>
+                    <div class="company-details">
+                        ${settings.companyAddress ? `${escape(settings.companyAddress).replace(/\n/g, '<br>')}<br>` : ''}
+                        ${settings.companyPhone ? `Phone: ${escape(settings.companyPhone)}<br>` : ''}
+                        ${settings.companyEmail ? `Email: ${escape(settings.companyEmail)}` : ''}
+                    </div>
+                </div>
+                <div class="invoice-info">
+                    <div class="invoice-title">CREDIT NOTE</div>
+                    <div class="invoice-number">#${creditNote.id}</div>
+                </div>
+            </div>
+
+            <div class="invoice-details">
+                <div class="bill-to">
+                    <h4>Credit To:</h4>
+                    ${client ? `
+                        <div class="client-info">
+                            <strong>${escape(client.name)}</strong><br>
+                            ${client.company ? `${escape(client.company)}<br>` : ''}
+                            ${client.address ? `${escape(client.address).replace(/\n/g, '<br>')}<br>` : ''}
+                            ${client.taxId ? `VAT/TIN: ${escape(client.taxId)}` : ''}
+                        </div>
+                    ` : '<div>No client information</div>'}
+                </div>
+                <div class="invoice-meta">
+                    <h4>Credit Note Details:</h4>
+                    <div><strong>Issue Date:</strong> ${DateUtils.formatDate(creditNote.issueDate)}</div>
+                    <div><strong>Original Invoice:</strong> ${creditNote.invoiceId}</div>
+                    <div><strong>Type:</strong> ${creditNote.type === 'full' ? 'Full credit' : 'Partial credit'}</div>
+                    <div><strong>Status:</strong> ${creditNote.status === 'void' ? 'VOID' : 'ISSUED'}</div>
+                </div>
+            </div>
+
+            <table class="items-table">
+                <thead>
+                    <tr>
+                        <th>Description</th>
+                        <th class="text-right">Qty</th>
+                        <th class="text-right">Unit Price</th>
+                        <th class="text-right">Taxes</th>
+                        <th class="text-right">Discount</th>
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${creditNote.items.map(item => `
+                        <tr>
+                            <td>${escape(item.description) || 'Untitled item'}</td>
+                            <td class="text-right">${item.qty}${item.unit ? ` ${escape(item.unit)}` : ''}</td>
+                            <td class="text-right">${formatter.format(item.unitPrice)}</td>
+                            <td class="text-right">${escape(item.taxes.map(formatTaxLabel).join(', ')) || '—'}</td>
+                            <td class="text-right">${item.getDiscountLabel(amount => formatter.format(amount)) || '—'}</td>
+                            <td class="text-right">${formatter.format(item.calculateTotals(creditNote.taxInclusive, creditNote.rounding).total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <div class="totals-section">
+                <table class="totals-table">
+                    <tr>
+                        <td>Subtotal${creditNote.taxInclusive ? ' (tax inclusive)' : ''}:</td>
+                        <td class="text-right">${formatter.format(creditNote.totals.subtotal)}</td>
+                    </tr>
+                    ${renderDiscountRows(creditNote, formatter)}
+                    ${creditNote.taxInclusive ? '' : renderTaxRows(creditNote, formatter)}
+                    ${creditNote.shipping > 0 ? `
+                        <tr>
+                            <td>Shipping:</td>
+                            <td class="text-right">${formatter.format(creditNote.shipping)}</td>
+                        </tr>
+                    ` : ''}
+                    <tr class="total-row">
+                        <td><strong>Total Credit:</strong></td>
+                        <td class="text-right"><strong>${formatter.format(creditNote.totals.grand)}</strong></td>
+                    </tr>
+                    ${creditNote.taxInclusive ? renderTaxRows(creditNote, formatter) : ''}
+                    ${renderWithholdingRows(creditNote.totals, formatter, 'Net Credit')}
+                    <tr>
+                        <td>Applied to ${creditNote.invoiceId}:</td>
+                        <td class="text-right">${formatter.format(creditNote.status === 'void' ? 0 : creditNote.appliedAmount)}</td>
+                    </tr>
+                    <tr>
+                        <td>Available Credit:</td>
+                        <td class="text-right">${formatter.format(creditNote.getUnappliedAmount())}</td>
+                    </tr>
+                </table>
+            </div>
+
+            <div class="notes-section">
+                <div class="notes-title">Reason:</div>
+                <div class="notes-content">${escape(creditNote.reason).replace(/\n/g, '<br>')}</div>
+                ${creditNote.status === 'void' ? `
+                    <div class="notes-title">Voided:</div>
+                    <div class="notes-content">${DateUtils.formatDate(creditNote.voidedAt)} · ${escape(creditNote.voidReason)}</div>
+                ` : ''}
+            </div>
+
+            <div class="footer">
+                <p>Generated on ${new Date().toLocaleDateString()}</p>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Export invoice as JSON
  * @param {Object} invoice - Invoice object to export
@@ -343,6 +598,22 @@ export function importBackupJSON(jsonData) {
     }
 }
 
+/**
+ * Merge a backup's clients and invoices into the current data instead of
+ * replacing it
+ * @param {string} jsonData - JSON string to import
+ * @param {Object} [resolutions] - Conflict resolutions (see store.mergeJSON)
+ * @returns {Object|null} Summary report, or null if the backup could not be merged
+ */
+export function mergeBackupJSON(jsonData, resolutions = {}) {
+    try {
+        return store.mergeJSON(jsonData, resolutions);
+    } catch (error) {
+        console.error('Merge failed:', error);
+        return null;
+    }
+}
+
 /**
  * Validate import data structure
  * @param {Object} data - Data to validate
@@ -394,16 +665,21 @@ export function exportInvoicesCSV() {
     const invoices = store.getInvoices();
     const clients = store.getClients();
     const settings = store.getSettings();
-    const formatter = new CurrencyFormatter(settings.currency);
+    const toBase = store.getBaseConverter();
+    const models = invoices.map(data => new Invoice(data));
+    const taxColumns = getTaxColumns(models);
     
+    // Amounts are in the invoice currency, plus the total in the base currency
     const headers = [
         'Invoice ID', 'Client Name', 'Company', 'Issue Date', 'Due Date', 
-        'Payment Terms', 'Status', 'Subtotal', 'Tax', 'Discount', 'Shipping', 
-        'Grand Total', 'Notes', 'Created Date'
+        'Payment Terms', 'Status', 'Currency', 'Prices Include Tax', 'Subtotal', 'Tax',
+        ...taxColumns, 'Discount', 'Shipping', 
+        'Grand Total', 'Withholding Rate', 'Withholding Tax', 'Net Payable', 'Amount Paid', 'Amount Credited', 'Balance Due',
+        'Exchange Rate', `Grand Total (${settings.currency})`, 'Notes', 'Created Date'
     ];
-    const csvRows = [headers.join(',')];
+    const csvRows = [headers.map(escapeCSV).join(',')];
     
-    invoices.forEach(invoice => {
+    models.forEach(invoice => {
         const client = clients.find(c => c.id === invoice.clientId);
         const row = [
             escapeCSV(invoice.id),
@@ -413,11 +689,22 @@ export function exportInvoicesCSV() {
             escapeCSV(invoice.dueDate),
             escapeCSV(invoice.terms),
             escapeCSV(invoice.getDisplayStatus()),
+            escapeCSV(invoice.currency),
+            escapeCSV(invoice.taxInclusive ? 'Yes' : 'No'),
             escapeCSV(invoice.totals.subtotal.toString()),
             escapeCSV(invoice.totals.tax.toString()),
+            ...getTaxAmounts(invoice, taxColumns).map(escapeCSV),
             escapeCSV(invoice.totals.discount.toString()),
             escapeCSV(invoice.shipping.toString()),
             escapeCSV(invoice.totals.grand.toString()),
+            escapeCSV(String(invoice.withholdingRate)),
+            escapeCSV(String(invoice.totals.withholding || 0)),
+            escapeCSV(invoice.getAmountPayable().toString()),
+            escapeCSV(invoice.getAmountPaid().toString()),
+            escapeCSV(invoice.getAmountCredited().toString()),
+            escapeCSV(invoice.getBalanceDue().toString()),
+            escapeCSV(invoice.exchangeRate ? String(invoice.exchangeRate.rate) : ''),
+            escapeCSV(String(toBase(invoice, invoice.totals.grand) ?? '')),
             escapeCSV(invoice.notes.replace(/\n/g, ' ')),
             escapeCSV(new Date(invoice.createdAt).toLocaleDateString())
         ];
@@ -427,6 +714,86 @@ export function exportInvoicesCSV() {
     return csvRows.join('\n');
 }
 
+/**
+ * Export credit notes as CSV
+ * @returns {string} CSV string
+ */
+export function exportCreditNotesCSV() {
+    const creditNotes = store.getCreditNotes().map(data => new CreditNote(data));
+    const clients = store.getClients();
+    const taxColumns = getTaxColumns(creditNotes);
+
+    const headers = [
+        'Credit Note ID', 'Invoice ID', 'Client Name', 'Issue Date', 'Type', 'Status', 'Currency',
+        'Prices Include Tax', 'Subtotal', 'Tax', ...taxColumns, 'Discount', 'Shipping', 'Total',
+        'Withholding Tax', 'Net Credit', 'Applied', 'Unapplied', 'Reason'
+    ];
+    const csvRows = [headers.map(escapeCSV).join(',')];
+
+    creditNotes.forEach(creditNote => {
+        const client = clients.find(c => c.id === creditNote.clientId);
+        const row = [
+            escapeCSV(creditNote.id),
+            escapeCSV(creditNote.invoiceId),
+            escapeCSV(client ? client.name : 'Unknown'),
+            escapeCSV(creditNote.issueDate),
+            escapeCSV(creditNote.type),
+            escapeCSV(creditNote.status),
+            escapeCSV(creditNote.currency),
+            escapeCSV(creditNote.taxInclusive ? 'Yes' : 'No'),
+            escapeCSV(creditNote.totals.subtotal.toString()),
+            escapeCSV(creditNote.totals.tax.toString()),
+            ...getTaxAmounts(creditNote, taxColumns).map(escapeCSV),
+            escapeCSV(creditNote.totals.discount.toString()),
+            escapeCSV(creditNote.shipping.toString()),
+            escapeCSV(creditNote.totals.grand.toString()),
+            escapeCSV(String(creditNote.totals.withholding || 0)),
+            escapeCSV(creditNote.getAmountPayable().toString()),
+            escapeCSV(creditNote.appliedAmount.toString()),
+            escapeCSV(creditNote.getUnappliedAmount().toString()),
+            escapeCSV(creditNote.reason.replace(/\n/g, ' '))
+        ];
+        csvRows.push(row.join(','));
+    });
+
+    return csvRows.join('\n');
+}
+
+/**
+ * Column name for a tax in CSV exports, e.g. "VAT 12%"
+ * @param {Object} tax - Tax breakdown entry
+ * @returns {string} Column name
+ */
+function taxColumnName(tax) {
+    return `${formatTaxLabel(tax)}${tax.compound ? ' (compound)' : ''}`;
+}
+
+/**
+ * One column per distinct tax across the exported documents
+ * @param {Array<Invoice|CreditNote>} docs - Document models
+ * @returns {Array<string>} Column names
+ */
+function getTaxColumns(docs) {
+    const columns = new Set();
+    docs.forEach(doc => doc.getTaxBreakdown().forEach(tax => columns.add(taxColumnName(tax))));
+    return [...columns];
+}
+
+/**
+ * Tax amounts of a document in the order of the tax columns
+ * @param {Invoice|CreditNote} doc - Document model
+ * @param {Array<string>} columns - Tax column names
+ * @returns {Array<string>} Amounts, empty where the tax is not on the document
+ */
+function getTaxAmounts(doc, columns) {
+    const amounts = new Map();
+    doc.getTaxBreakdown().forEach(tax => {
+        const name = taxColumnName(tax);
+        amounts.set(name, roundMoney((amounts.get(name) || 0) + tax.amount));
+    });
+    return columns.map(name => amounts.has(name) ? String(amounts.get(name)) : '');
+}
+
 /**
  * Escape CSV field
  * @param {string} field - Field to escape
@@ -466,7 +833,7 @@ export function downloadTextFile(content, filename, mimeType = 'text/plain') {
 export function printInvoice(invoice) {
     const client = store.getClient(invoice.clientId);
     const settings = store.getSettings();
-    const formatter = new CurrencyFormatter(settings.currency);
+    const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
     
     const printContent = createPDFContent(invoice, client, settings, formatter);
     
@@ -894,7 +1261,7 @@ function getPrintStyles() {
 export function generatePaymentLink(invoice) {
     const client = store.getClient(invoice.clientId);
     const settings = store.getSettings();
-    const formatter = new CurrencyFormatter(settings.currency);
+    const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
     
     return `
 Invoice Payment Request
@@ -441,7 +441,7 @@ export class GmailAPIService {
     prepareInvoiceEmailData(invoice, client, options = {}) {
         // Use cached settings if available
         const settings = this._getCachedSettings();
-        const formatter = this._getCachedFormatter(settings.currency);
+        const formatter = this._getCachedFormatter(invoice.currency || settings.currency);
         
         return {
             to: client.email,
@@ -455,7 +455,7 @@ export class GmailAPIService {
      */
     prepareReminderEmailData(invoice, client, options = {}) {
         const settings = this._getCachedSettings();
-        const formatter = this._getCachedFormatter(settings.currency);
+        const formatter = this._getCachedFormatter(invoice.currency || settings.currency);
         
         // Calculate days overdue once
         const daysOverdue = this._calculateDaysOverdue(invoice.dueDate);
@@ -567,7 +567,7 @@ export class GmailAPIService {
             ``,
             `Invoice #: ${invoice.id}`,
             `Original Due Date: ${DateUtils.formatDate(invoice.dueDate)}`,
-            `Amount Due: ${formatter.format(invoice.totals.grand)}`,
+            `Amount Due: ${formatter.format(invoice.totals.netPayable ?? invoice.totals.grand)}`,
             ``,
             `Please remit payment at your earliest convenience. If you have already sent payment, please disregard this reminder.`,
             ``,
@@ -1,13 +1,26 @@
 // Invoice Builder Logic and Calculations
-import { Invoice, LineItem } from './models.js';
-import { AutoSave, toast, CurrencyFormatter } from './ui.js';
+import { Invoice, LineItem, Quote, QUOTE_TRANSITIONS } from './models.js';
+import { AutoSave, Modal, toast, toastWithUndo, CurrencyFormatter, DateUtils } from './ui.js';
+import { getAllowedTransitions } from './shared/invoice-status.js';
+import { PAYMENT_METHODS } from './shared/payments.js';
+import { isCurrencyCode } from './shared/currency.js';
+import { formatTaxLabel } from './shared/tax.js';
+import { roundMoney } from './shared/decimal.js';
+import { lineFromCatalogItem } from './shared/catalog.js';
 import store from './store.js';
 
+// Statuses that can be picked by hand in the builder. The API also has
+// draft/sent; paid comes from recording payments.
+const APP_STATUSES = ['unpaid', 'overdue', 'cancelled'];
+
 export class InvoiceBuilder {
     constructor() {
         this.currentInvoice = new Invoice();
         this.currencyFormatter = new CurrencyFormatter();
         this.autoSave = new AutoSave(this.saveInvoice.bind(this));
+        this.creditNoteModal = new Modal('credit-note-modal');
+        // Catalog suggestions open under a line's description: { itemId, matches, index }
+        this.suggestions = null;
         this.isInitialized = false;
         
         this.init();
@@ -38,17 +51,29 @@ export class InvoiceBuilder {
         
         // Client selection
         document.getElementById('client-select')?.addEventListener('change', this.handleClientChange.bind(this));
+
+        // Currency and exchange rate
+        document.getElementById('invoice-currency')?.addEventListener('change', this.handleCurrencyChange.bind(this));
+        document.getElementById('exchange-rate')?.addEventListener('change', this.handleExchangeRateChange.bind(this));
         
         // Line items
         document.getElementById('add-item-btn')?.addEventListener('click', this.addLineItem.bind(this));
         
         // Additional details
+        ['invoice-discount-value', 'invoice-discount-type'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', this.handleInputChange.bind(this));
+        });
         document.getElementById('shipping-cost')?.addEventListener('input', this.handleInputChange.bind(this));
+        document.getElementById('tax-inclusive')?.addEventListener('change', this.handleInputChange.bind(this));
+        document.getElementById('withholding-rate')?.addEventListener('change', this.handleInputChange.bind(this));
         document.getElementById('invoice-notes')?.addEventListener('input', this.handleInputChange.bind(this));
         
         // Recurring settings
         document.getElementById('recurring-enabled')?.addEventListener('change', this.handleRecurringToggle.bind(this));
         document.getElementById('recurring-interval')?.addEventListener('change', this.handleInputChange.bind(this));
+        ['recurring-end-date', 'recurring-max-occurrences', 'recurring-auto-send'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', this.handleInputChange.bind(this));
+        });
         document.getElementById('next-run-date')?.addEventListener('change', this.handleInputChange.bind(this));
         
         // Actions
@@ -66,6 +91,26 @@ export class InvoiceBuilder {
         document.getElementById('email-setup-btn')?.addEventListener('click', this.handleEmailSetup.bind(this));
         document.getElementById('setup-real-email-btn')?.addEventListener('click', this.handleRealEmailSetup.bind(this));
 
+        // Status changes
+        document.getElementById('apply-status-btn')?.addEventListener('click', this.handleApplyStatus.bind(this));
+        document.getElementById('record-payment-btn')?.addEventListener('click', this.handleRecordPayment.bind(this));
+        document.getElementById('void-invoice-btn')?.addEventListener('click', this.handleVoidInvoice.bind(this));
+
+        // Credit notes
+        document.getElementById('issue-credit-note-btn')?.addEventListener('click', this.openCreditNoteModal.bind(this));
+        document.getElementById('credit-note-type')?.addEventListener('change', this.renderCreditNoteLines.bind(this));
+        document.getElementById('credit-note-form')?.addEventListener('submit', this.handleIssueCreditNote.bind(this));
+        document.querySelector('#credit-note-modal .modal-cancel')?.addEventListener('click', () => this.creditNoteModal.close());
+
+        // Quotes
+        document.getElementById('convert-quote-btn')?.addEventListener('click', this.handleConvertQuote.bind(this));
+
+        // Changes saved in another tab, and undo/redo
+        window.addEventListener('remoteStateChange', () => this.syncWithStore('in another tab'));
+        window.addEventListener('historyChange', (e) => {
+            if (e.detail.action) this.syncWithStore(`by ${e.detail.action}`);
+        });
+
         // Dropdown toggle functionality
         document.getElementById('email-options-btn')?.addEventListener('click', this.handleEmailDropdownToggle.bind(this));
         
@@ -79,24 +124,35 @@ export class InvoiceBuilder {
 
     /**
      * Generate new invoice
+     * @param {string} [type] - Document type: 'invoice' or 'quote'
      */
-    generateNewInvoice() {
-        this.currentInvoice = new Invoice();
+    generateNewInvoice(type = 'invoice') {
+        this.currentInvoice = type === 'quote' ? new Quote() : new Invoice();
         this.currentInvoice.id = ''; // Will be generated on save
+        this.applyDocumentMode();
         
         // Set default values
         const settings = store.getSettings();
-        this.currencyFormatter.setCurrency(settings.currency);
+        this.currentInvoice.currency = settings.currency;
+        this.currentInvoice.rounding = { ...this.currentInvoice.rounding, ...settings.rounding };
+        this.renderCurrencyFields();
         
         // Update form
         document.getElementById('invoice-number').value = 'Will be generated';
         document.getElementById('issue-date').value = this.currentInvoice.issueDate;
-        document.getElementById('due-date').value = this.currentInvoice.dueDate;
+        document.getElementById('due-date').value = this.getEndDate();
         document.getElementById('payment-terms').value = this.currentInvoice.terms;
+        document.getElementById('invoice-discount-value').value = '0';
+        document.getElementById('invoice-discount-type').value = 'percent';
         document.getElementById('shipping-cost').value = '0.00';
+        document.getElementById('tax-inclusive').checked = false;
+        document.getElementById('withholding-rate').value = '0';
         document.getElementById('invoice-notes').value = '';
         document.getElementById('recurring-enabled').checked = false;
         document.getElementById('recurring-options').style.display = 'none';
+        document.getElementById('recurring-end-date').value = '';
+        document.getElementById('recurring-max-occurrences').value = '';
+        document.getElementById('recurring-auto-send').checked = false;
         
         // Clear line items
         this.renderLineItems();
@@ -104,9 +160,17 @@ export class InvoiceBuilder {
         // Add first line item
         this.addLineItem();
         
+        this.renderStatusPanel();
         this.updatePreview();
     }
 
+    /**
+     * Start a new quote in the builder
+     */
+    newQuote() {
+        this.generateNewInvoice('quote');
+    }
+
     /**
      * Load invoice for editing
      * @param {string} invoiceId - Invoice ID to load
@@ -119,24 +183,88 @@ export class InvoiceBuilder {
         }
 
         this.currentInvoice = new Invoice(invoice);
+        this.applyDocumentMode();
         this.populateForm();
         this.renderLineItems();
+        this.renderStatusPanel();
         this.updatePreview();
         
         toast.success('Invoice loaded');
     }
 
+    /**
+     * Load quote for editing
+     * @param {string} quoteId - Quote ID to load
+     */
+    loadQuote(quoteId) {
+        const quote = store.getQuote(quoteId);
+        if (!quote) {
+            toast.error('Quote not found');
+            return;
+        }
+
+        this.currentInvoice = new Quote(quote);
+        this.applyDocumentMode();
+        this.populateForm();
+        this.renderLineItems();
+        this.renderStatusPanel();
+        this.updatePreview();
+
+        toast.success('Quote loaded');
+    }
+
+    /**
+     * Check whether the builder is editing a quote
+     * @returns {boolean} Is quote
+     */
+    isQuote() {
+        return this.currentInvoice instanceof Quote;
+    }
+
+    /**
+     * Date shown in the due date field: the expiry date for quotes
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    getEndDate() {
+        return this.isQuote() ? this.currentInvoice.expiryDate : this.currentInvoice.dueDate;
+    }
+
+    /**
+     * Relabel the builder for the current document type and hide the
+     * invoice-only controls (recurring, email, duplicate) for quotes
+     */
+    applyDocumentMode() {
+        const quote = this.isQuote();
+        const noun = quote ? 'Quote' : 'Invoice';
+
+        document.getElementById('builder-title').textContent = `${noun} Builder`;
+        document.querySelector('label[for="invoice-number"]').textContent = `${noun} Number`;
+        document.querySelector('label[for="due-date"]').textContent = quote ? 'Expiry Date' : 'Due Date';
+        document.getElementById('save-invoice-btn').textContent = `Save ${noun}`;
+
+        ['recurring-section', 'email-actions', 'duplicate-invoice-btn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.style.display = quote ? 'none' : '';
+        });
+    }
+
     /**
      * Populate form with current invoice data
      */
     populateForm() {
         document.getElementById('invoice-number').value = this.currentInvoice.id || 'Will be generated';
         document.getElementById('issue-date').value = this.currentInvoice.issueDate;
-        document.getElementById('due-date').value = this.currentInvoice.dueDate;
+        document.getElementById('due-date').value = this.getEndDate();
         document.getElementById('payment-terms').value = this.currentInvoice.terms;
         document.getElementById('client-select').value = this.currentInvoice.clientId;
+        const invoiceDiscount = this.currentInvoice.invoiceDiscount;
+        document.getElementById('invoice-discount-value').value = invoiceDiscount ? invoiceDiscount.value : '0';
+        document.getElementById('invoice-discount-type').value = invoiceDiscount ? invoiceDiscount.type : 'percent';
         document.getElementById('shipping-cost').value = this.currentInvoice.shipping.toFixed(2);
+        document.getElementById('tax-inclusive').checked = this.currentInvoice.taxInclusive;
+        this.renderWithholdingRate();
         document.getElementById('invoice-notes').value = this.currentInvoice.notes;
+        this.renderCurrencyFields();
         
         // Recurring settings
         const recurringEnabled = document.getElementById('recurring-enabled');
@@ -146,11 +274,505 @@ export class InvoiceBuilder {
         if (this.currentInvoice.recurring.enabled) {
             document.getElementById('recurring-interval').value = this.currentInvoice.recurring.interval;
             document.getElementById('next-run-date').value = this.currentInvoice.recurring.nextRun || '';
+            document.getElementById('recurring-end-date').value = this.currentInvoice.recurring.endDate || '';
+            document.getElementById('recurring-max-occurrences').value = this.currentInvoice.recurring.maxOccurrences || '';
+            document.getElementById('recurring-auto-send').checked = !!this.currentInvoice.recurring.autoSend;
         }
         
         this.handleClientChange();
     }
 
+    /**
+     * Render status badge, allowed transitions and status history
+     */
+    renderStatusPanel() {
+        const card = document.getElementById('status-card');
+        if (!card) return;
+
+        if (this.isQuote()) {
+            card.style.display = 'none';
+            this.renderQuotePanel();
+            return;
+        }
+        document.getElementById('quote-card').style.display = 'none';
+
+        const invoice = this.currentInvoice.id ? store.getInvoice(this.currentInvoice.id) : null;
+        card.style.display = invoice ? '' : 'none';
+        document.getElementById('save-invoice-btn').disabled = !!(invoice && invoice.voidedAt);
+        if (!invoice) return;
+
+        const sourceQuote = document.getElementById('source-quote');
+        sourceQuote.style.display = invoice.quoteId ? '' : 'none';
+        sourceQuote.innerHTML = invoice.quoteId
+            ? `Created from quote <a href="#" onclick="invoiceBuilder.loadQuote('${invoice.quoteId}'); return false;">${invoice.quoteId}</a>`
+            : '';
+
+        const model = new Invoice(invoice);
+        const badge = document.getElementById('status-badge');
+        badge.className = `badge ${model.getStatusBadgeClass()}`;
+        badge.textContent = model.getDisplayStatus();
+
+        this.renderPayments(model);
+        this.renderCreditNotes(model);
+
+        const voided = !!invoice.voidedAt;
+        const voidNotice = document.getElementById('void-notice');
+        voidNotice.style.display = voided ? '' : 'none';
+        voidNotice.textContent = voided
+            ? `Voided ${DateUtils.formatDate(invoice.voidedAt)}: ${invoice.voidReason}. The document is read-only.`
+            : '';
+        document.getElementById('void-invoice-btn').disabled = invoice.status === 'cancelled';
+
+        const select = document.getElementById('status-select');
+        const moves = getAllowedTransitions(invoice.status).filter(move => APP_STATUSES.includes(move.to));
+        select.innerHTML = moves.length ? '' : '<option value="">No changes available</option>';
+        moves.forEach(move => {
+            const option = document.createElement('option');
+            option.value = `${move.action || ''}:${move.to}`;
+            option.textContent = move.action ? `${move.to} (${move.action})` : move.to;
+            select.appendChild(option);
+        });
+        select.disabled = moves.length === 0;
+        document.getElementById('apply-status-btn').disabled = moves.length === 0;
+        document.getElementById('status-reason').value = '';
+
+        // Newest first; reasons are user input, so use textContent
+        const list = document.getElementById('status-history');
+        list.innerHTML = '';
+        [...(invoice.statusHistory || [])].reverse().forEach(entry => {
+            const item = document.createElement('li');
+            const change = entry.from ? `${entry.from} → ${entry.to}` : `Created as ${entry.to}`;
+            item.textContent = entry.action ? `${change} (${entry.action})` : change;
+
+            const meta = document.createElement('span');
+            meta.className = 'status-history-meta';
+            const when = `${DateUtils.formatDate(entry.at)} ${new Date(entry.at).toLocaleTimeString()}`;
+            meta.textContent = [when, entry.actor && entry.actor.name, entry.reason].filter(Boolean).join(' · ');
+            item.appendChild(meta);
+
+            list.appendChild(item);
+        });
+
+        if (!list.children.length) {
+            list.innerHTML = '<li class="text-gray-500">No status changes recorded</li>';
+        }
+    }
+
+    /**
+     * Render quote status, accept/decline actions, conversion link and history
+     */
+    renderQuotePanel() {
+        const card = document.getElementById('quote-card');
+        const quote = this.currentInvoice.id ? store.getQuote(this.currentInvoice.id) : null;
+        card.style.display = quote ? '' : 'none';
+        document.getElementById('save-invoice-btn').disabled = !!(quote && quote.convertedInvoiceId);
+        if (!quote) return;
+
+        const model = new Quote(quote);
+        const badge = document.getElementById('quote-status-badge');
+        badge.className = `badge ${model.getStatusBadgeClass()}`;
+        badge.textContent = model.getDisplayStatus();
+
+        const link = document.getElementById('quote-link');
+        link.innerHTML = quote.convertedInvoiceId
+            ? `Converted to invoice <a href="#" onclick="dashboard.editInvoice('${quote.convertedInvoiceId}'); return false;">${quote.convertedInvoiceId}</a>. The quote is read-only.`
+            : `Valid until ${DateUtils.formatDate(quote.expiryDate)}${model.isExpired() ? ' (expired)' : ''}`;
+
+        const actions = document.getElementById('quote-actions');
+        actions.innerHTML = '';
+        if (!quote.convertedInvoiceId) {
+            const labels = { accepted: 'Mark Accepted', declined: 'Mark Declined', pending: 'Reopen' };
+            (QUOTE_TRANSITIONS[quote.status] || []).forEach(status => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline';
+                button.textContent = labels[status];
+                button.addEventListener('click', () => this.handleQuoteStatus(status));
+                actions.appendChild(button);
+            });
+        }
+        document.getElementById('convert-quote-btn').disabled =
+            !!quote.convertedInvoiceId || quote.status === 'declined';
+
+        // Newest first; reasons are user input, so use textContent
+        const list = document.getElementById('quote-history');
+        list.innerHTML = '';
+        [...(quote.statusHistory || [])].reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = entry.from ? `${entry.from} → ${entry.to}` : `Created as ${entry.to}`;
+
+            const meta = document.createElement('span');
+            meta.className = 'status-history-meta';
+            const when = `${DateUtils.formatDate(entry.at)} ${new Date(entry.at).toLocaleTimeString()}`;
+            meta.textContent = [when, entry.actor && entry.actor.name, entry.reason].filter(Boolean).join(' · ');
+            item.appendChild(meta);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Accept, decline or reopen the current quote
+     * @param {string} status - New quote status
+     */
+    handleQuoteStatus(status) {
+        try {
+            const quote = store.updateQuoteStatus(this.currentInvoice.id, status);
+            this.currentInvoice.status = quote.status;
+            this.currentInvoice.statusHistory = quote.statusHistory;
+            this.renderStatusPanel();
+            this.updatePreview();
+            toast.success(`Quote marked as ${status}`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Convert the current quote into an invoice and open the invoice
+     */
+    async handleConvertQuote() {
+        if (!this.currentInvoice.id) {
+            toast.error('Please save the quote first');
+            return;
+        }
+
+        try {
+            // Carry over any unsaved edits first
+            await this.saveInvoice();
+            const invoice = store.convertQuoteToInvoice(this.currentInvoice.id);
+            this.loadInvoice(invoice.id);
+            toast.success(`Invoice ${invoice.id} created from quote`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Render the payment ledger and reset the payment form
+     * @param {Invoice} invoice - Stored invoice
+     */
+    renderPayments(invoice) {
+        const balanceDue = invoice.getBalanceDue();
+        const withheld = invoice.totals.withholding || 0;
+        document.getElementById('balance-due').textContent =
+            (withheld > 0 ? `Withheld ${this.currencyFormatter.format(withheld)} · ` : '') +
+            `Paid ${this.currencyFormatter.format(invoice.getAmountPaid())} · ` +
+            `Balance due ${this.currencyFormatter.format(balanceDue)}`;
+
+        const list = document.getElementById('payment-list');
+        list.innerHTML = '';
+        invoice.payments.forEach(payment => {
+            const item = document.createElement('li');
+            item.textContent = `${this.currencyFormatter.format(payment.amount)} · ${payment.method.replace('_', ' ')}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'action-btn';
+            remove.title = 'Remove payment';
+            remove.textContent = '🗑️';
+            remove.addEventListener('click', () => this.handleDeletePayment(payment.id));
+            item.appendChild(remove);
+
+            const meta = document.createElement('span');
+            meta.className = 'status-history-meta';
+            meta.textContent = [DateUtils.formatDate(payment.date), payment.reference].filter(Boolean).join(' · ');
+            item.appendChild(meta);
+
+            list.appendChild(item);
+        });
+
+        const method = document.getElementById('payment-method');
+        if (!method.options.length) {
+            method.innerHTML = PAYMENT_METHODS
+                .map(value => `<option value="${value}">${value.replace('_', ' ')}</option>`)
+                .join('');
+        }
+
+        const canPay = balanceDue > 0 && invoice.status !== 'cancelled';
+        document.getElementById('payment-amount').value = canPay ? balanceDue.toFixed(2) : '';
+        document.getElementById('payment-date').value = new Date().toISOString().split('T')[0];
+        document.getElementById('payment-reference').value = '';
+        document.getElementById('record-payment-btn').disabled = !canPay;
+    }
+
+    /**
+     * Record a payment from the payment form
+     */
+    handleRecordPayment() {
+        try {
+            store.recordPayment(this.currentInvoice.id, {
+                amount: parseFloat(document.getElementById('payment-amount').value),
+                date: document.getElementById('payment-date').value,
+                method: document.getElementById('payment-method').value,
+                reference: document.getElementById('payment-reference').value
+            });
+            this.refreshFromStore();
+            toast.success('Payment recorded');
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Remove a payment from the ledger
+     * @param {string} paymentId - Payment ID
+     */
+    handleDeletePayment(paymentId) {
+        if (!confirm('Remove this payment?')) return;
+
+        try {
+            store.deletePayment(this.currentInvoice.id, paymentId);
+            this.refreshFromStore();
+            toastWithUndo('Payment removed', store);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Render credit notes issued against the invoice
+     * @param {Invoice} invoice - Stored invoice
+     */
+    renderCreditNotes(invoice) {
+        const list = document.getElementById('credit-note-list');
+        list.innerHTML = '';
+        store.getCreditNotesForInvoice(invoice.id).forEach(creditNote => {
+            const item = document.createElement('li');
+            const voided = creditNote.status === 'void';
+            item.textContent = `${creditNote.id} · ${this.currencyFormatter.format(creditNote.totals.grand)}` +
+                (voided ? ' (void)' : '');
+
+            const pdf = document.createElement('button');
+            pdf.className = 'action-btn';
+            pdf.title = 'Export PDF';
+            pdf.textContent = '📄';
+            pdf.addEventListener('click', () => this.handleExportCreditNote(creditNote.id));
+            item.appendChild(pdf);
+
+            if (!voided) {
+                const remove = document.createElement('button');
+                remove.className = 'action-btn';
+                remove.title = 'Void credit note';
+                remove.textContent = '🚫';
+                remove.addEventListener('click', () => this.handleVoidCreditNote(creditNote.id));
+                item.appendChild(remove);
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'status-history-meta';
+            meta.textContent = [
+                DateUtils.formatDate(creditNote.issueDate),
+                creditNote.reason,
+                voided ? `voided: ${creditNote.voidReason}` : ''
+            ].filter(Boolean).join(' · ');
+            item.appendChild(meta);
+
+            list.appendChild(item);
+        });
+
+        if (!list.children.length) {
+            list.innerHTML = '<li class="text-gray-500">No credit notes issued</li>';
+        }
+
+        document.getElementById('issue-credit-note-btn').disabled = invoice.status === 'cancelled';
+    }
+
+    /**
+     * Open the credit note form for the current invoice
+     */
+    openCreditNoteModal() {
+        if (!this.currentInvoice.id) return;
+
+        document.getElementById('credit-note-form').reset();
+        document.getElementById('credit-note-type').value = 'full';
+        document.getElementById('credit-note-date').value = new Date().toISOString().split('T')[0];
+        this.renderCreditNoteLines();
+        this.creditNoteModal.open();
+    }
+
+    /**
+     * Render creditable lines; quantities are editable for partial credits
+     */
+    renderCreditNoteLines() {
+        const creditable = store.getCreditableItems(this.currentInvoice.id);
+        if (!creditable) return;
+
+        const full = document.getElementById('credit-note-type').value === 'full';
+        const tbody = document.querySelector('#credit-note-lines tbody');
+        tbody.innerHTML = '';
+        creditable.items.forEach(({ item, remainingQty }) => {
+            const row = document.createElement('tr');
+
+            const description = document.createElement('td');
+            description.textContent = item.description || 'Untitled item';
+            const available = document.createElement('td');
+            available.textContent = remainingQty;
+
+            const qtyCell = document.createElement('td');
+            const qty = document.createElement('input');
+            qty.type = 'number';
+            qty.min = '0';
+            qty.max = String(remainingQty);
+            qty.step = 'any';
+            qty.dataset.itemId = item.id;
+            qty.value = full ? remainingQty : 0;
+            qty.disabled = full || remainingQty <= 0;
+            qtyCell.appendChild(qty);
+
+            row.append(description, available, qtyCell);
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Issue a credit note from the credit note form
+     * @param {Event} e - Submit event
+     */
+    handleIssueCreditNote(e) {
+        e.preventDefault();
+
+        const lines = [...document.querySelectorAll('#credit-note-lines input[data-item-id]')]
+            .map(input => ({ itemId: input.dataset.itemId, qty: parseFloat(input.value) || 0 }));
+
+        try {
+            const creditNote = store.issueCreditNote(this.currentInvoice.id, {
+                type: document.getElementById('credit-note-type').value,
+                lines,
+                reason: document.getElementById('credit-note-reason').value,
+                issueDate: document.getElementById('credit-note-date').value
+            });
+            this.creditNoteModal.close();
+            this.refreshFromStore();
+            toast.success(`Credit note ${creditNote.id} issued`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Void a credit note, keeping the document
+     * @param {string} creditNoteId - Credit note ID
+     */
+    handleVoidCreditNote(creditNoteId) {
+        const reason = prompt(`Why is credit note ${creditNoteId} being voided?`);
+        if (reason === null) return;
+
+        try {
+            store.voidCreditNote(creditNoteId, reason);
+            this.refreshFromStore();
+            toast.success(`Credit note ${creditNoteId} voided`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Export a credit note to PDF
+     * @param {string} creditNoteId - Credit note ID
+     */
+    async handleExportCreditNote(creditNoteId) {
+        try {
+            const { exportCreditNotePDF } = await import('./export.js');
+            await exportCreditNotePDF(store.getCreditNote(creditNoteId));
+            toast.success('PDF exported successfully');
+        } catch (error) {
+            console.error('Export failed:', error);
+            toast.error(error.message || 'Failed to export credit note');
+        }
+    }
+
+    /**
+     * Void the current invoice using the reason from the status panel
+     */
+    handleVoidInvoice() {
+        const reason = document.getElementById('status-reason').value;
+        if (!reason.trim()) {
+            toast.error('Enter a reason to void the invoice');
+            return;
+        }
+        if (!confirm('Void this invoice? It will be kept as issued and can no longer be edited.')) return;
+
+        try {
+            store.voidInvoice(this.currentInvoice.id, reason);
+            this.refreshFromStore();
+            toastWithUndo('Invoice voided', store);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Pick up status, payment and credit changes saved by the store
+     */
+    refreshFromStore() {
+        const stored = store.getInvoice(this.currentInvoice.id);
+        if (!stored) return;
+
+        this.currentInvoice.status = stored.status;
+        this.currentInvoice.statusHistory = stored.statusHistory || [];
+        this.currentInvoice.payments = stored.payments || [];
+        this.currentInvoice.credits = stored.credits || [];
+        this.currentInvoice.voidedAt = stored.voidedAt || null;
+        this.currentInvoice.voidReason = stored.voidReason || '';
+        this.currentInvoice.updatedAt = stored.updatedAt;
+        this.renderStatusPanel();
+        this.updatePreview();
+    }
+
+    /**
+     * Show data replaced from outside the builder (by another tab, or by
+     * undo and redo): the client list, and the open document if it changed.
+     * Edits not yet saved here are kept; saving them replaces the other version.
+     * @param {string} where - How the data changed, for messages: 'in another tab', 'by undo', ...
+     */
+    syncWithStore(where) {
+        const clientSelect = document.getElementById('client-select');
+        const selectedClient = clientSelect ? clientSelect.value : '';
+        this.loadClients();
+        if (clientSelect) clientSelect.value = selectedClient;
+
+        if (!this.currentInvoice.id) return;
+
+        const kind = this.isQuote() ? 'quote' : 'invoice';
+        const stored = this.isQuote() ? store.getQuote(this.currentInvoice.id) : store.getInvoice(this.currentInvoice.id);
+        if (!stored) {
+            toast.error(`This ${kind} was removed ${where}`);
+            return;
+        }
+        if (stored.updatedAt === this.currentInvoice.updatedAt) return;
+
+        if (this.autoSave.isPending()) {
+            toast.info(`This ${kind} was changed ${where}; saving here will replace those changes`, 5000);
+            return;
+        }
+
+        this.currentInvoice = this.isQuote() ? new Quote(stored) : new Invoice(stored);
+        this.applyDocumentMode();
+        this.populateForm();
+        this.renderLineItems();
+        this.renderStatusPanel();
+        this.updatePreview();
+        toast.info(`This ${kind} was changed ${where}; showing that version`);
+    }
+
+    /**
+     * Apply the status change selected in the status panel
+     */
+    handleApplyStatus() {
+        const [action, status] = document.getElementById('status-select').value.split(':');
+        if (!status) return;
+
+        try {
+            store.updateInvoiceStatus(this.currentInvoice.id, status, {
+                action: action || null,
+                reason: document.getElementById('status-reason').value
+            });
+            this.refreshFromStore();
+            toast.success(`Invoice marked as ${status}`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
     /**
      * Load clients into select dropdown
      */
@@ -195,12 +817,19 @@ export class InvoiceBuilder {
         
         if (id === 'issue-date') {
             this.currentInvoice.issueDate = value;
-            // Auto-update due date if payment terms are set
-            const dueDate = this.currentInvoice.calculateDueDateFromTerms(value);
-            document.getElementById('due-date').value = dueDate;
-            this.currentInvoice.dueDate = dueDate;
+            this.renderCurrencyFields();
+            // Auto-update due date if payment terms are set (quotes keep their expiry)
+            if (!this.isQuote()) {
+                const dueDate = this.currentInvoice.calculateDueDateFromTerms(value);
+                document.getElementById('due-date').value = dueDate;
+                this.currentInvoice.dueDate = dueDate;
+            }
         } else if (id === 'due-date') {
-            this.currentInvoice.dueDate = value;
+            if (this.isQuote()) {
+                this.currentInvoice.expiryDate = value;
+            } else {
+                this.currentInvoice.dueDate = value;
+            }
         }
         
         this.triggerAutoSave();
@@ -213,6 +842,12 @@ export class InvoiceBuilder {
      */
     handleTermsChange(e) {
         this.currentInvoice.terms = e.target.value;
+        if (this.isQuote()) {
+            // Terms carry over to the invoice; the quote keeps its expiry date
+            this.triggerAutoSave();
+            this.updatePreview();
+            return;
+        }
         
         // Auto-update due date
         const issueDate = document.getElementById('issue-date').value;
@@ -225,9 +860,72 @@ export class InvoiceBuilder {
     }
 
     /**
-     * Handle client selection change
+     * Show the invoice currency and, for foreign currencies, the rate to the
+     * base currency: the invoice's own snapshot, or the rate table's rate
+     * for the issue date that will be snapshotted on save
      */
-    handleClientChange() {
+    renderCurrencyFields() {
+        const base = store.getSettings().currency;
+        const { currency, exchangeRate, issueDate } = this.currentInvoice;
+        this.currencyFormatter.setCurrency(currency);
+
+        document.getElementById('invoice-currency').value = currency;
+        const group = document.getElementById('exchange-rate-group');
+        group.style.display = currency === base ? 'none' : '';
+        if (currency === base) return;
+
+        const tableRate = store.getExchangeRate(currency, issueDate);
+        const snapshot = exchangeRate && exchangeRate.base === base ? exchangeRate : null;
+        const rate = snapshot || tableRate;
+
+        document.getElementById('exchange-rate-label').textContent = `1 ${currency} in ${base}`;
+        document.getElementById('exchange-rate').value = rate ? rate.rate : '';
+        document.getElementById('exchange-rate-source').textContent = !rate ?
+            'No rate on file: enter one or add it in Settings' :
+            rate.source === 'manual' && snapshot ? 'Entered for this document' : `Rate of ${rate.date}`;
+    }
+
+    /**
+     * Handle currency change; the rate is looked up again
+     * @param {Event} e - Change event
+     */
+    handleCurrencyChange(e) {
+        const currency = e.target.value.trim().toUpperCase();
+        if (!isCurrencyCode(currency)) {
+            toast.error(`${e.target.value} is not an ISO 4217 currency code`);
+            e.target.value = this.currentInvoice.currency;
+            return;
+        }
+
+        this.currentInvoice.currency = currency;
+        this.currentInvoice.exchangeRate = null;
+        this.renderCurrencyFields();
+        this.triggerAutoSave();
+        this.updatePreview();
+    }
+
+    /**
+     * Handle a rate typed in for this document
+     * @param {Event} e - Change event
+     */
+    handleExchangeRateChange(e) {
+        const rate = parseFloat(e.target.value);
+        this.currentInvoice.exchangeRate = rate > 0 ? {
+            base: store.getSettings().currency,
+            rate,
+            date: this.currentInvoice.issueDate,
+            source: 'manual'
+        } : null;
+        this.renderCurrencyFields();
+        this.triggerAutoSave();
+    }
+
+    /**
+     * Handle client selection change. Picking a client on a new document
+     * switches to the client's billing currency.
+     * @param {Event} [e] - Change event (absent when populating the form)
+     */
+    handleClientChange(e) {
         const clientId = document.getElementById('client-select').value;
         this.currentInvoice.clientId = clientId;
         
@@ -235,6 +933,18 @@ export class InvoiceBuilder {
         
         if (clientId) {
             const client = store.getClient(clientId);
+            if (e && client && client.currency && !this.currentInvoice.id &&
+                client.currency !== this.currentInvoice.currency) {
+                this.currentInvoice.currency = client.currency;
+                this.currentInvoice.exchangeRate = null;
+                this.renderCurrencyFields();
+            }
+            // New documents take the client's withholding tax rate
+            if (e && client && !this.currentInvoice.id) {
+                this.currentInvoice.withholdingRate = client.withholdingRate || 0;
+                this.currentInvoice.updateTotals();
+                this.renderWithholdingRate();
+            }
             if (client) {
                 clientDetails.innerHTML = `
                     <h4>${client.name}</h4>
@@ -254,6 +964,19 @@ export class InvoiceBuilder {
         this.updatePreview();
     }
 
+    /**
+     * Show the document's withholding rate, adding it to the options if it
+     * is not one of the common rates
+     */
+    renderWithholdingRate() {
+        const select = document.getElementById('withholding-rate');
+        const rate = String(this.currentInvoice.withholdingRate || 0);
+        if (![...select.options].some(option => option.value === rate)) {
+            select.add(new Option(`${rate}%`, rate));
+        }
+        select.value = rate;
+    }
+
     /**
      * Handle general input changes
      * @param {Event} e - Input event
@@ -262,11 +985,32 @@ export class InvoiceBuilder {
         const { id, value } = e.target;
         
         switch (id) {
+            case 'invoice-discount-value':
+            case 'invoice-discount-type': {
+                const discountValue = parseFloat(document.getElementById('invoice-discount-value').value) || 0;
+                this.currentInvoice.invoiceDiscount = discountValue > 0 ? {
+                    type: document.getElementById('invoice-discount-type').value,
+                    value: discountValue
+                } : null;
+                this.currentInvoice.updateTotals();
+                this.updatePreview();
+                break;
+            }
             case 'shipping-cost':
                 this.currentInvoice.shipping = parseFloat(value) || 0;
                 this.currentInvoice.updateTotals();
                 this.updatePreview();
                 break;
+            case 'tax-inclusive':
+                this.currentInvoice.taxInclusive = e.target.checked;
+                this.currentInvoice.updateTotals();
+                this.updatePreview();
+                break;
+            case 'withholding-rate':
+                this.currentInvoice.withholdingRate = parseFloat(value) || 0;
+                this.currentInvoice.updateTotals();
+                this.updatePreview();
+                break;
             case 'invoice-notes':
                 this.currentInvoice.notes = value;
                 this.updatePreview();
@@ -277,6 +1021,15 @@ export class InvoiceBuilder {
             case 'next-run-date':
                 this.currentInvoice.recurring.nextRun = value;
                 break;
+            case 'recurring-end-date':
+                this.currentInvoice.recurring.endDate = value || null;
+                break;
+            case 'recurring-max-occurrences':
+                this.currentInvoice.recurring.maxOccurrences = parseInt(value, 10) || null;
+                break;
+            case 'recurring-auto-send':
+                this.currentInvoice.recurring.autoSend = e.target.checked;
+                break;
         }
         
         this.triggerAutoSave();
@@ -351,19 +1104,208 @@ export class InvoiceBuilder {
             case 'unitPrice':
                 updates.unitPrice = parseFloat(value) || 0;
                 break;
-            case 'taxRate':
-                updates.taxRate = parseFloat(value) || 0;
+            case 'unit':
+                updates.unit = value.trim();
+                break;
+            case 'discountType':
+                updates.discountType = value;
                 break;
-            case 'discountRate':
-                updates.discountRate = parseFloat(value) || 0;
+            case 'discount': {
+                // The value is a rate or an amount, depending on the line's discount type
+                const item = this.currentInvoice.items.find(item => item.id === itemId);
+                const key = item && item.discountType === 'amount' ? 'discountAmount' : 'discountRate';
+                updates[key] = parseFloat(value) || 0;
                 break;
+            }
         }
         
         this.currentInvoice.updateItem(itemId, updates);
+        if (field === 'discountType') {
+            this.renderLineItems();
+        }
+        this.showLineItemErrors(itemId);
         this.updatePreview();
         this.triggerAutoSave();
     }
 
+    /**
+     * Show catalog entries matching what was typed in a line's description
+     * @param {string} itemId - Item ID
+     * @param {string} query - Description typed so far
+     */
+    showCatalogSuggestions(itemId, query) {
+        const list = document.querySelector(`[data-item-id="${itemId}"] .catalog-suggestions`);
+        if (!list) return;
+
+        const matches = store.searchCatalogItems(query);
+        if (matches.length === 0) {
+            this.hideCatalogSuggestions();
+            return;
+        }
+
+        this.suggestions = { itemId, matches, index: -1 };
+        list.innerHTML = matches.map((entry, index) => `
+            <li role="option" data-index="${index}"
+                onmousedown="event.preventDefault(); invoiceBuilder.applyCatalogItem('${itemId}', '${entry.id}')">
+                <span>${entry.sku ? `<strong>${entry.sku}</strong> ` : ''}${entry.description}</span>
+                <span class="text-gray-500">
+                    ${this.currencyFormatter.format(entry.unitPrice, this.currentInvoice.currency)}${entry.unit ? ` / ${entry.unit}` : ''}
+                </span>
+            </li>
+        `).join('');
+        list.hidden = false;
+    }
+
+    /**
+     * Hide the open catalog suggestions
+     */
+    hideCatalogSuggestions() {
+        document.querySelectorAll('.catalog-suggestions').forEach(list => {
+            list.hidden = true;
+            list.innerHTML = '';
+        });
+        this.suggestions = null;
+    }
+
+    /**
+     * Keyboard navigation of catalog suggestions: arrows move, Enter picks,
+     * Escape closes
+     * @param {KeyboardEvent} event - Keydown event on the description
+     * @param {string} itemId - Item ID
+     */
+    handleSuggestionKey(event, itemId) {
+        const open = this.suggestions && this.suggestions.itemId === itemId ? this.suggestions : null;
+        if (!open) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            open.index = (open.index + step + open.matches.length) % open.matches.length;
+            document.querySelectorAll(`[data-item-id="${itemId}"] .catalog-suggestions li`).forEach((option, index) => {
+                option.classList.toggle('active', index === open.index);
+            });
+        } else if (event.key === 'Enter' && open.index >= 0) {
+            event.preventDefault();
+            this.applyCatalogItem(itemId, open.matches[open.index].id);
+        } else if (event.key === 'Escape') {
+            this.hideCatalogSuggestions();
+        }
+    }
+
+    /**
+     * Fill a line from a catalog entry: description, unit, price, taxes and
+     * discount. The line keeps its quantity.
+     * @param {string} itemId - Item ID
+     * @param {string} catalogItemId - Catalog entry ID
+     */
+    applyCatalogItem(itemId, catalogItemId) {
+        const entry = store.getCatalogItem(catalogItemId);
+        // Commit what was typed first so its change event cannot overwrite the entry
+        document.querySelector(`[data-item-id="${itemId}"] .line-item-description input`)?.blur();
+        this.hideCatalogSuggestions();
+        if (!entry) return;
+
+        this.currentInvoice.updateItem(itemId, lineFromCatalogItem(entry));
+        this.renderLineItems();
+        this.updatePreview();
+        this.triggerAutoSave();
+
+        // Continue with the quantity
+        document.querySelector(`[data-item-id="${itemId}"] input[type="number"]`)?.focus();
+    }
+
+    /**
+     * Add or remove a tax on a line item. The tax definition is copied from
+     * settings so the line keeps its rate if the definition changes later.
+     * @param {string} itemId - Item ID
+     * @param {string} taxId - Tax definition ID
+     * @param {boolean} checked - Whether the tax applies
+     */
+    toggleLineItemTax(itemId, taxId, checked) {
+        const item = this.currentInvoice.items.find(item => item.id === itemId);
+        if (!item) return;
+
+        // Taxes carried over from a single tax rate have no ID ('null' here)
+        const taxes = item.taxes.filter(tax => String(tax.id) !== taxId);
+        const definition = store.getTaxes().find(tax => tax.id === taxId);
+        if (checked && definition) {
+            taxes.push({ ...definition });
+        }
+
+        this.currentInvoice.updateItem(itemId, { taxes });
+        this.updatePreview();
+        this.triggerAutoSave();
+    }
+
+    /**
+     * Tax checkboxes for a line item: every tax defined in settings, plus
+     * taxes the line carries that are no longer defined
+     * @param {LineItem} item - Line item
+     * @returns {string} Checkbox HTML
+     */
+    renderLineItemTaxes(item) {
+        const definitions = store.getTaxes();
+        const retired = item.taxes.filter(tax => !definitions.some(definition => definition.id === tax.id));
+        const options = [
+            ...definitions.map(tax => ({ tax, checked: item.taxes.some(applied => applied.id === tax.id) })),
+            ...retired.map(tax => ({ tax, checked: true }))
+        ];
+
+        if (options.length === 0) {
+            return '<small class="text-gray-500">Add taxes in Settings</small>';
+        }
+
+        return options.map(({ tax, checked }) => `
+            <label class="line-item-tax" title="${tax.compound ? 'Compound tax' : 'Tax'}">
+                <input type="checkbox" ${checked ? 'checked' : ''}
+                       onchange="invoiceBuilder.toggleLineItemTax('${item.id}', '${tax.id}', this.checked)">
+                ${formatTaxLabel(tax)}${tax.compound ? ' (compound)' : ''}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Numbers of the other invoices, or quotes, that the current one must not reuse
+     * @returns {Array<string>} Numbers
+     */
+    getOtherNumbers() {
+        const documents = this.isQuote() ? store.getQuotes() : store.getInvoices({ includeTrashed: true });
+        return documents
+            .filter(doc => doc.id !== this.currentInvoice.id)
+            .map(doc => doc.number || doc.id);
+    }
+
+    /**
+     * Mark the fields of a line item that break a rule and list its errors
+     * under the row
+     * @param {string} itemId - Item ID
+     */
+    showLineItemErrors(itemId) {
+        const row = document.querySelector(`[data-item-id="${itemId}"]`);
+        const item = this.currentInvoice.items.find(item => item.id === itemId);
+        if (!row || !item) return;
+
+        const { errors, fieldErrors } = item.validate();
+        // items[0].taxes[1].rate and discountAmount map to the taxes and discount inputs
+        const invalid = Object.keys(fieldErrors).map(field =>
+            field.startsWith('discount') ? 'discount' : field.split(/[.[]/)[0]);
+
+        row.querySelectorAll('[data-field]').forEach(group => {
+            group.classList.toggle('is-invalid', invalid.includes(group.dataset.field));
+        });
+
+        const list = row.querySelector('.line-item-errors');
+        list.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        list.hidden = errors.length === 0;
+    }
+
+    /**
+     * Show the errors of every line item
+     */
+    showAllLineItemErrors() {
+        this.currentInvoice.items.forEach(item => this.showLineItemErrors(item.id));
+    }
+
     /**
      * Render line items in the form
      */
@@ -387,32 +1329,50 @@ export class InvoiceBuilder {
         const row = document.createElement('div');
         row.className = 'line-item';
         row.dataset.itemId = item.id;
+        const isAmount = item.discountType === 'amount';
         
         row.innerHTML = `
-            <div class="form-group">
+            <div class="form-group line-item-description" data-field="description">
                 <label>Description</label>
-                <input type="text" value="${item.description}" 
+                <input type="text" value="${item.description}" autocomplete="off"
+                       placeholder="Type to search the catalog"
+                       oninput="invoiceBuilder.showCatalogSuggestions('${item.id}', this.value)"
+                       onkeydown="invoiceBuilder.handleSuggestionKey(event, '${item.id}')"
+                       onblur="invoiceBuilder.hideCatalogSuggestions()"
                        onchange="invoiceBuilder.updateLineItem('${item.id}', 'description', this.value)">
+                <ul class="catalog-suggestions" role="listbox" hidden></ul>
             </div>
-            <div class="form-group">
+            <div class="form-group" data-field="qty">
                 <label>Qty</label>
                 <input type="number" min="0" step="0.01" value="${item.qty}" 
                        onchange="invoiceBuilder.updateLineItem('${item.id}', 'qty', this.value)">
             </div>
-            <div class="form-group">
+            <div class="form-group" data-field="unitPrice">
                 <label>Unit Price</label>
                 <input type="number" min="0" step="0.01" value="${item.unitPrice}" 
                        onchange="invoiceBuilder.updateLineItem('${item.id}', 'unitPrice', this.value)">
             </div>
-            <div class="form-group">
-                <label>Tax %</label>
-                <input type="number" min="0" max="100" step="0.01" value="${item.taxRate}" 
-                       onchange="invoiceBuilder.updateLineItem('${item.id}', 'taxRate', this.value)">
+            <div class="form-group" data-field="taxes">
+                <label>Taxes</label>
+                <div class="line-item-taxes">${this.renderLineItemTaxes(item)}</div>
             </div>
-            <div class="form-group">
-                <label>Discount %</label>
-                <input type="number" min="0" max="100" step="0.01" value="${item.discountRate}" 
-                       onchange="invoiceBuilder.updateLineItem('${item.id}', 'discountRate', this.value)">
+            <div class="form-group" data-field="unit">
+                <label>Unit</label>
+                <input type="text" value="${item.unit}" maxlength="20" list="unit-options" placeholder="e.g. hours"
+                       onchange="invoiceBuilder.updateLineItem('${item.id}', 'unit', this.value)">
+            </div>
+            <div class="form-group" data-field="discount">
+                <label>Discount</label>
+                <div class="discount-input">
+                    <input type="number" min="0" ${isAmount ? '' : 'max="100"'} step="0.01"
+                           value="${isAmount ? item.discountAmount : item.discountRate}"
+                           onchange="invoiceBuilder.updateLineItem('${item.id}', 'discount', this.value)">
+                    <select aria-label="Discount type"
+                            onchange="invoiceBuilder.updateLineItem('${item.id}', 'discountType', this.value)">
+                        <option value="percent" ${isAmount ? '' : 'selected'}>%</option>
+                        <option value="amount" ${isAmount ? 'selected' : ''}>Amount</option>
+                    </select>
+                </div>
             </div>
             <div class="form-group">
                 <label>&nbsp;</label>
@@ -420,6 +1380,7 @@ export class InvoiceBuilder {
                         onclick="invoiceBuilder.removeLineItem('${item.id}')" 
                         title="Remove item">×</button>
             </div>
+            <ul class="line-item-errors" hidden></ul>
         `;
         
         return row;
@@ -437,11 +1398,11 @@ export class InvoiceBuilder {
         
         preview.innerHTML = `
             <div class="invoice-header">
-                <div class="invoice-logo">INVOICE</div>
+                <div class="invoice-logo">${this.isQuote() ? 'QUOTE' : 'INVOICE'}</div>
                 <div class="invoice-number">
                     <div><strong>#${this.currentInvoice.id || 'Will be generated'}</strong></div>
                     <div>Date: ${this.formatDate(this.currentInvoice.issueDate)}</div>
-                    <div>Due: ${this.formatDate(this.currentInvoice.dueDate)}</div>
+                    <div>${this.isQuote() ? 'Valid until' : 'Due'}: ${this.formatDate(this.getEndDate())}</div>
                 </div>
             </div>
             
@@ -458,7 +1419,7 @@ export class InvoiceBuilder {
                     ` : '<div class="text-gray-500">No client selected</div>'}
                 </div>
                 <div class="invoice-meta">
-                    <h4>Invoice Details:</h4>
+                    <h4>${this.isQuote() ? 'Quote' : 'Invoice'} Details:</h4>
                     <div>Terms: ${this.currentInvoice.terms}</div>
                     <div>Status: ${this.currentInvoice.getDisplayStatus()}</div>
                     ${this.currentInvoice.recurring.enabled ? `
@@ -493,14 +1454,14 @@ export class InvoiceBuilder {
         }
         
         const rows = this.currentInvoice.items.map(item => {
-            const totals = item.calculateTotals();
+            const totals = item.calculateTotals(this.currentInvoice.taxInclusive, this.currentInvoice.rounding);
             return `
                 <tr>
                     <td>${item.description || 'Untitled item'}</td>
-                    <td class="text-right">${item.qty}</td>
+                    <td class="text-right">${item.qty}${item.unit ? ` ${item.unit}` : ''}</td>
                     <td class="text-right">${this.currencyFormatter.format(item.unitPrice)}</td>
-                    <td class="text-right">${item.taxRate}%</td>
-                    <td class="text-right">${item.discountRate}%</td>
+                    <td class="text-right">${item.taxes.map(formatTaxLabel).join(', ') || '—'}</td>
+                    <td class="text-right">${item.getDiscountLabel(amount => this.currencyFormatter.format(amount)) || '—'}</td>
                     <td class="text-right">${this.currencyFormatter.format(totals.total)}</td>
                 </tr>
             `;
@@ -531,24 +1492,37 @@ export class InvoiceBuilder {
      */
     renderTotals() {
         const totals = this.currentInvoice.totals;
+        const inclusive = this.currentInvoice.taxInclusive;
+        const invoiceDiscount = this.currentInvoice.invoiceDiscount;
+        // Totals saved before invoice-level discounts have none
+        const lineDiscount = roundMoney(totals.discount - (totals.invoiceDiscount || 0));
+        const taxRows = this.currentInvoice.getTaxBreakdown()
+            .filter(entry => entry.amount !== 0)
+            .map(entry => `
+                <div class="invoice-totals-row">
+                    <span>${inclusive ? 'Includes ' : ''}${formatTaxLabel(entry)}:</span>
+                    <span>${this.currencyFormatter.format(entry.amount)}</span>
+                </div>
+            `).join('');
         
         return `
             <div class="invoice-totals-row">
-                <span>Subtotal:</span>
+                <span>Subtotal${inclusive ? ' (tax inclusive)' : ''}:</span>
                 <span>${this.currencyFormatter.format(totals.subtotal)}</span>
             </div>
-            ${totals.discount > 0 ? `
+            ${lineDiscount > 0 ? `
                 <div class="invoice-totals-row">
                     <span>Discount:</span>
-                    <span>-${this.currencyFormatter.format(totals.discount)}</span>
+                    <span>-${this.currencyFormatter.format(lineDiscount)}</span>
                 </div>
             ` : ''}
-            ${totals.tax > 0 ? `
+            ${totals.invoiceDiscount > 0 ? `
                 <div class="invoice-totals-row">
-                    <span>Tax:</span>
-                    <span>${this.currencyFormatter.format(totals.tax)}</span>
+                    <span>Invoice Discount${invoiceDiscount.type === 'percent' ? ` (${invoiceDiscount.value}%)` : ''}:</span>
+                    <span>-${this.currencyFormatter.format(totals.invoiceDiscount)}</span>
                 </div>
             ` : ''}
+            ${inclusive ? '' : taxRows}
             ${this.currentInvoice.shipping > 0 ? `
                 <div class="invoice-totals-row">
                     <span>Shipping:</span>
@@ -559,6 +1533,35 @@ export class InvoiceBuilder {
                 <span><strong>Grand Total:</strong></span>
                 <span><strong>${this.currencyFormatter.format(totals.grand)}</strong></span>
             </div>
+            ${inclusive ? taxRows : ''}
+            ${totals.withholding > 0 ? `
+                <div class="invoice-totals-row">
+                    <span>Less Withholding Tax (${totals.withholdingRate}%):</span>
+                    <span>-${this.currencyFormatter.format(totals.withholding)}</span>
+                </div>
+                <div class="invoice-totals-row grand-total">
+                    <span><strong>Net Amount Payable:</strong></span>
+                    <span><strong>${this.currencyFormatter.format(totals.netPayable)}</strong></span>
+                </div>
+            ` : ''}
+            ${this.currentInvoice.payments.length > 0 || this.currentInvoice.credits.length > 0 ? `
+                ${this.currentInvoice.payments.length > 0 ? `
+                    <div class="invoice-totals-row">
+                        <span>Amount Paid:</span>
+                        <span>-${this.currencyFormatter.format(this.currentInvoice.getAmountPaid())}</span>
+                    </div>
+                ` : ''}
+                ${this.currentInvoice.credits.length > 0 ? `
+                    <div class="invoice-totals-row">
+                        <span>Credited:</span>
+                        <span>-${this.currencyFormatter.format(this.currentInvoice.getAmountCredited())}</span>
+                    </div>
+                ` : ''}
+                <div class="invoice-totals-row grand-total">
+                    <span><strong>Balance Due:</strong></span>
+                    <span><strong>${this.currencyFormatter.format(this.currentInvoice.getBalanceDue())}</strong></span>
+                </div>
+            ` : ''}
         `;
     }
 
@@ -590,19 +1593,42 @@ export class InvoiceBuilder {
      */
     async saveInvoice() {
         try {
+            if (this.currentInvoice.voidedAt) {
+                toast.error('Voided invoices cannot be edited');
+                throw new Error('Invoice is voided');
+            }
+            if (this.currentInvoice.convertedInvoiceId) {
+                toast.error('Converted quotes cannot be edited');
+                throw new Error('Quote is converted');
+            }
+
             // Validate invoice
-            const validation = this.currentInvoice.validate();
+            const validation = this.currentInvoice.validate({ otherNumbers: this.getOtherNumbers() });
             if (!validation.isValid) {
+                this.showAllLineItemErrors();
                 toast.error(`Validation failed: ${validation.errors[0]}`);
                 throw new Error('Validation failed');
             }
             
             // Save to store
-            const savedInvoice = store.saveInvoice(this.currentInvoice);
+            let savedInvoice;
+            try {
+                savedInvoice = this.isQuote()
+                    ? store.saveQuote(this.currentInvoice)
+                    : store.saveInvoice(this.currentInvoice);
+            } catch (error) {
+                // e.g. no exchange rate for a foreign currency
+                toast.error(error.message);
+                throw error;
+            }
             
             // Update UI
             document.getElementById('invoice-number').value = savedInvoice.id;
             this.currentInvoice.id = savedInvoice.id;
+            this.currentInvoice.exchangeRate = savedInvoice.exchangeRate;
+            this.currentInvoice.updatedAt = savedInvoice.updatedAt;
+            this.renderCurrencyFields();
+            this.renderStatusPanel();
             this.updatePreview();
             
             return savedInvoice;
@@ -618,14 +1644,14 @@ export class InvoiceBuilder {
     async handleSaveInvoice() {
         try {
             const savedInvoice = await this.saveInvoice();
-            toast.success('Invoice saved successfully');
+            toast.success(`${this.isQuote() ? 'Quote' : 'Invoice'} saved successfully`);
             
             // Dispatch event for other components
             window.dispatchEvent(new CustomEvent('invoiceSaved', {
                 detail: { invoice: savedInvoice }
             }));
         } catch (error) {
-            toast.error('Failed to save invoice');
+            toast.error(`Failed to save ${this.isQuote() ? 'quote' : 'invoice'}`);
         }
     }
 
@@ -693,8 +1719,19 @@ export class InvoiceBuilder {
             return;
         }
 
-        if (!client.email) {
-            toast.error(`Client "${client.name}" doesn't have an email address.`);
+        const validation = this.currentInvoice.validate({
+            otherNumbers: this.getOtherNumbers(),
+            sending: true,
+            clientEmail: client.email
+        });
+        if (!validation.isValid) {
+            const emailError = validation.details.find(error => error.field === 'client.email');
+            if (!emailError) {
+                toast.error(`Cannot send: ${validation.errors[0]}`);
+                this.showAllLineItemErrors();
+                return;
+            }
+            toast.error(`Client "${client.name}": ${emailError.message}`);
             // Offer to add email quickly
             setTimeout(() => {
                 if (confirm('Would you like to add an email address to this client now?')) {
@@ -736,7 +1773,7 @@ export class InvoiceBuilder {
             const result = await gmailAPIService.sendInvoiceEmail(this.currentInvoice, {
                 subject: `Invoice ${this.currentInvoice.id} - ${new Intl.NumberFormat('en-US', {
                     style: 'currency',
-                    currency: store.getSettings().currency || 'PHP'
+                    currency: this.currentInvoice.currency
                 }).format(this.currentInvoice.totals.grand)}`
             });
 
@@ -794,18 +1831,12 @@ export class InvoiceBuilder {
         try {
             const invoice = store.getInvoice(invoiceId);
             if (invoice) {
-                if (!invoice.emailHistory) {
-                    invoice.emailHistory = [];
-                }
-                
-                invoice.emailHistory.push({
-                    email,
-                    sentAt: new Date().toISOString(),
-                    type
+                const sentAt = new Date().toISOString();
+                store.saveInvoice({
+                    ...invoice,
+                    emailHistory: [...(invoice.emailHistory || []), { email, sentAt, type }],
+                    lastEmailSent: sentAt
                 });
-                
-                invoice.lastEmailSent = new Date().toISOString();
-                store.saveInvoice(invoice);
             }
         } catch (error) {
             console.warn('Failed to update invoice email status:', error);
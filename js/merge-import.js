@@ -0,0 +1,206 @@
+// Merging a backup into the current data instead of replacing it. Clients
+// are matched by id, then by email; invoices by id, then by number. Every
+// record of the backup gets a status:
+//
+// - new: nothing matches; it is added
+// - unchanged: the match holds the same data; nothing happens
+// - updated: same id, and the backup's copy was changed more recently; it
+//   replaces ours
+// - conflict: same id but ours is as recent or newer, or a different record
+//   with the same email or number; the user picks keep mine, take theirs or
+//   keep both (the backup's record is added under a new id, and invoices
+//   get a new number)
+//
+// Only clients and invoices are merged; the backup's settings, quotes and
+// credit notes are left out.
+
+export const MERGE_RESOLUTIONS = ['mine', 'theirs', 'both'];
+
+// Collections of a backup that are not merged
+const SKIPPED_COLLECTIONS = ['quotes', 'creditNotes', 'catalog', 'exchangeRates'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Milliseconds of a timestamp stored as a number or a date string
+const time = (value) => (typeof value === 'number' ? value : Date.parse(value)) || 0;
+
+// JSON with sorted keys, so key order does not count as a change
+const stableJSON = (value) => JSON.stringify(value, (key, inner) =>
+    inner && typeof inner === 'object' && !Array.isArray(inner) ?
+        Object.fromEntries(Object.keys(inner).sort().map(name => [name, inner[name]])) :
+        inner);
+
+// Top-level fields that differ, apart from the ones a merge does not look at
+const changedFields = (mine, theirs, ignore) => [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+    .filter(field => !ignore.includes(field) && stableJSON(mine[field]) !== stableJSON(theirs[field]));
+
+// Status of a backup record against the record it matched
+const compare = (mine, theirs, matchedBy, ignore) => {
+    const changes = changedFields(mine, theirs, ignore);
+    if (changes.length === 0) return { status: 'unchanged', changes };
+    if (matchedBy === 'id' && time(theirs.updatedAt) > time(mine.updatedAt)) return { status: 'updated', changes };
+    return { status: 'conflict', changes };
+};
+
+/**
+ * Match a backup's clients and invoices against the current data
+ * @param {Object} current - Current app state
+ * @param {Object} incoming - Backup state, migrated to the current schema
+ * @returns {Object} { clients: [entry], invoices: [entry], counts: { clients, invoices }, skipped: [collection] },
+ *     where an entry is { key, status, matchedBy, mine, theirs, label, changes }
+ */
+export function planMerge(current, incoming) {
+    const clients = [];
+    const clientIds = new Map();
+    const matchedClients = new Set();
+
+    (incoming.clients || []).forEach((theirs, index) => {
+        let matchedBy = null;
+        let mine = current.clients.find(client => client.id === theirs.id && !matchedClients.has(client.id));
+        if (mine) {
+            matchedBy = 'id';
+        } else if (normalize(theirs.email)) {
+            mine = current.clients.find(client =>
+                normalize(client.email) === normalize(theirs.email) && !matchedClients.has(client.id));
+            if (mine) matchedBy = 'email';
+        }
+
+        const entry = { key: `client:${index}`, matchedBy, mine: mine || null, theirs, label: theirs.name || theirs.email || theirs.id };
+        if (mine) {
+            matchedClients.add(mine.id);
+            clientIds.set(theirs.id, mine.id);
+            Object.assign(entry, compare(mine, theirs, matchedBy, ['id', 'createdAt', 'updatedAt']));
+        } else {
+            Object.assign(entry, { status: 'new', changes: [] });
+        }
+        clients.push(entry);
+    });
+
+    const invoices = [];
+    const matchedInvoices = new Set();
+    (incoming.invoices || []).forEach((invoice, index) => {
+        // Compared as it would be stored, pointing at our copy of its client
+        const theirs = clientIds.has(invoice.clientId) ? { ...invoice, clientId: clientIds.get(invoice.clientId) } : invoice;
+        let matchedBy = null;
+        let mine = current.invoices.find(other => other.id === theirs.id && !matchedInvoices.has(other.id));
+        if (mine) {
+            matchedBy = 'id';
+        } else if (normalize(theirs.number)) {
+            mine = current.invoices.find(other =>
+                normalize(other.number) === normalize(theirs.number) && !matchedInvoices.has(other.id));
+            if (mine) matchedBy = 'number';
+        }
+
+        const entry = { key: `invoice:${index}`, matchedBy, mine: mine || null, theirs: invoice, label: theirs.number || theirs.id };
+        if (mine) {
+            matchedInvoices.add(mine.id);
+            Object.assign(entry, compare(mine, theirs, matchedBy, ['id', 'updatedAt']));
+        } else {
+            Object.assign(entry, { status: 'new', changes: [] });
+        }
+        invoices.push(entry);
+    });
+
+    const count = (entries) => ({
+        new: entries.filter(entry => entry.status === 'new').length,
+        updated: entries.filter(entry => entry.status === 'updated').length,
+        conflict: entries.filter(entry => entry.status === 'conflict').length,
+        unchanged: entries.filter(entry => entry.status === 'unchanged').length
+    });
+
+    return {
+        clients,
+        invoices,
+        counts: { clients: count(clients), invoices: count(invoices) },
+        skipped: SKIPPED_COLLECTIONS.filter(name => Array.isArray(incoming[name]) && incoming[name].length > 0)
+    };
+}
+
+/**
+ * Apply a merge plan to a copy of the current state
+ * @param {Object} current - Current app state (not changed)
+ * @param {Object} plan - Result of planMerge for the same state
+ * @param {Object} [resolutions] - { [entry key]: 'mine' | 'theirs' | 'both' } for conflicts; unresolved ones keep mine
+ * @param {Object} hooks - { newClientId(): string, takeInvoiceNumber(state): string }
+ * @returns {Object} { state, report: { clients, invoices, renumbered: [{ from, to }], skipped } },
+ *     with counts { added, updated, kept, keptBoth, unchanged } per collection
+ */
+export function applyMerge(current, plan, resolutions = {}, { newClientId, takeInvoiceNumber }) {
+    const state = structuredClone(current);
+    const report = {
+        clients: { added: 0, updated: 0, kept: 0, keptBoth: 0, unchanged: 0 },
+        invoices: { added: 0, updated: 0, kept: 0, keptBoth: 0, unchanged: 0 },
+        renumbered: [],
+        skipped: plan.skipped
+    };
+    const resolve = (entry) => {
+        if (entry.status === 'new') return 'new';
+        if (entry.status === 'unchanged') return 'unchanged';
+        if (entry.status === 'updated') return 'theirs';
+        return MERGE_RESOLUTIONS.includes(resolutions[entry.key]) ? resolutions[entry.key] : 'mine';
+    };
+    const tally = { new: 'added', theirs: 'updated', mine: 'kept', both: 'keptBoth', unchanged: 'unchanged' };
+
+    // Backup client id → id of the client its invoices belong to here
+    const clientIds = new Map();
+    plan.clients.forEach(entry => {
+        const { mine, theirs } = entry;
+        const resolution = resolve(entry);
+        report.clients[tally[resolution]] += 1;
+
+        if (resolution === 'new') {
+            state.clients.push(structuredClone(theirs));
+            clientIds.set(theirs.id, theirs.id);
+        } else if (resolution === 'theirs') {
+            const index = state.clients.findIndex(client => client.id === mine.id);
+            state.clients[index] = { ...structuredClone(theirs), id: mine.id, createdAt: mine.createdAt };
+            clientIds.set(theirs.id, mine.id);
+        } else if (resolution === 'both') {
+            const id = newClientId();
+            state.clients.push({ ...structuredClone(theirs), id });
+            clientIds.set(theirs.id, id);
+        } else {
+            clientIds.set(theirs.id, mine.id);
+        }
+    });
+
+    const isNumberUsed = (number, exceptId) => state.invoices.some(invoice =>
+        invoice.id !== exceptId && normalize(invoice.number) === normalize(number));
+
+    // Copies kept next to ours are numbered last, so new invoices keep
+    // their own numbers where they can
+    const copies = [];
+    plan.invoices.forEach(entry => {
+        const { mine } = entry;
+        const resolution = resolve(entry);
+        report.invoices[tally[resolution]] += 1;
+        if (resolution === 'mine' || resolution === 'unchanged') return;
+
+        const theirs = structuredClone(entry.theirs);
+        if (clientIds.has(theirs.clientId)) theirs.clientId = clientIds.get(theirs.clientId);
+
+        if (resolution === 'theirs') {
+            // Keeps our id, which credit notes and quotes point at
+            const index = state.invoices.findIndex(invoice => invoice.id === mine.id);
+            state.invoices[index] = { ...theirs, id: mine.id };
+            if (isNumberUsed(theirs.number, mine.id)) {
+                state.invoices[index].number = mine.number;
+            }
+        } else if (resolution === 'both') {
+            copies.push(theirs);
+        } else if (isNumberUsed(theirs.number) || state.invoices.some(invoice => invoice.id === theirs.id)) {
+            copies.push(theirs);
+        } else {
+            state.invoices.push(theirs);
+        }
+    });
+
+    // Invoice ids are their numbers, so a renumbered invoice gets a new id too
+    copies.forEach(theirs => {
+        const number = takeInvoiceNumber(state);
+        report.renumbered.push({ from: theirs.number || theirs.id, to: number });
+        state.invoices.push({ ...theirs, id: number, number });
+    });
+
+    return { state, report };
+}
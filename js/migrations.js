@@ -0,0 +1,140 @@
+// Schema migrations for the app state kept in the browser. The state
+// records the version of its shape in `schemaVersion`; state saved before
+// versions existed counts as version 0. Whenever the shape of the state or of
+// a record in it changes, add a step to MIGRATIONS: steps run in order, on
+// load and on import, each taking the state from `version - 1` to `version`.
+//
+// Steps work on a copy. If any of them throws, the state is left as it was
+// and a MigrationError is raised; the Store also keeps the last
+// pre-migration snapshot so a migration that went through can be undone.
+import { upgradeInvoice } from './shared/invoice-schema.js';
+import { DEFAULT_TRASH_RETENTION_DAYS } from './shared/trash.js';
+
+/**
+ * Raised when state cannot be migrated to the current version
+ */
+export class MigrationError extends Error {
+    constructor(message, { version = null, cause = null } = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        this.version = version;
+        this.cause = cause;
+    }
+}
+
+const DEFAULT_NUMBER_FORMAT = '{PREFIX}-{YYYY}{MM}-{SEQ:3}';
+
+/**
+ * Ordered upgrade steps: { version, description, up(state) }. up may change
+ * the state in place or return a new one. Never edit a released step; add
+ * a new one instead.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Collections and settings added since the first release',
+        up(state) {
+            ['clients', 'invoices', 'creditNotes', 'quotes', 'exchangeRates', 'catalog'].forEach(collection => {
+                if (!Array.isArray(state[collection])) state[collection] = [];
+            });
+            state.settings = {
+                invoicePrefix: 'INV',
+                currency: 'PHP',
+                numberSeed: 1,
+                creditNotePrefix: 'CN',
+                creditNoteSeed: 1,
+                quotePrefix: 'QT',
+                quoteSeed: 1,
+                numberPeriods: {},
+                taxes: [],
+                rounding: { mode: 'half_up', strategy: 'line' },
+                ...state.settings
+            };
+            const numbering = state.settings.numbering || {};
+            state.settings.numbering = Object.fromEntries(['invoice', 'quote', 'creditNote'].map(type =>
+                [type, { format: DEFAULT_NUMBER_FORMAT, reset: 'never', ...numbering[type] }]));
+        }
+    },
+    {
+        version: 2,
+        description: 'Base currency and a rate of 1 on documents from before multi-currency support',
+        up(state) {
+            const base = state.settings.currency || 'PHP';
+            ['invoices', 'quotes', 'creditNotes'].forEach(collection => {
+                state[collection].forEach(doc => {
+                    if (doc.currency) return;
+                    doc.currency = base;
+                    doc.exchangeRate = { base, rate: 1, date: doc.issueDate || null, source: 'base' };
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Invoices and quotes in the canonical invoice schema (shared/invoice-schema.js)',
+        up(state) {
+            state.invoices = state.invoices.map(upgradeInvoice);
+            state.quotes = state.quotes.map(upgradeInvoice);
+        }
+    },
+    {
+        version: 4,
+        description: 'Days deleted invoices and clients stay in the trash (shared/trash.js)',
+        up(state) {
+            if (state.settings.trashRetentionDays === undefined) {
+                state.settings.trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+            }
+        }
+    }
+];
+
+/**
+ * Version of the state shape this app writes
+ */
+export const STATE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Version a state was saved with
+ * @param {Object} state - App state
+ * @returns {number} Version, 0 for state from before versions
+ */
+export function getStateVersion(state) {
+    const version = Number(state && state.schemaVersion);
+    return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+/**
+ * Bring a state up to the current version
+ * @param {Object} state - App state (not changed)
+ * @returns {Object} { state, from, to, applied: [{ version, description }] }
+ * @throws {MigrationError} If the state is from a newer app or a step fails
+ */
+export function migrateState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new MigrationError('Saved data is not an app state');
+    }
+
+    const from = getStateVersion(state);
+    if (from > STATE_SCHEMA_VERSION) {
+        throw new MigrationError(
+            `Data was saved by a newer version of the app (schema ${from}, this app supports ${STATE_SCHEMA_VERSION})`,
+            { version: from });
+    }
+
+    let migrated = structuredClone(state);
+    const applied = [];
+    MIGRATIONS.filter(step => step.version > from).forEach(step => {
+        try {
+            migrated = step.up(migrated) || migrated;
+        } catch (error) {
+            throw new MigrationError(`Upgrading data to schema ${step.version} failed: ${error.message}`, {
+                version: step.version,
+                cause: error
+            });
+        }
+        migrated.schemaVersion = step.version;
+        applied.push({ version: step.version, description: step.description });
+    });
+
+    return { state: migrated, from, to: STATE_SCHEMA_VERSION, applied };
+}
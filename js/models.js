@@ -1,4 +1,27 @@
 // Data Models and Validators
+import { getAmountPaid, getAmountCredited, getAmountPayable, getBalanceDue } from './shared/payments.js';
+import { validateRecurring } from './shared/recurrence.js';
+import { isCurrencyCode, getCurrencySymbol, formatMoney, convertToBase } from './shared/currency.js';
+import { validateTaxDefinition, validateWithholdingRate } from './shared/tax.js';
+import { add, roundMoney, validateRounding, DEFAULT_ROUNDING } from './shared/decimal.js';
+import {
+    calculateLineTotals, calculateDocumentTotals, splitInvoiceDiscount, DISCOUNT_TYPES
+} from './shared/totals.js';
+import { upgradeInvoice, legacyTaxes, INVOICE_SCHEMA_VERSION } from './shared/invoice-schema.js';
+import { validateLineItem, validateInvoice } from './shared/invoice-validation.js';
+import { validateNumberingScheme, DOCUMENT_TYPES, DEFAULT_NUMBER_FORMAT } from './shared/numbering.js';
+import { DEFAULT_TRASH_RETENTION_DAYS } from './shared/trash.js';
+
+/**
+ * Rounding rules of a document. Documents saved before rounding was
+ * configurable, or with unknown rules, round half up on every line.
+ * @param {Object} [rounding] - { mode, strategy }
+ * @returns {Object} { mode, strategy }
+ */
+const documentRounding = (rounding) => {
+    const merged = { ...DEFAULT_ROUNDING, ...rounding };
+    return validateRounding(merged).length === 0 ? merged : { ...DEFAULT_ROUNDING };
+};
 
 /**
  * Client data model
@@ -12,6 +35,10 @@ export class Client {
         this.phone = data.phone || '';
         this.address = data.address || '';
         this.taxId = data.taxId || '';
+        // Billing currency; empty means the base currency from settings
+        this.currency = data.currency || '';
+        // Withholding tax rate the client deducts (percent, 0 for none)
+        this.withholdingRate = parseFloat(data.withholdingRate) || 0;
         this.createdAt = data.createdAt || Date.now();
         this.updatedAt = data.updatedAt || Date.now();
     }
@@ -35,6 +62,15 @@ export class Client {
             errors.push('Invalid phone format');
         }
 
+        if (this.currency && !isCurrencyCode(this.currency)) {
+            errors.push('Currency must be an ISO 4217 code (e.g. USD)');
+        }
+
+        const withholdingErrors = validateWithholdingRate(this.withholdingRate);
+        if (withholdingErrors.length > 0) {
+            errors.push(withholdingErrors[0].message);
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -88,10 +124,32 @@ export class LineItem {
     constructor(data = {}) {
         this.id = data.id || this.generateId();
         this.description = data.description || '';
-        this.qty = parseFloat(data.qty) || 1;
+        // New lines default to 1; a quantity of 0 or one that is not a number
+        // is kept as given so validate() reports it
+        const qty = parseFloat(data.qty);
+        this.qty = data.qty === undefined || data.qty === null ? 1 : (Number.isFinite(qty) ? qty : data.qty);
+        // Unit of measure the quantity is in (hours, pcs, kg, ...); empty for none
+        this.unit = data.unit || '';
         this.unitPrice = parseFloat(data.unitPrice) || 0;
-        this.taxRate = parseFloat(data.taxRate) || 0;
+        // Taxes copied from the definitions in settings, so later rate
+        // changes do not alter saved documents: [{ id, name, rate, compound }]
+        this.taxes = Array.isArray(data.taxes) ?
+            data.taxes.map(tax => ({ ...tax })) :
+            LineItem.legacyTaxes(data.taxRate);
+        // Discount as a percentage (discountRate) or a fixed amount off the
+        // line (discountAmount); discountType says which one applies
+        this.discountType = DISCOUNT_TYPES.includes(data.discountType) ? data.discountType : 'percent';
         this.discountRate = parseFloat(data.discountRate) || 0;
+        this.discountAmount = parseFloat(data.discountAmount) || 0;
+    }
+
+    /**
+     * Taxes for a line saved with a single taxRate percentage
+     * @param {number} taxRate - Old tax rate
+     * @returns {Array} Tax list
+     */
+    static legacyTaxes(taxRate) {
+        return legacyTaxes(taxRate);
     }
 
     /**
@@ -103,55 +161,44 @@ export class LineItem {
     }
 
     /**
-     * Calculate line item totals
-     * @returns {Object} Calculated totals
+     * Calculate line item totals, rounded on the line. With tax-inclusive
+     * pricing the unit price already contains the taxes and taxableBase is
+     * the amount net of them. An invoice-level discount is not included.
+     * @param {boolean} [taxInclusive] - Prices include tax
+     * @param {Object} [rounding] - { mode } of the document
+     * @returns {Object} Calculated totals, with a per-tax breakdown in `taxes`
      */
-    calculateTotals() {
-        const subtotal = this.qty * this.unitPrice;
-        const discount = subtotal * (this.discountRate / 100);
-        const taxableBase = subtotal - discount;
-        const tax = taxableBase * (this.taxRate / 100);
-        const total = taxableBase + tax;
+    calculateTotals(taxInclusive = false, rounding = DEFAULT_ROUNDING) {
+        return calculateLineTotals(this, { taxInclusive, rounding });
+    }
 
-        return {
-            subtotal: this.roundToTwo(subtotal),
-            discount: this.roundToTwo(discount),
-            taxableBase: this.roundToTwo(taxableBase),
-            tax: this.roundToTwo(tax),
-            total: this.roundToTwo(total)
-        };
+    /**
+     * Line discount as shown to people: "10%" or the amount off
+     * @param {Function} formatAmount - Formats an amount of money
+     * @returns {string} Discount label, empty without a discount
+     */
+    getDiscountLabel(formatAmount) {
+        if (this.discountType === 'amount') {
+            return this.discountAmount > 0 ? `-${formatAmount(this.discountAmount)}` : '';
+        }
+        return this.discountRate > 0 ? `${this.discountRate}%` : '';
     }
 
     /**
      * Validate line item data
-     * @returns {Object} Validation result
+     * @returns {Object} { isValid, errors: messages, fieldErrors: first message per field }
      */
     validate() {
-        const errors = [];
-
-        if (!this.description || this.description.trim().length < 1) {
-            errors.push('Description is required');
-        }
-
-        if (this.qty <= 0) {
-            errors.push('Quantity must be greater than 0');
-        }
-
-        if (this.unitPrice < 0) {
-            errors.push('Unit price cannot be negative');
-        }
-
-        if (this.taxRate < 0 || this.taxRate > 100) {
-            errors.push('Tax rate must be between 0 and 100');
-        }
-
-        if (this.discountRate < 0 || this.discountRate > 100) {
-            errors.push('Discount rate must be between 0 and 100');
-        }
+        const errors = validateLineItem(this);
+        const fieldErrors = {};
+        errors.forEach(error => {
+            if (!fieldErrors[error.field]) fieldErrors[error.field] = error.message;
+        });
 
         return {
             isValid: errors.length === 0,
-            errors
+            errors: errors.map(error => error.message),
+            fieldErrors
         };
     }
 
@@ -161,33 +208,69 @@ export class LineItem {
      * @returns {number} Rounded number
      */
     roundToTwo(num) {
-        return Math.round((num + Number.EPSILON) * 100) / 100;
+        return roundMoney(num);
     }
 }
 
 /**
- * Invoice model
+ * Invoice model. Fields follow the canonical invoice schema
+ * (shared/invoice-schema.js); payloads from the API, MySQL or older
+ * versions of the app are upgraded on the way in.
  */
 export class Invoice {
-    constructor(data = {}) {
+    constructor(input = {}) {
+        const data = upgradeInvoice(input);
+        this.schemaVersion = INVOICE_SCHEMA_VERSION;
         this.id = data.id || '';
+        // Number shown on the invoice; the browser app uses it as the id
+        this.number = data.number || this.id;
         this.clientId = data.clientId || '';
+        // Bill-to and seller as they were when the invoice was issued,
+        // for invoices whose client is not on file here
+        this.client = data.client || null;
+        this.business = data.business || null;
         this.issueDate = data.issueDate || new Date().toISOString().split('T')[0];
         this.dueDate = data.dueDate || this.calculateDefaultDueDate();
         this.terms = data.terms || 'Net 30';
         this.items = (data.items || []).map(item => new LineItem(item));
+        // Discount on the invoice as a whole, before tax: { type: percent|amount, value } or null
+        this.invoiceDiscount = data.invoiceDiscount && parseFloat(data.invoiceDiscount.value) > 0 ? {
+            type: DISCOUNT_TYPES.includes(data.invoiceDiscount.type) ? data.invoiceDiscount.type : 'percent',
+            value: parseFloat(data.invoiceDiscount.value)
+        } : null;
         this.shipping = parseFloat(data.shipping) || 0;
+        // Tax on the invoice as a whole, kept for invoices from before line taxes
+        this.flatTax = parseFloat(data.flatTax) || 0;
+        // Unit prices include tax (VAT-inclusive pricing)
+        this.taxInclusive = !!data.taxInclusive;
+        // Expanded withholding tax the client deducts, in percent of the taxable base
+        this.withholdingRate = parseFloat(data.withholdingRate) || 0;
+        // How amounts are rounded: { mode: half_up|half_even, strategy: line|invoice }
+        this.rounding = documentRounding(data.rounding);
         this.notes = data.notes || '';
         this.status = data.status || 'unpaid';
+        this.statusHistory = data.statusHistory || [];
+        this.payments = data.payments || [];
+        this.credits = data.credits || [];
+        this.voidedAt = data.voidedAt || null;
+        this.voidReason = data.voidReason || '';
+        this.quoteId = data.quoteId || null;
+        // Currency the invoice is billed in and the rate to the base
+        // currency when it was saved: { base, rate, date, source }
+        this.currency = data.currency || 'PHP';
+        this.exchangeRate = data.exchangeRate || null;
         this.recurring = {
             enabled: false,
             interval: 'monthly',
             nextRun: null,
+            endDate: null,
+            maxOccurrences: null,
+            autoSend: false,
             ...data.recurring
         };
         this.totals = data.totals || this.calculateTotals();
-        this.createdAt = data.createdAt || Date.now();
-        this.updatedAt = data.updatedAt || Date.now();
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.updatedAt = data.updatedAt || new Date().toISOString();
     }
 
     /**
@@ -259,24 +342,41 @@ export class Invoice {
     }
 
     /**
-     * Calculate invoice totals
+     * Calculate invoice totals. Subtotal and discount are in the prices as
+     * entered, so they include tax when taxInclusive is set. The
+     * invoice-level discount is split over the lines in proportion to their
+     * amounts before tax, and counted in discount; taxableBase is
+     * always net of tax and `taxes` breaks the tax down per tax. Withholding
+     * is taken on the taxable base (shipping excluded) and netPayable is what
+     * the client actually pays.
+     * The API server runs the same calculation (shared/totals.js).
      * @returns {Object} Calculated totals
      */
     calculateTotals() {
-        const itemTotals = this.items.map(item => item.calculateTotals());
-        
-        const subtotal = itemTotals.reduce((sum, totals) => sum + totals.subtotal, 0);
-        const discount = itemTotals.reduce((sum, totals) => sum + totals.discount, 0);
-        const tax = itemTotals.reduce((sum, totals) => sum + totals.tax, 0);
-        const grand = subtotal - discount + tax + this.shipping;
+        return calculateDocumentTotals(this);
+    }
 
-        return {
-            subtotal: this.roundToTwo(subtotal),
-            discount: this.roundToTwo(discount),
-            tax: this.roundToTwo(tax),
-            shipping: this.roundToTwo(this.shipping),
-            grand: this.roundToTwo(grand)
-        };
+    /**
+     * Everything taken off each line before tax: its own discount plus its
+     * share of the invoice-level discount
+     * @returns {Object} Discount by line item ID
+     */
+    getLineDiscounts() {
+        const { shares } = splitInvoiceDiscount(this);
+        return Object.fromEntries(this.items.map((item, index) => [
+            item.id,
+            roundMoney(add(item.calculateTotals(this.taxInclusive, this.rounding).discount, shares[index]),
+                this.rounding.mode)
+        ]));
+    }
+
+    /**
+     * Per-tax breakdown of the totals. Totals saved before taxes were
+     * itemized are recalculated from the lines.
+     * @returns {Array} [{ id, name, rate, compound, taxableAmount, amount }]
+     */
+    getTaxBreakdown() {
+        return Array.isArray(this.totals.taxes) ? this.totals.taxes : this.calculateTotals().taxes;
     }
 
     /**
@@ -284,52 +384,32 @@ export class Invoice {
      */
     updateTotals() {
         this.totals = this.calculateTotals();
-        this.updatedAt = Date.now();
+        this.updatedAt = new Date().toISOString();
     }
 
     /**
-     * Validate invoice data
-     * @returns {Object} Validation result
+     * Validate invoice data with the rules the API applies
+     * (shared/invoice-validation.js), plus currency and recurrence
+     * @param {Object} [options] - { otherNumbers: numbers of the other invoices,
+     *     sending: the invoice is about to be sent, clientEmail: email of its client }
+     * @returns {Object} { isValid, errors: messages, details: [{ field, message, line? }] }
      */
-    validate() {
-        const errors = [];
-
-        if (!this.clientId) {
-            errors.push('Client is required');
-        }
-
-        if (!this.issueDate) {
-            errors.push('Issue date is required');
-        }
-
-        if (!this.dueDate) {
-            errors.push('Due date is required');
-        }
-
-        if (new Date(this.dueDate) <= new Date(this.issueDate)) {
-            errors.push('Due date must be after issue date');
-        }
+    validate({ otherNumbers = [], sending = false, clientEmail } = {}) {
+        const details = validateInvoice(this, { otherNumbers, sending, clientEmail });
 
-        if (this.items.length === 0) {
-            errors.push('At least one line item is required');
+        if (!isCurrencyCode(this.currency)) {
+            details.push({ field: 'currency', message: 'Currency must be an ISO 4217 code (e.g. USD)' });
         }
 
-        // Validate all line items
-        const itemErrors = [];
-        this.items.forEach((item, index) => {
-            const itemValidation = item.validate();
-            if (!itemValidation.isValid) {
-                itemErrors.push(`Item ${index + 1}: ${itemValidation.errors.join(', ')}`);
-            }
-        });
-
-        if (this.shipping < 0) {
-            errors.push('Shipping cost cannot be negative');
-        }
+        validateRecurring(this.recurring).forEach(error => details.push({
+            field: `recurring.${error.field}`,
+            message: `Recurring: ${error.message}`
+        }));
 
         return {
-            isValid: errors.length === 0 && itemErrors.length === 0,
-            errors: [...errors, ...itemErrors]
+            isValid: details.length === 0,
+            errors: details.map(error => error.message),
+            details
         };
     }
 
@@ -338,7 +418,7 @@ export class Invoice {
      * @returns {boolean} Is overdue
      */
     isOverdue() {
-        if (this.status === 'paid') return false;
+        if (['paid', 'cancelled'].includes(this.status)) return false;
         return new Date(this.dueDate) < new Date();
     }
 
@@ -347,7 +427,7 @@ export class Invoice {
      * @returns {boolean} Is due soon
      */
     isDueSoon() {
-        if (this.status === 'paid') return false;
+        if (['paid', 'cancelled'].includes(this.status)) return false;
         const dueDate = new Date(this.dueDate);
         const now = new Date();
         const fiveDaysFromNow = new Date();
@@ -362,7 +442,9 @@ export class Invoice {
      */
     getStatusBadgeClass() {
         if (this.status === 'paid') return 'badge-paid';
+        if (this.status === 'cancelled') return 'badge-cancelled';
         if (this.isOverdue()) return 'badge-overdue';
+        if (this.status === 'partially_paid') return 'badge-partially-paid';
         if (this.isDueSoon()) return 'badge-due-soon';
         return 'badge-unpaid';
     }
@@ -373,38 +455,289 @@ export class Invoice {
      */
     getDisplayStatus() {
         if (this.status === 'paid') return 'PAID';
+        if (this.status === 'cancelled') return 'CANCELLED';
         if (this.isOverdue()) return 'OVERDUE';
+        if (this.status === 'partially_paid') return 'PARTIALLY PAID';
         if (this.isDueSoon()) return 'DUE SOON';
         return 'UNPAID';
     }
 
+    /**
+     * Get total received from recorded payments
+     * @returns {number} Amount paid
+     */
+    getAmountPaid() {
+        return getAmountPaid(this, this.totals.grand);
+    }
+
+    /**
+     * Get total applied from credit notes
+     * @returns {number} Amount credited
+     */
+    getAmountCredited() {
+        return getAmountCredited(this);
+    }
+
+    /**
+     * Get the amount the client pays: grand total less withholding tax
+     * @returns {number} Net amount payable
+     */
+    getAmountPayable() {
+        return getAmountPayable(this, this.totals.grand);
+    }
+
+    /**
+     * Get amount still owed
+     * @returns {number} Balance due
+     */
+    getBalanceDue() {
+        return getBalanceDue(this, this.totals.grand);
+    }
+
     /**
      * Round number to 2 decimal places
      * @param {number} num - Number to round
      * @returns {number} Rounded number
      */
     roundToTwo(num) {
-        return Math.round((num + Number.EPSILON) * 100) / 100;
+        return roundMoney(num);
     }
 
     /**
      * Get formatted currency string
      * @param {number} amount - Amount to format
-     * @param {string} currency - Currency code
+     * @param {string} currency - Currency code (defaults to the invoice currency)
      * @returns {string} Formatted currency
      */
-    formatCurrency(amount, currency = 'PHP') {
-        const symbols = {
-            'PHP': '₱',
-            'USD': '$',
-            'EUR': '€'
+    formatCurrency(amount, currency = this.currency) {
+        return formatMoney(amount, currency);
+    }
+
+    /**
+     * Convert an amount in the invoice currency to the base currency using
+     * the invoice's exchange rate snapshot
+     * @param {number} amount - Amount in the invoice currency
+     * @returns {number} Amount in the base currency
+     */
+    toBaseAmount(amount) {
+        return convertToBase(amount, this.exchangeRate);
+    }
+}
+
+/**
+ * Quote statuses and the moves allowed between them. Expiry is derived from
+ * the expiry date; conversion to an invoice is recorded separately.
+ */
+export const QUOTE_STATUSES = ['pending', 'accepted', 'declined'];
+
+export const QUOTE_TRANSITIONS = {
+    pending: ['accepted', 'declined'],
+    accepted: ['pending', 'declined'],
+    declined: ['pending']
+};
+
+/**
+ * Quote (estimate) model. Shares line items and totals with invoices; in
+ * place of a due date and payments it has an expiry date and an
+ * accepted/declined state.
+ */
+export class Quote extends Invoice {
+    constructor(data = {}) {
+        super({ ...data, status: data.status || 'pending' });
+        this.expiryDate = data.expiryDate || this.calculateDefaultExpiryDate();
+        this.convertedInvoiceId = data.convertedInvoiceId || null;
+    }
+
+    /**
+     * Calculate default expiry date (30 days from the issue date)
+     * @returns {string} Expiry date in YYYY-MM-DD format
+     */
+    calculateDefaultExpiryDate() {
+        const date = new Date(this.issueDate);
+        date.setDate(date.getDate() + 30);
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Validate quote data
+     * @param {Object} [options] - See Invoice.validate
+     * @returns {Object} Validation result
+     */
+    validate(options) {
+        // Quotes have no due date; check the expiry date instead
+        const details = super.validate(options).details.filter(error => error.field !== 'dueDate');
+
+        if (!this.expiryDate) {
+            details.push({ field: 'expiryDate', message: 'Expiry date is required' });
+        } else if (this.expiryDate < this.issueDate) {
+            details.push({ field: 'expiryDate', message: 'Expiry date cannot be before issue date' });
+        }
+
+        return {
+            isValid: details.length === 0,
+            errors: details.map(error => error.message),
+            details
+        };
+    }
+
+    /**
+     * Check if a pending quote has passed its expiry date
+     * @returns {boolean} Is expired
+     */
+    isExpired() {
+        if (this.status !== 'pending') return false;
+        const today = new Date().toISOString().split('T')[0];
+        return this.expiryDate < today;
+    }
+
+    /**
+     * Quotes are never overdue
+     * @returns {boolean} Always false
+     */
+    isOverdue() {
+        return false;
+    }
+
+    /**
+     * Quotes are never due
+     * @returns {boolean} Always false
+     */
+    isDueSoon() {
+        return false;
+    }
+
+    /**
+     * Get status badge class
+     * @returns {string} CSS class for status badge
+     */
+    getStatusBadgeClass() {
+        if (this.convertedInvoiceId) return 'badge-converted';
+        if (this.isExpired()) return 'badge-expired';
+        return `badge-${this.status}`;
+    }
+
+    /**
+     * Get display status text
+     * @returns {string} Display status
+     */
+    getDisplayStatus() {
+        if (this.convertedInvoiceId) return 'CONVERTED';
+        if (this.isExpired()) return 'EXPIRED';
+        return this.status.toUpperCase();
+    }
+}
+
+/**
+ * Credit note model. A credit note corrects an issued invoice without
+ * editing it: each line credits some quantity of an original line item.
+ */
+export class CreditNote {
+    constructor(data = {}) {
+        this.id = data.id || '';
+        this.invoiceId = data.invoiceId || '';
+        this.clientId = data.clientId || '';
+        this.issueDate = data.issueDate || new Date().toISOString().split('T')[0];
+        this.type = data.type || 'partial';
+        this.reason = data.reason || '';
+        this.items = (data.items || []).map(item =>
+            Object.assign(new LineItem(item), { sourceItemId: item.sourceItemId || null }));
+        this.shipping = parseFloat(data.shipping) || 0;
+        this.taxInclusive = !!data.taxInclusive;
+        // Same withholding as the original invoice, so the credit matches what was payable
+        this.withholdingRate = parseFloat(data.withholdingRate) || 0;
+        this.rounding = documentRounding(data.rounding);
+        this.status = data.status || 'issued';
+        this.appliedAmount = parseFloat(data.appliedAmount) || 0;
+        this.voidedAt = data.voidedAt || null;
+        this.voidReason = data.voidReason || '';
+        // Same currency and rate snapshot as the original invoice
+        this.currency = data.currency || 'PHP';
+        this.exchangeRate = data.exchangeRate || null;
+        this.totals = data.totals || this.calculateTotals();
+        this.createdAt = data.createdAt || Date.now();
+        this.updatedAt = data.updatedAt || Date.now();
+    }
+
+    /**
+     * Calculate credit note totals (same breakdown as an invoice)
+     * @returns {Object} Calculated totals
+     */
+    calculateTotals() {
+        return Invoice.prototype.calculateTotals.call(this);
+    }
+
+    /**
+     * Per-tax breakdown of the totals
+     * @returns {Array} [{ id, name, rate, compound, taxableAmount, amount }]
+     */
+    getTaxBreakdown() {
+        return Invoice.prototype.getTaxBreakdown.call(this);
+    }
+
+    /**
+     * Validate credit note data
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.invoiceId) {
+            errors.push('Original invoice is required');
+        }
+
+        if (!['full', 'partial'].includes(this.type)) {
+            errors.push('Credit type must be full or partial');
+        }
+
+        if (!this.reason.trim()) {
+            errors.push('A reason is required');
+        }
+
+        if (!this.issueDate) {
+            errors.push('Issue date is required');
+        }
+
+        if (this.items.length === 0 && this.shipping === 0) {
+            errors.push('At least one line must be credited');
+        }
+
+        this.items.forEach((item, index) => {
+            const itemValidation = item.validate();
+            if (!itemValidation.isValid) {
+                errors.push(`Line ${index + 1}: ${itemValidation.errors.join(', ')}`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
         };
+    }
 
-        const symbol = symbols[currency] || currency;
-        return `${symbol}${amount.toLocaleString('en-US', { 
-            minimumFractionDigits: 2, 
-            maximumFractionDigits: 2 
-        })}`;
+    /**
+     * Credit not yet applied to the invoice; it stays with the client
+     * @returns {number} Unapplied amount
+     */
+    getUnappliedAmount() {
+        if (this.status === 'void') return 0;
+        return Math.max(0, this.roundToTwo(this.getAmountPayable() - this.appliedAmount));
+    }
+
+    /**
+     * Credit value net of withholding, as applied against invoice balances
+     * @returns {number} Net credit
+     */
+    getAmountPayable() {
+        return getAmountPayable(this, this.totals.grand);
+    }
+
+    /**
+     * Round number to 2 decimal places
+     * @param {number} num - Number to round
+     * @returns {number} Rounded number
+     */
+    roundToTwo(num) {
+        return roundMoney(num);
     }
 }
 
@@ -420,8 +753,27 @@ export class Settings {
         this.companyAddress = data.companyAddress || '';
         // Invoice Settings
         this.invoicePrefix = data.invoicePrefix || 'INV';
+        // Base currency: reports convert every invoice into it
         this.currency = data.currency || 'PHP';
         this.numberSeed = parseInt(data.numberSeed) || 1;
+        // Credit Note Settings
+        this.creditNotePrefix = data.creditNotePrefix || 'CN';
+        this.creditNoteSeed = parseInt(data.creditNoteSeed) || 1;
+        // Quote Settings
+        this.quotePrefix = data.quotePrefix || 'QT';
+        this.quoteSeed = parseInt(data.quoteSeed) || 1;
+        // Number format and reset policy per document type: { invoice: { format, reset }, quote, creditNote }
+        this.numbering = Object.fromEntries(DOCUMENT_TYPES.map(type => [type, {
+            format: DEFAULT_NUMBER_FORMAT,
+            reset: 'never',
+            ...(data.numbering && data.numbering[type])
+        }]));
+        // Tax definitions offered on line items: [{ id, name, rate, compound }]
+        this.taxes = Array.isArray(data.taxes) ? data.taxes : [];
+        // Rounding for new documents: { mode: half_up|half_even, strategy: line|invoice }
+        this.rounding = { ...DEFAULT_ROUNDING, ...data.rounding };
+        // Days deleted invoices and clients stay in the trash before they can be purged
+        this.trashRetentionDays = data.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
     }
 
     /**
@@ -443,11 +795,68 @@ export class Settings {
             errors.push('Number seed must be at least 1');
         }
 
-        const validCurrencies = ['PHP', 'USD', 'EUR'];
-        if (!validCurrencies.includes(this.currency)) {
-            errors.push('Invalid currency selection');
+        if (!this.creditNotePrefix || this.creditNotePrefix.trim().length === 0) {
+            errors.push('Credit note prefix is required');
+        }
+
+        if (this.creditNotePrefix.length > 10) {
+            errors.push('Credit note prefix must be 10 characters or less');
+        }
+
+        if (this.creditNotePrefix.trim() === this.invoicePrefix.trim()) {
+            errors.push('Credit note prefix must differ from the invoice prefix');
+        }
+
+        if (this.creditNoteSeed < 1) {
+            errors.push('Credit note number seed must be at least 1');
         }
 
+        if (!this.quotePrefix || this.quotePrefix.trim().length === 0) {
+            errors.push('Quote prefix is required');
+        }
+
+        if (this.quotePrefix.length > 10) {
+            errors.push('Quote prefix must be 10 characters or less');
+        }
+
+        if ([this.invoicePrefix.trim(), this.creditNotePrefix.trim()].includes(this.quotePrefix.trim())) {
+            errors.push('Quote prefix must differ from the invoice and credit note prefixes');
+        }
+
+        if (this.quoteSeed < 1) {
+            errors.push('Quote number seed must be at least 1');
+        }
+
+        const labels = { invoice: 'Invoice', quote: 'Quote', creditNote: 'Credit note' };
+        const prefixes = { invoice: this.invoicePrefix, quote: this.quotePrefix, creditNote: this.creditNotePrefix };
+        DOCUMENT_TYPES.forEach(type => {
+            validateNumberingScheme({ ...this.numbering[type], prefix: prefixes[type] })
+                .filter(error => error.field !== 'prefix')
+                .forEach(error => errors.push(`${labels[type]} numbering: ${error.message}`));
+        });
+
+        if (!isCurrencyCode(this.currency)) {
+            errors.push('Base currency must be an ISO 4217 code (e.g. PHP)');
+        }
+
+        if (!Number.isInteger(this.trashRetentionDays) || this.trashRetentionDays < 0 || this.trashRetentionDays > 3650) {
+            errors.push('Trash retention must be a whole number of days between 0 and 3650');
+        }
+
+        this.taxes.forEach(tax => {
+            const taxErrors = validateTaxDefinition(tax);
+            if (taxErrors.length > 0) {
+                errors.push(`${tax.name || 'Tax'}: ${taxErrors[0].message}`);
+            }
+        });
+
+        const taxNames = this.taxes.map(tax => String(tax.name || '').trim().toLowerCase());
+        if (new Set(taxNames).size !== taxNames.length) {
+            errors.push('Tax names must be unique');
+        }
+
+        validateRounding(this.rounding).forEach(error => errors.push(error.message));
+
         // Validate company email if provided
         if (this.companyEmail && !this.isValidEmail(this.companyEmail)) {
             errors.push('Invalid company email format');
@@ -474,12 +883,7 @@ export class Settings {
      * @returns {string} Currency symbol
      */
     getCurrencySymbol() {
-        const symbols = {
-            'PHP': '₱',
-            'USD': '$',
-            'EUR': '€'
-        };
-        return symbols[this.currency] || this.currency;
+        return getCurrencySymbol(this.currency);
     }
 }
 
@@ -0,0 +1,193 @@
+// Quotes List and Actions
+import { CurrencyFormatter, DateUtils, toast, toastWithUndo } from './ui.js';
+import { Quote } from './models.js';
+import store from './store.js';
+
+export class QuotesView {
+    constructor() {
+        this.currencyFormatter = new CurrencyFormatter();
+        this.statusFilter = '';
+        this.isInitialized = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize quotes view
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        this.bindEvents();
+        this.loadData();
+
+        // Listen for state changes
+        window.addEventListener('stateChange', () => {
+            this.loadData();
+        });
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('new-quote-btn')?.addEventListener('click', this.newQuote.bind(this));
+        document.getElementById('quote-status-filter')?.addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.loadData();
+        });
+    }
+
+    /**
+     * Load quotes into the table
+     */
+    loadData() {
+        const tbody = document.getElementById('quotes-tbody');
+        if (!tbody) return;
+
+        const settings = store.getSettings();
+        this.currencyFormatter.setCurrency(settings.currency);
+
+        // Quotes keep naming a client that is in the trash
+        const clients = store.getClients({ includeTrashed: true });
+        const quotes = store.getQuotes()
+            .map(data => new Quote(data))
+            .filter(quote => !this.statusFilter ||
+                quote.getDisplayStatus().toLowerCase() === this.statusFilter)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        tbody.innerHTML = quotes.map(quote => this.createQuoteRow(quote, clients)).join('');
+
+        const hasQuotes = store.getQuotes().length > 0;
+        document.getElementById('quotes-table').style.display = hasQuotes ? 'table' : 'none';
+        document.getElementById('quotes-empty').style.display = hasQuotes ? 'none' : 'block';
+    }
+
+    /**
+     * Create quote table row
+     * @param {Quote} quote - Quote model
+     * @param {Array} clients - Clients array
+     * @returns {string} HTML string for table row
+     */
+    createQuoteRow(quote, clients) {
+        const client = clients.find(c => c.id === quote.clientId);
+        const clientName = client ?
+            (client.company ? `${client.name} (${client.company})` : client.name) :
+            'Unknown Client';
+        const open = !quote.convertedInvoiceId;
+
+        return `
+            <tr data-quote-id="${quote.id}">
+                <td><strong>${quote.id}</strong></td>
+                <td>${clientName}</td>
+                <td>${DateUtils.formatDate(quote.issueDate)}</td>
+                <td>${DateUtils.formatDate(quote.expiryDate)}</td>
+                <td class="text-right">${this.currencyFormatter.format(quote.totals.grand, quote.currency)}</td>
+                <td>
+                    <span class="badge ${quote.getStatusBadgeClass()}">${quote.getDisplayStatus()}</span>
+                    ${quote.convertedInvoiceId ? `<br><small class="text-gray-500">${quote.convertedInvoiceId}</small>` : ''}
+                </td>
+                <td>
+                    <div class="table-actions">
+                        <button class="action-btn" onclick="quotesView.editQuote('${quote.id}')" title="${open ? 'Edit' : 'View'}">
+                            ${open ? '✏️' : '👁️'}
+                        </button>
+                        ${open && quote.status === 'pending' ? `
+                            <button class="action-btn" onclick="quotesView.setStatus('${quote.id}', 'accepted')" title="Mark as Accepted">
+                                ✓
+                            </button>
+                            <button class="action-btn" onclick="quotesView.setStatus('${quote.id}', 'declined')" title="Mark as Declined">
+                                ✗
+                            </button>
+                        ` : ''}
+                        ${open && quote.status !== 'declined' ? `
+                            <button class="action-btn" onclick="quotesView.convertQuote('${quote.id}')" title="Convert to Invoice">
+                                🧾
+                            </button>
+                        ` : ''}
+                        ${open ? `
+                            <button class="action-btn" onclick="quotesView.deleteQuote('${quote.id}')" title="Delete">
+                                🗑️
+                            </button>
+                        ` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Open the builder with a new quote
+     */
+    newQuote() {
+        window.app.switchView('builder');
+        window.invoiceBuilder?.newQuote();
+    }
+
+    /**
+     * Open a quote in the builder
+     * @param {string} quoteId - Quote ID
+     */
+    editQuote(quoteId) {
+        window.app.switchView('builder');
+
+        // Wait a bit for view to load, then load the quote
+        setTimeout(() => {
+            window.invoiceBuilder?.loadQuote(quoteId);
+        }, 100);
+    }
+
+    /**
+     * Accept or decline a quote
+     * @param {string} quoteId - Quote ID
+     * @param {string} status - accepted or declined
+     */
+    setStatus(quoteId, status) {
+        try {
+            store.updateQuoteStatus(quoteId, status);
+            toast.success(`Quote marked as ${status}`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Convert a quote to an invoice and open the invoice
+     * @param {string} quoteId - Quote ID
+     */
+    convertQuote(quoteId) {
+        try {
+            const invoice = store.convertQuoteToInvoice(quoteId);
+            toast.success(`Invoice ${invoice.id} created from quote ${quoteId}`);
+            window.dashboard?.editInvoice(invoice.id);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Delete a quote
+     * @param {string} quoteId - Quote ID
+     */
+    deleteQuote(quoteId) {
+        try {
+            if (store.deleteQuote(quoteId)) {
+                toastWithUndo(`Quote ${quoteId} deleted`, store);
+            } else {
+                toast.error('Quote not found');
+            }
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+}
+
+// Create global instance
+const quotesView = new QuotesView();
+
+// Make available globally for event handlers
+window.quotesView = quotesView;
+
+export default quotesView;
@@ -163,7 +163,7 @@ export class RealEmailService {
      */
     prepareInvoiceEmailData(invoice, client, options = {}) {
         const settings = store.getSettings();
-        const formatter = new CurrencyFormatter(settings.currency);
+        const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
         
         return {
             // Recipient information
@@ -206,7 +206,7 @@ export class RealEmailService {
      */
     prepareReminderEmailData(invoice, client, options = {}) {
         const settings = store.getSettings();
-        const formatter = new CurrencyFormatter(settings.currency);
+        const formatter = new CurrencyFormatter(invoice.currency || settings.currency);
         
         // Calculate days overdue
         const dueDate = new Date(invoice.dueDate);
@@ -290,7 +290,7 @@ ${urgencyText}We wanted to remind you about the following outstanding invoice:
 
 Invoice #: ${invoice.id}
 Original Due Date: ${DateUtils.formatDate(invoice.dueDate)}
-Amount Due: ${formatter.format(invoice.totals.grand)}
+Amount Due: ${formatter.format(invoice.totals.netPayable ?? invoice.totals.grand)}
 
 Please remit payment at your earliest convenience. If you have already sent payment, please disregard this reminder.
 
@@ -313,6 +313,7 @@ ${settings.companyPhone ? settings.companyPhone : ''}`;
             return {
                 description: item.description,
                 quantity: item.qty,
+                unit: item.unit,
                 unitPrice: formatter.format(item.unitPrice),
                 total: formatter.format(totals.total)
             };
@@ -0,0 +1,144 @@
+// Catalog of reusable products and services, shared by the browser app and
+// the API server. An entry holds the defaults for a new invoice line:
+//
+//   { id, sku, description, unit, unitPrice, discountRate, taxes: [{ id, name, rate, compound }] }
+//
+// Picking an entry copies these onto the line; later changes to the entry do
+// not alter lines already on documents. SKUs are optional but unique.
+import { validateTaxDefinition, normalizeTaxDefinition } from './tax.js';
+
+/**
+ * Raised when a catalog entry is invalid
+ */
+export class CatalogError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CatalogError';
+        this.errors = errors;
+    }
+}
+
+const SKU_PATTERN = /^[A-Za-z0-9._\/-]+$/;
+
+/**
+ * Validate a catalog entry
+ * @param {Object} item - { sku, description, unit, unitPrice, discountRate, taxes }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateCatalogItem(item) {
+    const errors = [];
+    const sku = String((item && item.sku) || '').trim();
+    const description = String((item && item.description) || '').trim();
+
+    if (sku && (sku.length > 40 || !SKU_PATTERN.test(sku))) {
+        errors.push({ field: 'sku', message: 'SKU must be up to 40 letters, digits or . _ / -' });
+    }
+    if (!description) {
+        errors.push({ field: 'description', message: 'Description is required' });
+    } else if (description.length > 200) {
+        errors.push({ field: 'description', message: 'Description must be 200 characters or less' });
+    }
+    if (String((item && item.unit) || '').trim().length > 20) {
+        errors.push({ field: 'unit', message: 'Unit must be 20 characters or less' });
+    }
+
+    const unitPrice = Number(item && item.unitPrice);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        errors.push({ field: 'unitPrice', message: 'Default price must be a number of at least 0' });
+    }
+    const discountRate = Number((item && item.discountRate) || 0);
+    if (!Number.isFinite(discountRate) || discountRate < 0 || discountRate > 100) {
+        errors.push({ field: 'discountRate', message: 'Discount rate must be between 0 and 100' });
+    }
+
+    const taxes = item && item.taxes;
+    if (taxes !== undefined && !Array.isArray(taxes)) {
+        errors.push({ field: 'taxes', message: 'Taxes must be a list' });
+    }
+    (Array.isArray(taxes) ? taxes : []).forEach((tax, index) => {
+        validateTaxDefinition(tax).forEach(error => errors.push({
+            field: `taxes[${index}].${error.field}`,
+            message: error.message
+        }));
+    });
+
+    return errors;
+}
+
+/**
+ * Clean up and validate a catalog entry
+ * @param {Object} input - Entry as entered
+ * @returns {Object} { sku, description, unit, unitPrice, discountRate, taxes }
+ * @throws {CatalogError} If the entry is invalid
+ */
+export function normalizeCatalogItem(input) {
+    const errors = validateCatalogItem(input);
+    if (errors.length > 0) {
+        throw new CatalogError(errors[0].message, errors);
+    }
+
+    return {
+        sku: String(input.sku || '').trim(),
+        description: String(input.description).trim(),
+        unit: String(input.unit || '').trim(),
+        unitPrice: Number(input.unitPrice),
+        discountRate: Number(input.discountRate || 0),
+        taxes: (input.taxes || []).map(normalizeTaxDefinition)
+    };
+}
+
+/**
+ * Whether another entry already uses a SKU (case-insensitive)
+ * @param {Array} items - Catalog entries
+ * @param {string} sku - SKU to check; empty SKUs never clash
+ * @param {string} [exceptId] - Entry being edited
+ * @returns {boolean} True if taken
+ */
+export function isSkuTaken(items, sku, exceptId = null) {
+    const wanted = String(sku || '').trim().toLowerCase();
+    return !!wanted && items.some(item => item.id !== exceptId && String(item.sku || '').toLowerCase() === wanted);
+}
+
+/**
+ * Entries matching a search, best matches first: SKU or description
+ * starting with the query, then containing it
+ * @param {Array} items - Catalog entries
+ * @param {string} query - Text typed so far
+ * @param {number} [limit] - Most entries to return
+ * @returns {Array} Matching entries
+ */
+export function searchCatalog(items, query, limit = 8) {
+    const term = String(query || '').trim().toLowerCase();
+    if (!term) return [];
+
+    const rank = (item) => {
+        const fields = [item.sku, item.description].map(value => String(value || '').toLowerCase());
+        if (fields.some(value => value.startsWith(term))) return 0;
+        if (fields.some(value => value.includes(term))) return 1;
+        return -1;
+    };
+
+    return items
+        .map(item => ({ item, rank: rank(item) }))
+        .filter(match => match.rank >= 0)
+        .sort((a, b) => a.rank - b.rank || a.item.description.localeCompare(b.item.description))
+        .slice(0, limit)
+        .map(match => match.item);
+}
+
+/**
+ * Line fields to copy from a catalog entry. Taxes are copies so the line
+ * keeps its rates if the entry changes.
+ * @param {Object} item - Catalog entry
+ * @returns {Object} { description, unit, unitPrice, discountType, discountRate, taxes }
+ */
+export function lineFromCatalogItem(item) {
+    return {
+        description: item.description,
+        unit: item.unit || '',
+        unitPrice: Number(item.unitPrice) || 0,
+        discountType: 'percent',
+        discountRate: Number(item.discountRate) || 0,
+        taxes: (item.taxes || []).map(tax => ({ ...tax }))
+    };
+}
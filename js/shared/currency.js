@@ -0,0 +1,251 @@
+// Currency codes, formatting and exchange-rate snapshots shared by the
+// browser app and the API server.
+//
+// An exchange rate says how much one unit of a currency is worth in the base
+// currency: { currency: 'USD', base: 'PHP', rate: 56.1 } means 1 USD = 56.10 PHP.
+// Invoices keep a snapshot of the rate used when they were saved, so base
+// currency reports do not move when the rate table is updated later.
+import { multiply, roundMoney } from './decimal.js';
+
+/**
+ * Codes offered first in currency pickers; any ISO 4217 code is accepted
+ */
+export const COMMON_CURRENCIES = ['PHP', 'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'SGD', 'HKD', 'CNY', 'INR', 'CHF'];
+
+/**
+ * Raised when a currency code or exchange rate is invalid or missing
+ */
+export class CurrencyError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CurrencyError';
+        this.errors = errors;
+    }
+}
+
+const CODE_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let knownCodes = null;
+const getKnownCodes = () => {
+    if (knownCodes === null) {
+        knownCodes = typeof Intl.supportedValuesOf === 'function' ?
+            new Set(Intl.supportedValuesOf('currency')) : new Set();
+    }
+    return knownCodes;
+};
+
+/**
+ * Upper-case and trim a currency code
+ * @param {string} code - Currency code
+ * @returns {string} Normalized code
+ */
+export function normalizeCurrencyCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Check whether a value is an ISO 4217 currency code
+ * @param {string} code - Currency code
+ * @returns {boolean} True if valid
+ */
+export function isCurrencyCode(code) {
+    if (!CODE_PATTERN.test(code || '')) return false;
+    const known = getKnownCodes();
+    return known.size === 0 || known.has(code);
+}
+
+/**
+ * Display symbol for a currency (₱, $, €, ...), or the code itself
+ * @param {string} code - Currency code
+ * @returns {string} Symbol
+ */
+export function getCurrencySymbol(code) {
+    try {
+        const parts = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: code,
+            currencyDisplay: 'narrowSymbol'
+        }).formatToParts(0);
+        return parts.find(part => part.type === 'currency')?.value || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+/**
+ * Format an amount with its currency symbol and two decimals
+ * @param {number} amount - Amount
+ * @param {string} code - Currency code
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(amount, code) {
+    const value = Number(amount);
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${getCurrencySymbol(code)}${Math.abs(isNaN(value) ? 0 : value).toLocaleString('en-US', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    })}`;
+}
+
+/**
+ * Validate an exchange rate entry
+ * @param {Object} entry - { currency, base, rate, date }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateExchangeRate(entry) {
+    const errors = [];
+
+    if (!isCurrencyCode(entry.currency)) {
+        errors.push({ field: 'currency', message: `"${entry.currency || ''}" is not an ISO 4217 currency code` });
+    }
+    if (!isCurrencyCode(entry.base)) {
+        errors.push({ field: 'base', message: `"${entry.base || ''}" is not an ISO 4217 currency code` });
+    }
+    if (!errors.length && entry.currency === entry.base && Number(entry.rate) !== 1) {
+        errors.push({ field: 'rate', message: 'The rate from a currency to itself is 1' });
+    }
+
+    const rate = Number(entry.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+        errors.push({ field: 'rate', message: 'Rate must be a number greater than zero' });
+    }
+    if (!DATE_PATTERN.test(entry.date || '') || isNaN(new Date(entry.date).getTime())) {
+        errors.push({ field: 'date', message: 'Rate date must be a valid YYYY-MM-DD date' });
+    }
+
+    return errors;
+}
+
+/**
+ * Clean up and validate an exchange rate entry
+ * @param {Object} entry - { currency, base, rate, date, source }
+ * @returns {Object} { currency, base, rate, date, source }
+ * @throws {CurrencyError} If the entry is invalid
+ */
+export function normalizeExchangeRate(entry) {
+    const normalized = {
+        currency: normalizeCurrencyCode(entry.currency),
+        base: normalizeCurrencyCode(entry.base),
+        rate: Number(entry.rate),
+        date: entry.date,
+        source: entry.source || 'manual'
+    };
+
+    const errors = validateExchangeRate(normalized);
+    if (errors.length > 0) {
+        throw new CurrencyError(errors[0].message, errors);
+    }
+    return normalized;
+}
+
+/**
+ * Most recent rate for a currency pair on or before a date
+ * @param {Array} rates - Rate entries
+ * @param {string} currency - Invoice currency
+ * @param {string} base - Base currency
+ * @param {string} [onDate] - YYYY-MM-DD; defaults to the latest rate
+ * @returns {Object|null} Rate entry
+ */
+export function findExchangeRate(rates, currency, base, onDate = null) {
+    return (rates || [])
+        .filter(entry => entry.currency === currency && entry.base === base && (!onDate || entry.date <= onDate))
+        .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+/**
+ * Build the exchange rate snapshot stored on an invoice
+ * @param {string} currency - Invoice currency
+ * @param {string} base - Base currency
+ * @param {Array} rates - Rate table
+ * @param {string} onDate - Invoice issue date
+ * @returns {Object} { base, rate, date, source }
+ * @throws {CurrencyError} If no rate is known for the pair
+ */
+export function createRateSnapshot(currency, base, rates, onDate) {
+    if (currency === base) {
+        return { base, rate: 1, date: onDate, source: 'base' };
+    }
+
+    const entry = findExchangeRate(rates, currency, base, onDate) || findExchangeRate(rates, currency, base);
+    if (!entry) {
+        throw new CurrencyError(`No exchange rate from ${currency} to ${base}. Add one in Settings.`, [
+            { field: 'exchangeRate', message: `No exchange rate from ${currency} to ${base}` }
+        ]);
+    }
+    return { base, rate: entry.rate, date: entry.date, source: entry.source || 'manual' };
+}
+
+/**
+ * Convert an amount to the base currency using an invoice's rate snapshot.
+ * Invoices without a snapshot are already in the base currency.
+ * @param {number} amount - Amount in the invoice currency
+ * @param {Object} [exchangeRate] - { rate }
+ * @returns {number} Amount in the base currency
+ */
+export function convertToBase(amount, exchangeRate) {
+    const rate = exchangeRate && Number(exchangeRate.rate) > 0 ? Number(exchangeRate.rate) : 1;
+    return roundMoney(multiply(Number(amount) || 0, rate));
+}
+
+/**
+ * Parse an exchange rate file. Accepts CSV with a header row
+ * (currency,rate,date[,base]) or JSON: an array of entries, or
+ * { base, date, rates: { USD: 56.1, ... } }.
+ * @param {string} text - File contents
+ * @param {Object} defaults - { base, date } used when the file omits them
+ * @returns {Array} Normalized rate entries with source 'import'
+ * @throws {CurrencyError} If the file cannot be read or has invalid rows
+ */
+export function parseExchangeRates(text, defaults = {}) {
+    const trimmed = String(text || '').trim();
+    let rows;
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new CurrencyError(`Invalid JSON: ${error.message}`);
+        }
+        rows = Array.isArray(data) ? data :
+            Object.entries(data.rates || {}).map(([currency, rate]) => ({
+                currency, rate, base: data.base, date: data.date
+            }));
+    } else {
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+        const header = (lines.shift() || '').split(',').map(cell => cell.trim().toLowerCase());
+        if (!header.includes('currency') || !header.includes('rate')) {
+            throw new CurrencyError('CSV must have a header row with currency and rate columns');
+        }
+        rows = lines.map(line => {
+            const cells = line.split(',').map(cell => cell.trim());
+            return Object.fromEntries(header.map((column, index) => [column, cells[index]]));
+        });
+    }
+
+    if (rows.length === 0) {
+        throw new CurrencyError('The file contains no exchange rates');
+    }
+
+    const errors = [];
+    const entries = [];
+    rows.forEach((row, index) => {
+        try {
+            entries.push(normalizeExchangeRate({
+                currency: row.currency,
+                base: row.base || defaults.base,
+                rate: row.rate,
+                date: row.date || defaults.date,
+                source: 'import'
+            }));
+        } catch (error) {
+            errors.push({ field: `row ${index + 1}`, message: error.message });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new CurrencyError(`Row ${errors[0].field.slice(4)}: ${errors[0].message}`, errors);
+    }
+    return entries;
+}
@@ -0,0 +1,222 @@
+// Exact decimal arithmetic for money, shared by the browser app and the API
+// server. Values are exact fractions of BigInts ({ n, d }), so quantities,
+// prices and rates multiply without floating-point error and amounts are only
+// rounded to minor units (centavos) where the rounding rules say so.
+
+/**
+ * How halves are rounded: half_up rounds 0.5 away from zero, half_even
+ * (banker's rounding) rounds it to the nearest even digit
+ */
+export const ROUNDING_MODES = ['half_up', 'half_even'];
+
+/**
+ * Where amounts are rounded: on every line (line totals add up to the
+ * invoice) or once per invoice on the exact sums
+ */
+export const ROUNDING_STRATEGIES = ['line', 'invoice'];
+
+/**
+ * Rounding used by documents saved before rounding was configurable
+ */
+export const DEFAULT_ROUNDING = { mode: 'half_up', strategy: 'line' };
+
+/**
+ * Raised when a value is not a number or a rounding rule is unknown
+ */
+export class DecimalError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'DecimalError';
+        this.errors = errors;
+    }
+}
+
+const MINOR_UNITS = 100n;
+const NUMBER_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+const abs = (value) => value < 0n ? -value : value;
+const gcd = (a, b) => {
+    let x = abs(a);
+    let y = abs(b);
+    while (y) [x, y] = [y, x % y];
+    return x || 1n;
+};
+
+const fraction = (n, d = 1n) => {
+    if (d === 0n) {
+        throw new DecimalError('Division by zero');
+    }
+    const sign = d < 0n ? -1n : 1n;
+    const divisor = gcd(n, d);
+    return { n: sign * n / divisor, d: sign * d / divisor };
+};
+
+const isFraction = (value) => !!value && typeof value === 'object' &&
+    typeof value.n === 'bigint' && typeof value.d === 'bigint';
+
+/**
+ * Exact value of a number, numeric string or fraction. Numbers are read from
+ * their shortest decimal form, so 0.1 is exactly one tenth.
+ * @param {number|string|Object} value - Value to convert
+ * @returns {Object} Fraction { n, d }
+ * @throws {DecimalError} If the value is not a finite number
+ */
+export function decimal(value) {
+    if (isFraction(value)) return value;
+    if (value === null || value === undefined || value === '') return fraction(0n);
+
+    const match = NUMBER_PATTERN.exec(String(value).trim());
+    if (typeof value === 'boolean' || !match || (!match[2] && !match[3])) {
+        throw new DecimalError(`"${value}" is not a number`);
+    }
+
+    const [, sign, whole, decimals = '', exponent = '0'] = match;
+    const digits = BigInt(`${sign}${whole || '0'}${decimals}`);
+    const scale = decimals.length - Number(exponent);
+    return scale >= 0 ? fraction(digits, 10n ** BigInt(scale)) : fraction(digits * 10n ** BigInt(-scale));
+}
+
+/**
+ * Sum of values
+ * @param {...(number|string|Object)} values - Values to add
+ * @returns {Object} Fraction
+ */
+export function add(...values) {
+    return values.map(decimal).reduce((sum, value) => fraction(sum.n * value.d + value.n * sum.d, sum.d * value.d),
+        fraction(0n));
+}
+
+/**
+ * Difference a - b
+ * @param {number|string|Object} a - Minuend
+ * @param {number|string|Object} b - Subtrahend
+ * @returns {Object} Fraction
+ */
+export function subtract(a, b) {
+    const value = decimal(b);
+    return add(a, { n: -value.n, d: value.d });
+}
+
+/**
+ * Product of values
+ * @param {...(number|string|Object)} values - Values to multiply
+ * @returns {Object} Fraction
+ */
+export function multiply(...values) {
+    return values.map(decimal).reduce((product, value) => fraction(product.n * value.n, product.d * value.d),
+        fraction(1n));
+}
+
+/**
+ * Quotient a / b
+ * @param {number|string|Object} a - Dividend
+ * @param {number|string|Object} b - Divisor
+ * @returns {Object} Fraction
+ * @throws {DecimalError} If b is zero
+ */
+export function divide(a, b) {
+    const x = decimal(a);
+    const y = decimal(b);
+    return fraction(x.n * y.d, x.d * y.n);
+}
+
+/**
+ * A percentage as a fraction (12 -> 0.12)
+ * @param {number|string|Object} rate - Rate in percent
+ * @returns {Object} Fraction
+ */
+export function percent(rate) {
+    return divide(rate, 100);
+}
+
+/**
+ * Check that a rounding mode is supported
+ * @param {string} mode - Rounding mode
+ * @throws {DecimalError} If it is not
+ */
+const assertMode = (mode) => {
+    if (!ROUNDING_MODES.includes(mode)) {
+        throw new DecimalError(`Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+};
+
+/**
+ * Round a value to whole minor units
+ * @param {number|string|Object} value - Amount in major units
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Integer amount in minor units
+ */
+export function toMinor(value, mode = DEFAULT_ROUNDING.mode) {
+    assertMode(mode);
+    const { n, d } = multiply(value, MINOR_UNITS);
+    const quotient = n / d; // truncates toward zero
+    const twiceRemainder = abs(n % d) * 2n;
+
+    let away = twiceRemainder > d;
+    if (twiceRemainder === d) {
+        away = mode === 'half_up' || quotient % 2n !== 0n;
+    }
+    return Number(away ? quotient + (n < 0n ? -1n : 1n) : quotient);
+}
+
+/**
+ * Amount in major units for whole minor units
+ * @param {number} minor - Integer amount in minor units
+ * @returns {number} Amount (e.g. 1234 -> 12.34)
+ */
+export function fromMinor(minor) {
+    return Number(minor) / Number(MINOR_UNITS);
+}
+
+/**
+ * Round a value to cents
+ * @param {number|string|Object} value - Amount
+ * @param {string} [mode] - One of ROUNDING_MODES
+ * @returns {number} Rounded amount
+ */
+export function roundMoney(value, mode = DEFAULT_ROUNDING.mode) {
+    return fromMinor(toMinor(value, mode));
+}
+
+/**
+ * Add amounts that are already in cents without floating-point drift
+ * @param {Array<number>} amounts - Amounts
+ * @returns {number} Sum
+ */
+export function sumMoney(amounts) {
+    return fromMinor((amounts || []).reduce((sum, amount) => sum + toMinor(amount || 0), 0));
+}
+
+/**
+ * Validate rounding settings
+ * @param {Object} rounding - { mode, strategy }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateRounding(rounding) {
+    const errors = [];
+    if (!ROUNDING_MODES.includes(rounding && rounding.mode)) {
+        errors.push({ field: 'mode', message: `Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}` });
+    }
+    if (!ROUNDING_STRATEGIES.includes(rounding && rounding.strategy)) {
+        errors.push({ field: 'strategy', message: `Rounding must be per ${ROUNDING_STRATEGIES.join(' or per ')}` });
+    }
+    return errors;
+}
+
+/**
+ * Fill in missing rounding settings with the defaults and validate them
+ * @param {Object} [rounding] - { mode, strategy }
+ * @returns {Object} { mode, strategy }
+ * @throws {DecimalError} If a setting is unknown
+ */
+export function normalizeRounding(rounding) {
+    const normalized = {
+        mode: (rounding && rounding.mode) || DEFAULT_ROUNDING.mode,
+        strategy: (rounding && rounding.strategy) || DEFAULT_ROUNDING.strategy
+    };
+    const errors = validateRounding(normalized);
+    if (errors.length > 0) {
+        throw new DecimalError(errors[0].message, errors);
+    }
+    return normalized;
+}
@@ -0,0 +1,295 @@
+// Canonical invoice schema shared by the browser models, the API server and
+// the MySQL layer, with adapters that upgrade the shapes each of them used
+// before it existed.
+//
+// A canonical invoice (schemaVersion 1):
+//
+//   schemaVersion  1
+//   id             document id (the browser uses the invoice number)
+//   number         invoice number shown to people, e.g. INV-0001
+//   clientId       client record the invoice is billed to, or null
+//   client         snapshot of the bill-to party { name, email, address, phone }, or null
+//   business       snapshot of the seller { name, email, address, phone }, or null
+//   issueDate      YYYY-MM-DD
+//   dueDate        YYYY-MM-DD
+//   terms          payment terms, e.g. "Net 30"
+//   currency       ISO 4217 code; exchangeRate is the snapshot to the base currency
+//   items          [{ id, description, qty, unit, unitPrice, discountType, discountRate, discountAmount,
+//                     taxes: [{ id, name, rate, compound }] }]
+//   invoiceDiscount discount on the invoice as a whole { type: percent|amount, value }, or null
+//   shipping       shipping charge
+//   flatTax        tax charged on the invoice as a whole (invoices from before line taxes)
+//   taxInclusive   unit prices include their taxes
+//   withholdingRate, rounding
+//   totals         { subtotal, discount, invoiceDiscount, taxableBase, tax, taxes, taxInclusive, shipping,
+//                    grand, withholdingRate, withholding, netPayable } (see shared/totals.js)
+//   notes, status, statusHistory, payments, credits, recurring, quoteId, voidedAt, voidReason
+//   createdAt      ISO 8601 timestamp
+//   updatedAt      ISO 8601 timestamp
+//
+// Anything else on a document (organizationId, recurrence, ...) is kept as is.
+// The legacy shapes are:
+//   browser  clientId, issueDate, items[].qty/unitPrice/taxRate, totals.grand, epoch-ms timestamps
+//   api      invoiceNumber, date, clientInfo/businessInfo, items[].quantity/rate/amount, subtotal/tax/total
+//   mysql    rows of the invoices table (client_id, issue_date, total_amount, ...) with item rows
+import { flatTaxBreakdown } from './tax.js';
+
+/**
+ * Current version of the canonical invoice schema
+ */
+export const INVOICE_SCHEMA_VERSION = 1;
+
+/**
+ * Raised when a payload cannot be read as an invoice
+ */
+export class SchemaError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'SchemaError';
+        this.errors = errors;
+    }
+}
+
+// Upgrades from each canonical version to the next, keyed by the version
+// they upgrade from. Add one here whenever INVOICE_SCHEMA_VERSION goes up.
+const MIGRATIONS = {};
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const toNumber = (value, fallback = 0) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+// Epoch milliseconds, MySQL DATETIME strings and ISO strings to ISO 8601
+const toTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') return value;
+    const date = typeof value === 'number' ? new Date(value) :
+        new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+    return isNaN(date.getTime()) ? value : date.toISOString();
+};
+
+// YYYY-MM-DD part of a date or timestamp
+const toDate = (value) => (typeof value === 'string' ? value.slice(0, 10) : value);
+
+// A party given as null stays null; one not given is left out
+const toParty = (party) => isObject(party) ? {
+    name: party.name || '',
+    email: party.email || '',
+    address: party.address || '',
+    phone: party.phone || ''
+} : (party === null ? null : undefined);
+
+/**
+ * Taxes for a line saved with a single taxRate percentage
+ * @param {number} taxRate - Old tax rate
+ * @returns {Array} [{ id, name, rate, compound }]
+ */
+export function legacyTaxes(taxRate) {
+    const rate = toNumber(taxRate);
+    return rate > 0 ? [{ id: null, name: 'Tax', rate, compound: false }] : [];
+}
+
+/**
+ * Which shape a payload is in
+ * @param {Object} data - Invoice payload
+ * @returns {string} 'canonical', 'browser', 'api' or 'mysql'
+ */
+export function detectInvoiceFormat(data) {
+    if (!isObject(data)) {
+        throw new SchemaError('Invoice must be an object');
+    }
+    if (data.schemaVersion !== undefined) return 'canonical';
+    if (['client_id', 'issue_date', 'due_date', 'total_amount'].some(key => key in data)) return 'mysql';
+
+    const items = Array.isArray(data.items) ? data.items : [];
+    const apiItems = items.some(item => isObject(item) && ('quantity' in item || 'rate' in item));
+    if ('invoiceNumber' in data || 'clientInfo' in data || apiItems ||
+        ('date' in data && !('issueDate' in data)) || ('total' in data && !('totals' in data))) {
+        return 'api';
+    }
+    return 'browser';
+}
+
+// Totals as stored by the API and MySQL layers. A tax with no line taxes
+// behind it is kept as a flat invoice tax. Without a stored breakdown of
+// line taxes, `taxes` is left out and recalculated from the lines.
+const legacyTotals = ({ items, subtotal, discount, tax, total, withholdingRate, withholding, taxes }) => {
+    const hasLineTaxes = items.some(item => item.taxes.length > 0);
+    const taxableBase = toNumber(subtotal) - toNumber(discount);
+    const flatTax = hasLineTaxes ? 0 : toNumber(tax);
+    const grand = total === undefined || total === null ? taxableBase + toNumber(tax) : toNumber(total);
+    const breakdown = Array.isArray(taxes) ? taxes : (hasLineTaxes ? undefined : flatTaxBreakdown(flatTax, taxableBase));
+
+    return {
+        flatTax,
+        totals: {
+            subtotal: toNumber(subtotal),
+            discount: toNumber(discount),
+            taxableBase,
+            tax: toNumber(tax),
+            ...(breakdown && { taxes: breakdown }),
+            taxInclusive: false,
+            shipping: 0,
+            grand,
+            withholdingRate: toNumber(withholdingRate),
+            withholding: toNumber(withholding),
+            netPayable: grand - toNumber(withholding)
+        }
+    };
+};
+
+const fromBrowser = (data) => {
+    const { taxRate, ...rest } = data;
+    return {
+        ...rest,
+        number: data.number || data.id,
+        client: toParty(data.client),
+        business: toParty(data.business),
+        items: Array.isArray(data.items) ? data.items.map(item => {
+            const { taxRate: itemTaxRate, ...line } = item;
+            return {
+                ...line,
+                taxes: Array.isArray(item.taxes) ? item.taxes : legacyTaxes(itemTaxRate ?? taxRate)
+            };
+        }) : data.items,
+        createdAt: toTimestamp(data.createdAt),
+        updatedAt: toTimestamp(data.updatedAt)
+    };
+};
+
+const fromApi = (data) => {
+    const {
+        invoiceNumber, date, clientInfo, businessInfo, subtotal, discount, tax, total, withholding, taxes, ...rest
+    } = data;
+    const items = Array.isArray(data.items) ? data.items.map(item => {
+        const { quantity, rate, amount, taxRate, ...line } = item;
+        return {
+            ...line,
+            description: item.description || '',
+            qty: toNumber(item.qty ?? quantity),
+            unitPrice: toNumber(item.unitPrice ?? rate),
+            discountRate: toNumber(item.discountRate),
+            taxes: Array.isArray(item.taxes) ? item.taxes : legacyTaxes(taxRate)
+        };
+    }) : data.items;
+    const hasTotals = [subtotal, tax, total].some(value => value !== undefined && value !== null);
+
+    return {
+        ...rest,
+        number: data.number || invoiceNumber,
+        client: toParty(data.client || clientInfo),
+        business: toParty(data.business || businessInfo),
+        issueDate: data.issueDate || toDate(date),
+        items,
+        ...(hasTotals && legacyTotals({
+            items: items || [], subtotal, discount, tax, total, withholdingRate: data.withholdingRate, withholding, taxes
+        })),
+        createdAt: toTimestamp(data.createdAt),
+        updatedAt: toTimestamp(data.updatedAt)
+    };
+};
+
+const fromMysql = (row) => {
+    const items = (row.items || []).map(item => ({
+        description: item.description || '',
+        qty: toNumber(item.quantity, 1),
+        unit: item.unit || '',
+        unitPrice: toNumber(item.rate),
+        discountRate: toNumber(item.discount_rate),
+        taxes: legacyTaxes(item.tax_rate)
+    }));
+    const client = row.client_name !== undefined || row.client_email !== undefined ?
+        { name: row.client_name || '', email: row.client_email || '', address: '', phone: '' } :
+        null;
+
+    return {
+        id: row.id,
+        number: row.number || row.id,
+        clientId: row.client_id || null,
+        client,
+        business: null,
+        issueDate: toDate(row.issue_date),
+        dueDate: toDate(row.due_date),
+        terms: row.terms || undefined,
+        currency: row.currency || undefined,
+        items,
+        ...legacyTotals({
+            items,
+            subtotal: row.subtotal,
+            discount: row.discount,
+            tax: row.tax_amount,
+            total: row.total_amount
+        }),
+        notes: row.notes || '',
+        status: row.status || undefined,
+        createdAt: toTimestamp(row.created_at),
+        updatedAt: toTimestamp(row.updated_at)
+    };
+};
+
+/**
+ * Read an invoice in any known shape as a canonical invoice. Canonical
+ * invoices from older schema versions are migrated; fields the payload does
+ * not have are left out so the caller's defaults apply.
+ * @param {Object} data - Invoice payload
+ * @returns {Object} Canonical invoice
+ * @throws {SchemaError} If the payload is not an invoice or is from a newer schema
+ */
+export function upgradeInvoice(data) {
+    const format = detectInvoiceFormat(data);
+    let invoice;
+
+    if (format === 'canonical') {
+        const version = Number(data.schemaVersion);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new SchemaError(`Unknown invoice schema version "${data.schemaVersion}"`);
+        }
+        if (version > INVOICE_SCHEMA_VERSION) {
+            throw new SchemaError(
+                `Invoice schema version ${version} is newer than this app supports (${INVOICE_SCHEMA_VERSION})`);
+        }
+        invoice = { ...data };
+        for (let from = version; from < INVOICE_SCHEMA_VERSION; from++) {
+            invoice = MIGRATIONS[from](invoice);
+        }
+    } else if (format === 'mysql') {
+        // Rows written after the schema existed carry the whole document
+        const document = typeof data.document === 'string' ? JSON.parse(data.document) : data.document;
+        invoice = isObject(document) ? upgradeInvoice(document) : fromMysql(data);
+    } else {
+        invoice = format === 'api' ? fromApi(data) : fromBrowser(data);
+    }
+
+    // Leave out what was not given rather than storing undefined
+    Object.keys(invoice).forEach(key => invoice[key] === undefined && delete invoice[key]);
+    return { ...invoice, schemaVersion: INVOICE_SCHEMA_VERSION };
+}
+
+/**
+ * Check that a canonical invoice has what every layer relies on
+ * @param {Object} invoice - Canonical invoice
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateInvoiceShape(invoice) {
+    const errors = [];
+    const date = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!invoice.number || !String(invoice.number).trim()) {
+        errors.push({ field: 'number', message: 'Invoice number is required' });
+    }
+    if (!invoice.issueDate || !date.test(invoice.issueDate)) {
+        errors.push({ field: 'issueDate', message: 'Issue date must be a YYYY-MM-DD date' });
+    }
+    if (invoice.dueDate && !date.test(invoice.dueDate)) {
+        errors.push({ field: 'dueDate', message: 'Due date must be a YYYY-MM-DD date' });
+    }
+    if (!invoice.clientId && !(invoice.client && invoice.client.name)) {
+        errors.push({ field: 'client', message: 'A client (clientId or client.name) is required' });
+    }
+    if (invoice.items !== undefined && !Array.isArray(invoice.items)) {
+        errors.push({ field: 'items', message: 'Items must be a list' });
+    }
+
+    return errors;
+}
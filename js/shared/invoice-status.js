@@ -0,0 +1,200 @@
+// Invoice status lifecycle shared by the browser app and the API server.
+// Keep this file dependency-free: the server loads it via dynamic import().
+
+/**
+ * Every status an invoice can be in. The browser app uses
+ * unpaid/overdue/partially_paid/paid; the API also tracks draft/sent/cancelled.
+ */
+export const INVOICE_STATUSES = ['draft', 'unpaid', 'sent', 'overdue', 'partially_paid', 'paid', 'cancelled'];
+
+/**
+ * Statuses an invoice can be created in; the others are only reached
+ * through transitions and the payment ledger
+ */
+export const INITIAL_STATUSES = ['draft', 'unpaid', 'sent'];
+
+/**
+ * Statuses derived from the payment ledger; they cannot be set by hand
+ */
+export const AUTOMATIC_STATUSES = ['partially_paid'];
+
+/**
+ * Ordinary transitions, allowed without an explicit action
+ */
+export const STATUS_TRANSITIONS = {
+    draft: ['unpaid', 'sent', 'cancelled'],
+    unpaid: ['sent', 'overdue', 'partially_paid', 'paid', 'cancelled'],
+    sent: ['overdue', 'partially_paid', 'paid', 'cancelled'],
+    overdue: ['unpaid', 'sent', 'partially_paid', 'paid', 'cancelled'],
+    partially_paid: ['overdue', 'paid'],
+    paid: [],
+    cancelled: []
+};
+
+/**
+ * Transitions only the payment ledger makes, when the last payment or
+ * credit of a partially paid invoice is removed
+ */
+export const LEDGER_TRANSITIONS = {
+    partially_paid: ['unpaid', 'sent']
+};
+
+/**
+ * Open statuses that mean nothing was received; an invoice with payments on
+ * record cannot be set to them by hand
+ */
+const UNSETTLED_STATUSES = ['unpaid', 'sent'];
+
+/**
+ * Corrective actions that move an invoice out of a settled or closed state.
+ * They always require a reason so the history explains why.
+ */
+export const STATUS_ACTIONS = {
+    void: {
+        from: ['draft', 'unpaid', 'sent', 'overdue', 'partially_paid', 'paid'],
+        to: ['cancelled']
+    },
+    reopen: {
+        from: ['paid', 'cancelled'],
+        to: ['draft', 'unpaid', 'sent', 'overdue', 'partially_paid']
+    }
+};
+
+/**
+ * Actor recorded for transitions the app makes on its own (e.g. overdue checks)
+ */
+export const SYSTEM_ACTOR = { id: 'system', name: 'System' };
+
+/**
+ * Raised when a status change is not allowed by the lifecycle
+ */
+export class StatusTransitionError extends Error {
+    constructor(message, { from, to, action } = {}) {
+        super(message);
+        this.name = 'StatusTransitionError';
+        this.from = from;
+        this.to = to;
+        this.action = action || null;
+        this.allowed = getAllowedTransitions(from);
+    }
+}
+
+/**
+ * Check whether a value is a known status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if known
+ */
+export function isValidStatus(status) {
+    return INVOICE_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {string} [action] - Corrective action (void, reopen)
+ * @param {boolean} [automatic] - Made by the payment ledger
+ * @returns {boolean} True if allowed
+ */
+export function canTransition(from, to, action = null, automatic = false) {
+    if (!isValidStatus(from) || !isValidStatus(to) || from === to) return false;
+
+    if (action) {
+        const definition = STATUS_ACTIONS[action];
+        return !!definition && definition.from.includes(from) && definition.to.includes(to);
+    }
+
+    return STATUS_TRANSITIONS[from].includes(to) ||
+        (automatic && (LEDGER_TRANSITIONS[from] || []).includes(to));
+}
+
+/**
+ * List the moves a user can make from a status
+ * @param {string} from - Current status
+ * @returns {Array<{to: string, action: string|null}>} Allowed moves
+ */
+export function getAllowedTransitions(from) {
+    if (!isValidStatus(from)) return [];
+
+    const moves = STATUS_TRANSITIONS[from].map(to => ({ to, action: null }));
+    Object.entries(STATUS_ACTIONS).forEach(([action, definition]) => {
+        if (!definition.from.includes(from)) return;
+        definition.to
+            .filter(to => to !== from && !moves.some(move => move.to === to && !move.action))
+            .forEach(to => moves.push({ to, action }));
+    });
+    return moves.filter(move => !AUTOMATIC_STATUSES.includes(move.to));
+}
+
+/**
+ * Throw a StatusTransitionError unless the transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {Object} [options] - { action, reason, automatic }
+ */
+export function assertTransition(from, to, { action = null, reason = '', automatic = false } = {}) {
+    const details = { from, to, action };
+
+    if (!isValidStatus(to)) {
+        throw new StatusTransitionError(
+            `Invalid status "${to}". Must be one of: ${INVOICE_STATUSES.join(', ')}`, details);
+    }
+    if (action && !STATUS_ACTIONS[action]) {
+        throw new StatusTransitionError(
+            `Unknown action "${action}". Must be one of: ${Object.keys(STATUS_ACTIONS).join(', ')}`, details);
+    }
+    if (from === to) {
+        throw new StatusTransitionError(`Invoice is already ${to}`, details);
+    }
+    if (AUTOMATIC_STATUSES.includes(to) && !automatic) {
+        throw new StatusTransitionError(`Status ${to} is set automatically by recording payments`, details);
+    }
+    if (!canTransition(from, to, action, automatic)) {
+        const viaAction = getAllowedTransitions(from).find(move => move.to === to && move.action);
+        const hint = viaAction && !action ? ` without the "${viaAction.action}" action` : '';
+        throw new StatusTransitionError(`Cannot change status from ${from} to ${to}${hint}`, details);
+    }
+    if (action && !String(reason || '').trim()) {
+        throw new StatusTransitionError(`A reason is required to ${action} an invoice`, details);
+    }
+}
+
+/**
+ * Build a status history entry
+ * @param {Object} entry - { from, to, action, actor, reason, at }
+ * @returns {Object} History entry
+ */
+export function createStatusHistoryEntry({ from = null, to, action = null, actor = SYSTEM_ACTOR, reason = '', at } = {}) {
+    return {
+        from,
+        to,
+        action,
+        actor: actor ? { id: actor.id ?? null, name: actor.name || '' } : null,
+        reason: String(reason || '').trim(),
+        at: at || new Date().toISOString()
+    };
+}
+
+/**
+ * Validate a transition and return the status fields to write back
+ * @param {Object} invoice - Invoice with status and statusHistory
+ * @param {string} to - Target status
+ * @param {Object} [options] - { action, reason, actor, at, automatic }
+ * @returns {{status: string, statusHistory: Array}} Updated fields
+ */
+export function transitionStatus(invoice, to, options = {}) {
+    assertTransition(invoice.status, to, options);
+    if (!options.automatic && !options.action && UNSETTLED_STATUSES.includes(to) &&
+        (invoice.payments || []).length > 0) {
+        throw new StatusTransitionError(
+            `Invoice has payments recorded; delete them before marking it ${to}`,
+            { from: invoice.status, to, action: null });
+    }
+
+    const { automatic, ...entryOptions } = options;
+    const entry = createStatusHistoryEntry({ ...entryOptions, from: invoice.status, to });
+    return {
+        status: to,
+        statusHistory: [...(invoice.statusHistory || []), entry]
+    };
+}
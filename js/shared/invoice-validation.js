@@ -0,0 +1,151 @@
+// Validation rules for invoices and their lines, shared by the browser
+// models and the API server so a document is accepted or rejected the same
+// way in both. Errors are { field, message }, with fields as paths into the
+// canonical invoice (shared/invoice-schema.js): items[0].qty,
+// invoiceDiscount.value, client.email, ... Line errors also carry `line`,
+// the index of the line.
+import { validateLineAmounts, validateInvoiceDiscount, calculateLineTotals } from './totals.js';
+import { validateWithholdingRate } from './tax.js';
+import { sumMoney } from './decimal.js';
+
+/**
+ * Raised when an invoice breaks a validation rule
+ */
+export class InvoiceValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'InvoiceValidationError';
+        this.errors = errors;
+    }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeNumber = (number) => String(number || '').trim().toLowerCase();
+
+/**
+ * Validate a line item: a description, a quantity above 0, a price and
+ * discount in range and taxes of 0-100%
+ * @param {Object} line - { description, qty, unit, unitPrice, discountType, discountRate, discountAmount, taxes }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateLineItem(line) {
+    if (!line || typeof line !== 'object') {
+        return [{ field: 'description', message: 'Line must be an object' }];
+    }
+
+    const errors = [];
+    const description = String(line.description || '').trim();
+    if (!description) {
+        errors.push({ field: 'description', message: 'Description is required' });
+    } else if (description.length > 500) {
+        errors.push({ field: 'description', message: 'Description must be 500 characters or less' });
+    }
+
+    return [...errors, ...validateLineAmounts(line)];
+}
+
+/**
+ * Whether another document already uses a number (case-insensitive)
+ * @param {Array<string>} numbers - Numbers of the other documents
+ * @param {string} number - Number to check
+ * @returns {boolean} True if taken
+ */
+export function isNumberTaken(numbers, number) {
+    const wanted = normalizeNumber(number);
+    return !!wanted && (numbers || []).some(other => normalizeNumber(other) === wanted);
+}
+
+/**
+ * Rules an invoice must meet before it is sent: the client needs an email
+ * address to send it to
+ * @param {Object} invoice - Canonical invoice
+ * @param {Object} [options] - { clientEmail: email of the client record, when the invoice has no snapshot of it }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateForSending(invoice, { clientEmail } = {}) {
+    const email = String((invoice.client && invoice.client.email) || clientEmail || '').trim();
+    if (!email) {
+        return [{ field: 'client.email', message: 'The client needs an email address before the invoice can be sent' }];
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+        return [{ field: 'client.email', message: `Client email "${email}" is not a valid address` }];
+    }
+    return [];
+}
+
+/**
+ * Validate an invoice: client, dates, lines and amounts, a number no other
+ * invoice uses and, when it is being sent, the client's email
+ * @param {Object} invoice - Canonical invoice (or an Invoice model)
+ * @param {Object} [options] - { otherNumbers: numbers of the organization's other invoices,
+ *     sending: the invoice is about to be sent, clientEmail: see validateForSending }
+ * @returns {Array<{field: string, message: string, line?: number}>} Validation errors
+ */
+export function validateInvoice(invoice, { otherNumbers = [], sending = false, clientEmail } = {}) {
+    const errors = [];
+
+    if (!invoice.clientId && !(invoice.client && invoice.client.name)) {
+        errors.push({ field: 'client', message: 'Client is required' });
+    }
+    if (invoice.number && isNumberTaken(otherNumbers, invoice.number)) {
+        errors.push({ field: 'number', message: `Number ${invoice.number} is already used` });
+    }
+
+    if (!invoice.issueDate) {
+        errors.push({ field: 'issueDate', message: 'Issue date is required' });
+    } else if (!DATE_PATTERN.test(invoice.issueDate)) {
+        errors.push({ field: 'issueDate', message: 'Issue date must be a YYYY-MM-DD date' });
+    }
+    if (!invoice.dueDate) {
+        errors.push({ field: 'dueDate', message: 'Due date is required' });
+    } else if (!DATE_PATTERN.test(invoice.dueDate)) {
+        errors.push({ field: 'dueDate', message: 'Due date must be a YYYY-MM-DD date' });
+    } else if (DATE_PATTERN.test(invoice.issueDate || '') && invoice.dueDate < invoice.issueDate) {
+        errors.push({ field: 'dueDate', message: 'Due date cannot be before the issue date' });
+    }
+
+    const items = Array.isArray(invoice.items) ? invoice.items : [];
+    if (items.length === 0) {
+        errors.push({ field: 'items', message: 'At least one line item is required' });
+    }
+    items.forEach((item, index) => {
+        validateLineItem(item).forEach(error => errors.push({
+            field: `items[${index}].${error.field}`,
+            line: index,
+            message: `Item ${index + 1}: ${error.message}`
+        }));
+    });
+
+    // A fixed invoice discount is checked against the lines it comes off;
+    // lines with errors cannot be added up
+    const linesAmount = errors.some(error => error.line !== undefined) ? undefined :
+        sumMoney(items.map(item => calculateLineTotals(item, { rounding: invoice.rounding }).amount));
+    errors.push(...validateInvoiceDiscount(invoice.invoiceDiscount, linesAmount));
+
+    const shipping = Number(invoice.shipping || 0);
+    if (!Number.isFinite(shipping) || shipping < 0) {
+        errors.push({ field: 'shipping', message: 'Shipping cost cannot be negative' });
+    }
+    errors.push(...validateWithholdingRate(invoice.withholdingRate || 0));
+
+    if (sending) {
+        errors.push(...validateForSending(invoice, { clientEmail }));
+    }
+
+    return errors;
+}
+
+/**
+ * Throw if an invoice breaks any rule
+ * @param {Object} invoice - Canonical invoice
+ * @param {Object} [options] - See validateInvoice
+ * @throws {InvoiceValidationError} Listing every broken rule
+ */
+export function assertValidInvoice(invoice, options) {
+    const errors = validateInvoice(invoice, options);
+    if (errors.length > 0) {
+        throw new InvoiceValidationError(errors[0].message, errors);
+    }
+}
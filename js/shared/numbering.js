@@ -0,0 +1,299 @@
+// Document numbering schemes shared by the browser app and the API server.
+// A scheme is a token format, the prefix it fills in and a reset policy:
+//
+//   { format: '{PREFIX}-{YYYY}-{SEQ:5}', prefix: 'INV', reset: 'yearly' }
+//
+// Tokens: {PREFIX}, {YYYY}, {YY}, {MM} and {SEQ} or {SEQ:n}, the sequence
+// number padded to n digits. Each document type has its own sequence, kept
+// as a counter { period, next }: the period is '' for sequences that never
+// reset, YYYY for yearly ones and YYYY-MM for monthly ones, and the counter
+// goes back to 1 when a new period starts.
+
+/**
+ * Raised when a numbering scheme is invalid
+ */
+export class NumberingError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'NumberingError';
+        this.errors = errors;
+    }
+}
+
+export const DOCUMENT_TYPES = ['invoice', 'quote', 'creditNote'];
+
+export const RESET_POLICIES = ['never', 'yearly', 'monthly'];
+
+// PREFIX-YYYYMM-NNN, the numbers the app produced before schemes existed
+export const DEFAULT_NUMBER_FORMAT = '{PREFIX}-{YYYY}{MM}-{SEQ:3}';
+
+export const DEFAULT_PREFIXES = { invoice: 'INV', quote: 'QT', creditNote: 'CN' };
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const TOKENS = ['PREFIX', 'YYYY', 'YY', 'MM', 'SEQ'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a format into literal text and tokens
+const tokenize = (format) => {
+    const parts = [];
+    let last = 0;
+    for (const match of format.matchAll(TOKEN_PATTERN)) {
+        if (match.index > last) parts.push({ literal: format.slice(last, match.index) });
+        parts.push({ token: match[1], width: match[2] === undefined ? null : Number(match[2]) });
+        last = match.index + match[0].length;
+    }
+    if (last < format.length) parts.push({ literal: format.slice(last) });
+    return parts;
+};
+
+// Year and month of a Date or YYYY-MM-DD string, in local time like the rest of the app
+const dateParts = (date = new Date()) => {
+    if (typeof date === 'string' && /^\d{4}-\d{2}/.test(date)) {
+        return { year: Number(date.slice(0, 4)), month: Number(date.slice(5, 7)) };
+    }
+    const value = date instanceof Date ? date : new Date(date);
+    return { year: value.getFullYear(), month: value.getMonth() + 1 };
+};
+
+/**
+ * Validate a numbering scheme. Sequences that reset need the period in the
+ * number, or each period would reuse the last one's numbers.
+ * @param {Object} scheme - { format, prefix, reset }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateNumberingScheme(scheme) {
+    const errors = [];
+    const format = String((scheme && scheme.format) || '');
+    const prefix = String((scheme && scheme.prefix) || '').trim();
+    const reset = scheme && scheme.reset;
+
+    if (!format.trim()) {
+        return [{ field: 'format', message: 'Number format is required' }];
+    }
+    if (format.length > 60) {
+        errors.push({ field: 'format', message: 'Number format must be 60 characters or less' });
+    }
+
+    const tokens = tokenize(format).filter(part => part.token);
+    const names = tokens.map(part => part.token);
+    const unknown = names.filter(name => !TOKENS.includes(name));
+    if (unknown.length > 0) {
+        errors.push({ field: 'format', message: `Unknown token {${unknown[0]}}; use ${TOKENS.map(t => `{${t}}`).join(', ')}` });
+    }
+    if (/[{}]/.test(format.replace(TOKEN_PATTERN, ''))) {
+        errors.push({ field: 'format', message: 'Number format has an unclosed { or a stray }' });
+    }
+
+    const sequences = tokens.filter(part => part.token === 'SEQ');
+    if (sequences.length !== 1) {
+        errors.push({ field: 'format', message: 'Number format must contain {SEQ} exactly once' });
+    } else if (sequences[0].width !== null && (sequences[0].width < 1 || sequences[0].width > 10)) {
+        errors.push({ field: 'format', message: 'Sequence width must be between 1 and 10 digits' });
+    }
+    if (tokens.some(part => part.token !== 'SEQ' && part.width !== null)) {
+        errors.push({ field: 'format', message: 'Only {SEQ} takes a width' });
+    }
+
+    if (names.includes('PREFIX') && !prefix) {
+        errors.push({ field: 'prefix', message: 'Prefix is required when the format uses {PREFIX}' });
+    }
+    if (prefix.length > 10) {
+        errors.push({ field: 'prefix', message: 'Prefix must be 10 characters or less' });
+    }
+
+    if (!RESET_POLICIES.includes(reset)) {
+        errors.push({ field: 'reset', message: `Reset policy must be one of: ${RESET_POLICIES.join(', ')}` });
+    } else {
+        const hasYear = names.includes('YYYY') || names.includes('YY');
+        if (reset !== 'never' && !hasYear) {
+            errors.push({ field: 'format', message: `A ${reset} sequence needs {YYYY} or {YY} in the format` });
+        }
+        if (reset === 'monthly' && !names.includes('MM')) {
+            errors.push({ field: 'format', message: 'A monthly sequence needs {MM} in the format' });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Fill in defaults for a document type and check the result
+ * @param {Object} [scheme] - { format, prefix, reset }
+ * @param {string} type - Document type (DOCUMENT_TYPES)
+ * @returns {Object} { format, prefix, reset }
+ * @throws {NumberingError} If the scheme is invalid
+ */
+export function normalizeNumberingScheme(scheme, type) {
+    const normalized = {
+        format: String((scheme && scheme.format) || DEFAULT_NUMBER_FORMAT).trim(),
+        prefix: String((scheme && scheme.prefix) ?? DEFAULT_PREFIXES[type] ?? '').trim(),
+        reset: (scheme && scheme.reset) || 'never'
+    };
+
+    const errors = validateNumberingScheme(normalized);
+    if (errors.length > 0) {
+        throw new NumberingError(errors[0].message, errors);
+    }
+    return normalized;
+}
+
+/**
+ * Period a sequence counts in on a date
+ * @param {string} reset - Reset policy
+ * @param {Date|string} [date] - Allocation date (default now)
+ * @returns {string} '' (never), YYYY (yearly) or YYYY-MM (monthly)
+ */
+export function sequencePeriod(reset, date) {
+    const { year, month } = dateParts(date);
+    if (reset === 'yearly') return String(year);
+    if (reset === 'monthly') return `${year}-${String(month).padStart(2, '0')}`;
+    return '';
+}
+
+/**
+ * Number for a position in a sequence
+ * @param {Object} scheme - { format, prefix, reset }
+ * @param {number} seq - Sequence number
+ * @param {Date|string} [date] - Allocation date (default now)
+ * @returns {string} Document number
+ */
+export function formatDocumentNumber(scheme, seq, date) {
+    const { year, month } = dateParts(date);
+    const values = {
+        PREFIX: String(scheme.prefix || '').trim(),
+        YYYY: String(year),
+        YY: String(year).slice(-2),
+        MM: String(month).padStart(2, '0')
+    };
+
+    return tokenize(scheme.format).map(part => {
+        if (part.literal !== undefined) return part.literal;
+        if (part.token === 'SEQ') return String(seq).padStart(part.width || 1, '0');
+        return values[part.token] ?? '';
+    }).join('');
+}
+
+/**
+ * Take the next number from a sequence. The counter restarts at 1 when its
+ * period has passed; a counter from a scheme without periods keeps counting
+ * when the scheme starts resetting, and the other way round. Numbers
+ * `isTaken` reports as already used (e.g. typed in by hand) are skipped.
+ * @param {Object} scheme - { format, prefix, reset }
+ * @param {Object} [counter] - { period, next }
+ * @param {Object} [options] - { date: allocation date, isTaken: number => boolean }
+ * @returns {Object} { number, seq, counter: the counter to store }
+ */
+export function allocateNumber(scheme, counter, { date = new Date(), isTaken = () => false } = {}) {
+    const period = sequencePeriod(scheme.reset, date);
+    const previous = counter || {};
+    const restart = previous.period && period && previous.period !== period;
+    let seq = restart ? 1 : Math.max(1, parseInt(previous.next, 10) || 1);
+
+    let number = formatDocumentNumber(scheme, seq, date);
+    while (isTaken(number)) {
+        seq += 1;
+        number = formatDocumentNumber(scheme, seq, date);
+    }
+
+    return { number, seq, counter: { period, next: seq + 1 } };
+}
+
+/**
+ * Read a number issued under a scheme back into its parts
+ * @param {Object} scheme - { format, prefix, reset }
+ * @param {string} number - Document number
+ * @returns {Object|null} { seq, period } or null if the number does not follow the scheme
+ */
+export function parseDocumentNumber(scheme, number) {
+    const groups = [];
+    const pattern = tokenize(scheme.format).map(part => {
+        if (part.literal !== undefined) return escapeRegExp(part.literal);
+        groups.push(part.token);
+        switch (part.token) {
+            case 'PREFIX': return `(${escapeRegExp(String(scheme.prefix || '').trim())})`;
+            case 'YYYY': return '(\\d{4})';
+            case 'YY':
+            case 'MM': return '(\\d{2})';
+            default: return part.width ? `(\\d{${part.width},})` : '(\\d+)';
+        }
+    }).join('');
+
+    const match = new RegExp(`^${pattern}$`, 'i').exec(String(number || '').trim());
+    if (!match) return null;
+
+    const values = Object.fromEntries(groups.map((token, index) => [token, match[index + 1]]));
+    const year = values.YYYY || (values.YY && `20${values.YY}`);
+    let period = '';
+    if (scheme.reset === 'yearly') period = year;
+    if (scheme.reset === 'monthly') period = `${year}-${values.MM}`;
+
+    return { seq: Number(values.SEQ), period };
+}
+
+/**
+ * Check issued numbers for gaps and duplicates. Gaps are missing sequence
+ * numbers inside a period; sequences that reset are expected to start at 1,
+ * others at their lowest number. A duplicate is a number, or a sequence
+ * number within a period, issued more than once.
+ * @param {Array<string>} numbers - Issued numbers
+ * @param {Object} scheme - { format, prefix, reset }
+ * @returns {Object} { sequences: [{ period, first, last, count }],
+ *     gaps: [{ period, from, to, count, after, before }], duplicates: [{ period, seq, numbers }],
+ *     unmatched: numbers that do not follow the scheme }
+ */
+export function findNumberingIssues(numbers, scheme) {
+    const groups = new Map();
+    const unmatched = [];
+
+    (numbers || []).forEach(number => {
+        const parsed = parseDocumentNumber(scheme, number);
+        const key = parsed ? `${parsed.period}#${parsed.seq}` : `#${String(number || '').trim().toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, { ...parsed, numbers: [] });
+        groups.get(key).numbers.push(number);
+        if (!parsed) unmatched.push(number);
+    });
+
+    const duplicates = [...groups.values()]
+        .filter(group => group.numbers.length > 1)
+        .map(group => ({ period: group.period ?? null, seq: group.seq ?? null, numbers: group.numbers }));
+
+    const periods = new Map();
+    groups.forEach(group => {
+        if (group.seq === undefined) return;
+        if (!periods.has(group.period)) periods.set(group.period, []);
+        periods.get(group.period).push(group);
+    });
+
+    const sequences = [];
+    const gaps = [];
+    [...periods.keys()].sort().forEach(period => {
+        const issued = periods.get(period).sort((a, b) => a.seq - b.seq);
+        sequences.push({
+            period,
+            first: issued[0].numbers[0],
+            last: issued[issued.length - 1].numbers[0],
+            count: issued.length
+        });
+
+        const start = scheme.reset === 'never' ? issued[0].seq : 1;
+        let expected = start;
+        let previous = null;
+        issued.forEach(group => {
+            if (group.seq > expected) {
+                gaps.push({
+                    period,
+                    from: expected,
+                    to: group.seq - 1,
+                    count: group.seq - expected,
+                    after: previous ? previous.numbers[0] : null,
+                    before: group.numbers[0]
+                });
+            }
+            expected = group.seq + 1;
+            previous = group;
+        });
+    });
+
+    return { sequences, gaps, duplicates, unmatched };
+}
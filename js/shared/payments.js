@@ -0,0 +1,304 @@
+// Payment ledger rules shared by the browser app and the API server.
+// An invoice keeps its payments in `payments` and applied credit notes in
+// `credits`; balance and status derive from both. Tax the client withholds
+// is settled by deduction, so balances are measured against the total less
+// withholding.
+import { transitionStatus } from './invoice-status.js';
+import { roundMoney as roundExact, sumMoney } from './decimal.js';
+
+/**
+ * Accepted payment methods
+ */
+export const PAYMENT_METHODS = ['cash', 'bank_transfer', 'check', 'card', 'online', 'other'];
+
+/**
+ * Raised when a payment cannot be recorded or removed
+ */
+export class PaymentError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'PaymentError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Round an amount to cents (half up, on its exact decimal value)
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+export function roundMoney(value) {
+    return roundExact(Number(value) || 0);
+}
+
+// Paid before the ledger existed: no payments or credits on record
+const isLegacyPaid = (invoice) => invoice.status === 'paid' &&
+    (invoice.payments || []).length === 0 && (invoice.credits || []).length === 0;
+
+/**
+ * Tax withheld by the client. Invoices keep amounts in `totals`; ones the
+ * API saved before the shared schema had them at the top level.
+ * @param {Object} invoice - Invoice
+ * @returns {number} Amount withheld
+ */
+export function getAmountWithheld(invoice) {
+    const amount = invoice.totals ? invoice.totals.withholding : invoice.withholding;
+    return roundMoney(Number(amount) || 0);
+}
+
+/**
+ * Amount the client is expected to pay: the total less withholding
+ * @param {Object} invoice - Invoice
+ * @param {number} total - Invoice total
+ * @returns {number} Net amount payable
+ */
+export function getAmountPayable(invoice, total) {
+    return Math.max(0, roundMoney(total - getAmountWithheld(invoice)));
+}
+
+/**
+ * Total received for an invoice. Invoices marked paid before the ledger
+ * existed have no payments and count as fully paid.
+ * @param {Object} invoice - Invoice with payments and status
+ * @param {number} total - Invoice total
+ * @returns {number} Amount paid
+ */
+export function getAmountPaid(invoice, total) {
+    const payments = invoice.payments || [];
+    if (isLegacyPaid(invoice)) {
+        return getAmountPayable(invoice, total);
+    }
+    return sumMoney(payments.map(payment => Number(payment.amount) || 0));
+}
+
+/**
+ * Total of credit notes applied to an invoice
+ * @param {Object} invoice - Invoice with credits
+ * @returns {number} Amount credited
+ */
+export function getAmountCredited(invoice) {
+    return sumMoney((invoice.credits || []).map(credit => Number(credit.amount) || 0));
+}
+
+/**
+ * Amount still owed on an invoice; withheld tax is not owed
+ * @param {Object} invoice - Invoice with payments, credits and status
+ * @param {number} total - Invoice total
+ * @returns {number} Balance due (never negative)
+ */
+export function getBalanceDue(invoice, total) {
+    return Math.max(0, roundMoney(getAmountPayable(invoice, total) -
+        getAmountPaid(invoice, total) - getAmountCredited(invoice)));
+}
+
+/**
+ * Payments received for an invoice, with a synthetic one standing in for
+ * legacy paid invoices (dated by their last update)
+ * @param {Object} invoice - Invoice
+ * @param {number} total - Invoice total
+ * @returns {Array} Payments
+ */
+export function getEffectivePayments(invoice, total) {
+    const payments = invoice.payments || [];
+    if (isLegacyPaid(invoice)) {
+        const paidAt = invoice.updatedAt ? new Date(invoice.updatedAt) : new Date();
+        return [{ id: 'legacy', amount: getAmountPayable(invoice, total), date: paidAt.toISOString().split('T')[0], method: 'other', reference: '' }];
+    }
+    return payments;
+}
+
+/**
+ * Validate payment input against the current balance
+ * @param {Object} data - { amount, date, method, reference }
+ * @param {number} balanceDue - Current balance due
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validatePayment(data, balanceDue) {
+    const errors = [];
+    const amount = Number(data.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+        errors.push({ field: 'amount', message: 'Amount must be greater than zero' });
+    } else if (roundMoney(amount) > roundMoney(balanceDue)) {
+        errors.push({ field: 'amount', message: `Amount exceeds the balance due of ${roundMoney(balanceDue).toFixed(2)}` });
+    }
+
+    if (!data.date || !/^\d{4}-\d{2}-\d{2}$/.test(data.date) || isNaN(new Date(data.date).getTime())) {
+        errors.push({ field: 'date', message: 'Payment date must be a valid YYYY-MM-DD date' });
+    }
+
+    if (data.method && !PAYMENT_METHODS.includes(data.method)) {
+        errors.push({ field: 'method', message: `Method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    return errors;
+}
+
+/**
+ * Status an invoice should have for a given settled amount (payments plus
+ * credits). When nothing is settled any more, it returns to the open status
+ * it had before.
+ * @param {Object} invoice - Invoice with status and statusHistory
+ * @param {number} amountSettled - Amount paid or credited
+ * @param {number} total - Amount payable (total less withholding)
+ * @param {string} unpaidStatus - Fallback open status ('unpaid' or 'sent')
+ * @returns {string} Target status
+ */
+export function statusForPayments(invoice, amountSettled, total, unpaidStatus) {
+    if (amountSettled > 0 && amountSettled >= roundMoney(total)) return 'paid';
+    if (amountSettled > 0) return 'partially_paid';
+    if (!['partially_paid', 'paid'].includes(invoice.status)) return invoice.status;
+
+    const settled = ['partially_paid', 'paid'];
+    const history = invoice.statusHistory || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        if (settled.includes(entry.to) && entry.from && !settled.includes(entry.from)) {
+            return entry.from;
+        }
+    }
+    return unpaidStatus;
+}
+
+/**
+ * Replace an invoice's payments and/or credits and move its status to match
+ * @param {Object} invoice - Invoice with status, statusHistory, payments and credits
+ * @param {Object} settlement - New { payments } and/or { credits }
+ * @param {Object} options - { total, unpaidStatus, actor, reason }
+ * @returns {Object} Updated fields (settlement lists, status, statusHistory)
+ */
+export function applySettlement(invoice, settlement, { total, unpaidStatus, actor, reason = '' }) {
+    const next = { ...invoice, ...settlement, status: null };
+    const amountSettled = roundMoney(getAmountPaid(next, total) + getAmountCredited(next));
+    const target = statusForPayments(invoice, amountSettled, getAmountPayable(invoice, total), unpaidStatus);
+
+    // Voided invoices keep their status; only the ledger changes
+    let statusFields = { status: invoice.status, statusHistory: invoice.statusHistory || [] };
+    if (target !== invoice.status && invoice.status !== 'cancelled') {
+        // Leaving paid (a payment was removed) is a reopen and needs the reason
+        statusFields = transitionStatus(invoice, target, {
+            automatic: true,
+            action: invoice.status === 'paid' ? 'reopen' : null,
+            reason,
+            actor
+        });
+    }
+
+    return { ...settlement, ...statusFields };
+}
+
+/**
+ * Record a payment against an invoice
+ * @param {Object} invoice - Invoice
+ * @param {Object} data - { amount, date, method, reference, note }
+ * @param {Object} options - { id, total, unpaidStatus, actor }
+ * @returns {{payment: Object, changes: Object}} New payment and invoice fields to write back
+ * @throws {PaymentError} If the payment is invalid
+ */
+export function recordPayment(invoice, data, { id, total, unpaidStatus, actor }) {
+    if (invoice.status === 'cancelled') {
+        throw new PaymentError('Cannot record a payment on a cancelled invoice');
+    }
+
+    const errors = validatePayment(data, getBalanceDue(invoice, total));
+    if (errors.length > 0) {
+        throw new PaymentError(errors[0].message, errors);
+    }
+
+    const payment = {
+        id,
+        amount: roundMoney(data.amount),
+        date: data.date,
+        method: data.method || 'other',
+        reference: String(data.reference || '').trim(),
+        note: String(data.note || '').trim(),
+        recordedBy: actor ? { id: actor.id ?? null, name: actor.name || '' } : null,
+        recordedAt: new Date().toISOString()
+    };
+
+    const reference = payment.reference ? ` (${payment.reference})` : '';
+    const changes = applySettlement(invoice, { payments: [...(invoice.payments || []), payment] }, {
+        total,
+        unpaidStatus,
+        actor,
+        reason: `Payment of ${payment.amount.toFixed(2)} received${reference}`
+    });
+
+    return { payment, changes };
+}
+
+/**
+ * Remove a payment from an invoice
+ * @param {Object} invoice - Invoice
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { total, unpaidStatus, actor }
+ * @returns {{payment: Object, changes: Object}} Removed payment and invoice fields to write back
+ * @throws {PaymentError} If the payment does not exist
+ */
+export function removePayment(invoice, paymentId, { total, unpaidStatus, actor }) {
+    const payments = invoice.payments || [];
+    const payment = payments.find(p => p.id === paymentId);
+    if (!payment) {
+        throw new PaymentError('Payment not found');
+    }
+
+    const reference = payment.reference ? ` (${payment.reference})` : '';
+    const changes = applySettlement(invoice, { payments: payments.filter(p => p.id !== paymentId) }, {
+        total,
+        unpaidStatus,
+        actor,
+        reason: `Payment of ${Number(payment.amount).toFixed(2)} removed${reference}`
+    });
+
+    return { payment, changes };
+}
+
+/**
+ * Apply a credit note to an invoice, up to its balance due. Any remainder
+ * stays with the credit note as unapplied client credit.
+ * @param {Object} invoice - Invoice
+ * @param {Object} creditNote - { id, total, issueDate } (the id is the credit note number)
+ * @param {Object} options - { total, unpaidStatus, actor }
+ * @returns {{applied: number, changes: Object}} Amount applied and invoice fields to write back
+ */
+export function applyCredit(invoice, creditNote, { total, unpaidStatus, actor }) {
+    const applied = Math.min(roundMoney(creditNote.total), getBalanceDue(invoice, total));
+    if (applied <= 0) {
+        return { applied: 0, changes: {} };
+    }
+
+    const credit = {
+        creditNoteId: creditNote.id,
+        amount: applied,
+        date: creditNote.issueDate
+    };
+    const changes = applySettlement(invoice, { credits: [...(invoice.credits || []), credit] }, {
+        total,
+        unpaidStatus,
+        actor,
+        reason: `Credit note ${creditNote.id} applied (${applied.toFixed(2)})`
+    });
+
+    return { applied, changes };
+}
+
+/**
+ * Take a credit note's allocation off an invoice (e.g. when it is voided)
+ * @param {Object} invoice - Invoice
+ * @param {Object} creditNote - { id }
+ * @param {Object} options - { total, unpaidStatus, actor }
+ * @returns {Object} Invoice fields to write back (empty if nothing was applied)
+ */
+export function removeCredit(invoice, creditNote, { total, unpaidStatus, actor }) {
+    const credits = invoice.credits || [];
+    if (!credits.some(credit => credit.creditNoteId === creditNote.id)) {
+        return {};
+    }
+
+    return applySettlement(invoice, { credits: credits.filter(credit => credit.creditNoteId !== creditNote.id) }, {
+        total,
+        unpaidStatus,
+        actor,
+        reason: `Credit note ${creditNote.id} voided`
+    });
+}
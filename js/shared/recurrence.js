@@ -0,0 +1,175 @@
+// Recurring invoice schedule rules shared by the browser app and the API server.
+// Dates are plain YYYY-MM-DD strings and all arithmetic is done in UTC so a
+// schedule never drifts with the server's time zone.
+
+/**
+ * Supported repeat intervals
+ */
+export const RECURRING_INTERVALS = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Raised when a recurring schedule is invalid
+ */
+export class RecurrenceError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'RecurrenceError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check whether a value is a real YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+export function isDateString(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const toUTC = (value) => new Date(`${value}T00:00:00Z`);
+const fromUTC = (date) => date.toISOString().slice(0, 10);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Add a number of days to a date
+ * @param {string} value - YYYY-MM-DD date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD date
+ */
+export function addDays(value, days) {
+    const date = toUTC(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return fromUTC(date);
+}
+
+/**
+ * Whole days between two dates
+ * @param {string} from - YYYY-MM-DD date
+ * @param {string} to - YYYY-MM-DD date
+ * @returns {number} Days from `from` to `to`
+ */
+export function daysBetween(from, to) {
+    return Math.round((toUTC(to) - toUTC(from)) / 86400000);
+}
+
+/**
+ * Date of the run after `value`. Month-based intervals keep to the anchor
+ * day, clamped to short months, so a series started on the 31st runs on
+ * Jan 31, Feb 28, Mar 31 rather than drifting to the 28th.
+ * @param {string} value - Current run date (YYYY-MM-DD)
+ * @param {string} interval - One of RECURRING_INTERVALS
+ * @param {number} [anchorDay] - Day of month the series started on
+ * @returns {string} Next run date (YYYY-MM-DD)
+ */
+export function nextRunDate(value, interval, anchorDay = null) {
+    if (interval === 'daily') return addDays(value, 1);
+    if (interval === 'weekly') return addDays(value, 7);
+
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[interval];
+    if (!months) {
+        throw new RecurrenceError(`Invalid interval "${interval}". Must be one of: ${RECURRING_INTERVALS.join(', ')}`);
+    }
+
+    const date = toUTC(value);
+    const target = date.getUTCMonth() + months;
+    const year = date.getUTCFullYear() + Math.floor(target / 12);
+    const month = target % 12;
+    const day = Math.min(anchorDay || date.getUTCDate(), daysInMonth(year, month));
+    return fromUTC(new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Validate recurring settings
+ * @param {Object} recurring - { enabled, interval, nextRun, endDate, maxOccurrences, autoSend }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateRecurring(recurring) {
+    const errors = [];
+    if (!recurring || !recurring.enabled) return errors;
+
+    if (!RECURRING_INTERVALS.includes(recurring.interval)) {
+        errors.push({ field: 'interval', message: `Interval must be one of: ${RECURRING_INTERVALS.join(', ')}` });
+    }
+
+    if (!isDateString(recurring.nextRun)) {
+        errors.push({ field: 'nextRun', message: 'Next run must be a valid YYYY-MM-DD date' });
+    }
+
+    if (recurring.endDate) {
+        if (!isDateString(recurring.endDate)) {
+            errors.push({ field: 'endDate', message: 'End date must be a valid YYYY-MM-DD date' });
+        } else if (isDateString(recurring.nextRun) && recurring.endDate < recurring.nextRun) {
+            errors.push({ field: 'endDate', message: 'End date cannot be before the next run' });
+        }
+    }
+
+    if (recurring.maxOccurrences !== null && recurring.maxOccurrences !== undefined && recurring.maxOccurrences !== '') {
+        const max = Number(recurring.maxOccurrences);
+        if (!Number.isInteger(max) || max < 1) {
+            errors.push({ field: 'maxOccurrences', message: 'Occurrences must be a whole number of at least 1' });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check whether a schedule has run its course: the end date has passed or
+ * the occurrence count is reached
+ * @param {Object} recurring - Recurring settings with occurrences
+ * @param {string} [runDate] - Candidate run date (defaults to nextRun)
+ * @returns {boolean} True if no further run should happen
+ */
+export function isRecurrenceComplete(recurring, runDate = recurring.nextRun) {
+    if (recurring.maxOccurrences && (recurring.occurrences || 0) >= recurring.maxOccurrences) return true;
+    if (recurring.endDate && runDate > recurring.endDate) return true;
+    return false;
+}
+
+/**
+ * Merge recurring input over the stored settings and validate the result.
+ * Run bookkeeping (occurrences, lastRunDate) is kept; moving nextRun
+ * re-anchors the series on the new day of month.
+ * @param {Object} input - Recurring settings from the client
+ * @param {Object} [current] - Stored recurring settings
+ * @returns {Object} Recurring settings to store
+ * @throws {RecurrenceError} If the settings are invalid
+ */
+export function normalizeRecurring(input, current = {}) {
+    const merged = { ...current, ...input };
+    const maxOccurrences = merged.maxOccurrences === '' || merged.maxOccurrences === undefined ?
+        null : merged.maxOccurrences;
+
+    const recurring = {
+        enabled: !!merged.enabled,
+        interval: merged.interval || 'monthly',
+        nextRun: merged.nextRun || null,
+        endDate: merged.endDate || null,
+        maxOccurrences: maxOccurrences === null ? null : Number(maxOccurrences),
+        autoSend: !!merged.autoSend,
+        anchorDay: merged.anchorDay || null,
+        occurrences: Number(current.occurrences) || 0,
+        lastRunDate: current.lastRunDate || null,
+        completedAt: current.completedAt || null
+    };
+
+    const errors = validateRecurring(recurring);
+    if (errors.length > 0) {
+        throw new RecurrenceError(errors[0].message, errors);
+    }
+
+    if (recurring.nextRun && recurring.nextRun !== current.nextRun) {
+        recurring.anchorDay = Number(recurring.nextRun.slice(8, 10));
+    }
+    // Re-enabling a finished schedule starts it again
+    if (recurring.enabled && recurring.completedAt && !isRecurrenceComplete(recurring)) {
+        recurring.completedAt = null;
+    }
+
+    return recurring;
+}
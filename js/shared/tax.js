@@ -0,0 +1,215 @@
+// Tax definitions and line tax calculation shared by the browser app and the
+// API server.
+//
+// A line can carry several taxes. Simple taxes are charged on the line amount
+// after discount; a compound tax is charged on that amount plus every tax
+// applied before it (simple taxes first, then compound taxes in order).
+// In tax-inclusive mode the line amount already contains all of its taxes and
+// is split back into a net amount and the tax portions.
+//
+// Withholding tax (the Philippine expanded withholding tax, EWT) works the
+// other way: the client deducts a percentage of the taxable base from what it
+// pays and remits it to the tax authority on the seller's behalf.
+//
+// Amounts are computed exactly (./decimal.js) and rounded with the document's
+// rounding mode.
+import {
+    decimal, add, multiply, divide, percent, toMinor, fromMinor, DEFAULT_ROUNDING
+} from './decimal.js';
+
+/**
+ * Common expanded withholding tax rates, in percent
+ */
+export const WITHHOLDING_RATES = [0.5, 1, 2, 5, 10, 15];
+
+/**
+ * Raised when a tax definition is invalid
+ */
+export class TaxError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'TaxError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a tax definition
+ * @param {Object} tax - { name, rate, compound }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateTaxDefinition(tax) {
+    const errors = [];
+
+    if (!tax || typeof tax.name !== 'string' || !tax.name.trim()) {
+        errors.push({ field: 'name', message: 'Tax name is required' });
+    } else if (tax.name.trim().length > 40) {
+        errors.push({ field: 'name', message: 'Tax name must be 40 characters or less' });
+    }
+
+    const rate = Number(tax && tax.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        errors.push({ field: 'rate', message: 'Tax rate must be between 0 and 100' });
+    }
+
+    return errors;
+}
+
+/**
+ * Clean up and validate a tax definition
+ * @param {Object} input - { id, name, rate, compound }
+ * @returns {Object} { id, name, rate, compound }
+ * @throws {TaxError} If the definition is invalid
+ */
+export function normalizeTaxDefinition(input) {
+    const errors = validateTaxDefinition(input);
+    if (errors.length > 0) {
+        throw new TaxError(errors[0].message, errors);
+    }
+
+    return {
+        id: input.id || null,
+        name: input.name.trim(),
+        rate: Number(input.rate),
+        compound: !!input.compound
+    };
+}
+
+/**
+ * Label for a tax in breakdowns, e.g. "VAT 12%"
+ * @param {Object} tax - { name, rate }
+ * @returns {string} Label
+ */
+export function formatTaxLabel(tax) {
+    return tax.rate === null || tax.rate === undefined ? tax.name : `${tax.name} ${Number(tax.rate)}%`;
+}
+
+/**
+ * Taxes in the order they are applied: simple taxes, then compound taxes
+ * @param {Array} taxes - Tax definitions
+ * @returns {Array} Ordered copy
+ */
+export function orderTaxes(taxes) {
+    const list = taxes || [];
+    return [...list.filter(tax => !tax.compound), ...list.filter(tax => tax.compound)];
+}
+
+/**
+ * Exact (unrounded) taxes on a line amount
+ * @param {number|Object} amount - Line amount after discount (number or fraction)
+ * @param {Array} taxes - Taxes on the line: { id, name, rate, compound }
+ * @param {Object} [options] - { inclusive: amount already includes the taxes }
+ * @returns {Object} { net, taxes: [{ id, name, rate, compound, taxableAmount, amount }] } as fractions
+ */
+export function computeLineTaxes(amount, taxes, { inclusive = false } = {}) {
+    const ordered = orderTaxes(taxes);
+
+    // Tax per unit of net amount, and the base each tax is charged on
+    let applied = decimal(0);
+    const factors = ordered.map(tax => {
+        const base = tax.compound ? add(1, applied) : decimal(1);
+        const factor = multiply(base, percent(Number(tax.rate) || 0));
+        applied = add(applied, factor);
+        return { base, factor };
+    });
+
+    const net = inclusive ? divide(amount, add(1, applied)) : decimal(amount);
+    return {
+        net,
+        taxes: ordered.map((tax, index) => ({
+            id: tax.id || null,
+            name: tax.name,
+            rate: Number(tax.rate) || 0,
+            compound: !!tax.compound,
+            taxableAmount: multiply(net, factors[index].base),
+            amount: multiply(net, factors[index].factor)
+        }))
+    };
+}
+
+/**
+ * Split a line amount into its net amount and taxes, rounding each tax
+ * @param {number|Object} amount - Line amount after discount, in cents
+ * @param {Array} taxes - Taxes on the line: { id, name, rate, compound }
+ * @param {Object} [options] - { inclusive, mode: rounding mode }
+ * @returns {Object} { net, tax, gross, taxes: [{ id, name, rate, compound, taxableAmount, amount }] }
+ */
+export function calculateLineTaxes(amount, taxes, { inclusive = false, mode = DEFAULT_ROUNDING.mode } = {}) {
+    const exact = computeLineTaxes(amount, taxes, { inclusive });
+    const lines = exact.taxes.map(line => ({
+        ...line,
+        taxableAmount: fromMinor(toMinor(line.taxableAmount, mode)),
+        amount: fromMinor(toMinor(line.amount, mode))
+    }));
+
+    const taxMinor = lines.reduce((sum, line) => sum + toMinor(line.amount), 0);
+    // Inclusive amounts keep the price the customer saw; rounding goes to net
+    const netMinor = inclusive ? toMinor(amount, mode) - taxMinor : toMinor(amount, mode);
+
+    return {
+        net: fromMinor(netMinor),
+        tax: fromMinor(taxMinor),
+        gross: fromMinor(netMinor + taxMinor),
+        taxes: lines
+    };
+}
+
+/**
+ * Combine line taxes into one entry per tax for the document totals. The
+ * sums are exact; each is rounded once.
+ * @param {Array<Array>} lineTaxes - The `taxes` of each line (numbers or fractions)
+ * @param {string} [mode] - Rounding mode
+ * @returns {Array} [{ id, name, rate, compound, taxableAmount, amount }]
+ */
+export function summarizeTaxes(lineTaxes, mode = DEFAULT_ROUNDING.mode) {
+    const summary = new Map();
+
+    (lineTaxes || []).flat().forEach(line => {
+        const key = line.id || `${line.name}|${line.rate}|${line.compound}`;
+        const entry = summary.get(key) || { ...line, taxableAmount: decimal(0), amount: decimal(0) };
+        entry.taxableAmount = add(entry.taxableAmount, line.taxableAmount);
+        entry.amount = add(entry.amount, line.amount);
+        summary.set(key, entry);
+    });
+
+    return [...summary.values()].map(entry => ({
+        ...entry,
+        taxableAmount: fromMinor(toMinor(entry.taxableAmount, mode)),
+        amount: fromMinor(toMinor(entry.amount, mode))
+    }));
+}
+
+/**
+ * Breakdown entry for a flat tax charged on a document as a whole rather
+ * than per line (documents from before line taxes). It has no rate.
+ * @param {number} amount - Flat tax
+ * @param {number} taxableAmount - Amount it was charged on
+ * @returns {Array} [{ id, name, rate, compound, taxableAmount, amount }], empty without a tax
+ */
+export function flatTaxBreakdown(amount, taxableAmount) {
+    return amount > 0 ? [{ id: null, name: 'Tax', rate: null, compound: false, taxableAmount, amount }] : [];
+}
+
+/**
+ * Validate a withholding tax rate (0 means none)
+ * @param {number} rate - Rate in percent
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateWithholdingRate(rate) {
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value < 0 || value >= 100) {
+        return [{ field: 'withholdingRate', message: 'Withholding tax rate must be at least 0 and below 100' }];
+    }
+    return [];
+}
+
+/**
+ * Amount withheld from a taxable base
+ * @param {number} taxableBase - Amount net of taxes, after discounts
+ * @param {number} rate - Withholding rate in percent
+ * @param {string} [mode] - Rounding mode
+ * @returns {number} Amount withheld
+ */
+export function calculateWithholding(taxableBase, rate, mode = DEFAULT_ROUNDING.mode) {
+    return fromMinor(toMinor(multiply(taxableBase || 0, percent(Number(rate) || 0)), mode));
+}
@@ -0,0 +1,348 @@
+// Line item and document totals shared by the browser models and the API
+// server, so an invoice adds up the same way in both.
+//
+// Lines are { qty, unitPrice, unit, discountType, discountRate, discountAmount,
+// taxes }. A line discount is a percentage of the line (discountRate) or a
+// fixed amount off it (discountAmount), as discountType says. A document may
+// also have an invoice-level discount { type, value }, taken before tax and
+// split over the lines in proportion to their amounts so each line's taxes
+// are charged on what is actually billed.
+//
+// Amounts stay exact (./decimal.js) until rounded: with the line rounding
+// strategy every line is rounded and the totals are sums of the rounded
+// lines; with the invoice strategy the exact line amounts are summed and
+// rounded once.
+import {
+    decimal, add, subtract, multiply, divide, percent, toMinor, roundMoney, sumMoney, DEFAULT_ROUNDING
+} from './decimal.js';
+import {
+    computeLineTaxes, calculateLineTaxes, summarizeTaxes, calculateWithholding, validateTaxDefinition,
+    flatTaxBreakdown
+} from './tax.js';
+
+/**
+ * Raised when amounts sent with a document are invalid or do not match the
+ * calculated totals
+ */
+export class TotalsError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'TotalsError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * How a discount is given: a percentage or a fixed amount
+ */
+export const DISCOUNT_TYPES = ['percent', 'amount'];
+
+/**
+ * Exact discount on an amount: a percentage of it, or a fixed amount of at
+ * most the amount itself
+ * @param {number|Object} base - Amount discounted
+ * @param {string} type - One of DISCOUNT_TYPES
+ * @param {number} value - Rate in percent, or the amount off
+ * @returns {Object} Fraction
+ */
+const discountOn = (base, type, value) => {
+    const number = Number(value) || 0;
+    if (type !== 'amount') return multiply(base, percent(number));
+    return toMinor(number) > toMinor(base) ? decimal(base) : decimal(number);
+};
+
+/**
+ * Discount on a line as entered
+ * @param {Object} line - { discountType, discountRate, discountAmount }
+ * @param {number|Object} subtotal - qty x unitPrice
+ * @returns {Object} Fraction
+ */
+const lineDiscountOn = (line, subtotal) => line.discountType === 'amount' ?
+    discountOn(subtotal, 'amount', line.discountAmount) :
+    discountOn(subtotal, 'percent', line.discountRate);
+
+/**
+ * Exact qty x unitPrice of a line. A quantity or price that is not a finite
+ * number (one still being typed, say) counts as 0, so the totals stay numbers
+ * while validateLineAmounts reports it.
+ * @param {Object} line - { qty, unitPrice }
+ * @returns {Object} Fraction
+ */
+const lineSubtotal = line => {
+    const [qty, unitPrice] = [line.qty, line.unitPrice].map(Number).map(n => Number.isFinite(n) ? n : 0);
+    return multiply(qty, unitPrice);
+};
+
+/**
+ * Split an invoice-level discount over lines in proportion to their amounts.
+ * Rounded shares are whole cents, handed out by largest remainder so they
+ * add up to the discount exactly.
+ * @param {Array<number|Object>} amounts - Line amounts after line discounts
+ * @param {number|Object} discount - Discount to split
+ * @param {string} [mode] - Rounding mode; without one the shares are exact fractions
+ * @returns {Array<number|Object>} Share of each line
+ */
+export function allocateDiscount(amounts, discount, mode = null) {
+    const total = add(...amounts);
+    if (total.n <= 0n) {
+        return amounts.map(() => (mode ? 0 : decimal(0)));
+    }
+
+    const shares = amounts.map(amount => divide(multiply(discount, amount), total));
+    if (!mode) return shares;
+
+    // Whole cents of each share and the fraction of a cent left over
+    const parts = shares.map((share, index) => {
+        const { n, d } = multiply(share, 100);
+        return { index, cents: n / d, rest: n % d, d };
+    });
+    let left = BigInt(toMinor(discount, mode)) - parts.reduce((sum, part) => sum + part.cents, 0n);
+
+    [...parts]
+        .sort((a, b) => {
+            const diff = b.rest * a.d - a.rest * b.d;
+            return diff > 0n ? 1 : (diff < 0n ? -1 : a.index - b.index);
+        })
+        .forEach(part => {
+            if (left > 0n) {
+                part.cents += 1n;
+                left -= 1n;
+            }
+        });
+
+    return parts.map(part => Number(part.cents) / 100);
+}
+
+/**
+ * Exact (unrounded) line amounts
+ * @param {Object} line - { qty, unitPrice, discountType, discountRate, discountAmount, taxes }
+ * @param {Object} [options] - { taxInclusive: prices include tax, invoiceDiscount: the line's
+ *     share of the invoice-level discount }
+ * @returns {Object} { subtotal, discount, amount, invoiceDiscount, net, taxes } as fractions;
+ *     amount is after the line discount, taxes are on amount less invoiceDiscount
+ */
+export function calculateLineExact(line, { taxInclusive = false, invoiceDiscount = 0 } = {}) {
+    const subtotal = lineSubtotal(line);
+    const discount = lineDiscountOn(line, subtotal);
+    const amount = subtract(subtotal, discount);
+    const share = decimal(invoiceDiscount);
+    const { net, taxes } = computeLineTaxes(subtract(amount, share), line.taxes, { inclusive: taxInclusive });
+
+    return { subtotal, discount, amount, invoiceDiscount: share, net, taxes };
+}
+
+/**
+ * Line totals rounded on the line. With tax-inclusive pricing the unit price
+ * already contains the taxes and taxableBase is the amount net of them.
+ * @param {Object} line - { qty, unitPrice, discountType, discountRate, discountAmount, taxes }
+ * @param {Object} [options] - { taxInclusive, rounding: { mode }, invoiceDiscount: the line's
+ *     share of the invoice-level discount, in cents }
+ * @returns {Object} { subtotal, discount, amount, invoiceDiscount, taxableBase, tax, taxes, total }
+ */
+export function calculateLineTotals(line, {
+    taxInclusive = false, rounding = DEFAULT_ROUNDING, invoiceDiscount = 0
+} = {}) {
+    const { mode } = rounding;
+    const subtotal = roundMoney(lineSubtotal(line), mode);
+    const discount = roundMoney(lineDiscountOn(line, subtotal), mode);
+    const amount = sumMoney([subtotal, -discount]);
+    const share = roundMoney(invoiceDiscount, mode);
+    const { net, tax, gross, taxes } = calculateLineTaxes(sumMoney([amount, -share]), line.taxes, {
+        inclusive: taxInclusive,
+        mode
+    });
+
+    return {
+        subtotal,
+        discount,
+        amount,
+        invoiceDiscount: share,
+        taxableBase: net,
+        tax,
+        taxes,
+        total: gross
+    };
+}
+
+/**
+ * The invoice-level discount of a document and each line's share of it. With
+ * the invoice rounding strategy they stay exact; with the line strategy they
+ * are in whole cents.
+ * @param {Object} document - { items, invoiceDiscount, rounding }
+ * @returns {Object} { amounts, discount, shares }; amounts are the line amounts after line discounts
+ */
+export function splitInvoiceDiscount({ items = [], invoiceDiscount = null, rounding = DEFAULT_ROUNDING }) {
+    const { mode, strategy } = rounding;
+    const { type, value } = invoiceDiscount || {};
+
+    if (strategy === 'invoice') {
+        const amounts = items.map(item => calculateLineExact(item).amount);
+        const discount = discountOn(add(...amounts), type, value);
+        return { amounts, discount, shares: allocateDiscount(amounts, discount) };
+    }
+
+    const amounts = items.map(item => calculateLineTotals(item, { rounding }).amount);
+    const discount = roundMoney(discountOn(sumMoney(amounts), type, value), mode);
+    return { amounts, discount, shares: allocateDiscount(amounts, discount, mode) };
+}
+
+/**
+ * Document totals. Subtotal and discount are in the prices as entered, so
+ * they include tax when taxInclusive is set; discount covers line and
+ * invoice-level discounts, invoiceDiscount the invoice-level part alone.
+ * taxableBase is always net of tax and `taxes` breaks the tax down per tax.
+ * Withholding is taken on the taxable base (shipping excluded) and
+ * netPayable is what the client pays. A flat tax (documents from before
+ * line taxes) is added to the line taxes.
+ * @param {Object} document - { items, invoiceDiscount, shipping, flatTax, taxInclusive, withholdingRate, rounding }
+ * @returns {Object} Calculated totals
+ */
+export function calculateDocumentTotals({
+    items = [], invoiceDiscount = null, shipping = 0, flatTax = 0, taxInclusive = false, withholdingRate = 0,
+    rounding = DEFAULT_ROUNDING
+}) {
+    const { mode, strategy } = rounding;
+    const split = splitInvoiceDiscount({ items, invoiceDiscount, rounding });
+    const documentDiscount = roundMoney(split.discount, mode);
+    let subtotal;
+    let discount;
+    let taxableBase;
+    let taxes;
+
+    if (strategy === 'invoice') {
+        const lines = items.map((item, index) => calculateLineExact(item, {
+            taxInclusive,
+            invoiceDiscount: split.shares[index]
+        }));
+        const amount = roundMoney(subtract(add(...split.amounts), split.discount), mode);
+        subtotal = roundMoney(add(...lines.map(line => line.subtotal)), mode);
+        discount = sumMoney([subtotal, -amount]);
+        taxes = summarizeTaxes(lines.map(line => line.taxes), mode);
+        // Inclusive prices keep the amount entered; rounding goes to the base
+        taxableBase = taxInclusive ? sumMoney([amount, ...taxes.map(entry => -entry.amount)]) : amount;
+    } else {
+        const lineTotals = items.map((item, index) => calculateLineTotals(item, {
+            taxInclusive,
+            rounding,
+            invoiceDiscount: split.shares[index]
+        }));
+        subtotal = sumMoney(lineTotals.map(totals => totals.subtotal));
+        discount = sumMoney([...lineTotals.map(totals => totals.discount), documentDiscount]);
+        taxableBase = sumMoney(lineTotals.map(totals => totals.taxableBase));
+        taxes = summarizeTaxes(lineTotals.map(totals => totals.taxes), mode);
+    }
+
+    taxes = [...taxes, ...flatTaxBreakdown(roundMoney(Number(flatTax) || 0, mode), taxableBase)];
+    const tax = sumMoney(taxes.map(entry => entry.amount));
+    const shippingAmount = roundMoney(Number(shipping) || 0, mode);
+    const grand = sumMoney([taxableBase, tax, shippingAmount]);
+    const withholding = calculateWithholding(taxableBase, withholdingRate, mode);
+
+    return {
+        subtotal,
+        discount,
+        invoiceDiscount: documentDiscount,
+        taxableBase,
+        tax,
+        taxes,
+        taxInclusive: !!taxInclusive,
+        shipping: shippingAmount,
+        grand,
+        withholdingRate: Number(withholdingRate) || 0,
+        withholding,
+        netPayable: sumMoney([grand, -withholding])
+    };
+}
+
+/**
+ * Validate the numbers and unit on a line
+ * @param {Object} line - { qty, unitPrice, unit, discountType, discountRate, discountAmount, taxes }
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateLineAmounts(line) {
+    const errors = [];
+    const qty = Number(line.qty);
+    const unitPrice = Number(line.unitPrice);
+    const discountRate = Number(line.discountRate || 0);
+    const discountAmount = Number(line.discountAmount || 0);
+
+    if (!Number.isFinite(qty) || qty <= 0) {
+        errors.push({ field: 'qty', message: 'Quantity must be greater than 0' });
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+        errors.push({ field: 'unitPrice', message: 'Unit price must be a number of at least 0' });
+    }
+    if (line.unit !== undefined && line.unit !== null && String(line.unit).trim().length > 20) {
+        errors.push({ field: 'unit', message: 'Unit must be 20 characters or less' });
+    }
+    if (line.discountType !== undefined && !DISCOUNT_TYPES.includes(line.discountType)) {
+        errors.push({ field: 'discountType', message: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` });
+    }
+    if (!Number.isFinite(discountRate) || discountRate < 0 || discountRate > 100) {
+        errors.push({ field: 'discountRate', message: 'Discount rate must be between 0 and 100' });
+    }
+    if (!Number.isFinite(discountAmount) || discountAmount < 0) {
+        errors.push({ field: 'discountAmount', message: 'Discount amount must be a number of at least 0' });
+    } else if (line.discountType === 'amount' && Number.isFinite(qty) && Number.isFinite(unitPrice) &&
+        toMinor(discountAmount) > toMinor(multiply(qty, unitPrice))) {
+        errors.push({ field: 'discountAmount', message: 'Discount amount cannot be more than the line amount' });
+    }
+    if (line.taxes !== undefined && !Array.isArray(line.taxes)) {
+        errors.push({ field: 'taxes', message: 'Taxes must be a list' });
+    }
+    (Array.isArray(line.taxes) ? line.taxes : []).forEach((tax, index) => {
+        validateTaxDefinition(tax).forEach(error => errors.push({
+            field: `taxes[${index}].${error.field}`,
+            message: error.message
+        }));
+    });
+
+    return errors;
+}
+
+/**
+ * Validate an invoice-level discount (null for none)
+ * @param {Object} discount - { type, value }
+ * @param {number} [linesAmount] - Sum of the line amounts, to check a fixed discount against
+ * @returns {Array<{field: string, message: string}>} Validation errors
+ */
+export function validateInvoiceDiscount(discount, linesAmount) {
+    if (discount === undefined || discount === null) return [];
+
+    const errors = [];
+    const value = Number(discount.value);
+    if (!DISCOUNT_TYPES.includes(discount.type)) {
+        errors.push({ field: 'invoiceDiscount.type', message: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` });
+    }
+    if (!Number.isFinite(value) || value < 0) {
+        errors.push({ field: 'invoiceDiscount.value', message: 'Invoice discount must be a number of at least 0' });
+    } else if (discount.type === 'percent' && value > 100) {
+        errors.push({ field: 'invoiceDiscount.value', message: 'Invoice discount rate must be between 0 and 100' });
+    } else if (discount.type === 'amount' && linesAmount !== undefined && toMinor(value) > toMinor(linesAmount)) {
+        errors.push({ field: 'invoiceDiscount.value', message: 'Invoice discount cannot be more than the line amounts' });
+    }
+    return errors;
+}
+
+/**
+ * Check amounts sent with a document against the calculated ones. Amounts
+ * that were not sent are not checked; sent amounts must match to the cent.
+ * @param {Object} received - Amounts as sent, by field
+ * @param {Object} expected - Calculated amounts, by field
+ * @param {string} [mode] - Rounding mode
+ * @returns {Array<{field, message, expected, received}>} One entry per mismatch
+ */
+export function compareAmounts(received, expected, mode = DEFAULT_ROUNDING.mode) {
+    return Object.keys(expected)
+        .filter(field => received[field] !== undefined && received[field] !== null && received[field] !== '')
+        .filter(field => {
+            const value = Number(received[field]);
+            return !Number.isFinite(value) || roundMoney(value, mode) !== expected[field];
+        })
+        .map(field => ({
+            field,
+            message: `${field} should be ${expected[field].toFixed(2)}, not ${received[field]}`,
+            expected: expected[field],
+            received: received[field]
+        }));
+}
@@ -0,0 +1,92 @@
+// Soft delete, shared by the browser app and the API server. Deleting an
+// invoice or a client moves it to the trash instead of removing it: the
+// record stays in its collection, marked
+//
+//   { deletedAt, deletedBy: { id, name }, trashedWith }
+//
+// where trashedWith is the id of the client whose deletion took the record
+// along (so restoring the client brings it back too). Trashed records are
+// left out of lists and stats, keep their numbers, and can be restored or,
+// once the retention period has passed, purged for good.
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when a record cannot be moved to, restored from or purged from the trash
+ */
+export class TrashError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'TrashError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Whether a record is in the trash
+ * @param {Object} record - Invoice or client
+ * @returns {boolean}
+ */
+export function isTrashed(record) {
+    return !!(record && record.deletedAt);
+}
+
+/**
+ * Retention period in whole days, falling back to the default
+ * @param {*} days - Configured retention
+ * @returns {number} Days, at least 0
+ */
+export function normalizeRetentionDays(days) {
+    const value = Number(days);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Copy of a record moved to the trash
+ * @param {Object} record - Invoice or client
+ * @param {Object} [options] - { actor: { id, name }, now: Date, trashedWith: clientId }
+ * @returns {Object} Trashed record
+ */
+export function trashRecord(record, { actor = null, now = new Date(), trashedWith = null } = {}) {
+    return {
+        ...record,
+        deletedAt: now.toISOString(),
+        deletedBy: actor ? { id: actor.id, name: actor.name } : null,
+        trashedWith
+    };
+}
+
+/**
+ * Copy of a record taken out of the trash
+ * @param {Object} record - Trashed invoice or client
+ * @returns {Object} Record without the trash fields
+ */
+export function restoreRecord(record) {
+    const { deletedAt, deletedBy, trashedWith, ...restored } = record;
+    return restored;
+}
+
+/**
+ * When a trashed record may be purged
+ * @param {Object} record - Trashed invoice or client
+ * @param {number} [retentionDays] - Days records stay in the trash
+ * @returns {string|null} ISO timestamp, null if the record is not trashed
+ */
+export function purgeAvailableAt(record, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    if (!isTrashed(record)) return null;
+    return new Date(Date.parse(record.deletedAt) + normalizeRetentionDays(retentionDays) * DAY_MS).toISOString();
+}
+
+/**
+ * Whether a trashed record's retention period is over
+ * @param {Object} record - Invoice or client
+ * @param {number} [retentionDays] - Days records stay in the trash
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function canPurge(record, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = new Date()) {
+    const availableAt = purgeAvailableAt(record, retentionDays);
+    return availableAt !== null && Date.parse(availableAt) <= now.getTime();
+}
@@ -0,0 +1,413 @@
+// Storage engines behind the Store. The Store keeps the app state in memory
+// and hands every new state to an engine to persist:
+//
+// - IndexedDBEngine keeps each collection in its own object store, indexed
+//   for lookups, and writes only the documents that changed.
+// - LocalStorageEngine keeps the whole state as JSON under one key, as the
+//   app always did; it is used where IndexedDB is unavailable.
+//
+// State saved under the localStorage key before IndexedDB was used is moved
+// into the database the first time it is opened. Both engines also keep the
+// state as it was before the last schema migration (see migrations.js), so
+// the migration can be undone.
+//
+// Several tabs can have the app open. Every save bumps a revision stored
+// with the state, and a save only goes through if the stored revision is
+// still the one the engine last loaded or wrote; otherwise another tab wrote
+// in between and the save is refused with a StaleWriteError instead of
+// erasing that tab's changes. Tabs tell each other about new revisions
+// through openSyncChannel.
+
+const DB_NAME = 'invoiceApp';
+const DB_VERSION = 2;
+
+/**
+ * Object stores of the state's document collections and their indexes.
+ * Everything else in the state (settings, exchange rates, ...) is kept in
+ * the meta store by key.
+ */
+export const COLLECTIONS = {
+    clients: [],
+    invoices: ['status', 'clientId', 'dueDate'],
+    quotes: ['status', 'clientId', 'expiryDate'],
+    creditNotes: ['clientId', 'invoiceId'],
+    catalog: []
+};
+
+const META_STORE = 'meta';
+// Pre-migration snapshot, under BACKUP_KEY
+const BACKUP_STORE = 'backups';
+const BACKUP_KEY = 'migration';
+// Meta keys holding the order of each collection's documents
+const ORDER_PREFIX = 'order:';
+// Meta key recording the one-time move from localStorage
+const MIGRATED_KEY = 'migratedFromLocalStorage';
+// Meta key holding the revision of the saved state
+const REVISION_KEY = 'revision';
+
+/**
+ * Raised when a save is refused because another tab saved first
+ */
+export class StaleWriteError extends Error {
+    constructor(message = 'The data was changed in another tab') {
+        super(message);
+        this.name = 'StaleWriteError';
+    }
+}
+
+// Promise for an IDBRequest
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+// Promise for the end of an IDBTransaction
+const completion = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Whole state as JSON under one localStorage key
+ */
+export class LocalStorageEngine {
+    constructor(storageKey) {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+        this.revisionKey = `${storageKey}:revision`;
+        this.revision = this.storedRevision();
+    }
+
+    /**
+     * Revision of the saved state
+     * @returns {number} Revision, 0 if never saved
+     */
+    storedRevision() {
+        return parseInt(localStorage.getItem(this.revisionKey), 10) || 0;
+    }
+
+    /**
+     * Read the saved state
+     * @returns {Promise<Object|null>} State, or null if nothing is saved
+     */
+    async load() {
+        const stored = localStorage.getItem(this.storageKey);
+        this.revision = this.storedRevision();
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * Save the state. Synchronous, so a full quota surfaces to the caller.
+     * @param {Object} state - Complete application state
+     * @throws {StaleWriteError} If another tab saved since the last load or save
+     */
+    save(state) {
+        if (this.storedRevision() !== this.revision) {
+            throw new StaleWriteError();
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(state));
+        this.revision += 1;
+        localStorage.setItem(this.revisionKey, String(this.revision));
+    }
+
+    /**
+     * Keep a copy of the state from before a migration, replacing the last one
+     * @param {Object} backup - { reason, fromVersion, toVersion, createdAt, state }
+     */
+    saveBackup(backup) {
+        localStorage.setItem(`${this.storageKey}:migration-backup`, JSON.stringify(backup));
+    }
+
+    /**
+     * The last pre-migration copy
+     * @returns {Promise<Object|null>} Backup, or null if there is none
+     */
+    async loadBackup() {
+        const stored = localStorage.getItem(`${this.storageKey}:migration-backup`);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * Documents of a collection with an indexed field equal to a value
+     * @param {Object} state - Current state
+     * @param {string} collection - Collection name
+     * @param {string} field - Indexed field
+     * @param {any} value - Value to match
+     * @returns {Promise<Array>} Matching documents
+     */
+    async query(state, collection, field, value) {
+        return (state[collection] || []).filter(doc => doc[field] === value);
+    }
+}
+
+/**
+ * Collections in IndexedDB object stores
+ */
+export class IndexedDBEngine {
+    constructor(db) {
+        this.name = 'indexedDB';
+        this.db = db;
+        // JSON of what was last written, per collection and document id,
+        // so a save only writes what changed
+        this.written = null;
+        this.queue = Promise.resolve();
+        // Revision the next save expects to find in the database
+        this.revision = 0;
+        // Bumped when a save is refused; saves queued before then are refused too
+        this.epoch = 0;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IndexedDBEngine>} Engine
+     */
+    static async open() {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            Object.entries(COLLECTIONS).forEach(([name, indexes]) => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath: 'id' });
+                indexes.forEach(field => store.createIndex(field, field));
+            });
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(BACKUP_STORE)) {
+                db.createObjectStore(BACKUP_STORE, { keyPath: 'key' });
+            }
+        };
+        return new IndexedDBEngine(await request(req));
+    }
+
+    /**
+     * Read the saved state
+     * @returns {Promise<Object|null>} State, or null if the database is empty
+     */
+    async load() {
+        const names = [...Object.keys(COLLECTIONS), META_STORE];
+        const tx = this.db.transaction(names, 'readonly');
+        const [meta, ...collections] = await Promise.all([
+            request(tx.objectStore(META_STORE).getAll()),
+            ...Object.keys(COLLECTIONS).map(name => request(tx.objectStore(name).getAll()))
+        ]);
+
+        const state = {};
+        const orders = {};
+        let revision = 0;
+        meta.forEach(({ key, value }) => {
+            if (key.startsWith(ORDER_PREFIX)) {
+                orders[key.slice(ORDER_PREFIX.length)] = value;
+            } else if (key === REVISION_KEY) {
+                revision = value;
+            } else if (key !== MIGRATED_KEY) {
+                state[key] = value;
+            }
+        });
+        this.revision = revision;
+        if (Object.keys(state).length === 0) return null;
+
+        Object.keys(COLLECTIONS).forEach((name, index) => {
+            const position = new Map((orders[name] || []).map((id, at) => [id, at]));
+            const last = position.size;
+            state[name] = collections[index].sort((a, b) =>
+                (position.get(a.id) ?? last) - (position.get(b.id) ?? last));
+        });
+
+        this.written = this.snapshot(state);
+        return state;
+    }
+
+    /**
+     * JSON of each document and meta value of a state
+     * @param {Object} state - Application state
+     * @returns {Object} { [store]: Map(key → JSON) }
+     */
+    snapshot(state) {
+        const snapshot = { [META_STORE]: new Map() };
+        Object.keys(COLLECTIONS).forEach(name => {
+            const docs = (state[name] || []).filter(doc => doc && doc.id !== undefined && doc.id !== null);
+            snapshot[name] = new Map(docs.map(doc => [doc.id, JSON.stringify(doc)]));
+            snapshot[META_STORE].set(`${ORDER_PREFIX}${name}`, JSON.stringify(docs.map(doc => doc.id)));
+        });
+        Object.keys(state).filter(key => !(key in COLLECTIONS)).forEach(key => {
+            snapshot[META_STORE].set(key, JSON.stringify(state[key] ?? null));
+        });
+        return snapshot;
+    }
+
+    /**
+     * Save the state: the documents and meta values that differ from the
+     * last save are written in one transaction, with the next revision.
+     * Saves run in order; when the last save is unknown (first save, or a
+     * failed one) every store is rewritten.
+     * @param {Object} state - Complete application state
+     * @returns {Promise<void>} Resolves when written; rejects with a
+     *     StaleWriteError if another tab saved since the last load or save
+     */
+    save(state) {
+        const next = this.snapshot(state);
+        const previous = this.written;
+
+        const writes = Object.entries(next).map(([name, entries]) => {
+            const before = previous ? previous[name] : new Map();
+            const puts = [...entries].filter(([key, json]) => before.get(key) !== json);
+            const deletes = [...before.keys()].filter(key => !entries.has(key));
+            return { name, puts, deletes, clear: !previous };
+        }).filter(({ puts, deletes, clear }) => clear || puts.length > 0 || deletes.length > 0);
+
+        if (writes.length === 0) return this.queue;
+
+        this.written = next;
+        const expected = this.revision;
+        const epoch = this.epoch;
+        this.revision = expected + 1;
+
+        this.queue = this.queue.catch(() => {}).then(() => {
+            if (epoch !== this.epoch) throw new StaleWriteError();
+
+            const names = [...new Set([META_STORE, ...writes.map(write => write.name)])];
+            const tx = this.db.transaction(names, 'readwrite');
+            let stale = false;
+            const check = tx.objectStore(META_STORE).get(REVISION_KEY);
+            check.onsuccess = () => {
+                if ((check.result ? check.result.value : 0) !== expected) {
+                    stale = true;
+                    tx.abort();
+                    return;
+                }
+                writes.forEach(({ name, puts, deletes, clear }) => {
+                    const store = tx.objectStore(name);
+                    if (clear) store.clear();
+                    puts.forEach(([key, json]) => store.put(name === META_STORE ?
+                        { key, value: JSON.parse(json) } : JSON.parse(json)));
+                    deletes.forEach(key => store.delete(key));
+                });
+                tx.objectStore(META_STORE).put({ key: REVISION_KEY, value: expected + 1 });
+            };
+            return completion(tx).catch(error => {
+                throw stale ? new StaleWriteError() : error;
+            });
+        }).catch(error => {
+            // Unknown what reached the database; rewrite everything next time
+            this.written = null;
+            if (error instanceof StaleWriteError) this.epoch += 1;
+            throw error;
+        });
+        return this.queue;
+    }
+
+    /**
+     * Keep a copy of the state from before a migration, replacing the last
+     * one. Queued with the saves, so it is written before the migrated state.
+     * @param {Object} backup - { reason, fromVersion, toVersion, createdAt, state }
+     * @returns {Promise<void>} Resolves when written
+     */
+    saveBackup(backup) {
+        const saving = this.queue.catch(() => {}).then(() => {
+            const tx = this.db.transaction(BACKUP_STORE, 'readwrite');
+            tx.objectStore(BACKUP_STORE).put({ key: BACKUP_KEY, ...backup });
+            return completion(tx);
+        });
+        this.queue = saving;
+        return saving;
+    }
+
+    /**
+     * The last pre-migration copy
+     * @returns {Promise<Object|null>} Backup, or null if there is none
+     */
+    async loadBackup() {
+        await this.queue.catch(() => {});
+        const tx = this.db.transaction(BACKUP_STORE, 'readonly');
+        const stored = await request(tx.objectStore(BACKUP_STORE).get(BACKUP_KEY));
+        if (!stored) return null;
+        const { key, ...backup } = stored;
+        return backup;
+    }
+
+    /**
+     * Documents of a collection with an indexed field equal to a value
+     * @param {Object} state - Current state (unused; the index is read)
+     * @param {string} collection - Collection name
+     * @param {string} field - Indexed field (see COLLECTIONS)
+     * @param {any} value - Value to match
+     * @returns {Promise<Array>} Matching documents
+     */
+    async query(state, collection, field, value) {
+        await this.queue.catch(() => {});
+        const tx = this.db.transaction(collection, 'readonly');
+        return request(tx.objectStore(collection).index(field).getAll(value));
+    }
+
+    /**
+     * Move state saved under a localStorage key into the database, once.
+     * The key is removed afterwards to free its quota.
+     * @param {string} storageKey - localStorage key
+     * @returns {Promise<boolean>} True if state was moved
+     */
+    async migrateFrom(storageKey) {
+        // A database that already holds state is never overwritten
+        const tx = this.db.transaction(META_STORE, 'readonly');
+        const used = await request(tx.objectStore(META_STORE).count());
+        const stored = localStorage.getItem(storageKey);
+        if (used > 0 || !stored) return false;
+
+        const state = JSON.parse(stored);
+        this.written = null;
+        this.revision = 0;
+        await this.save(state);
+
+        const mark = this.db.transaction(META_STORE, 'readwrite');
+        mark.objectStore(META_STORE).put({ key: MIGRATED_KEY, value: new Date().toISOString() });
+        await completion(mark);
+
+        localStorage.removeItem(storageKey);
+        return true;
+    }
+}
+
+/**
+ * Open the best available engine: IndexedDB, with state still under the
+ * localStorage key moved into it, else localStorage
+ * @param {string} storageKey - localStorage key of the state
+ * @returns {Promise<Object>} Engine
+ */
+export async function openStorageEngine(storageKey) {
+    if (typeof indexedDB === 'undefined') {
+        return new LocalStorageEngine(storageKey);
+    }
+
+    try {
+        const engine = await IndexedDBEngine.open();
+        await engine.migrateFrom(storageKey);
+        return engine;
+    } catch (error) {
+        // e.g. private browsing modes that refuse IndexedDB
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        return new LocalStorageEngine(storageKey);
+    }
+}
+
+/**
+ * Messages between the tabs that have the app open: a BroadcastChannel, or
+ * storage events on a localStorage key where there is none
+ * @param {string} storageKey - localStorage key of the state, naming the channel
+ * @param {Function} onMessage - Called with each message from another tab
+ * @returns {Object} { post(message) }
+ */
+export function openSyncChannel(storageKey, onMessage) {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(storageKey);
+        channel.onmessage = (event) => onMessage(event.data);
+        return { post: (message) => channel.postMessage(message) };
+    }
+
+    // Storage events only reach the other tabs
+    const syncKey = `${storageKey}:sync`;
+    window.addEventListener('storage', (event) => {
+        if (event.key === syncKey && event.newValue) onMessage(JSON.parse(event.newValue));
+    });
+    return { post: (message) => localStorage.setItem(syncKey, JSON.stringify({ ...message, sentAt: Date.now() })) };
+}
@@ -1,65 +1,507 @@
-// Store Management - localStorage CRUD operations
+// Store Management - CRUD operations over the app state, persisted by a
+// storage engine (storage.js): IndexedDB, or localStorage where it is missing
+import { transitionStatus, createStatusHistoryEntry, SYSTEM_ACTOR } from './shared/invoice-status.js';
+import {
+    recordPayment, removePayment, getBalanceDue, getEffectivePayments,
+    applyCredit, removeCredit, roundMoney
+} from './shared/payments.js';
+import {
+    normalizeCurrencyCode, normalizeExchangeRate, findExchangeRate, createRateSnapshot,
+    convertToBase, parseExchangeRates
+} from './shared/currency.js';
+import { normalizeTaxDefinition } from './shared/tax.js';
+import { INVOICE_SCHEMA_VERSION } from './shared/invoice-schema.js';
+import { normalizeCatalogItem, isSkuTaken, searchCatalog } from './shared/catalog.js';
+import { isNumberTaken } from './shared/invoice-validation.js';
+import { allocateNumber, findNumberingIssues, DEFAULT_NUMBER_FORMAT } from './shared/numbering.js';
+import { Invoice, CreditNote, QUOTE_TRANSITIONS } from './models.js';
+import { openStorageEngine, openSyncChannel, LocalStorageEngine, StaleWriteError } from './storage.js';
+import { migrateState, MigrationError, STATE_SCHEMA_VERSION } from './migrations.js';
+import { planMerge, applyMerge } from './merge-import.js';
+import {
+    trashRecord, restoreRecord, isTrashed, canPurge, purgeAvailableAt, normalizeRetentionDays,
+    TrashError, DEFAULT_TRASH_RETENTION_DAYS
+} from './shared/trash.js';
+
+// Settings holding the prefix and the next sequence number of each document type
+const NUMBERING_FIELDS = {
+    invoice: { prefix: 'invoicePrefix', seed: 'numberSeed', collection: 'invoices' },
+    quote: { prefix: 'quotePrefix', seed: 'quoteSeed', collection: 'quotes' },
+    creditNote: { prefix: 'creditNotePrefix', seed: 'creditNoteSeed', collection: 'creditNotes' }
+};
+
+// Changes that can be undone, oldest dropped first
+const HISTORY_LIMIT = 50;
+
+/**
+ * Freeze a value and everything in it, so the state reads hand out cannot
+ * be changed in place
+ * @param {*} value - State or a part of it
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+/**
+ * Whether a value is a list of records told apart by id
+ * @param {*} value - Value of a state key
+ * @returns {boolean}
+ */
+function isRecordList(value) {
+    if (!Array.isArray(value)) return false;
+    const ids = value.map(record => record && record.id);
+    return ids.every(id => id !== undefined && id !== null) && new Set(ids).size === ids.length;
+}
+
+/**
+ * Changes to one state key between two states. Lists of records give the
+ * records removed and added (with their index) and those updated; any other
+ * value, or a list whose records changed order, gives its old and new value.
+ * @param {*} before - Value before the change
+ * @param {*} after - Value after it
+ * @returns {Object|null} { removed, added, updated } or { before, after }; null if unchanged
+ */
+function diffValue(before, after) {
+    if (!isRecordList(before) || !isRecordList(after)) {
+        return JSON.stringify(before) === JSON.stringify(after) ? null : { before, after };
+    }
+
+    const beforeById = new Map(before.map(record => [record.id, record]));
+    const afterIds = new Set(after.map(record => record.id));
+    const removed = before
+        .map((record, index) => ({ index, record }))
+        .filter(({ record }) => !afterIds.has(record.id));
+    const added = after
+        .map((record, index) => ({ index, record }))
+        .filter(({ record }) => !beforeById.has(record.id));
+    const updated = after
+        .filter(record => beforeById.has(record.id) &&
+            JSON.stringify(beforeById.get(record.id)) !== JSON.stringify(record))
+        .map(record => ({ before: beforeById.get(record.id), after: record }));
+    if (removed.length + added.length + updated.length === 0) return null;
+
+    // The records both states hold must be in the same order
+    const kept = before.filter(record => afterIds.has(record.id)).map(record => record.id);
+    const order = after.filter(record => beforeById.has(record.id)).map(record => record.id);
+    if (kept.some((id, index) => id !== order[index])) return { before, after };
+    return { removed, added, updated };
+}
+
+/**
+ * Record-level changes between two states, kept in the undo history
+ * instead of the states themselves
+ * @param {Object} before - State before a change
+ * @param {Object} after - State after it
+ * @returns {Array} [{ key, ...diffValue }]
+ */
+function diffState(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(key => ({ key, change: diffValue(before[key], after[key]) }))
+        .filter(({ change }) => change)
+        .map(({ key, change }) => ({ key, ...change }));
+}
+
+/**
+ * Undo or redo changes from diffState on a state
+ * @param {Object} state - State to change, from draftState
+ * @param {Array} changes - Changes from diffState
+ * @param {boolean} reverse - True to undo them
+ */
+function applyChanges(state, changes, reverse) {
+    changes.forEach(change => {
+        if (!change.updated) {
+            const value = reverse ? change.before : change.after;
+            if (value === undefined) delete state[change.key];
+            else state[change.key] = value;
+            return;
+        }
+
+        const [removed, added] = reverse ? [change.added, change.removed] : [change.removed, change.added];
+        const dropped = new Set(removed.map(({ record }) => record.id));
+        const replaced = new Map(change.updated.map(update =>
+            [update.after.id, reverse ? update.before : update.after]));
+        const records = state[change.key]
+            .filter(record => !dropped.has(record.id))
+            .map(record => replaced.get(record.id) || record);
+        // Indexes are ascending, so each record lands where it was
+        added.forEach(({ index, record }) => records.splice(index, 0, record));
+        state[change.key] = records;
+    });
+}
+
 class Store {
     constructor() {
+        // The v1 is part of the key only; the shape of the state is
+        // versioned by schemaVersion (see migrations.js)
         this.storageKey = 'invoiceApp:v1';
         this.defaultData = {
+            schemaVersion: STATE_SCHEMA_VERSION,
             clients: [],
             invoices: [],
+            creditNotes: [],
+            quotes: [],
+            exchangeRates: [],
+            catalog: [],
             settings: {
                 invoicePrefix: 'INV',
                 currency: 'PHP',
-                numberSeed: 1
+                numberSeed: 1,
+                creditNotePrefix: 'CN',
+                creditNoteSeed: 1,
+                quotePrefix: 'QT',
+                quoteSeed: 1,
+                // Number format and reset policy per document type (shared/numbering)
+                numbering: {
+                    invoice: { format: DEFAULT_NUMBER_FORMAT, reset: 'never' },
+                    quote: { format: DEFAULT_NUMBER_FORMAT, reset: 'never' },
+                    creditNote: { format: DEFAULT_NUMBER_FORMAT, reset: 'never' }
+                },
+                // Period each sequence last counted in
+                numberPeriods: {},
+                taxes: [],
+                rounding: { mode: 'half_up', strategy: 'line' },
+                // Days deleted invoices and clients stay in the trash
+                trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
             }
         };
-        this.initializeStorage();
+        // State in memory; reads are served from it and every change is
+        // handed to the engine. Until the engine has loaded, state saved in
+        // localStorage by earlier versions (or the defaults) is used.
+        this.engine = null;
+        // Set when saved data could not be migrated; nothing is saved over it
+        this.migrationError = null;
+        // Tells the other open tabs about each saved revision
+        this.sync = null;
+        // Reload of the state another tab saved, while one runs
+        this.reloading = null;
+        // Changes made in this tab, to undo and to redo:
+        // [{ label, changes }] (see diffState), most recent last
+        this.history = { undo: [], redo: [] };
+        this.state = deepFreeze(this.readLegacyState() || structuredClone(this.defaultData));
+        this.ready = this.initializeStorage();
     }
 
     /**
-     * Initialize localStorage with default data if not exists
+     * State saved under the localStorage key, if it is still there
+     * @returns {Object|null} State
      */
-    initializeStorage() {
-        const stored = localStorage.getItem(this.storageKey);
-        if (!stored) {
-            this.setState(this.defaultData);
+    readLegacyState() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error parsing stored data:', error);
+            return null;
         }
     }
 
     /**
-     * Get complete application state
-     * @returns {Object} Complete application data
+     * Open the storage engine and load the saved state, migrated to the
+     * current schema, or save the defaults if there is none. Await
+     * store.ready before using the store.
+     * @returns {Promise<void>} Resolves once loaded
      */
-    getState() {
+    async initializeStorage() {
+        let engine = await openStorageEngine(this.storageKey);
+        let stored;
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : this.defaultData;
+            stored = await engine.load();
         } catch (error) {
-            console.error('Error parsing stored data:', error);
-            return this.defaultData;
+            // Leave an unreadable database alone rather than overwrite it
+            console.error(`Error loading data from ${engine.name}:`, error);
+            engine = new LocalStorageEngine(this.storageKey);
+            stored = this.readLegacyState();
+        }
+        this.engine = engine;
+        this.sync = openSyncChannel(this.storageKey, message => this.handleSyncMessage(message));
+
+        if (!stored) {
+            this.setState(this.defaultData, { record: false });
+            return;
+        }
+
+        this.state = deepFreeze(stored);
+        try {
+            const migration = migrateState(stored);
+            if (migration.applied.length > 0) {
+                await engine.saveBackup(this.migrationBackup('load', migration, stored));
+                this.setState(migration.state, { record: false });
+                return;
+            }
+        } catch (error) {
+            // Roll back: the saved data stays as it was and the app runs on
+            // it without saving, so a fixed version can migrate it later
+            console.error('Error migrating saved data:', error);
+            this.migrationError = error;
+            window.dispatchEvent(new CustomEvent('migrationError', { detail: { error } }));
         }
+        window.dispatchEvent(new CustomEvent('stateChange', { detail: stored }));
+    }
+
+    /**
+     * Snapshot of a state taken before it is migrated
+     * @param {string} reason - 'load' or 'import'
+     * @param {Object} migration - Result of migrateState
+     * @param {Object} state - State before the migration
+     * @returns {Object} { reason, fromVersion, toVersion, applied, createdAt, state }
+     */
+    migrationBackup(reason, migration, state) {
+        return {
+            reason,
+            fromVersion: migration.from,
+            toVersion: migration.to,
+            applied: migration.applied.map(step => step.version),
+            createdAt: new Date().toISOString(),
+            state: JSON.parse(JSON.stringify(state))
+        };
+    }
+
+    /**
+     * The state as it was before the last migration, kept by the storage
+     * engine
+     * @returns {Promise<Object|null>} Backup (see migrationBackup), or null if nothing was migrated
+     */
+    async getMigrationBackup() {
+        await this.ready;
+        return this.engine.loadBackup();
+    }
+
+    /**
+     * Get complete application state. Reads share it, so it is frozen;
+     * changes are made on draftState and passed to setState.
+     * @returns {Object} Complete application data
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Copy of the state to make a change on
+     * @returns {Object} Complete application data, not frozen
+     */
+    draftState() {
+        return structuredClone(this.state);
     }
 
     /**
      * Set complete application state
      * @param {Object} data - Complete application data
+     * @param {Object} [options] - { label: what the change does, shown for undo;
+     *     record: false for changes that cannot be undone }
+     */
+    setState(data, { label = 'Change', record = true } = {}) {
+        const previous = this.state;
+        this.state = deepFreeze(JSON.parse(JSON.stringify(data)));
+        if (record) this.recordHistory(label, diffState(previous, this.state));
+        this.persist();
+        // Dispatch custom event for state changes
+        window.dispatchEvent(new CustomEvent('stateChange', { detail: data }));
+    }
+
+    /**
+     * Keep a change so it can be undone. A new change drops what could be
+     * redone.
+     * @param {string} label - What the change does
+     * @param {Array} changes - Records changed, from diffState
+     */
+    recordHistory(label, changes) {
+        this.history.undo.push({ label, changes });
+        if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+        this.history.redo = [];
+        this.dispatchHistoryChange(null);
+    }
+
+    /**
+     * Forget the undo history, e.g. once another tab has changed the data
+     */
+    clearHistory() {
+        this.history = { undo: [], redo: [] };
+        this.dispatchHistoryChange(null);
+    }
+
+    /**
+     * What undo and redo would do
+     * @returns {Object} { undo: label or null, redo: label or null }
+     */
+    getHistory() {
+        const last = (entries) => entries.length > 0 ? entries[entries.length - 1].label : null;
+        return { undo: last(this.history.undo), redo: last(this.history.redo) };
+    }
+
+    /**
+     * The last change that can be undone, to pass to undo later
+     * @returns {Object|null} Change
+     */
+    lastChange() {
+        return this.history.undo[this.history.undo.length - 1] || null;
+    }
+
+    /**
+     * Undo the last change made in this tab
+     * @param {Object} [change] - Only undo if this (from lastChange) is still the last change
+     * @returns {string|null} Label of the undone change, or null if nothing was undone
+     */
+    undo(change = null) {
+        if (change && this.lastChange() !== change) return null;
+        return this.stepHistory('undo', 'redo');
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {string|null} Label of the redone change, or null if there is none
+     */
+    redo() {
+        return this.stepHistory('redo', 'undo');
+    }
+
+    /**
+     * Undo or redo the last change kept in one history stack, moving it to
+     * the other
+     * @param {string} from - 'undo' or 'redo'
+     * @param {string} to - The other stack
+     * @returns {string|null} Label of the change, or null if the stack is empty
+     */
+    stepHistory(from, to) {
+        const entry = this.history[from].pop();
+        if (!entry) return null;
+
+        const state = this.draftState();
+        applyChanges(state, entry.changes, from === 'undo');
+        this.history[to].push({ label: entry.label, changes: entry.changes });
+        this.setState(state, { record: false });
+        this.dispatchHistoryChange(from);
+        return entry.label;
+    }
+
+    /**
+     * Tell the views what can be undone and redone
+     * @param {string|null} action - 'undo' or 'redo' if one just ran
      */
-    setState(data) {
+    dispatchHistoryChange(action) {
+        window.dispatchEvent(new CustomEvent('historyChange', { detail: { action, ...this.getHistory() } }));
+    }
+
+    /**
+     * Hand the state to the storage engine and tell the other tabs once it
+     * is saved. IndexedDB writes finish later; if one fails a storageError
+     * event is dispatched, or storageConflict if another tab saved first.
+     * @throws {StaleWriteError} If another tab saved first (localStorage, which saves at once)
+     */
+    persist() {
+        if (!this.engine || this.migrationError) return;
+
+        let saving;
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            // Dispatch custom event for state changes
-            window.dispatchEvent(new CustomEvent('stateChange', { detail: data }));
+            saving = this.engine.save(this.state);
         } catch (error) {
+            if (error instanceof StaleWriteError) {
+                this.handleStaleWrite(error);
+                throw error;
+            }
+            console.error('Error saving data:', error);
+            throw new Error(`Failed to save data to ${this.engine.name}`);
+        }
+
+        const revision = this.engine.revision;
+        if (!saving) {
+            this.sync.post({ revision });
+            return;
+        }
+        saving.then(() => this.sync.post({ revision }), error => {
+            if (error instanceof StaleWriteError) {
+                this.handleStaleWrite(error);
+                return;
+            }
             console.error('Error saving data:', error);
-            throw new Error('Failed to save data to localStorage');
+            window.dispatchEvent(new CustomEvent('storageError', { detail: { error } }));
+        });
+    }
+
+    /**
+     * Another tab saved a revision; load it unless it is already here
+     * @param {Object} message - { revision }
+     */
+    handleSyncMessage(message) {
+        if (!this.engine || this.migrationError || !message) return;
+        if (message.revision > this.engine.revision) {
+            this.reloadFromStorage();
         }
     }
 
+    /**
+     * A save was refused because another tab saved first. The change is
+     * dropped and the other tab's state is loaded in its place.
+     * @param {StaleWriteError} error - Refusal
+     */
+    handleStaleWrite(error) {
+        console.warn('Save refused, the data was changed in another tab:', error.message);
+        // Saves queued behind a refused one are refused too; one reload is enough
+        if (this.reloading) return;
+        this.reloadFromStorage().then(() => {
+            window.dispatchEvent(new CustomEvent('storageConflict', { detail: { error } }));
+        });
+    }
+
+    /**
+     * Replace the state in memory with the saved one, after this tab's
+     * pending saves, and let the views refresh
+     * @returns {Promise<void>} Resolves once loaded
+     */
+    reloadFromStorage() {
+        if (this.reloading) return this.reloading;
+
+        this.reloading = (async () => {
+            await (this.engine.queue || Promise.resolve()).catch(() => {});
+            const stored = await this.engine.load();
+            if (!stored) return;
+
+            // A tab running another version of the app may have saved it
+            const migration = migrateState(stored);
+            this.state = deepFreeze(migration.state);
+            // Undoing would now also undo the other tab's changes
+            this.clearHistory();
+            window.dispatchEvent(new CustomEvent('stateChange', { detail: this.state }));
+            window.dispatchEvent(new CustomEvent('remoteStateChange', { detail: { revision: this.engine.revision } }));
+        })().catch(error => {
+            console.error('Error loading data saved in another tab:', error);
+            if (error instanceof MigrationError) {
+                this.migrationError = error;
+                window.dispatchEvent(new CustomEvent('migrationError', { detail: { error } }));
+            }
+        }).finally(() => {
+            this.reloading = null;
+        });
+        return this.reloading;
+    }
+
+    /**
+     * Documents of a collection whose indexed field has a value, read
+     * through the storage engine's index (status, clientId and dueDate for
+     * invoices; see storage.js)
+     * @param {string} collection - invoices, quotes, creditNotes, clients or catalog
+     * @param {string} field - Indexed field
+     * @param {any} value - Value to match
+     * @returns {Promise<Array>} Matching documents
+     */
+    async findByIndex(collection, field, value) {
+        await this.ready;
+        return this.engine.query(this.state, collection, field, value);
+    }
+
     /**
      * Get all clients
+     * @param {Object} [options] - { includeTrashed }: also return clients in the trash
      * @returns {Array} Array of client objects
      */
-    getClients() {
+    getClients({ includeTrashed = false } = {}) {
         const state = this.getState();
-        return state.clients || [];
+        const clients = state.clients || [];
+        return includeTrashed ? clients : clients.filter(c => !isTrashed(c));
     }
 
     /**
@@ -68,7 +510,7 @@ class Store {
      * @returns {Object} Added client with generated ID
      */
     addClient(clientData) {
-        const state = this.getState();
+        const state = this.draftState();
         const client = {
             id: this.generateClientId(),
             ...clientData,
@@ -77,7 +519,7 @@ class Store {
         };
         
         state.clients.push(client);
-        this.setState(state);
+        this.setState(state, { label: `Add client ${client.name || ''}`.trim() });
         return client;
     }
 
@@ -88,7 +530,7 @@ class Store {
      * @returns {Object|null} Updated client or null if not found
      */
     updateClient(clientId, updates) {
-        const state = this.getState();
+        const state = this.draftState();
         const clientIndex = state.clients.findIndex(c => c.id === clientId);
         
         if (clientIndex === -1) return null;
@@ -99,79 +541,128 @@ class Store {
             updatedAt: Date.now()
         };
         
-        this.setState(state);
+        this.setState(state, { label: 'Edit client' });
         return state.clients[clientIndex];
     }
 
     /**
-     * Delete a client
+     * Move a client to the trash. A client with invoices is only trashed
+     * together with them, so no invoice points at a client that is gone.
      * @param {string} clientId - Client ID to delete
+     * @param {Object} [options] - { cascade }: also move the client's invoices to the trash
      * @returns {boolean} Success status
+     * @throws {TrashError} If the client has invoices and cascade is not set
      */
-    deleteClient(clientId) {
-        const state = this.getState();
-        const initialLength = state.clients.length;
-        state.clients = state.clients.filter(c => c.id !== clientId);
-        
-        if (state.clients.length < initialLength) {
-            this.setState(state);
-            return true;
+    deleteClient(clientId, { cascade = false } = {}) {
+        const state = this.draftState();
+        const index = state.clients.findIndex(c => c.id === clientId && !isTrashed(c));
+        if (index === -1) return false;
+
+        const invoices = state.invoices.filter(i => i.clientId === clientId && !isTrashed(i));
+        if (invoices.length > 0 && !cascade) {
+            throw new TrashError(`Client has ${invoices.length} invoice(s); move them to the trash with the client`);
         }
-        return false;
+
+        const options = { actor: this.getCurrentActor(), now: new Date() };
+        state.clients[index] = trashRecord(state.clients[index], options);
+        invoices.forEach(invoice => this.trashInvoiceIn(state, invoice.id, { ...options, trashedWith: clientId }));
+
+        const name = state.clients[index].name || 'client';
+        this.setState(state, {
+            label: invoices.length > 0 ? `Move ${name} and ${invoices.length} invoice(s) to the trash` : `Move ${name} to the trash`
+        });
+        return true;
     }
 
     /**
-     * Get client by ID
+     * Get client by ID. Trashed clients are found too, so the documents
+     * that name them still resolve.
      * @param {string} clientId - Client ID
      * @returns {Object|null} Client object or null if not found
      */
     getClient(clientId) {
-        const clients = this.getClients();
+        const clients = this.getClients({ includeTrashed: true });
         return clients.find(c => c.id === clientId) || null;
     }
 
     /**
      * Get all invoices
+     * @param {Object} [options] - { includeTrashed }: also return invoices in the trash
      * @returns {Array} Array of invoice objects
      */
-    getInvoices() {
+    getInvoices({ includeTrashed = false } = {}) {
         const state = this.getState();
-        return state.invoices || [];
+        const invoices = state.invoices || [];
+        return includeTrashed ? invoices : invoices.filter(i => !isTrashed(i));
     }
 
     /**
      * Save an invoice (create or update)
      * @param {Object} invoiceData - Invoice data
      * @returns {Object} Saved invoice
+     * @throws {Error} If the invoice to update is not found, in the trash or voided
      */
     saveInvoice(invoiceData) {
-        const state = this.getState();
-        const now = Date.now();
+        const state = this.draftState();
+        const now = new Date().toISOString();
         
         if (invoiceData.id) {
             // Update existing invoice
+            // Status, payments and credits only change through their own methods
             const invoiceIndex = state.invoices.findIndex(i => i.id === invoiceData.id);
-            if (invoiceIndex !== -1) {
-                state.invoices[invoiceIndex] = {
-                    ...invoiceData,
-                    updatedAt: now
-                };
+            if (invoiceIndex === -1) {
+                throw new Error(`Invoice ${invoiceData.id} not found`);
+            }
+
+            const stored = state.invoices[invoiceIndex];
+            if (isTrashed(stored)) {
+                throw new Error('Invoices in the trash cannot be edited; restore the invoice first');
+            }
+            if (stored.voidedAt) {
+                throw new Error('Voided invoices cannot be edited');
             }
+            const settled = (stored.payments || []).length > 0 || (stored.credits || []).length > 0;
+            const currency = normalizeCurrencyCode(invoiceData.currency) || state.settings.currency;
+            if (settled && currency !== stored.currency) {
+                throw new Error('Currency cannot be changed once payments or credits are recorded');
+            }
+            state.invoices[invoiceIndex] = {
+                ...invoiceData,
+                ...this.resolveCurrency(state, invoiceData, stored),
+                status: stored.status,
+                statusHistory: stored.statusHistory || [],
+                payments: stored.payments || [],
+                credits: stored.credits || [],
+                voidedAt: null,
+                voidReason: '',
+                schemaVersion: INVOICE_SCHEMA_VERSION,
+                updatedAt: now
+            };
         } else {
-            // Create new invoice
+            // Create new invoice; its number doubles as its id
+            const status = invoiceData.status || 'unpaid';
+            const number = this.takeNumber(state, 'invoice');
             const invoice = {
                 ...invoiceData,
-                id: this.generateInvoiceNumber(),
+                ...this.resolveCurrency(state, invoiceData),
+                status,
+                statusHistory: [
+                    createStatusHistoryEntry({ to: status, actor: this.getCurrentActor(), reason: 'Invoice created' })
+                ],
+                payments: [],
+                credits: [],
+                voidedAt: null,
+                voidReason: '',
+                id: number,
+                number,
+                schemaVersion: INVOICE_SCHEMA_VERSION,
                 createdAt: now,
                 updatedAt: now
             };
             state.invoices.push(invoice);
-            
-            // Increment number seed
-            state.settings.numberSeed += 1;
         }
         
-        this.setState(state);
+        this.setState(state, { label: `Save invoice ${invoiceData.id || ''}`.trim() });
         return invoiceData.id ? 
             state.invoices.find(i => i.id === invoiceData.id) : 
             state.invoices[state.invoices.length - 1];
@@ -188,158 +679,1205 @@ class Store {
     }
 
     /**
-     * Delete an invoice
+     * Move an invoice to the trash
      * @param {string} invoiceId - Invoice ID to delete
      * @returns {boolean} Success status
      */
     deleteInvoice(invoiceId) {
-        const state = this.getState();
-        const initialLength = state.invoices.length;
-        state.invoices = state.invoices.filter(i => i.id !== invoiceId);
-        
-        if (state.invoices.length < initialLength) {
-            this.setState(state);
-            return true;
-        }
-        return false;
+        const state = this.draftState();
+        if (!this.trashInvoiceIn(state, invoiceId, { actor: this.getCurrentActor() })) return false;
+
+        this.setState(state, { label: `Move invoice ${invoiceId} to the trash` });
+        return true;
     }
 
     /**
-     * Mark invoice as paid
+     * Trash an invoice within a state the caller saves
+     * @param {Object} state - App state
      * @param {string} invoiceId - Invoice ID
-     * @returns {Object|null} Updated invoice or null if not found
+     * @param {Object} options - trashRecord options
+     * @returns {boolean} Whether an invoice was trashed
      */
-    markPaid(invoiceId) {
-        const invoice = this.getInvoice(invoiceId);
-        if (!invoice) return null;
-        
-        return this.updateInvoiceStatus(invoiceId, 'paid');
+    trashInvoiceIn(state, invoiceId, options) {
+        const index = state.invoices.findIndex(i => i.id === invoiceId && !isTrashed(i));
+        if (index === -1) return false;
+
+        state.invoices[index] = trashRecord(state.invoices[index], options);
+        // The source quote can be converted again
+        (state.quotes || [])
+            .filter(q => q.convertedInvoiceId === invoiceId)
+            .forEach(q => { q.convertedInvoiceId = null; });
+        return true;
     }
 
     /**
-     * Update invoice status
-     * @param {string} invoiceId - Invoice ID
-     * @param {string} status - New status (unpaid, paid, overdue)
-     * @returns {Object|null} Updated invoice or null if not found
+     * Invoices and clients in the trash, most recently deleted first
+     * @returns {Object} { invoices, clients, retentionDays }, each record with
+     *     purgeAvailableAt and canPurge added
      */
-    updateInvoiceStatus(invoiceId, status) {
+    getTrash() {
         const state = this.getState();
-        const invoiceIndex = state.invoices.findIndex(i => i.id === invoiceId);
-        
-        if (invoiceIndex === -1) return null;
-        
-        state.invoices[invoiceIndex].status = status;
-        state.invoices[invoiceIndex].updatedAt = Date.now();
-        
-        this.setState(state);
-        return state.invoices[invoiceIndex];
+        const retentionDays = normalizeRetentionDays(state.settings.trashRetentionDays);
+        const now = new Date();
+        const list = (records) => (records || [])
+            .filter(isTrashed)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+            .map(record => ({
+                ...record,
+                purgeAvailableAt: purgeAvailableAt(record, retentionDays),
+                canPurge: canPurge(record, retentionDays, now)
+            }));
+
+        return { invoices: list(state.invoices), clients: list(state.clients), retentionDays };
     }
 
     /**
-     * Duplicate an invoice
-     * @param {string} invoiceId - Invoice ID to duplicate
-     * @returns {Object|null} New invoice or null if original not found
+     * Take an invoice out of the trash, with its client if that was trashed too
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object|null} Restored invoice or null if it is not in the trash
      */
-    duplicateInvoice(invoiceId) {
-        const invoice = this.getInvoice(invoiceId);
-        if (!invoice) return null;
-        
-        const duplicatedInvoice = {
-            ...invoice,
-            id: undefined, // Will be generated by saveInvoice
-            status: 'unpaid',
-            issueDate: new Date().toISOString().split('T')[0],
-            dueDate: this.calculateDueDate(invoice.terms),
-            createdAt: undefined, // Will be set by saveInvoice
-            updatedAt: undefined // Will be set by saveInvoice
-        };
-        
-        return this.saveInvoice(duplicatedInvoice);
+    restoreInvoice(invoiceId) {
+        const state = this.draftState();
+        const index = state.invoices.findIndex(i => i.id === invoiceId && isTrashed(i));
+        if (index === -1) return null;
+
+        const invoice = restoreRecord(state.invoices[index]);
+        state.invoices[index] = invoice;
+
+        const clientIndex = state.clients.findIndex(c => c.id === invoice.clientId && isTrashed(c));
+        if (clientIndex !== -1) {
+            state.clients[clientIndex] = restoreRecord(state.clients[clientIndex]);
+        }
+        // Link the source quote again, unless it was converted since
+        const quote = (state.quotes || []).find(q => q.id === invoice.quoteId);
+        if (quote && !quote.convertedInvoiceId) {
+            quote.convertedInvoiceId = invoice.id;
+        }
+
+        this.setState(state, { label: `Restore invoice ${invoiceId}` });
+        return invoice;
     }
 
     /**
-     * Get application settings
-     * @returns {Object} Settings object
+     * Take a client out of the trash, with the invoices deleted along with it
+     * @param {string} clientId - Client ID
+     * @returns {Object|null} Restored client or null if it is not in the trash
      */
-    getSettings() {
-        const state = this.getState();
-        return state.settings || this.defaultData.settings;
+    restoreClient(clientId) {
+        const state = this.draftState();
+        const index = state.clients.findIndex(c => c.id === clientId && isTrashed(c));
+        if (index === -1) return null;
+
+        const client = restoreRecord(state.clients[index]);
+        state.clients[index] = client;
+        state.invoices = state.invoices.map(invoice => {
+            if (!isTrashed(invoice) || invoice.trashedWith !== clientId) return invoice;
+            const quote = (state.quotes || []).find(q => q.id === invoice.quoteId);
+            if (quote && !quote.convertedInvoiceId) quote.convertedInvoiceId = invoice.id;
+            return restoreRecord(invoice);
+        });
+
+        this.setState(state, { label: `Restore ${client.name || 'client'}` });
+        return client;
     }
 
     /**
-     * Update application settings
-     * @param {Object} settingsUpdate - Updated settings
-     * @returns {Object} Updated settings
+     * Delete a trashed invoice for good, once its retention period is over
+     * @param {string} invoiceId - Invoice ID
+     * @returns {boolean} Success status
+     * @throws {TrashError} If the invoice cannot be purged yet
      */
-    updateSettings(settingsUpdate) {
-        const state = this.getState();
-        state.settings = {
-            ...state.settings,
-            ...settingsUpdate
-        };
-        
-        this.setState(state);
-        return state.settings;
+    purgeInvoice(invoiceId) {
+        const state = this.draftState();
+        if (!state.invoices.some(i => i.id === invoiceId && isTrashed(i))) return false;
+
+        this.purgeInvoiceIn(state, invoiceId, new Date());
+        this.setState(state, { label: `Purge invoice ${invoiceId}` });
+        return true;
     }
 
     /**
-     * Export all data as JSON
-     * @returns {string} JSON string of all data
+     * Delete a trashed client for good, with its trashed invoices
+     * @param {string} clientId - Client ID
+     * @returns {boolean} Success status
+     * @throws {TrashError} If the client or one of its invoices cannot be purged yet
      */
-    exportJSON() {
-        return JSON.stringify(this.getState(), null, 2);
+    purgeClient(clientId) {
+        const state = this.draftState();
+        if (!state.clients.some(c => c.id === clientId && isTrashed(c))) return false;
+
+        this.purgeClientIn(state, clientId, new Date());
+        this.setState(state, { label: 'Purge client' });
+        return true;
     }
 
     /**
-     * Import data from JSON
-     * @param {string} jsonData - JSON string to import
-     * @returns {boolean} Success status
+     * Purge every trashed record whose retention period is over. Records
+     * that are still referenced stay in the trash.
+     * @returns {Object} { invoices, clients }: numbers purged
      */
-    importJSON(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            
-            // Validate data structure
-            if (!this.validateImportData(data)) {
-                throw new Error('Invalid data structure');
+    purgeExpiredTrash() {
+        const state = this.draftState();
+        const now = new Date();
+        const purged = { invoices: 0, clients: 0 };
+        const attempt = (purge) => {
+            try {
+                return purge();
+            } catch (error) {
+                if (error instanceof TrashError) return 0;
+                throw error;
             }
-            
-            // Merge with default data to ensure all required properties exist
-            const mergedData = {
-                ...this.defaultData,
-                ...data,
-                settings: {
-                    ...this.defaultData.settings,
-                    ...data.settings
-                }
-            };
-            
-            this.setState(mergedData);
-            return true;
-        } catch (error) {
-            console.error('Import failed:', error);
-            return false;
+        };
+
+        state.clients.filter(isTrashed).forEach(client => {
+            const invoices = attempt(() => this.purgeClientIn(state, client.id, now));
+            if (invoices !== 0) {
+                purged.clients += 1;
+                purged.invoices += invoices.length;
+            }
+        });
+        state.invoices.filter(isTrashed).forEach(invoice => {
+            if (attempt(() => this.purgeInvoiceIn(state, invoice.id, now))) purged.invoices += 1;
+        });
+
+        if (purged.invoices > 0 || purged.clients > 0) {
+            this.setState(state, { label: 'Empty expired trash' });
         }
+        return purged;
     }
 
     /**
-     * Validate imported data structure
-     * @param {Object} data - Data to validate
-     * @returns {boolean} Is valid
+     * Remove a trashed invoice within a state the caller saves
+     * @param {Object} state - App state
+     * @param {string} invoiceId - Invoice ID
+     * @param {Date} now - Current time
+     * @returns {boolean} Whether the invoice was removed
+     * @throws {TrashError} If it is still in its retention period or has credit notes
      */
-    validateImportData(data) {
-        return (
-            data &&
-            typeof data === 'object' &&
-            Array.isArray(data.clients) &&
-            Array.isArray(data.invoices) &&
-            data.settings &&
-            typeof data.settings === 'object'
-        );
+    purgeInvoiceIn(state, invoiceId, now) {
+        const invoice = state.invoices.find(i => i.id === invoiceId && isTrashed(i));
+        if (!invoice) return false;
+
+        const retentionDays = normalizeRetentionDays(state.settings.trashRetentionDays);
+        if (!canPurge(invoice, retentionDays, now)) {
+            throw new TrashError(`Invoice ${invoiceId} can be deleted permanently from ${purgeAvailableAt(invoice, retentionDays).split('T')[0]}`);
+        }
+        if ((state.creditNotes || []).some(note => note.invoiceId === invoiceId)) {
+            throw new TrashError(`Invoice ${invoiceId} has credit notes and cannot be deleted permanently`);
+        }
+
+        state.invoices = state.invoices.filter(i => i.id !== invoiceId);
+        return true;
     }
 
     /**
-     * Generate unique client ID
+     * Remove a trashed client and its invoices within a state the caller saves
+     * @param {Object} state - App state
+     * @param {string} clientId - Client ID
+     * @param {Date} now - Current time
+     * @returns {Array} Ids of the invoices removed with it
+     * @throws {TrashError} If anything still refers to the client or cannot be purged yet
+     */
+    purgeClientIn(state, clientId, now) {
+        const client = state.clients.find(c => c.id === clientId && isTrashed(c));
+        const retentionDays = normalizeRetentionDays(state.settings.trashRetentionDays);
+        if (!canPurge(client, retentionDays, now)) {
+            throw new TrashError(`Client can be deleted permanently from ${purgeAvailableAt(client, retentionDays).split('T')[0]}`);
+        }
+
+        const invoices = state.invoices.filter(i => i.clientId === clientId);
+        if (invoices.some(i => !isTrashed(i))) {
+            throw new TrashError('Client has invoices that are not in the trash');
+        }
+        if ((state.quotes || []).some(q => q.clientId === clientId)) {
+            throw new TrashError('Client has quotes and cannot be deleted permanently');
+        }
+
+        // Checked on a copy, so a failure leaves the state as it was
+        const draft = structuredClone(state);
+        invoices.forEach(invoice => this.purgeInvoiceIn(draft, invoice.id, now));
+        state.invoices = draft.invoices;
+        state.clients = state.clients.filter(c => c.id !== clientId);
+        return invoices.map(invoice => invoice.id);
+    }
+
+    /**
+     * Mark invoice as paid by recording a payment for the balance due
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} [paymentData] - Optional { date, method, reference }
+     * @returns {Object|null} Updated invoice or null if not found
+     */
+    markPaid(invoiceId, paymentData = {}) {
+        const invoice = this.getInvoice(invoiceId);
+        if (!invoice) return null;
+        
+        const balanceDue = getBalanceDue(invoice, invoice.totals.grand);
+        if (balanceDue <= 0) {
+            // Nothing to collect (e.g. a zero-total invoice)
+            return this.updateInvoiceStatus(invoiceId, 'paid');
+        }
+
+        this.recordPayment(invoiceId, {
+            date: new Date().toISOString().split('T')[0],
+            method: 'other',
+            ...paymentData,
+            amount: balanceDue
+        });
+        return this.getInvoice(invoiceId);
+    }
+
+    /**
+     * Record a payment against an invoice; status follows the balance
+     * (partially_paid, then paid)
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} paymentData - { amount, date, method, reference, note }
+     * @returns {Object|null} Recorded payment or null if invoice not found or in the trash
+     * @throws {PaymentError} If the payment is invalid
+     */
+    recordPayment(invoiceId, paymentData) {
+        const state = this.draftState();
+        const invoice = state.invoices.find(i => i.id === invoiceId && !isTrashed(i));
+        if (!invoice) return null;
+
+        const { payment, changes } = recordPayment(invoice, paymentData, {
+            id: this.generatePaymentId(),
+            total: invoice.totals.grand,
+            unpaidStatus: 'unpaid',
+            actor: this.getCurrentActor()
+        });
+        Object.assign(invoice, changes, { updatedAt: new Date().toISOString() });
+
+        this.setState(state, { label: 'Record payment' });
+        return payment;
+    }
+
+    /**
+     * Remove a recorded payment; status follows the new balance
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} paymentId - Payment ID
+     * @returns {Object|null} Removed payment or null if invoice not found or in the trash
+     * @throws {PaymentError} If the payment does not exist
+     */
+    deletePayment(invoiceId, paymentId) {
+        const state = this.draftState();
+        const invoice = state.invoices.find(i => i.id === invoiceId && !isTrashed(i));
+        if (!invoice) return null;
+
+        const { payment, changes } = removePayment(invoice, paymentId, {
+            total: invoice.totals.grand,
+            unpaidStatus: 'unpaid',
+            actor: this.getCurrentActor()
+        });
+        Object.assign(invoice, changes, { updatedAt: new Date().toISOString() });
+
+        this.setState(state, { label: 'Delete payment' });
+        return payment;
+    }
+
+    /**
+     * Get balance due for an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {number} Balance due (0 if not found)
+     */
+    getBalanceDue(invoiceId) {
+        const invoice = this.getInvoice(invoiceId);
+        return invoice ? getBalanceDue(invoice, invoice.totals.grand) : 0;
+    }
+
+    /**
+     * Update invoice status following the shared lifecycle
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} status - New status (unpaid, paid, overdue, cancelled)
+     * @param {Object} [options] - { action: 'void'|'reopen', reason, actor }
+     * @returns {Object|null} Updated invoice or null if not found
+     * @throws {StatusTransitionError} If the transition is not allowed
+     */
+    updateInvoiceStatus(invoiceId, status, options = {}) {
+        const state = this.draftState();
+        const invoiceIndex = state.invoices.findIndex(i => i.id === invoiceId);
+        
+        if (invoiceIndex === -1) return null;
+        
+        const invoice = state.invoices[invoiceIndex];
+        const from = invoice.status;
+        Object.assign(invoice, transitionStatus(invoice, status, {
+            actor: this.getCurrentActor(),
+            ...options
+        }));
+        invoice.updatedAt = new Date().toISOString();
+
+        // Voided invoices are read-only until reopened
+        if (status === 'cancelled') {
+            invoice.voidedAt = new Date().toISOString();
+            invoice.voidReason = String(options.reason || '').trim();
+        } else if (from === 'cancelled') {
+            invoice.voidedAt = null;
+            invoice.voidReason = '';
+        }
+        
+        this.setState(state, { label: `Mark invoice ${invoiceId} ${status}` });
+        return invoice;
+    }
+
+    /**
+     * Void an invoice. The document is kept as issued (read-only) and its
+     * status moves to cancelled; use credit notes to correct paid amounts.
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} reason - Why the invoice is voided
+     * @returns {Object|null} Voided invoice or null if not found
+     * @throws {StatusTransitionError} If the invoice cannot be voided
+     */
+    voidInvoice(invoiceId, reason) {
+        return this.updateInvoiceStatus(invoiceId, 'cancelled', { action: 'void', reason });
+    }
+
+    /**
+     * Get all credit notes
+     * @returns {Array} Array of credit note objects
+     */
+    getCreditNotes() {
+        const state = this.getState();
+        return state.creditNotes || [];
+    }
+
+    /**
+     * Get credit note by ID
+     * @param {string} creditNoteId - Credit note ID (its number)
+     * @returns {Object|null} Credit note or null if not found
+     */
+    getCreditNote(creditNoteId) {
+        return this.getCreditNotes().find(note => note.id === creditNoteId) || null;
+    }
+
+    /**
+     * Get credit notes issued against an invoice
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Array} Credit notes, oldest first
+     */
+    getCreditNotesForInvoice(invoiceId) {
+        return this.getCreditNotes().filter(note => note.invoiceId === invoiceId);
+    }
+
+    /**
+     * Quantities of an invoice still available to credit, per line item.
+     * Void credit notes give their quantities back.
+     * @param {string} invoiceId - Invoice ID
+     * @returns {Object|null} { items: [{ item, creditedQty, remainingQty }], shippingRemaining }
+     */
+    getCreditableItems(invoiceId) {
+        const invoice = this.getInvoice(invoiceId);
+        if (!invoice) return null;
+
+        const issued = this.getCreditNotesForInvoice(invoiceId).filter(note => note.status !== 'void');
+        const items = invoice.items.map(item => {
+            const creditedQty = issued.reduce((sum, note) => sum + note.items
+                .filter(line => line.sourceItemId === item.id)
+                .reduce((lineSum, line) => lineSum + Number(line.qty), 0), 0);
+            return {
+                item,
+                creditedQty,
+                remainingQty: Math.max(0, roundMoney(Number(item.qty) - creditedQty))
+            };
+        });
+        const shippingCredited = issued.reduce((sum, note) => sum + (Number(note.shipping) || 0), 0);
+
+        return {
+            items,
+            shippingRemaining: Math.max(0, roundMoney((Number(invoice.shipping) || 0) - shippingCredited))
+        };
+    }
+
+    /**
+     * Issue a credit note against an invoice. A full credit covers every
+     * remaining quantity plus shipping; a partial credit lists the lines and
+     * quantities to credit. The credit is applied to the invoice balance and
+     * any excess stays with the client as unapplied credit.
+     * @param {string} invoiceId - Original invoice ID
+     * @param {Object} data - { type: 'full'|'partial', lines: [{ itemId, qty }], reason, issueDate }
+     * @returns {Object} Issued credit note
+     * @throws {Error} If the invoice cannot be credited or the lines are invalid
+     */
+    issueCreditNote(invoiceId, data) {
+        const state = this.draftState();
+        const invoice = state.invoices.find(i => i.id === invoiceId);
+        if (!invoice) {
+            throw new Error('Invoice not found');
+        }
+        if (invoice.status === 'cancelled') {
+            throw new Error('Cannot issue a credit note against a voided invoice');
+        }
+
+        const creditable = this.getCreditableItems(invoiceId);
+        const type = data.type === 'full' ? 'full' : 'partial';
+        let lines;
+        let shipping = 0;
+
+        if (type === 'full') {
+            lines = creditable.items
+                .filter(entry => entry.remainingQty > 0)
+                .map(entry => ({ item: entry.item, qty: entry.remainingQty }));
+            shipping = creditable.shippingRemaining;
+        } else {
+            lines = (data.lines || [])
+                .filter(line => Number(line.qty) > 0)
+                .map(line => {
+                    const entry = creditable.items.find(e => e.item.id === line.itemId);
+                    if (!entry) {
+                        throw new Error('Credited line is not on the original invoice');
+                    }
+                    if (Number(line.qty) > entry.remainingQty) {
+                        throw new Error(`Cannot credit more than ${entry.remainingQty} of "${entry.item.description}"`);
+                    }
+                    return { item: entry.item, qty: Number(line.qty) };
+                });
+        }
+
+        // Fixed-amount and invoice-level discounts are credited in proportion
+        // to the quantity, as a fixed discount on the credited line
+        const lineDiscounts = new Invoice(invoice).getLineDiscounts();
+        const creditedDiscount = (item, qty) => item.discountType === 'amount' || invoice.invoiceDiscount ? {
+            discountType: 'amount',
+            discountAmount: roundMoney(lineDiscounts[item.id] * qty / Number(item.qty))
+        } : {};
+
+        const creditNote = new CreditNote({
+            id: this.takeNumber(state, 'creditNote'),
+            invoiceId,
+            clientId: invoice.clientId,
+            issueDate: data.issueDate,
+            currency: invoice.currency,
+            exchangeRate: invoice.exchangeRate,
+            taxInclusive: !!invoice.taxInclusive,
+            withholdingRate: invoice.withholdingRate || 0,
+            rounding: invoice.rounding,
+            type,
+            reason: data.reason || '',
+            items: lines.map(({ item, qty }) => ({
+                ...item,
+                id: undefined,
+                sourceItemId: item.id,
+                qty,
+                ...creditedDiscount(item, qty)
+            })),
+            shipping
+        });
+
+        const validation = creditNote.validate();
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0]);
+        }
+
+        const { applied, changes } = applyCredit(invoice, {
+            id: creditNote.id,
+            total: creditNote.getAmountPayable(),
+            issueDate: creditNote.issueDate
+        }, {
+            total: invoice.totals.grand,
+            unpaidStatus: 'unpaid',
+            actor: this.getCurrentActor()
+        });
+        Object.assign(invoice, changes, { updatedAt: new Date().toISOString() });
+        creditNote.appliedAmount = applied;
+
+        state.creditNotes = [...(state.creditNotes || []), { ...creditNote }];
+
+        this.setState(state, { label: 'Issue credit note' });
+        return state.creditNotes[state.creditNotes.length - 1];
+    }
+
+    /**
+     * Void a credit note. The document is kept; its allocation is taken off
+     * the invoice and its quantities become creditable again.
+     * @param {string} creditNoteId - Credit note ID
+     * @param {string} reason - Why the credit note is voided
+     * @returns {Object|null} Voided credit note or null if not found
+     * @throws {Error} If the credit note is already void or no reason is given
+     */
+    voidCreditNote(creditNoteId, reason) {
+        const state = this.draftState();
+        const creditNote = (state.creditNotes || []).find(note => note.id === creditNoteId);
+        if (!creditNote) return null;
+
+        if (creditNote.status === 'void') {
+            throw new Error('Credit note is already void');
+        }
+        if (!String(reason || '').trim()) {
+            throw new Error('A reason is required to void a credit note');
+        }
+
+        const invoice = state.invoices.find(i => i.id === creditNote.invoiceId);
+        if (invoice) {
+            Object.assign(invoice, removeCredit(invoice, creditNote, {
+                total: invoice.totals.grand,
+                unpaidStatus: 'unpaid',
+                actor: this.getCurrentActor()
+            }), { updatedAt: new Date().toISOString() });
+        }
+
+        Object.assign(creditNote, {
+            status: 'void',
+            voidedAt: new Date().toISOString(),
+            voidReason: String(reason).trim(),
+            updatedAt: Date.now()
+        });
+
+        this.setState(state, { label: `Void credit note ${creditNoteId}` });
+        return creditNote;
+    }
+
+    /**
+     * Get a client's account balance in the base currency: what is owed on
+     * open invoices less credit that has not been applied to any invoice
+     * @param {string} clientId - Client ID
+     * @returns {Object} { invoiced, outstanding, unappliedCredit, balance }
+     */
+    getClientBalance(clientId) {
+        const invoices = this.getInvoices().filter(i => i.clientId === clientId && i.status !== 'cancelled');
+        const creditNotes = this.getCreditNotes()
+            .filter(note => note.clientId === clientId)
+            .map(note => new CreditNote(note));
+
+        // Amounts are in the base currency; documents without a known rate are left out
+        const toBase = this.getBaseConverter();
+        const sumInBase = (docs, amountOf) => docs.reduce((sum, doc) => sum + (toBase(doc, amountOf(doc)) || 0), 0);
+
+        const invoiced = sumInBase(invoices, invoice => invoice.totals.grand || 0);
+        const outstanding = sumInBase(invoices, invoice => getBalanceDue(invoice, invoice.totals.grand || 0));
+        const unappliedCredit = sumInBase(creditNotes, note => note.getUnappliedAmount());
+
+        return {
+            invoiced: roundMoney(invoiced),
+            outstanding: roundMoney(outstanding),
+            unappliedCredit: roundMoney(unappliedCredit),
+            balance: roundMoney(outstanding - unappliedCredit)
+        };
+    }
+
+    /**
+     * Get the actor recorded in status history (signed-in user if any)
+     * @returns {Object} Actor { id, name }
+     */
+    getCurrentActor() {
+        try {
+            const user = JSON.parse(localStorage.getItem('user_info'));
+            if (user) return { id: user.id, name: user.name || user.email };
+        } catch (error) {
+            // Fall through to the local actor
+        }
+        return { id: 'local', name: 'You' };
+    }
+
+    /**
+     * Duplicate an invoice
+     * @param {string} invoiceId - Invoice ID to duplicate
+     * @returns {Object|null} New invoice or null if original not found
+     */
+    duplicateInvoice(invoiceId) {
+        const invoice = this.getInvoice(invoiceId);
+        if (!invoice) return null;
+        
+        const duplicatedInvoice = {
+            ...invoice,
+            id: undefined, // Will be generated by saveInvoice
+            number: undefined,
+            status: 'unpaid',
+            issueDate: new Date().toISOString().split('T')[0],
+            dueDate: this.calculateDueDate(invoice.terms),
+            createdAt: undefined, // Will be set by saveInvoice
+            updatedAt: undefined // Will be set by saveInvoice
+        };
+        
+        return this.saveInvoice(duplicatedInvoice);
+    }
+
+    /**
+     * Get all quotes
+     * @returns {Array} Array of quote objects
+     */
+    getQuotes() {
+        const state = this.getState();
+        return state.quotes || [];
+    }
+
+    /**
+     * Get quote by ID
+     * @param {string} quoteId - Quote ID
+     * @returns {Object|null} Quote object or null if not found
+     */
+    getQuote(quoteId) {
+        return this.getQuotes().find(q => q.id === quoteId) || null;
+    }
+
+    /**
+     * Save a quote (create or update)
+     * @param {Object} quoteData - Quote data
+     * @returns {Object} Saved quote
+     * @throws {Error} If the quote was already converted to an invoice
+     */
+    saveQuote(quoteData) {
+        const state = this.draftState();
+        const now = new Date().toISOString();
+        state.quotes = state.quotes || [];
+
+        if (quoteData.id) {
+            // Status only changes through updateQuoteStatus and conversion
+            const quoteIndex = state.quotes.findIndex(q => q.id === quoteData.id);
+            if (quoteIndex !== -1) {
+                const stored = state.quotes[quoteIndex];
+                if (stored.convertedInvoiceId) {
+                    throw new Error('Converted quotes cannot be edited');
+                }
+                state.quotes[quoteIndex] = {
+                    ...quoteData,
+                    ...this.resolveCurrency(state, quoteData, stored),
+                    status: stored.status,
+                    statusHistory: stored.statusHistory || [],
+                    convertedInvoiceId: null,
+                    schemaVersion: INVOICE_SCHEMA_VERSION,
+                    updatedAt: now
+                };
+            }
+        } else {
+            const number = this.takeNumber(state, 'quote');
+            const quote = {
+                ...quoteData,
+                ...this.resolveCurrency(state, quoteData),
+                status: 'pending',
+                statusHistory: [
+                    createStatusHistoryEntry({ to: 'pending', actor: this.getCurrentActor(), reason: 'Quote created' })
+                ],
+                convertedInvoiceId: null,
+                id: number,
+                number,
+                schemaVersion: INVOICE_SCHEMA_VERSION,
+                createdAt: now,
+                updatedAt: now
+            };
+            state.quotes.push(quote);
+        }
+
+        this.setState(state, { label: `Save quote ${quoteData.id || ''}`.trim() });
+        return quoteData.id ?
+            state.quotes.find(q => q.id === quoteData.id) :
+            state.quotes[state.quotes.length - 1];
+    }
+
+    /**
+     * Delete a quote
+     * @param {string} quoteId - Quote ID to delete
+     * @returns {boolean} Success status
+     * @throws {Error} If the quote was converted (the invoice links to it)
+     */
+    deleteQuote(quoteId) {
+        const state = this.draftState();
+        const quote = (state.quotes || []).find(q => q.id === quoteId);
+        if (!quote) return false;
+
+        if (quote.convertedInvoiceId) {
+            throw new Error(`Quote was converted to invoice ${quote.convertedInvoiceId} and cannot be deleted`);
+        }
+
+        state.quotes = state.quotes.filter(q => q.id !== quoteId);
+        this.setState(state, { label: `Delete quote ${quoteId}` });
+        return true;
+    }
+
+    /**
+     * Accept, decline or reopen a quote
+     * @param {string} quoteId - Quote ID
+     * @param {string} status - New status (pending, accepted, declined)
+     * @param {Object} [options] - { reason }
+     * @returns {Object|null} Updated quote or null if not found
+     * @throws {Error} If the change is not allowed
+     */
+    updateQuoteStatus(quoteId, status, options = {}) {
+        const state = this.draftState();
+        const quote = (state.quotes || []).find(q => q.id === quoteId);
+        if (!quote) return null;
+
+        if (quote.convertedInvoiceId) {
+            throw new Error('Converted quotes cannot change status');
+        }
+        if (!(QUOTE_TRANSITIONS[quote.status] || []).includes(status)) {
+            throw new Error(`Cannot change quote status from ${quote.status} to ${status}`);
+        }
+
+        quote.statusHistory = [
+            ...(quote.statusHistory || []),
+            createStatusHistoryEntry({
+                from: quote.status,
+                to: status,
+                actor: this.getCurrentActor(),
+                reason: options.reason
+            })
+        ];
+        quote.status = status;
+        quote.updatedAt = new Date().toISOString();
+
+        this.setState(state, { label: `Mark quote ${quoteId} ${status}` });
+        return quote;
+    }
+
+    /**
+     * Convert a quote into an invoice. Client, line items, discounts, shipping,
+     * terms and notes carry over; the quote is marked accepted and the two documents
+     * reference each other (quote.convertedInvoiceId / invoice.quoteId).
+     * @param {string} quoteId - Quote ID
+     * @returns {Object} Created invoice
+     * @throws {Error} If the quote is missing, declined or already converted
+     */
+    convertQuoteToInvoice(quoteId) {
+        const quote = this.getQuote(quoteId);
+        if (!quote) {
+            throw new Error('Quote not found');
+        }
+        if (quote.convertedInvoiceId) {
+            throw new Error(`Quote was already converted to invoice ${quote.convertedInvoiceId}`);
+        }
+        if (quote.status === 'declined') {
+            throw new Error('Declined quotes cannot be converted; reopen the quote first');
+        }
+
+        // Line items get fresh IDs so credit notes can reference them
+        const invoice = this.saveInvoice(new Invoice({
+            clientId: quote.clientId,
+            items: quote.items.map(({ id, ...item }) => item),
+            invoiceDiscount: quote.invoiceDiscount,
+            shipping: quote.shipping,
+            taxInclusive: quote.taxInclusive,
+            withholdingRate: quote.withholdingRate,
+            rounding: quote.rounding,
+            notes: quote.notes,
+            terms: quote.terms,
+            dueDate: this.calculateDueDate(quote.terms || 'Net 30'),
+            currency: quote.currency,
+            // A rate agreed on the quote carries over; otherwise use today's
+            exchangeRate: quote.exchangeRate && quote.exchangeRate.source === 'manual' ? quote.exchangeRate : null,
+            quoteId: quote.id
+        }));
+
+        const state = this.draftState();
+        const stored = state.quotes.find(q => q.id === quoteId);
+        const actor = this.getCurrentActor();
+        const reason = `Converted to invoice ${invoice.id}`;
+        stored.statusHistory = [
+            ...(stored.statusHistory || []),
+            createStatusHistoryEntry({ from: stored.status, to: 'accepted', actor, reason })
+        ];
+        stored.status = 'accepted';
+        stored.convertedInvoiceId = invoice.id;
+        stored.updatedAt = new Date().toISOString();
+
+        this.setState(state, { label: `Convert quote ${quoteId}` });
+        return invoice;
+    }
+
+    /**
+     * Get application settings
+     * @returns {Object} Settings object
+     */
+    getSettings() {
+        const state = this.getState();
+        return state.settings || this.defaultData.settings;
+    }
+
+    /**
+     * Update application settings
+     * @param {Object} settingsUpdate - Updated settings
+     * @returns {Object} Updated settings
+     */
+    updateSettings(settingsUpdate) {
+        const state = this.draftState();
+        state.settings = {
+            ...state.settings,
+            ...settingsUpdate
+        };
+        
+        this.setState(state, { label: 'Update settings' });
+        return state.settings;
+    }
+
+    /**
+     * Get the tax definitions offered on line items
+     * @returns {Array} Tax definitions
+     */
+    getTaxes() {
+        return this.getSettings().taxes || [];
+    }
+
+    /**
+     * Add or update a tax definition. Documents already saved keep the copy
+     * of the tax on their lines.
+     * @param {Object} data - { id, name, rate, compound }
+     * @returns {Object} Saved tax definition
+     * @throws {TaxError} If the definition is invalid
+     * @throws {Error} If another tax has the same name
+     */
+    saveTax(data) {
+        const state = this.draftState();
+        const taxes = state.settings.taxes || [];
+        const tax = normalizeTaxDefinition(data);
+
+        const name = tax.name.toLowerCase();
+        if (taxes.some(existing => existing.id !== tax.id && existing.name.toLowerCase() === name)) {
+            throw new Error(`A tax named "${tax.name}" already exists`);
+        }
+
+        if (tax.id && taxes.some(existing => existing.id === tax.id)) {
+            state.settings.taxes = taxes.map(existing => existing.id === tax.id ? tax : existing);
+        } else {
+            tax.id = this.generateTaxId();
+            state.settings.taxes = [...taxes, tax];
+        }
+
+        this.setState(state, { label: 'Save tax' });
+        return tax;
+    }
+
+    /**
+     * Delete a tax definition. Lines that already carry it keep their copy.
+     * @param {string} taxId - Tax ID
+     * @returns {boolean} Success status
+     */
+    deleteTax(taxId) {
+        const state = this.draftState();
+        const taxes = state.settings.taxes || [];
+        state.settings.taxes = taxes.filter(tax => tax.id !== taxId);
+        this.setState(state, { label: 'Delete tax' });
+        return state.settings.taxes.length < taxes.length;
+    }
+
+    /**
+     * Get the product and service catalog
+     * @returns {Array} Catalog entries
+     */
+    getCatalogItems() {
+        return this.getState().catalog || [];
+    }
+
+    /**
+     * Get a catalog entry by ID
+     * @param {string} itemId - Catalog entry ID
+     * @returns {Object|null} Catalog entry or null if not found
+     */
+    getCatalogItem(itemId) {
+        return this.getCatalogItems().find(item => item.id === itemId) || null;
+    }
+
+    /**
+     * Add or update a catalog entry. Lines already created from it keep
+     * their copy of the price and taxes.
+     * @param {Object} data - { id, sku, description, unit, unitPrice, discountRate, taxes }
+     * @returns {Object} Saved catalog entry
+     * @throws {CatalogError} If the entry is invalid
+     * @throws {Error} If another entry has the same SKU
+     */
+    saveCatalogItem(data) {
+        const state = this.draftState();
+        const catalog = state.catalog || [];
+        const entry = normalizeCatalogItem(data);
+        const existing = data.id ? catalog.find(item => item.id === data.id) : null;
+
+        if (isSkuTaken(catalog, entry.sku, existing && existing.id)) {
+            throw new Error(`An item with SKU "${entry.sku}" already exists`);
+        }
+
+        const now = new Date().toISOString();
+        let saved;
+        if (existing) {
+            saved = { ...existing, ...entry, updatedAt: now };
+            state.catalog = catalog.map(item => item.id === existing.id ? saved : item);
+        } else {
+            saved = { id: this.generateCatalogItemId(), ...entry, createdAt: now, updatedAt: now };
+            state.catalog = [...catalog, saved];
+        }
+
+        this.setState(state, { label: 'Save catalog item' });
+        return saved;
+    }
+
+    /**
+     * Delete a catalog entry. Lines created from it are not affected.
+     * @param {string} itemId - Catalog entry ID
+     * @returns {boolean} Success status
+     */
+    deleteCatalogItem(itemId) {
+        const state = this.draftState();
+        const catalog = state.catalog || [];
+        state.catalog = catalog.filter(item => item.id !== itemId);
+        this.setState(state, { label: 'Delete catalog item' });
+        return state.catalog.length < catalog.length;
+    }
+
+    /**
+     * Search the catalog by SKU or description
+     * @param {string} query - Search query
+     * @param {number} [limit] - Most entries to return
+     * @returns {Array} Matching entries, best first
+     */
+    searchCatalogItems(query, limit) {
+        return searchCatalog(this.getCatalogItems(), query, limit);
+    }
+
+    /**
+     * Currency and exchange rate snapshot to store with an invoice or quote.
+     * A rate entered on the document (source 'manual') is kept. Otherwise the
+     * stored snapshot stays frozen until the currency or base currency
+     * changes, when a new one is taken from the rate table.
+     * @param {Object} state - Application state
+     * @param {Object} data - Document being saved
+     * @param {Object} [stored] - Stored version of the document
+     * @returns {{currency: string, exchangeRate: Object}} Fields to store
+     * @throws {CurrencyError} If no rate is known for the currency
+     */
+    resolveCurrency(state, data, stored = null) {
+        const base = state.settings.currency || 'PHP';
+        const currency = normalizeCurrencyCode(data.currency) || base;
+
+        if (currency !== base && data.exchangeRate && data.exchangeRate.source === 'manual') {
+            const { rate, date, source } = normalizeExchangeRate({
+                ...data.exchangeRate,
+                currency,
+                base,
+                date: data.exchangeRate.date || data.issueDate
+            });
+            return { currency, exchangeRate: { base, rate, date, source } };
+        }
+        if (stored && stored.currency === currency && stored.exchangeRate && stored.exchangeRate.base === base) {
+            return { currency, exchangeRate: stored.exchangeRate };
+        }
+        return {
+            currency,
+            exchangeRate: createRateSnapshot(currency, base, state.exchangeRates || [], data.issueDate)
+        };
+    }
+
+    /**
+     * Get the exchange rate table (rates to the base currency)
+     * @returns {Array} Rate entries { currency, base, rate, date, source }
+     */
+    getExchangeRates() {
+        return this.getState().exchangeRates || [];
+    }
+
+    /**
+     * Rate from a currency to the base currency on a date, from the table
+     * @param {string} currency - Currency code
+     * @param {string} [onDate] - YYYY-MM-DD (defaults to the latest rate)
+     * @returns {Object|null} Rate entry
+     */
+    getExchangeRate(currency, onDate = null) {
+        const base = this.getSettings().currency;
+        return findExchangeRate(this.getExchangeRates(), currency, base, onDate) ||
+            findExchangeRate(this.getExchangeRates(), currency, base);
+    }
+
+    /**
+     * Add or replace exchange rates (one per currency pair and date)
+     * @param {Array} entries - Rate entries
+     * @param {Array} rates - Existing rate table
+     * @returns {Array} Updated rate table
+     */
+    mergeExchangeRates(entries, rates) {
+        const key = (entry) => `${entry.currency}/${entry.base}/${entry.date}`;
+        const incoming = new Set(entries.map(key));
+        return [...rates.filter(entry => !incoming.has(key(entry))), ...entries];
+    }
+
+    /**
+     * Save a manually entered rate to the base currency
+     * @param {Object} data - { currency, rate, date }
+     * @returns {Object} Saved rate entry
+     * @throws {CurrencyError} If the rate is invalid
+     */
+    saveExchangeRate(data) {
+        const state = this.draftState();
+        const entry = normalizeExchangeRate({ ...data, base: state.settings.currency, source: 'manual' });
+        state.exchangeRates = this.mergeExchangeRates([entry], state.exchangeRates || []);
+        this.setState(state, { label: 'Save exchange rate' });
+        return entry;
+    }
+
+    /**
+     * Import rates from a CSV or JSON file
+     * @param {string} text - File contents
+     * @returns {number} Number of rates imported
+     * @throws {CurrencyError} If the file or any row is invalid
+     */
+    importExchangeRates(text) {
+        const state = this.draftState();
+        const entries = parseExchangeRates(text, {
+            base: state.settings.currency,
+            date: new Date().toISOString().split('T')[0]
+        });
+        state.exchangeRates = this.mergeExchangeRates(entries, state.exchangeRates || []);
+        this.setState(state, { label: 'Import exchange rates' });
+        return entries.length;
+    }
+
+    /**
+     * Delete a rate from the table. Invoices keep the snapshot they took.
+     * @param {string} currency - Currency code
+     * @param {string} date - Rate date
+     * @returns {boolean} Success status
+     */
+    deleteExchangeRate(currency, date) {
+        const state = this.draftState();
+        const base = state.settings.currency;
+        const before = (state.exchangeRates || []).length;
+        state.exchangeRates = (state.exchangeRates || []).filter(entry =>
+            !(entry.currency === currency && entry.base === base && entry.date === date));
+        this.setState(state, { label: 'Delete exchange rate' });
+        return state.exchangeRates.length < before;
+    }
+
+    /**
+     * Build a converter from document amounts to the base currency. It uses
+     * the document's rate snapshot, or the rate table when the base currency
+     * has changed since the snapshot was taken. Returns null when no rate
+     * is known.
+     * @returns {Function} (document, amount) => number|null
+     */
+    getBaseConverter() {
+        const state = this.getState();
+        const base = state.settings.currency || 'PHP';
+        const rates = state.exchangeRates || [];
+
+        return (doc, amount) => {
+            const currency = doc.currency || base;
+            if (currency === base) return roundMoney(amount);
+            if (doc.exchangeRate && doc.exchangeRate.base === base) {
+                return convertToBase(amount, doc.exchangeRate);
+            }
+            const entry = findExchangeRate(rates, currency, base, doc.issueDate) ||
+                findExchangeRate(rates, currency, base);
+            return entry ? convertToBase(amount, entry) : null;
+        };
+    }
+
+    /**
+     * Export all data as JSON
+     * @returns {string} JSON string of all data
+     */
+    exportJSON() {
+        return JSON.stringify(this.getState(), null, 2);
+    }
+
+    /**
+     * Parse an export and bring it up to the current schema
+     * @param {string} jsonData - JSON string to import
+     * @returns {Object} { data: as parsed, migration: result of migrateState, state: complete app state }
+     * @throws {Error} If the JSON is not an export; MigrationError if it cannot be migrated
+     */
+    readImport(jsonData) {
+        const data = JSON.parse(jsonData);
+
+        // Validate data structure
+        if (!this.validateImportData(data)) {
+            throw new Error('Invalid data structure');
+        }
+
+        // Exports from any earlier version are brought up to the current schema
+        const migration = migrateState(data);
+
+        // Merge with default data to ensure all required properties exist
+        const state = {
+            ...this.defaultData,
+            ...migration.state,
+            settings: {
+                ...this.defaultData.settings,
+                ...migration.state.settings
+            }
+        };
+        return { data, migration, state };
+    }
+
+    /**
+     * Keep the export as it was before it was migrated
+     * @param {Object} imported - Result of readImport
+     */
+    keepImportBackup({ data, migration }) {
+        if (migration.applied.length === 0 || !this.engine) return;
+
+        const saving = this.engine.saveBackup(this.migrationBackup('import', migration, data));
+        if (saving) {
+            saving.catch(error => console.error('Error saving migration backup:', error));
+        }
+    }
+
+    /**
+     * Import data from JSON, replacing all data
+     * @param {string} jsonData - JSON string to import
+     * @returns {boolean} Success status
+     */
+    importJSON(jsonData) {
+        try {
+            // The current state is untouched if the export cannot be migrated
+            const imported = this.readImport(jsonData);
+            this.keepImportBackup(imported);
+
+            this.migrationError = null;
+            this.setState(imported.state, { label: 'Import backup' });
+            return true;
+        } catch (error) {
+            if (error instanceof MigrationError) {
+                console.error('Import failed, data could not be migrated:', error);
+            } else {
+                console.error('Import failed:', error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Compare an export's clients and invoices with the current data
+     * without changing anything
+     * @param {string} jsonData - JSON string to import
+     * @returns {Object} Merge plan (see merge-import.js planMerge)
+     * @throws {Error} If the JSON is not an export or cannot be migrated
+     */
+    previewMergeJSON(jsonData) {
+        return planMerge(this.getState(), this.readImport(jsonData).state);
+    }
+
+    /**
+     * Merge an export's clients and invoices into the current data
+     * @param {string} jsonData - JSON string to import
+     * @param {Object} [resolutions] - { [conflict key]: 'mine' | 'theirs' | 'both' }; unresolved conflicts keep mine
+     * @returns {Object} Summary report (see merge-import.js applyMerge)
+     * @throws {Error} If the JSON is not an export or cannot be migrated
+     */
+    mergeJSON(jsonData, resolutions = {}) {
+        const imported = this.readImport(jsonData);
+        const current = this.getState();
+        const { state, report } = applyMerge(current, planMerge(current, imported.state), resolutions, {
+            newClientId: () => this.generateClientId(),
+            takeInvoiceNumber: (target) => this.takeNumber(target, 'invoice')
+        });
+
+        this.keepImportBackup(imported);
+        this.setState(state, { label: 'Merge backup' });
+        return report;
+    }
+
+    /**
+     * Validate imported data structure
+     * @param {Object} data - Data to validate
+     * @returns {boolean} Is valid
+     */
+    validateImportData(data) {
+        return (
+            data &&
+            typeof data === 'object' &&
+            Array.isArray(data.clients) &&
+            Array.isArray(data.invoices) &&
+            data.settings &&
+            typeof data.settings === 'object'
+        );
+    }
+
+    /**
+     * Generate unique client ID
      * @returns {string} Client ID
      */
     generateClientId() {
@@ -347,16 +1885,87 @@ class Store {
     }
 
     /**
-     * Generate invoice number based on settings
-     * @returns {string} Invoice number
+     * Generate unique payment ID
+     * @returns {string} Unique payment ID
      */
-    generateInvoiceNumber() {
+    generatePaymentId() {
+        return 'p_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Generate unique tax definition ID
+     * @returns {string} Tax ID
+     */
+    generateTaxId() {
+        return 'tax_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Generate unique catalog entry ID
+     * @returns {string} Unique catalog entry ID
+     */
+    generateCatalogItemId() {
+        return 'item_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Numbering scheme of a document type from settings
+     * @param {Object} settings - Settings
+     * @param {string} type - invoice, quote or creditNote
+     * @returns {Object} { format, prefix, reset }
+     */
+    getNumberingScheme(settings, type) {
+        const scheme = (settings.numbering || {})[type] || {};
+        return {
+            format: scheme.format || DEFAULT_NUMBER_FORMAT,
+            prefix: settings[NUMBERING_FIELDS[type].prefix] || '',
+            reset: scheme.reset || 'never'
+        };
+    }
+
+    /**
+     * Number the next document of a type will get, without taking it
+     * @param {string} type - invoice, quote or creditNote
+     * @returns {string} Document number
+     */
+    previewNumber(type) {
         const settings = this.getSettings();
-        const date = new Date();
-        const yearMonth = date.getFullYear().toString() + String(date.getMonth() + 1).padStart(2, '0');
-        const counter = String(settings.numberSeed).padStart(3, '0');
-        
-        return `${settings.invoicePrefix}-${yearMonth}-${counter}`;
+        const scheme = this.getNumberingScheme(settings, type);
+        return allocateNumber(scheme, {
+            period: (settings.numberPeriods || {})[type],
+            next: settings[NUMBERING_FIELDS[type].seed]
+        }).number;
+    }
+
+    /**
+     * Take the next number of a document type and advance its sequence in
+     * state.settings. Numbers already on a document of the type are skipped.
+     * @param {Object} state - App state, saved by the caller
+     * @param {string} type - invoice, quote or creditNote
+     * @returns {string} Document number
+     */
+    takeNumber(state, type) {
+        const fields = NUMBERING_FIELDS[type];
+        const numbers = (state[fields.collection] || []).map(doc => doc.number || doc.id);
+        const { number, counter } = allocateNumber(this.getNumberingScheme(state.settings, type), {
+            period: (state.settings.numberPeriods || {})[type],
+            next: state.settings[fields.seed]
+        }, { isTaken: candidate => isNumberTaken(numbers, candidate) });
+
+        state.settings[fields.seed] = counter.next;
+        state.settings.numberPeriods = { ...state.settings.numberPeriods, [type]: counter.period };
+        return number;
+    }
+
+    /**
+     * Gaps and duplicates in the numbers issued for a document type
+     * @param {string} type - invoice, quote or creditNote
+     * @returns {Object} Report (see shared/numbering findNumberingIssues)
+     */
+    getNumberingReport(type) {
+        const state = this.getState();
+        const numbers = (state[NUMBERING_FIELDS[type].collection] || []).map(doc => doc.number || doc.id);
+        return findNumberingIssues(numbers, this.getNumberingScheme(state.settings, type));
     }
 
     /**
@@ -385,37 +1994,61 @@ class Store {
         const currentMonth = now.getMonth();
         const currentYear = now.getFullYear();
         
+        // Money figures are converted to the base currency
+        const toBase = this.getBaseConverter();
         const stats = {
             total: invoices.length,
             unpaid: 0,
+            partiallyPaid: 0,
             overdue: 0,
-            collectedThisMonth: 0
+            outstanding: 0,
+            collectedThisMonth: 0,
+            baseCurrency: this.getSettings().currency,
+            // Foreign-currency invoices with no rate to the base currency
+            unconverted: 0
         };
 
         invoices.forEach(invoice => {
             // Update overdue status
             const dueDate = new Date(invoice.dueDate);
-            if (invoice.status === 'unpaid' && dueDate < now) {
-                this.updateInvoiceStatus(invoice.id, 'overdue');
-                invoice.status = 'overdue'; // Update local copy for stats
+            let status = invoice.status;
+            if (status === 'unpaid' && dueDate < now) {
+                this.updateInvoiceStatus(invoice.id, 'overdue', {
+                    actor: SYSTEM_ACTOR,
+                    reason: 'Past due date'
+                });
+                status = 'overdue';
             }
             
             // Count unpaid and overdue
-            if (invoice.status === 'unpaid') {
+            if (status === 'unpaid') {
                 stats.unpaid++;
-            } else if (invoice.status === 'overdue') {
+            } else if (status === 'partially_paid') {
+                stats.partiallyPaid++;
+            } else if (status === 'overdue') {
                 stats.overdue++;
             }
+
+            if (toBase(invoice, 0) === null) {
+                stats.unconverted++;
+                return;
+            }
+
+            if (invoice.status !== 'cancelled') {
+                stats.outstanding += toBase(invoice, getBalanceDue(invoice, invoice.totals.grand || 0));
+            }
             
-            // Calculate collected this month
-            if (invoice.status === 'paid') {
-                const updatedDate = new Date(invoice.updatedAt);
-                if (updatedDate.getMonth() === currentMonth && updatedDate.getFullYear() === currentYear) {
-                    stats.collectedThisMonth += invoice.totals.grand || 0;
+            // Calculate collected this month from payment dates
+            getEffectivePayments(invoice, invoice.totals.grand || 0).forEach(payment => {
+                const [year, month] = payment.date.split('-').map(Number);
+                if (month - 1 === currentMonth && year === currentYear) {
+                    stats.collectedThisMonth += toBase(invoice, Number(payment.amount) || 0);
                 }
-            }
+            });
         });
 
+        stats.outstanding = roundMoney(stats.outstanding);
+        stats.collectedThisMonth = roundMoney(stats.collectedThisMonth);
         return stats;
     }
 
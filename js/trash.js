@@ -0,0 +1,185 @@
+// Trash: deleted invoices and clients, restored or purged from here
+import { CurrencyFormatter, DateUtils, toast, toastWithUndo } from './ui.js';
+import { Invoice } from './models.js';
+import store from './store.js';
+
+export class TrashView {
+    constructor() {
+        this.currencyFormatter = new CurrencyFormatter();
+        this.isInitialized = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize trash view
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        this.bindEvents();
+        this.loadData();
+
+        // Listen for state changes
+        window.addEventListener('stateChange', () => {
+            this.loadData();
+        });
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('purge-expired-btn')?.addEventListener('click', this.purgeExpired.bind(this));
+    }
+
+    /**
+     * Load trashed invoices and clients into their tables
+     */
+    loadData() {
+        const invoicesBody = document.getElementById('trash-invoices-tbody');
+        const clientsBody = document.getElementById('trash-clients-tbody');
+        if (!invoicesBody || !clientsBody) return;
+
+        this.currencyFormatter.setCurrency(store.getSettings().currency);
+
+        const trash = store.getTrash();
+        invoicesBody.innerHTML = trash.invoices.map(invoice => this.createInvoiceRow(invoice)).join('');
+        clientsBody.innerHTML = trash.clients.map(client => this.createClientRow(client, trash.invoices)).join('');
+
+        document.getElementById('trash-retention').textContent = trash.retentionDays === 1 ?
+            '1 day' : `${trash.retentionDays} days`;
+        document.getElementById('trash-invoices-table').style.display = trash.invoices.length > 0 ? 'table' : 'none';
+        document.getElementById('trash-clients-table').style.display = trash.clients.length > 0 ? 'table' : 'none';
+        document.getElementById('trash-empty').style.display =
+            trash.invoices.length + trash.clients.length > 0 ? 'none' : 'block';
+        document.getElementById('purge-expired-btn').disabled =
+            ![...trash.invoices, ...trash.clients].some(record => record.canPurge);
+    }
+
+    /**
+     * When and by whom a record was deleted
+     * @param {Object} record - Trashed record
+     * @returns {string} HTML string for the cell
+     */
+    formatDeleted(record) {
+        return `${DateUtils.formatDate(record.deletedAt)}${record.deletedBy ?
+            `<br><small class="text-gray-500">${record.deletedBy.name}</small>` : ''}`;
+    }
+
+    /**
+     * Restore and delete-forever buttons of a trashed record
+     * @param {string} type - invoice or client
+     * @param {Object} record - Trashed record with purgeAvailableAt and canPurge
+     * @returns {string} HTML string for the cell
+     */
+    createActions(type, record) {
+        const purgeTitle = record.canPurge ? 'Delete Permanently' :
+            `Can be deleted permanently from ${DateUtils.formatDate(record.purgeAvailableAt)}`;
+        return `
+            <div class="table-actions">
+                <button class="action-btn" onclick="trashView.restore('${type}', '${record.id}')" title="Restore">
+                    ↩️
+                </button>
+                <button class="action-btn" onclick="trashView.purge('${type}', '${record.id}')" title="${purgeTitle}" ${record.canPurge ? '' : 'disabled'}>
+                    🗑️
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create trashed invoice table row
+     * @param {Object} data - Trashed invoice
+     * @returns {string} HTML string for table row
+     */
+    createInvoiceRow(data) {
+        const invoice = new Invoice(data);
+        const client = store.getClient(data.clientId);
+        return `
+            <tr data-invoice-id="${data.id}">
+                <td><strong>${data.id}</strong></td>
+                <td>${client ? client.name : 'Unknown Client'}${data.trashedWith ?
+                    '<br><small class="text-gray-500">Deleted with the client</small>' : ''}</td>
+                <td class="text-right">${this.currencyFormatter.format(invoice.totals.grand, invoice.currency)}</td>
+                <td>${this.formatDeleted(data)}</td>
+                <td>${DateUtils.formatDate(data.purgeAvailableAt)}</td>
+                <td>${this.createActions('invoice', data)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Create trashed client table row
+     * @param {Object} client - Trashed client
+     * @param {Array} trashedInvoices - Invoices in the trash
+     * @returns {string} HTML string for table row
+     */
+    createClientRow(client, trashedInvoices) {
+        const invoices = trashedInvoices.filter(invoice => invoice.trashedWith === client.id).length;
+        return `
+            <tr data-client-id="${client.id}">
+                <td><strong>${client.name}</strong>${client.company ? `<br><small class="text-gray-500">${client.company}</small>` : ''}</td>
+                <td>${client.email || '-'}</td>
+                <td class="text-right">${invoices}</td>
+                <td>${this.formatDeleted(client)}</td>
+                <td>${DateUtils.formatDate(client.purgeAvailableAt)}</td>
+                <td>${this.createActions('client', client)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Take a record out of the trash
+     * @param {string} type - invoice or client
+     * @param {string} id - Record ID
+     */
+    restore(type, id) {
+        const restored = type === 'client' ? store.restoreClient(id) : store.restoreInvoice(id);
+        if (restored) {
+            toastWithUndo(type === 'client' ? `Client "${restored.name}" restored` : `Invoice ${id} restored`, store);
+        } else {
+            toast.error('Record is no longer in the trash');
+        }
+    }
+
+    /**
+     * Delete a trashed record for good
+     * @param {string} type - invoice or client
+     * @param {string} id - Record ID
+     */
+    purge(type, id) {
+        try {
+            const purged = type === 'client' ? store.purgeClient(id) : store.purgeInvoice(id);
+            if (purged) {
+                toastWithUndo(type === 'client' ? 'Client deleted permanently' : `Invoice ${id} deleted permanently`, store);
+            } else {
+                toast.error('Record is no longer in the trash');
+            }
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Purge everything whose retention period is over
+     */
+    purgeExpired() {
+        const purged = store.purgeExpiredTrash();
+        if (purged.invoices + purged.clients > 0) {
+            toastWithUndo(`Deleted ${purged.invoices} invoice(s) and ${purged.clients} client(s) permanently`, store);
+        } else {
+            toast.info('Nothing in the trash can be deleted permanently yet');
+        }
+    }
+}
+
+// Create global instance
+const trashView = new TrashView();
+
+// Make available globally for event handlers
+window.trashView = trashView;
+
+export default trashView;
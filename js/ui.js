@@ -1,4 +1,5 @@
 // UI Helper Functions and Components
+import { formatMoney } from './shared/currency.js';
 
 /**
  * Toast notification system
@@ -13,9 +14,10 @@ export class Toast {
      * Show success toast
      * @param {string} message - Success message
      * @param {number} duration - Display duration in ms
+     * @param {Object} [action] - Button in the toast: { label, onClick }
      */
-    success(message, duration = 3000) {
-        this.show(message, 'success', duration);
+    success(message, duration = 3000, action = null) {
+        this.show(message, 'success', duration, action);
     }
 
     /**
@@ -31,9 +33,10 @@ export class Toast {
      * Show info toast
      * @param {string} message - Info message
      * @param {number} duration - Display duration in ms
+     * @param {Object} [action] - Button in the toast: { label, onClick }
      */
-    info(message, duration = 3000) {
-        this.show(message, 'info', duration);
+    info(message, duration = 3000, action = null) {
+        this.show(message, 'info', duration, action);
     }
 
     /**
@@ -41,10 +44,24 @@ export class Toast {
      * @param {string} message - Toast message
      * @param {string} type - Toast type (success, error, info)
      * @param {number} duration - Display duration in ms
+     * @param {Object} [action] - Button in the toast, e.g. { label: 'Undo', onClick }
      */
-    show(message, type = 'info', duration = 3000) {
+    show(message, type = 'info', duration = 3000, action = null) {
         const toastId = Date.now().toString();
         const toast = this.createToast(message, type, toastId);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.remove(toastId);
+                action.onClick();
+            });
+            toast.querySelector('.toast-content').appendChild(button);
+        }
         
         this.container.appendChild(toast);
         this.toasts.set(toastId, toast);
@@ -232,6 +249,7 @@ export class AutoSave {
         this.setStatus('typing');
         
         this.timeoutId = setTimeout(async () => {
+            this.timeoutId = null;
             this.setStatus('saving');
             try {
                 await this.saveCallback(data);
@@ -248,9 +266,18 @@ export class AutoSave {
      */
     cancel() {
         clearTimeout(this.timeoutId);
+        this.timeoutId = null;
         this.setStatus('');
     }
 
+    /**
+     * Whether changes are waiting to be saved
+     * @returns {boolean} True while an auto-save is scheduled
+     */
+    isPending() {
+        return this.timeoutId !== null;
+    }
+
     /**
      * Set auto-save status indicator
      * @param {string} status - Status (typing, saving, saved, error)
@@ -534,31 +561,23 @@ export class FormUtils {
 }
 
 /**
- * Currency formatter
+ * Currency formatter for any ISO 4217 code
  */
 export class CurrencyFormatter {
     constructor(currency = 'PHP') {
         this.currency = currency;
-        this.symbols = {
-            'PHP': '₱',
-            'USD': '$',
-            'EUR': '€'
-        };
     }
 
     /**
      * Format amount as currency
      * @param {number} amount - Amount to format
+     * @param {string} [currency] - Currency code (defaults to the formatter's)
      * @returns {string} Formatted currency string
      */
-    format(amount) {
-        if (isNaN(amount)) return this.format(0);
-        
-        const symbol = this.symbols[this.currency] || this.currency;
-        return `${symbol}${amount.toLocaleString('en-US', { 
-            minimumFractionDigits: 2, 
-            maximumFractionDigits: 2 
-        })}`;
+    format(amount, currency = this.currency) {
+        if (isNaN(amount)) return this.format(0, currency);
+
+        return formatMoney(amount, currency);
     }
 
     /**
@@ -722,4 +741,22 @@ export class LoadingManager {
 
 // Export instances for global use
 export const toast = new Toast();
+
+/**
+ * Success toast with an Undo button for the change just made. The button
+ * only undoes that change; after newer ones, they have to be undone first.
+ * @param {string} message - Success message
+ * @param {Object} store - Store the change was made in
+ */
+export function toastWithUndo(message, store) {
+    const change = store.lastChange();
+    toast.success(message, 8000, {
+        label: 'Undo',
+        onClick: () => {
+            if (!store.undo(change)) {
+                toast.info('Newer changes were made since; undo them first with Undo at the top');
+            }
+        }
+    });
+}
 export const loadingManager = new LoadingManager();
@@ -18,6 +18,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 require_once '../config/database.php';
 
 class DatabaseAPI {
+    // Version of the canonical invoice schema (js/shared/invoice-schema.js)
+    const INVOICE_SCHEMA_VERSION = 1;
+
     private $db;
     private $connection;
     
@@ -305,12 +308,7 @@ class DatabaseAPI {
         
         $stmt = $this->connection->prepare($query);
         $stmt->execute();
-        $invoices = $stmt->fetchAll();
-        
-        // Get items for each invoice
-        foreach ($invoices as &$invoice) {
-            $invoice['items'] = $this->getInvoiceItems($invoice['id']);
-        }
+        $invoices = array_map([$this, 'formatInvoice'], $stmt->fetchAll());
         
         $this->sendResponse(['invoices' => $invoices]);
     }
@@ -341,8 +339,24 @@ class DatabaseAPI {
             $this->sendError('Invoice not found', 404);
         }
         
-        $invoice['items'] = $this->getInvoiceItems($id);
-        $this->sendResponse(['invoice' => $invoice]);
+        $this->sendResponse(['invoice' => $this->formatInvoice($invoice)]);
+    }
+    
+    /**
+     * Invoice as returned by the API: the stored canonical document, or for
+     * rows saved before documents were stored, the row with its items (the
+     * browser upgrades those with js/shared/invoice-schema.js)
+     */
+    private function formatInvoice($row) {
+        if (!empty($row['document'])) {
+            $invoice = json_decode($row['document'], true);
+            $invoice['id'] = $row['id'];
+            return $invoice;
+        }
+        
+        unset($row['document']);
+        $row['items'] = $this->getInvoiceItems($row['id']);
+        return $row;
     }
     
     /**
@@ -350,6 +364,7 @@ class DatabaseAPI {
      */
     private function createInvoice() {
         $input = $this->getInput();
+        $this->requireCanonicalInvoice($input);
         
         // Generate invoice ID
         $settings = $this->getSettingsArray();
@@ -358,38 +373,10 @@ class DatabaseAPI {
         try {
             $this->connection->beginTransaction();
             
-            // Insert invoice
-            $query = "INSERT INTO invoices (id, client_id, issue_date, due_date, terms, status, 
-                      subtotal, tax_rate, tax_amount, discount, total_amount, notes, currency) 
-                      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)";
-            
-            $stmt = $this->connection->prepare($query);
-            $success = $stmt->execute([
-                $invoiceId,
-                $input['clientId'] ?? '',
-                $input['issueDate'] ?? date('Y-m-d'),
-                $input['dueDate'] ?? date('Y-m-d', strtotime('+30 days')),
-                $input['terms'] ?? 'Net 30',
-                $input['status'] ?? 'unpaid',
-                $input['totals']['subtotal'] ?? 0,
-                $input['taxRate'] ?? 0,
-                $input['totals']['tax'] ?? 0,
-                $input['discount'] ?? 0,
-                $input['totals']['grand'] ?? 0,
-                $input['notes'] ?? '',
-                $input['currency'] ?? 'PHP'
-            ]);
-            
-            if (!$success) {
-                throw new Exception('Failed to create invoice');
-            }
-            
-            // Insert invoice items
-            if (isset($input['items']) && is_array($input['items'])) {
-                foreach ($input['items'] as $item) {
-                    $this->insertInvoiceItem($invoiceId, $item);
-                }
-            }
+            $this->writeInvoice(array_merge($input, [
+                'id' => $invoiceId,
+                'number' => $input['number'] ?? $invoiceId
+            ]));
             
             // Update number seed
             $this->updateSetting('number_seed', ((int)$settings['number_seed']) + 1);
@@ -408,50 +395,19 @@ class DatabaseAPI {
      */
     private function updateInvoice($id) {
         $input = $this->getInput();
+        $this->requireCanonicalInvoice($input);
         
         try {
             $this->connection->beginTransaction();
             
-            // Update invoice
-            $query = "UPDATE invoices SET 
-                      client_id = ?, issue_date = ?, due_date = ?, terms = ?, status = ?,
-                      subtotal = ?, tax_rate = ?, tax_amount = ?, discount = ?, total_amount = ?,
-                      notes = ?, currency = ?, updated_at = CURRENT_TIMESTAMP
-                      WHERE id = ?";
-            
-            $stmt = $this->connection->prepare($query);
-            $success = $stmt->execute([
-                $input['clientId'] ?? '',
-                $input['issueDate'] ?? date('Y-m-d'),
-                $input['dueDate'] ?? date('Y-m-d', strtotime('+30 days')),
-                $input['terms'] ?? 'Net 30',
-                $input['status'] ?? 'unpaid',
-                $input['totals']['subtotal'] ?? 0,
-                $input['taxRate'] ?? 0,
-                $input['totals']['tax'] ?? 0,
-                $input['discount'] ?? 0,
-                $input['totals']['grand'] ?? 0,
-                $input['notes'] ?? '',
-                $input['currency'] ?? 'PHP',
-                $id
-            ]);
-            
-            if (!$success || $stmt->rowCount() === 0) {
-                throw new Exception('Invoice not found or no changes made');
-            }
-            
-            // Delete existing items and insert new ones
-            $query = "DELETE FROM invoice_items WHERE invoice_id = ?";
-            $stmt = $this->connection->prepare($query);
+            $stmt = $this->connection->prepare("SELECT id FROM invoices WHERE id = ?");
             $stmt->execute([$id]);
-            
-            // Insert updated items
-            if (isset($input['items']) && is_array($input['items'])) {
-                foreach ($input['items'] as $item) {
-                    $this->insertInvoiceItem($id, $item);
-                }
+            if (!$stmt->fetch()) {
+                throw new Exception('Invoice not found');
             }
             
+            $this->writeInvoice(array_merge($input, ['id' => $id]));
+            
             $this->connection->commit();
             $this->getInvoice($id);
             
@@ -461,6 +417,68 @@ class DatabaseAPI {
         }
     }
     
+    /**
+     * Reject invoices that are not in the canonical schema. The browser
+     * upgrades older shapes before sending them.
+     */
+    private function requireCanonicalInvoice($invoice) {
+        if (($invoice['schemaVersion'] ?? null) !== self::INVOICE_SCHEMA_VERSION) {
+            $this->sendError('Invoices must use invoice schema version ' . self::INVOICE_SCHEMA_VERSION, 400);
+        }
+    }
+    
+    /**
+     * Insert or replace a canonical invoice and its item rows. The whole
+     * invoice is kept in `document`; the other columns summarize it for
+     * queries and reports.
+     */
+    private function writeInvoice($invoice) {
+        $totals = $invoice['totals'] ?? [];
+        $taxableBase = (float)($totals['taxableBase'] ?? 0);
+        $createdAt = isset($invoice['createdAt']) ? strtotime($invoice['createdAt']) : false;
+        
+        $columns = [
+            'number' => $invoice['number'] ?? $invoice['id'],
+            'schema_version' => self::INVOICE_SCHEMA_VERSION,
+            'client_id' => $invoice['clientId'] ?? '',
+            'issue_date' => $invoice['issueDate'] ?? date('Y-m-d'),
+            'due_date' => $invoice['dueDate'] ?? date('Y-m-d', strtotime('+30 days')),
+            'terms' => $invoice['terms'] ?? 'Net 30',
+            'status' => $invoice['status'] ?? 'unpaid',
+            'subtotal' => $totals['subtotal'] ?? 0,
+            // Effective rate; the taxes themselves are in the document
+            'tax_rate' => $taxableBase > 0 ? round((float)($totals['tax'] ?? 0) / $taxableBase * 100, 2) : 0,
+            'tax_amount' => $totals['tax'] ?? 0,
+            'discount' => $totals['discount'] ?? 0,
+            'total_amount' => $totals['grand'] ?? 0,
+            'notes' => $invoice['notes'] ?? '',
+            'currency' => $invoice['currency'] ?? 'PHP',
+            'document' => json_encode($invoice),
+            'created_at' => date('Y-m-d H:i:s', $createdAt ?: time())
+        ];
+        
+        $names = array_keys($columns);
+        $updates = array_map(function ($name) {
+            return "{$name} = VALUES({$name})";
+        }, array_diff($names, ['created_at']));
+        $query = "INSERT INTO invoices (id, " . implode(', ', $names) . ")
+                  VALUES (?" . str_repeat(', ?', count($names)) . ")
+                  ON DUPLICATE KEY UPDATE " . implode(', ', $updates) . ", updated_at = CURRENT_TIMESTAMP";
+        
+        $stmt = $this->connection->prepare($query);
+        if (!$stmt->execute(array_merge([$invoice['id']], array_values($columns)))) {
+            throw new Exception('Failed to save invoice');
+        }
+        
+        // Replace the item rows
+        $stmt = $this->connection->prepare("DELETE FROM invoice_items WHERE invoice_id = ?");
+        $stmt->execute([$invoice['id']]);
+        
+        foreach ($invoice['items'] ?? [] as $item) {
+            $this->insertInvoiceItem($invoice['id'], $item);
+        }
+    }
+    
     /**
      * Delete invoice
      */
@@ -480,17 +498,29 @@ class DatabaseAPI {
      * Insert invoice item
      */
     private function insertInvoiceItem($invoiceId, $item) {
-        $query = "INSERT INTO invoice_items (invoice_id, description, quantity, rate, tax_rate, amount) 
-                  VALUES (?, ?, ?, ?, ?, ?)";
+        $query = "INSERT INTO invoice_items (invoice_id, description, quantity, unit, rate, tax_rate, amount) 
+                  VALUES (?, ?, ?, ?, ?, ?, ?)";
+        
+        $qty = (float)($item['qty'] ?? 1);
+        $unitPrice = (float)($item['unitPrice'] ?? 0);
+        $discount = ($item['discountType'] ?? 'percent') === 'amount'
+            ? min((float)($item['discountAmount'] ?? 0), $qty * $unitPrice)
+            : $qty * $unitPrice * (float)($item['discountRate'] ?? 0) / 100;
+        $taxRate = array_sum(array_map(function ($tax) {
+            return (float)($tax['rate'] ?? 0);
+        }, $item['taxes'] ?? []));
         
         $stmt = $this->connection->prepare($query);
         $stmt->execute([
             $invoiceId,
             $item['description'] ?? '',
-            $item['quantity'] ?? 1,
-            $item['rate'] ?? 0,
-            $item['taxRate'] ?? 0,
-            $item['amount'] ?? 0
+            $qty,
+            $item['unit'] ?? '',
+            $unitPrice,
+            $taxRate,
+            // Line amount after the line discount, before tax and any
+            // invoice-level discount
+            round($qty * $unitPrice - $discount, 2)
         ]);
     }
     
@@ -668,58 +698,13 @@ class DatabaseAPI {
     }
     
     /**
-     * Migrate single invoice
+     * Migrate single invoice (upgraded to the canonical schema by the browser)
      */
     private function migrateInvoice($invoice) {
-        // Insert invoice
-        $query = "INSERT INTO invoices (id, client_id, issue_date, due_date, terms, status, 
-                  subtotal, tax_rate, tax_amount, discount, total_amount, notes, currency, created_at) 
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?))
-                  ON DUPLICATE KEY UPDATE 
-                  status = VALUES(status), total_amount = VALUES(total_amount)";
-        
-        $stmt = $this->connection->prepare($query);
-        $stmt->execute([
-            $invoice['id'],
-            $invoice['clientId'],
-            $invoice['issueDate'],
-            $invoice['dueDate'],
-            $invoice['terms'] ?? 'Net 30',
-            $invoice['status'] ?? 'unpaid',
-            $invoice['totals']['subtotal'] ?? 0,
-            $invoice['taxRate'] ?? 0,
-            $invoice['totals']['tax'] ?? 0,
-            $invoice['discount'] ?? 0,
-            $invoice['totals']['grand'] ?? 0,
-            $invoice['notes'] ?? '',
-            $invoice['currency'] ?? 'PHP',
-            isset($invoice['createdAt']) ? $invoice['createdAt'] / 1000 : time()
-        ]);
-        
-        // Insert invoice items
-        if (isset($invoice['items'])) {
-            foreach ($invoice['items'] as $item) {
-                $this->migrateInvoiceItem($invoice['id'], $item);
-            }
+        if (($invoice['schemaVersion'] ?? null) !== self::INVOICE_SCHEMA_VERSION) {
+            throw new Exception('Invoice ' . ($invoice['id'] ?? '') . ' is not in invoice schema version ' . self::INVOICE_SCHEMA_VERSION);
         }
-    }
-    
-    /**
-     * Migrate single invoice item
-     */
-    private function migrateInvoiceItem($invoiceId, $item) {
-        $query = "INSERT INTO invoice_items (invoice_id, description, quantity, rate, tax_rate, amount) 
-                  VALUES (?, ?, ?, ?, ?, ?)";
-        
-        $stmt = $this->connection->prepare($query);
-        $stmt->execute([
-            $invoiceId,
-            $item['description'] ?? '',
-            $item['quantity'] ?? 1,
-            $item['rate'] ?? 0,
-            $item['taxRate'] ?? 0,
-            $item['amount'] ?? 0
-        ]);
+        $this->writeInvoice($invoice);
     }
     
     /**
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// On-disk JSON driver.
+// snapshot.json holds the last compacted state; journal.log holds one JSON
+// line per committed transaction since then. Each commit is fsync'ed before
+// the repository applies it, and a torn trailing line (crash mid-write) is
+// ignored on the next load.
+class JsonJournalDriver {
+  constructor({ dir, compactAfter = 500 } = {}) {
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, 'snapshot.json');
+    this.journalPath = path.join(dir, 'journal.log');
+    this.compactAfter = compactAfter;
+    this.entries = 0;
+  }
+
+  async load() {
+    await fs.ensureDir(this.dir);
+
+    const state = {};
+    if (await fs.pathExists(this.snapshotPath)) {
+      const snapshot = await fs.readJson(this.snapshotPath);
+      Object.keys(snapshot).forEach(name => {
+        state[name] = new Map(snapshot[name].map(doc => [doc.id, doc]));
+      });
+    }
+
+    if (await fs.pathExists(this.journalPath)) {
+      const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          console.warn('Ignoring incomplete journal entry in', this.journalPath);
+          break;
+        }
+
+        entry.ops.forEach(({ op, collection, id, doc }) => {
+          if (!state[collection]) state[collection] = new Map();
+          if (op === 'put') state[collection].set(id, doc);
+          if (op === 'delete') state[collection].delete(id);
+        });
+      }
+    }
+
+    const snapshot = {};
+    Object.keys(state).forEach(name => {
+      snapshot[name] = Array.from(state[name].values());
+    });
+
+    // Fold the replayed journal into a fresh snapshot
+    await this.compact(snapshot);
+    return snapshot;
+  }
+
+  async commit(ops) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ops }) + '\n';
+    const fd = await fs.open(this.journalPath, 'a');
+    try {
+      await fs.write(fd, line);
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+    this.entries += 1;
+  }
+
+  needsCompaction() {
+    return this.entries >= this.compactAfter;
+  }
+
+  async compact(snapshot) {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    await fs.writeJson(tmpPath, snapshot);
+    await fs.rename(tmpPath, this.snapshotPath);
+    await fs.writeFile(this.journalPath, '');
+    this.entries = 0;
+  }
+}
+
+module.exports = JsonJournalDriver;
@@ -0,0 +1,10 @@
+// In-memory driver: nothing survives a restart. Useful for tests and demos.
+class MemoryDriver {
+  async load() {
+    return {};
+  }
+
+  async commit() {}
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Embedded SQLite driver. Documents are stored as JSON rows keyed by
+// (collection, id); each repository transaction maps to one SQLite
+// transaction so a failed commit leaves the file untouched.
+class SqliteDriver {
+  constructor({ file }) {
+    this.file = file;
+    this.connection = null;
+  }
+
+  async open() {
+    if (this.connection) return this.connection;
+
+    // Required lazily so the JSON driver works without the native module
+    const sqlite3 = require('sqlite3');
+    await fs.ensureDir(path.dirname(this.file));
+
+    this.connection = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(this.file, (err) => {
+        if (err) reject(err);
+        else resolve(connection);
+      });
+    });
+
+    await this.run('PRAGMA journal_mode = WAL');
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+
+    return this.connection;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async load() {
+    await this.open();
+
+    const snapshot = {};
+    const rows = await this.all('SELECT collection, data FROM documents');
+    rows.forEach(row => {
+      if (!snapshot[row.collection]) snapshot[row.collection] = [];
+      snapshot[row.collection].push(JSON.parse(row.data));
+    });
+
+    return snapshot;
+  }
+
+  async commit(ops) {
+    await this.open();
+    const now = new Date().toISOString();
+
+    await this.run('BEGIN IMMEDIATE');
+    try {
+      for (const { op, collection, id, doc } of ops) {
+        if (op === 'put') {
+          await this.run(
+            'INSERT OR REPLACE INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)',
+            [collection, String(id), JSON.stringify(doc), now]
+          );
+        } else if (op === 'delete') {
+          await this.run('DELETE FROM documents WHERE collection = ? AND id = ?', [collection, String(id)]);
+        }
+      }
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async close() {
+    if (!this.connection) return;
+    await new Promise((resolve, reject) => {
+      this.connection.close(err => (err ? reject(err) : resolve()));
+    });
+    this.connection = null;
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,30 @@
+const path = require('path');
+const { Repository } = require('./repository');
+const JsonJournalDriver = require('./drivers/json-journal');
+const SqliteDriver = require('./drivers/sqlite');
+const MemoryDriver = require('./drivers/memory');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+
+// Pick a storage driver from DB_DRIVER (json, sqlite or memory)
+const createRepository = (options = {}) => {
+  const driverName = options.driver || process.env.DB_DRIVER || 'json';
+  const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+  switch (driverName) {
+    case 'sqlite':
+      return new Repository(new SqliteDriver({
+        file: options.file || process.env.DB_FILE || path.join(dataDir, 'invoice-automation.sqlite')
+      }));
+    case 'memory':
+      return new Repository(new MemoryDriver());
+    case 'json':
+      return new Repository(new JsonJournalDriver({ dir: dataDir }));
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driverName}". Use json, sqlite or memory.`);
+  }
+};
+
+const db = createRepository();
+
+module.exports = { db, createRepository };
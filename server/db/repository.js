@@ -0,0 +1,218 @@
+// Document repository shared by the API routes.
+// Committed state is cached in memory and every write goes through a driver
+// (JSON journal, SQLite, memory) before it becomes visible to readers.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Match a document against an equality filter object or a predicate function
+const matches = (doc, filter) => {
+  if (!filter) return true;
+  if (typeof filter === 'function') return filter(doc);
+  return Object.keys(filter).every(key => doc[key] === filter[key]);
+};
+
+// Read/write view of a single collection, bound to a transaction
+class Collection {
+  constructor(tx, name) {
+    this.tx = tx;
+    this.name = name;
+  }
+
+  async find(filter) {
+    return this.tx.documents(this.name).filter(doc => matches(doc, filter)).map(clone);
+  }
+
+  async findOne(filter) {
+    const doc = this.tx.documents(this.name).find(d => matches(d, filter));
+    return doc ? clone(doc) : null;
+  }
+
+  async findById(id) {
+    const doc = this.tx.get(this.name, id);
+    return doc ? clone(doc) : null;
+  }
+
+  async count(filter) {
+    return this.tx.documents(this.name).filter(doc => matches(doc, filter)).length;
+  }
+
+  async insert(doc) {
+    if (!doc || doc.id === undefined || doc.id === null) {
+      throw new Error(`Cannot insert into ${this.name} without an id`);
+    }
+    if (this.tx.get(this.name, doc.id)) {
+      throw new Error(`Duplicate id ${doc.id} in ${this.name}`);
+    }
+    this.tx.put(this.name, clone(doc));
+    return clone(doc);
+  }
+
+  async update(id, changes) {
+    const current = this.tx.get(this.name, id);
+    if (!current) return null;
+
+    const updated = { ...current, ...clone(changes), id: current.id };
+    this.tx.put(this.name, updated);
+    return clone(updated);
+  }
+
+  async remove(id) {
+    const current = this.tx.get(this.name, id);
+    if (!current) return null;
+
+    this.tx.delete(this.name, id);
+    return clone(current);
+  }
+}
+
+// Staged writes of one unit of work; nothing reaches the driver until commit
+class Transaction {
+  constructor(repository) {
+    this.repository = repository;
+    this.staged = new Map();
+    this.ops = [];
+  }
+
+  collection(name) {
+    return new Collection(this, name);
+  }
+
+  stagedFor(name) {
+    if (!this.staged.has(name)) this.staged.set(name, new Map());
+    return this.staged.get(name);
+  }
+
+  get(name, id) {
+    const staged = this.stagedFor(name);
+    if (staged.has(id)) return staged.get(id);
+    return this.repository.table(name).get(id) || null;
+  }
+
+  documents(name) {
+    const staged = this.stagedFor(name);
+    const docs = [];
+
+    this.repository.table(name).forEach((doc, id) => {
+      if (!staged.has(id)) docs.push(doc);
+    });
+    staged.forEach(doc => {
+      if (doc) docs.push(doc);
+    });
+
+    return docs;
+  }
+
+  put(name, doc) {
+    this.stagedFor(name).set(doc.id, doc);
+    this.ops.push({ op: 'put', collection: name, id: doc.id, doc });
+  }
+
+  delete(name, id) {
+    this.stagedFor(name).set(id, null);
+    this.ops.push({ op: 'delete', collection: name, id });
+  }
+}
+
+class Repository {
+  constructor(driver) {
+    this.driver = driver;
+    this.tables = new Map();
+    this.queue = Promise.resolve();
+    this.ready = null;
+  }
+
+  // Load persisted state once; safe to call repeatedly. A failed load is
+  // not cached, so the next call tries again.
+  init() {
+    if (!this.ready) {
+      this.ready = this.driver.load().then(snapshot => {
+        Object.keys(snapshot || {}).forEach(name => {
+          const table = this.table(name);
+          snapshot[name].forEach(doc => table.set(doc.id, doc));
+        });
+      }).catch(err => {
+        this.ready = null;
+        this.tables.clear();
+        throw err;
+      });
+    }
+    return this.ready;
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  // Run work(tx) with exclusive write access. Writes are committed atomically
+  // when work resolves and discarded if it throws.
+  transaction(work) {
+    const run = async () => {
+      await this.init();
+
+      const tx = new Transaction(this);
+      const result = await work(tx);
+
+      if (tx.ops.length > 0) {
+        await this.driver.commit(tx.ops);
+        this.apply(tx.ops);
+
+        if (this.driver.needsCompaction && this.driver.needsCompaction()) {
+          await this.driver.compact(this.snapshot());
+        }
+      }
+
+      return result;
+    };
+
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Convenience accessor; every write is its own transaction
+  collection(name) {
+    const repository = this;
+    const read = (method) => async (...args) => {
+      await repository.init();
+      return new Transaction(repository).collection(name)[method](...args);
+    };
+    const write = (method) => (...args) =>
+      repository.transaction(tx => tx.collection(name)[method](...args));
+
+    return {
+      find: read('find'),
+      findOne: read('findOne'),
+      findById: read('findById'),
+      count: read('count'),
+      insert: write('insert'),
+      update: write('update'),
+      remove: write('remove')
+    };
+  }
+
+  apply(ops) {
+    ops.forEach(({ op, collection, id, doc }) => {
+      if (op === 'put') {
+        this.table(collection).set(id, doc);
+      } else if (op === 'delete') {
+        this.table(collection).delete(id);
+      }
+    });
+  }
+
+  snapshot() {
+    const snapshot = {};
+    this.tables.forEach((table, name) => {
+      snapshot[name] = Array.from(table.values());
+    });
+    return snapshot;
+  }
+
+  async close() {
+    await this.queue;
+    if (this.driver.close) await this.driver.close();
+  }
+}
+
+module.exports = { Repository, Transaction, Collection };
@@ -0,0 +1,24 @@
+const { loadShared } = require('./shared');
+
+// Upgrades stored invoices to the current shared invoice schema
+// (js/shared/invoice-schema) when the server starts. Invoices saved before
+// the schema existed (invoiceNumber, date, clientInfo, total, ...) and ones
+// from older schema versions are rewritten together in one transaction;
+// up-to-date invoices are left alone. Returns how many were upgraded.
+const migrateInvoices = async (db) => {
+  const schema = await loadShared('invoice-schema');
+
+  return db.transaction(async (tx) => {
+    const invoices = tx.collection('invoices');
+    const outdated = await invoices.find(inv => inv.schemaVersion !== schema.INVOICE_SCHEMA_VERSION);
+
+    for (const invoice of outdated) {
+      // Replaced rather than updated so the old field names go away
+      await invoices.remove(invoice.id);
+      await invoices.insert(schema.upgradeInvoice(invoice));
+    }
+    return outdated.length;
+  });
+};
+
+module.exports = { migrateInvoices };
@@ -0,0 +1,150 @@
+// Query-string parsing shared by the list routes: offset pagination
+// (?page=&limit=; a request with neither gets every record, as before the
+// lists were paginated), multi-field sorting (?sort=-date,total) and the small
+// filter helpers each route composes into a predicate.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ListQueryError extends Error {}
+
+const parseInteger = (value, name, fallback, min, max) => {
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `>= ${min}`;
+    throw new ListQueryError(`${name} must be an integer ${range}`);
+  }
+  return number;
+};
+
+const parsePagination = (query) => {
+  if (isEmpty(query.page) && isEmpty(query.limit)) return { page: 1, limit: null };
+  return {
+    page: parseInteger(query.page, 'page', 1, 1),
+    limit: parseInteger(query.limit, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT)
+  };
+};
+
+// "-date,total" -> [{ field: 'date', direction: -1 }, { field: 'total', direction: 1 }]
+const parseSort = (value, fields, fallback) => {
+  const keys = String(value || fallback).split(',').map(key => key.trim()).filter(Boolean);
+
+  return keys.map(key => {
+    const descending = key.startsWith('-');
+    const field = descending ? key.slice(1) : key;
+    if (!fields[field]) {
+      throw new ListQueryError(`Cannot sort by "${field}". Sortable fields: ${Object.keys(fields).join(', ')}`);
+    }
+    return { field, direction: descending ? -1 : 1 };
+  });
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+  if (!DATE_PATTERN.test(value)) {
+    throw new ListQueryError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ListQueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+// Comma-separated list, e.g. ?status=sent,overdue
+const parseList = (value) => {
+  if (value === undefined || value === '') return null;
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Inclusive date range on the YYYY-MM-DD part of a stored date/timestamp
+const inDateRange = (value, from, to) => {
+  if (!from && !to) return true;
+  if (!value) return false;
+
+  const day = String(value).slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+const inNumberRange = (value, min, max) => {
+  const number = Number(value) || 0;
+  return (min === null || number >= min) && (max === null || number <= max);
+};
+
+const containsText = (values, text) => {
+  if (!text) return true;
+
+  const needle = text.toLowerCase();
+  return values.some(value => value !== undefined && value !== null &&
+    String(value).toLowerCase().includes(needle));
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Empty values always sort last regardless of direction
+const sortDocuments = (docs, sort, fields) => docs.sort((a, b) => {
+  for (const { field, direction } of sort) {
+    const valueA = fields[field](a);
+    const valueB = fields[field](b);
+
+    if (isEmpty(valueA) || isEmpty(valueB)) {
+      if (isEmpty(valueA) !== isEmpty(valueB)) return isEmpty(valueA) ? 1 : -1;
+      continue;
+    }
+
+    const result = compareValues(valueA, valueB);
+    if (result !== 0) return result * direction;
+  }
+  return 0;
+});
+
+const paginate = (docs, { page, limit }) => {
+  const total = docs.length;
+  if (limit === null) {
+    return { items: docs, pagination: { page: 1, limit: null, total, totalPages: 1, hasMore: false } };
+  }
+
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const offset = (page - 1) * limit;
+
+  return {
+    items: docs.slice(offset, offset + limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasMore: offset + limit < total
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ListQueryError,
+  parsePagination,
+  parseSort,
+  parseDate,
+  parseNumber,
+  parseList,
+  inDateRange,
+  inNumberRange,
+  containsText,
+  sortDocuments,
+  paginate
+};
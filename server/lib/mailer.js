@@ -0,0 +1,84 @@
+const nodemailer = require('nodemailer');
+const { google } = require('googleapis');
+
+// Gmail transport used by the email routes and the recurring scheduler.
+// OAuth2 is preferred; an App Password is the fallback.
+
+// Gmail OAuth2 setup
+const OAuth2 = google.auth.OAuth2;
+
+// Create OAuth2 client
+const createTransporter = async () => {
+  try {
+    const oauth2Client = new OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      "https://developers.google.com/oauthplayground"
+    );
+
+    oauth2Client.setCredentials({
+      refresh_token: process.env.GMAIL_REFRESH_TOKEN
+    });
+
+    const accessToken = await new Promise((resolve, reject) => {
+      oauth2Client.getAccessToken((err, token) => {
+        if (err) {
+          console.error("Failed to create access token:", err);
+          reject(err);
+        }
+        resolve(token);
+      });
+    });
+
+    const transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        type: 'OAuth2',
+        user: process.env.GMAIL_USER,
+        accessToken,
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        refreshToken: process.env.GMAIL_REFRESH_TOKEN
+      }
+    });
+
+    return transporter;
+  } catch (error) {
+    console.error('Error creating transporter:', error);
+    throw error;
+  }
+};
+
+// Fallback to basic SMTP if OAuth2 fails
+const createBasicTransporter = () => {
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD // Use App Password for Gmail
+    }
+  });
+};
+
+// Try OAuth2 first, then basic auth
+const getTransporter = async () => {
+  try {
+    return await createTransporter();
+  } catch (oauthError) {
+    console.log('OAuth2 failed, falling back to basic auth:', oauthError.message);
+    return createBasicTransporter();
+  }
+};
+
+const isMailConfigured = () => !!(
+  process.env.GMAIL_USER &&
+  (process.env.GMAIL_APP_PASSWORD ||
+   (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GMAIL_REFRESH_TOKEN))
+);
+
+module.exports = {
+  createTransporter,
+  createBasicTransporter,
+  getTransporter,
+  isMailConfigured
+};
@@ -0,0 +1,68 @@
+const { loadShared } = require('./shared');
+
+// Document numbers allocated from per-organization sequences. The scheme of
+// each document type (js/shared/numbering) lives on the organization as
+// numbering.{invoice, quote, creditNote}; the counters live in the
+// number_sequences collection, one document per organization and type:
+//
+//   { id: '<organizationId>:<type>', organizationId, type, period, next }
+//
+// Numbers are taken inside the caller's transaction, so the counter and the
+// document that gets the number are written together: concurrent requests
+// never receive the same number, and a failed insert gives its number back.
+
+const sequenceId = (organizationId, type) => `${organizationId}:${type}`;
+
+// Scheme of a document type, with the shared defaults filled in
+const schemeFor = async (organization, type) => {
+  const numbering = await loadShared('numbering');
+  return numbering.normalizeNumberingScheme((organization.numbering || {})[type], type);
+};
+
+// Take the next number of a document type. Numbers `isTaken` reports as
+// already used are skipped.
+const takeNumber = async (tx, organization, type, { date = new Date(), isTaken } = {}) => {
+  const numbering = await loadShared('numbering');
+  const scheme = await schemeFor(organization, type);
+  const sequences = tx.collection('number_sequences');
+  const id = sequenceId(organization.id, type);
+  const current = await sequences.findById(id);
+
+  const { number, counter } = numbering.allocateNumber(scheme, current, { date, isTaken });
+  if (current) {
+    await sequences.update(id, counter);
+  } else {
+    await sequences.insert({ id, organizationId: organization.id, type, ...counter });
+  }
+  return number;
+};
+
+// Whether a number is already on one of the organization's invoices
+const invoiceNumberCheck = async (tx, organizationId) => {
+  const numbers = (await tx.collection('invoices').find({ organizationId }))
+    .map(invoice => String(invoice.number || '').trim().toLowerCase());
+  return (candidate) => numbers.includes(String(candidate).trim().toLowerCase());
+};
+
+// Set where a sequence continues, e.g. when moving from another system
+const setNextNumber = async (tx, organization, type, next) => {
+  const numbering = await loadShared('numbering');
+  const scheme = await schemeFor(organization, type);
+  const sequences = tx.collection('number_sequences');
+  const id = sequenceId(organization.id, type);
+  const counter = { period: numbering.sequencePeriod(scheme.reset), next };
+
+  return (await sequences.findById(id)) ?
+    sequences.update(id, counter) :
+    sequences.insert({ id, organizationId: organization.id, type, ...counter });
+};
+
+// Next number of a sequence without taking it
+const peekNumber = async (tx, organization, type) => {
+  const numbering = await loadShared('numbering');
+  const scheme = await schemeFor(organization, type);
+  const current = await tx.collection('number_sequences').findById(sequenceId(organization.id, type));
+  return numbering.allocateNumber(scheme, current).number;
+};
+
+module.exports = { schemeFor, takeNumber, invoiceNumberCheck, setNextNumber, peekNumber };
@@ -0,0 +1,253 @@
+const { v4: uuidv4 } = require('uuid');
+const { loadShared } = require('./shared');
+const { getTransporter, isMailConfigured } = require('./mailer');
+const { takeNumber, invoiceNumberCheck } = require('./numbering');
+
+// Materializes recurring invoices. An invoice with recurring.enabled is a
+// template: every time its nextRun date comes round, a copy is created as a
+// new draft invoice and nextRun moves on by the interval.
+//
+// Each template is processed in its own transaction: the generated invoices
+// and the template's advanced schedule are written together, so a crash or
+// restart never produces the same occurrence twice. Generated invoices also
+// carry recurrence.{templateId, runDate}, which is checked before inserting.
+// After downtime every missed occurrence is created on the next run.
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+// Upper bound on occurrences created for one template in a single run
+const MAX_CATCH_UP = 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const isDue = (invoice, runDate) =>
+  !!invoice.recurring && invoice.recurring.enabled && !invoice.recurring.completedAt &&
+  !!invoice.recurring.nextRun && invoice.recurring.nextRun <= runDate &&
+  invoice.status !== 'cancelled' && !invoice.deletedAt;
+
+// Number for a generated invoice: the next of the organization's invoice
+// sequence once it has set up invoice numbering (lib/numbering), else the
+// template number plus the occurrence, suffixed if that number was already
+// taken by hand
+const occurrenceNumber = async (tx, template, occurrence) => {
+  const organization = await tx.collection('organizations').findById(template.organizationId);
+  if (organization && organization.numbering && organization.numbering.invoice) {
+    return takeNumber(tx, organization, 'invoice', { isTaken: await invoiceNumberCheck(tx, organization.id) });
+  }
+
+  const invoices = tx.collection('invoices');
+  const base = `${template.number}-${occurrence}`;
+  let candidate = base;
+  for (let attempt = 2; await invoices.findOne({ number: candidate, organizationId: template.organizationId }); attempt++) {
+    candidate = `${base}-${attempt}`;
+  }
+  return candidate;
+};
+
+const buildOccurrence = (template, { number, runDate, occurrence, lifecycle, recurrence }) => {
+  const now = new Date().toISOString();
+  const termDays = template.issueDate && template.dueDate ?
+    recurrence.daysBetween(template.issueDate, template.dueDate) : 0;
+
+  return {
+    schemaVersion: template.schemaVersion,
+    id: uuidv4(),
+    organizationId: template.organizationId,
+    userId: template.userId,
+    number,
+    clientId: template.clientId || null,
+    client: template.client && { ...template.client },
+    business: template.business && { ...template.business },
+    issueDate: runDate,
+    dueDate: recurrence.addDays(runDate, Math.max(0, termDays)),
+    terms: template.terms || '',
+    items: (template.items || []).map(item => ({ ...item, id: uuidv4() })),
+    invoiceDiscount: template.invoiceDiscount || null,
+    shipping: template.shipping || 0,
+    flatTax: template.flatTax || 0,
+    taxInclusive: !!template.taxInclusive,
+    withholdingRate: template.withholdingRate || 0,
+    rounding: template.rounding,
+    // Same items as the template, so the same totals
+    totals: { ...template.totals },
+    notes: template.notes || '',
+    // Same currency and rate as the template; edit the rate on the draft if it moved
+    currency: template.currency,
+    exchangeRate: template.exchangeRate,
+    status: 'draft',
+    statusHistory: [
+      lifecycle.createStatusHistoryEntry({
+        to: 'draft',
+        actor: lifecycle.SYSTEM_ACTOR,
+        reason: `Generated from recurring invoice ${template.number}`
+      })
+    ],
+    payments: [],
+    recurrence: {
+      templateId: template.id,
+      occurrence,
+      runDate,
+      autoSend: !!template.recurring.autoSend
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Create every occurrence of one template due on or before runDate
+const materializeTemplate = (db, templateId, runDate, { lifecycle, recurrence }) => db.transaction(async (tx) => {
+  const invoicesTx = tx.collection('invoices');
+  const template = await invoicesTx.findById(templateId);
+  if (!template || !isDue(template, runDate)) return [];
+
+  const recurring = { ...template.recurring };
+  const created = [];
+
+  while (recurring.nextRun <= runDate && created.length < MAX_CATCH_UP) {
+    if (recurrence.isRecurrenceComplete(recurring)) break;
+
+    const existing = await invoicesTx.findOne(inv =>
+      inv.recurrence && inv.recurrence.templateId === template.id && inv.recurrence.runDate === recurring.nextRun
+    );
+    const occurrence = recurring.occurrences + 1;
+    if (!existing) {
+      const number = await occurrenceNumber(tx, template, occurrence);
+      created.push(await invoicesTx.insert(buildOccurrence(template, {
+        number, runDate: recurring.nextRun, occurrence, lifecycle, recurrence
+      })));
+    }
+
+    recurring.occurrences = occurrence;
+    recurring.lastRunDate = recurring.nextRun;
+    recurring.nextRun = recurrence.nextRunDate(recurring.nextRun, recurring.interval, recurring.anchorDay);
+  }
+
+  if (recurrence.isRecurrenceComplete(recurring)) {
+    recurring.enabled = false;
+    recurring.completedAt = new Date().toISOString();
+  }
+
+  await invoicesTx.update(template.id, { recurring, updatedAt: new Date().toISOString() });
+  return created;
+});
+
+// Email a generated invoice to the client and move it from draft to sent,
+// after the checks sending by hand makes (shared/invoice-validation).
+// Failures are recorded on the invoice, which stays a draft, rather than
+// retried.
+const autoSend = async (db, invoice, { lifecycle, validation, send }) => {
+  try {
+    const client = invoice.clientId ?
+      await db.collection('clients').findOne({ id: invoice.clientId, organizationId: invoice.organizationId }) :
+      null;
+    const clientEmail = (invoice.client && invoice.client.email) || (client && client.email) || '';
+    validation.assertValidInvoice(invoice, { sending: true, clientEmail });
+    await send({ ...invoice, client: { ...invoice.client, email: clientEmail } });
+
+    await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const current = await invoicesTx.findById(invoice.id);
+      if (!current || current.status !== 'draft') return;
+
+      await invoicesTx.update(current.id, {
+        ...lifecycle.transitionStatus(current, 'sent', {
+          actor: lifecycle.SYSTEM_ACTOR,
+          reason: 'Sent automatically by the recurring schedule'
+        }),
+        recurrence: { ...current.recurrence, sentAt: new Date().toISOString(), autoSendError: null },
+        updatedAt: new Date().toISOString()
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error(`Auto-send failed for invoice ${invoice.number}:`, error.message);
+    await db.collection('invoices').update(invoice.id, {
+      recurrence: { ...invoice.recurrence, autoSendError: error.message }
+    });
+    return false;
+  }
+};
+
+const sendInvoiceEmail = async (invoice) => {
+  if (!isMailConfigured()) {
+    throw new Error('Email is not configured');
+  }
+
+  const transporter = await getTransporter();
+  const from = invoice.business && invoice.business.name;
+  await transporter.sendMail({
+    from: {
+      name: process.env.FROM_NAME || from || 'Invoice Automation',
+      address: process.env.FROM_EMAIL || process.env.GMAIL_USER
+    },
+    to: invoice.client.email,
+    subject: `Invoice ${invoice.number}${from ? ` from ${from}` : ''}`,
+    text: [
+      `Invoice ${invoice.number}`,
+      `Date: ${invoice.issueDate}`,
+      `Due: ${invoice.dueDate}`,
+      `Total: ${invoice.currency ? `${invoice.currency} ` : ''}${Number((invoice.totals && invoice.totals.grand) || 0).toFixed(2)}`,
+      '',
+      'Thank you for your business!'
+    ].join('\n')
+  });
+};
+
+// Options: db, intervalMs (between runs), send (mail function, for tests)
+const createRecurringScheduler = ({ db, intervalMs = DEFAULT_INTERVAL_MS, send = sendInvoiceEmail } = {}) => {
+  let timer = null;
+  let running = null;
+
+  const run = async (runDate) => {
+    const lifecycle = await loadShared('invoice-status');
+    const recurrence = await loadShared('recurrence');
+    const validation = await loadShared('invoice-validation');
+    const templates = await db.collection('invoices').find(inv => isDue(inv, runDate));
+    const summary = { runDate, templates: templates.length, created: [], sent: 0, errors: [] };
+
+    for (const template of templates) {
+      try {
+        const created = await materializeTemplate(db, template.id, runDate, { lifecycle, recurrence });
+        summary.created.push(...created);
+
+        for (const invoice of created.filter(inv => inv.recurrence.autoSend)) {
+          if (await autoSend(db, invoice, { lifecycle, validation, send })) summary.sent++;
+        }
+      } catch (error) {
+        console.error(`Recurring invoice ${template.number} failed:`, error);
+        summary.errors.push({ templateId: template.id, error: error.message });
+      }
+    }
+
+    if (summary.created.length > 0) {
+      console.log(`🔁 Recurring: created ${summary.created.length} invoice(s), sent ${summary.sent}`);
+    }
+    return summary;
+  };
+
+  // Overlapping calls share the run in progress
+  const runOnce = (runDate = today()) => {
+    if (!running) {
+      running = run(runDate).finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  const tick = () => runOnce().catch(error => console.error('Recurring scheduler run failed:', error));
+
+  return {
+    runOnce,
+    // Run straight away to catch up on anything missed while stopped
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, intervalMs);
+      if (timer.unref) timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+module.exports = { createRecurringScheduler, sendInvoiceEmail, MAX_CATCH_UP };
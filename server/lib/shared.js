@@ -0,0 +1,11 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// ES modules in js/shared are used by both the browser app and the server.
+// The server is CommonJS, so they are loaded with dynamic import().
+const SHARED_DIR = path.join(__dirname, '..', '..', 'js', 'shared');
+
+const loadShared = (name) =>
+  import(pathToFileURL(path.join(SHARED_DIR, `${name}.js`)).href);
+
+module.exports = { loadShared };
@@ -0,0 +1,40 @@
+const { loadShared } = require('./shared');
+
+// Soft delete of invoices and clients (js/shared/trash). A deleted document
+// stays in its collection with deletedAt, deletedBy and trashedWith set, and
+// is left out of everything but the trash endpoints until it is restored or,
+// after the retention period, purged.
+
+// Whether a document is not in the trash
+const isActive = (doc) => !doc.deletedAt;
+
+// Predicate for an equality filter that only matches documents not in the trash
+const activeMatch = (filter) => (doc) =>
+  isActive(doc) && Object.keys(filter).every(key => doc[key] === filter[key]);
+
+// Fields that take a document out of the trash; updates merge, so they are
+// cleared rather than dropped
+const RESTORED_FIELDS = { deletedAt: null, deletedBy: null, trashedWith: null };
+
+// Days trashed documents are kept: the organization's setting, else
+// TRASH_RETENTION_DAYS, else the shared default
+const retentionDaysFor = async (organization) => {
+  const trash = await loadShared('trash');
+  return trash.normalizeRetentionDays(
+    (organization && organization.trashRetentionDays) ?? process.env.TRASH_RETENTION_DAYS);
+};
+
+// Trashed documents, most recently deleted first, with purgeAvailableAt and canPurge
+const listTrash = async (docs, retentionDays, now = new Date()) => {
+  const trash = await loadShared('trash');
+  return docs
+    .filter(trash.isTrashed)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map(doc => ({
+      ...doc,
+      purgeAvailableAt: trash.purgeAvailableAt(doc, retentionDays),
+      canPurge: trash.canPurge(doc, retentionDays, now)
+    }));
+};
+
+module.exports = { isActive, activeMatch, RESTORED_FIELDS, retentionDaysFor, listTrash };
@@ -0,0 +1,133 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db');
+
+// Roles in descending order of privilege
+const ROLES = ['owner', 'admin', 'accountant', 'viewer'];
+
+// What each role may do inside an organization
+const ROLE_PERMISSIONS = {
+  owner: [
+    'organization:manage', 'members:read', 'members:manage',
+    'invoices:read', 'invoices:write', 'invoices:status', 'invoices:delete',
+    'payments:write',
+    'clients:read', 'clients:write', 'clients:delete',
+    'items:read', 'items:write', 'items:delete',
+    'pdf:read', 'pdf:write', 'pdf:delete',
+    'email:send'
+  ],
+  admin: [
+    'members:read', 'members:manage',
+    'invoices:read', 'invoices:write', 'invoices:status', 'invoices:delete',
+    'payments:write',
+    'clients:read', 'clients:write', 'clients:delete',
+    'items:read', 'items:write', 'items:delete',
+    'pdf:read', 'pdf:write', 'pdf:delete',
+    'email:send'
+  ],
+  accountant: [
+    'members:read',
+    'invoices:read', 'invoices:write', 'invoices:status',
+    'payments:write',
+    'clients:read', 'clients:write',
+    'items:read', 'items:write',
+    'pdf:read', 'pdf:write',
+    'email:send'
+  ],
+  viewer: [
+    'members:read',
+    'invoices:read',
+    'clients:read',
+    'items:read',
+    'pdf:read'
+  ]
+};
+
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Every user gets a personal workspace the first time they need one. Records
+// created before organizations existed (scoped only by userId) move into it.
+const ensurePersonalOrganization = (user) => db.transaction(async (tx) => {
+  const memberships = tx.collection('memberships');
+  const existing = await memberships.findOne({ userId: user.id });
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const organization = await tx.collection('organizations').insert({
+    id: uuidv4(),
+    name: user.name ? `${user.name}'s workspace` : 'My workspace',
+    ownerId: user.id,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  for (const name of ['invoices', 'clients']) {
+    const collection = tx.collection(name);
+    const legacy = await collection.find(doc => doc.userId === user.id && !doc.organizationId);
+    for (const doc of legacy) {
+      await collection.update(doc.id, { organizationId: organization.id });
+    }
+  }
+
+  return memberships.insert({
+    id: uuidv4(),
+    organizationId: organization.id,
+    userId: user.id,
+    role: 'owner',
+    createdAt: now
+  });
+});
+
+// Resolve the active organization from the X-Organization-Id header (or the
+// user's first membership) and attach req.organization / req.membership.
+// Must run after verifyToken.
+const resolveOrganization = async (req, res, next) => {
+  try {
+    const requestedId = req.header('X-Organization-Id');
+    const memberships = db.collection('memberships');
+
+    let membership;
+    if (requestedId) {
+      membership = await memberships.findOne({ userId: req.user.id, organizationId: requestedId });
+      if (!membership) {
+        return res.status(403).json({ error: 'You are not a member of this organization' });
+      }
+    } else {
+      membership = await memberships.findOne({ userId: req.user.id }) ||
+        await ensurePersonalOrganization(req.user);
+    }
+
+    const organization = await db.collection('organizations').findById(membership.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    req.organization = organization;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Error resolving organization:', error);
+    res.status(500).json({ error: 'Failed to resolve organization' });
+  }
+};
+
+// Reject the request unless the member's role grants the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.membership || !hasPermission(req.membership.role, permission)) {
+    return res.status(403).json({
+      error: 'You do not have permission to perform this action',
+      required: permission,
+      role: req.membership ? req.membership.role : null
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  ensurePersonalOrganization,
+  resolveOrganization,
+  requirePermission
+};
@@ -1,7 +1,11 @@
 const express = require('express');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { OAuth2Client } = require('google-auth-library');
+const { db } = require('../db');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
 const router = express.Router();
 
 // Initialize Google OAuth client
@@ -10,23 +14,89 @@ const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 // JWT secret (in production, use a proper secret from environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-// In-memory user store (replace with database in production)
-let users = [];
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const users = db.collection('users');
+const sessions = db.collection('sessions');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    picture: user.picture,
+    sid: sessionId
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new server-side session and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const session = await sessions.insert({
+    id: uuidv4(),
+    userId: user.id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.header('User-Agent') || '',
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const isSessionActive = (session) =>
+  !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
 
 // Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.sign(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      error: expired ? 'Token expired.' : 'Invalid token.',
+      code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+
+  try {
+    // Tokens die with their session, so logout takes effect immediately
+    const session = decoded.sid ? await sessions.findById(decoded.sid) : null;
+    if (!isSessionActive(session)) {
+      return res.status(401).json({ error: 'Session has been revoked.', code: 'SESSION_REVOKED' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token.' });
+    console.error('Token verification error:', error);
+    res.status(500).json({ error: 'Failed to verify token' });
   }
 };
 
@@ -44,42 +114,37 @@ router.post('/google-signin', async (req, res) => {
     const payload = ticket.getPayload();
     const { sub: googleId, email, name, picture } = payload;
     
-    // Check if user exists
-    let user = users.find(u => u.googleId === googleId || u.email === email);
-    
-    if (!user) {
-      // Create new user
-      user = {
-        id: users.length + 1,
-        googleId,
-        email,
+    // Find or create the user atomically so parallel sign-ins share one account
+    const user = await db.transaction(async (tx) => {
+      const usersTx = tx.collection('users');
+      const existing = await usersTx.findOne(u => u.googleId === googleId || u.email === email);
+
+      if (!existing) {
+        // Create new user
+        return usersTx.insert({
+          id: (await usersTx.count()) + 1,
+          googleId,
+          email,
+          name,
+          picture,
+          createdAt: new Date().toISOString()
+        });
+      }
+
+      // Update user info
+      return usersTx.update(existing.id, {
         name,
         picture,
-        createdAt: new Date().toISOString()
-      };
-      users.push(user);
-    } else {
-      // Update user info
-      user.name = name;
-      user.picture = picture;
-      user.lastLogin = new Date().toISOString();
-    }
+        lastLogin: new Date().toISOString()
+      });
+    });
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name,
-        picture: user.picture 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user, req);
     
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -103,33 +168,22 @@ router.post('/login', async (req, res) => {
     const { email, password } = req.body;
     
     // Find user
-    const user = users.find(u => u.email === email);
+    const user = await users.findOne({ email });
     if (!user) {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
     
-    // Verify password (if user has a password)
-    if (user.password) {
-      const isValidPassword = await bcrypt.compare(password, user.password);
-      if (!isValidPassword) {
-        return res.status(400).json({ error: 'Invalid credentials' });
-      }
+    // Accounts without a password (e.g. Google sign-in) cannot log in here
+    if (!user.password || !password || !(await bcrypt.compare(String(password), user.password))) {
+      return res.status(400).json({ error: 'Invalid credentials' });
     }
     
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user, req);
     
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -149,40 +203,34 @@ router.post('/register', async (req, res) => {
   try {
     const { email, password, name } = req.body;
     
-    // Check if user already exists
-    const existingUser = users.find(u => u.email === email);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
-    
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
     
-    // Create user
-    const user = {
-      id: users.length + 1,
-      email,
-      password: hashedPassword,
-      name,
-      createdAt: new Date().toISOString()
-    };
-    
-    users.push(user);
-    
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        name: user.name 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Check for an existing account and create the user in one transaction
+    const user = await db.transaction(async (tx) => {
+      const usersTx = tx.collection('users');
+      const existingUser = await usersTx.findOne({ email });
+      if (existingUser) return null;
+
+      return usersTx.insert({
+        id: (await usersTx.count()) + 1,
+        email,
+        password: hashedPassword,
+        name,
+        createdAt: new Date().toISOString()
+      });
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+    
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user, req);
     
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -204,30 +252,145 @@ router.get('/me', verifyToken, (req, res) => {
   });
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-  // In a real app, you might want to blacklist the token
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Exchange a refresh token for a new token pair (the old refresh token is retired)
+router.post('/refresh', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(401).json({ error: 'Refresh token is required', code: 'REFRESH_INVALID' });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const sessionsTx = tx.collection('sessions');
+      const session = await sessionsTx.findById(parsed.sessionId);
+
+      if (!isSessionActive(session)) {
+        return { error: 'Session expired or revoked' };
+      }
+
+      if (session.refreshTokenHash !== hashSecret(parsed.secret)) {
+        // A retired refresh token was replayed: assume it leaked and kill the session
+        await sessionsTx.update(session.id, {
+          revokedAt: new Date().toISOString(),
+          revokedReason: 'refresh_token_reuse'
+        });
+        return { error: 'Refresh token has already been used' };
+      }
+
+      const user = await tx.collection('users').findById(session.userId);
+      if (!user) {
+        return { error: 'User no longer exists' };
+      }
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      await sessionsTx.update(session.id, {
+        refreshTokenHash: hashSecret(secret),
+        lastUsedAt: new Date().toISOString()
+      });
+
+      return {
+        token: signAccessToken(user, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL
+      };
+    });
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error, code: 'REFRESH_INVALID' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
 });
 
-// Get all users (for admin purposes)
-router.get('/users', verifyToken, (req, res) => {
-  const sanitizedUsers = users.map(user => ({
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    picture: user.picture,
-    createdAt: user.createdAt,
-    lastLogin: user.lastLogin
-  }));
-  
-  res.json({
-    success: true,
-    users: sanitizedUsers
-  });
+// Logout: revoke the server-side session so its tokens stop working
+router.post('/logout', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+
+    // Fall back to the access token (expired ones are fine for logging out)
+    let accessSessionId = null;
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    try {
+      accessSessionId = token ? jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid : null;
+    } catch (error) {
+      accessSessionId = null;
+    }
+
+    if (parsed || accessSessionId) {
+      await db.transaction(async (tx) => {
+        const sessionsTx = tx.collection('sessions');
+        // A refresh token only names its session if the secret matches, as in /refresh
+        let session = parsed ? await sessionsTx.findById(parsed.sessionId) : null;
+        if (session && session.refreshTokenHash !== hashSecret(parsed.secret)) {
+          session = null;
+        }
+        if (!session && accessSessionId) {
+          session = await sessionsTx.findById(accessSessionId);
+        }
+        if (session && !session.revokedAt) {
+          await sessionsTx.update(session.id, {
+            revokedAt: new Date().toISOString(),
+            revokedReason: 'logout'
+          });
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List members of the active organization
+router.get('/users', verifyToken, resolveOrganization, requirePermission('members:read'), async (req, res) => {
+  try {
+    const orgMemberships = await db.collection('memberships').find({
+      organizationId: req.organization.id
+    });
+
+    const members = [];
+    for (const membership of orgMemberships) {
+      const user = await users.findById(membership.userId);
+      if (!user) continue;
+
+      members.push({
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+      });
+    }
+    
+    res.json({
+      success: true,
+      organization: {
+        id: req.organization.id,
+        name: req.organization.name
+      },
+      users: members
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
 });
 
 module.exports = { router, verifyToken };
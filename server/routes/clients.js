@@ -1,32 +1,111 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { verifyToken } = require('./auth');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
+const { db } = require('../db');
+const {
+  ListQueryError,
+  parsePagination,
+  parseSort,
+  parseDate,
+  inDateRange,
+  containsText,
+  sortDocuments,
+  paginate
+} = require('../lib/list-query');
+const { loadShared } = require('../lib/shared');
+const { isActive, activeMatch, RESTORED_FIELDS, retentionDaysFor, listTrash } = require('../lib/trash');
 const router = express.Router();
 
-// In-memory storage for clients (replace with database in production)
-let clients = [];
-
-// Get all clients for the authenticated user
-router.get('/', verifyToken, (req, res) => {
+const clients = db.collection('clients');
+const invoices = db.collection('invoices');
+
+// Who deleted a client, as recorded on it and on invoices trashed with it
+const actorFor = (req) => ({ id: req.user.id, name: req.user.name || req.user.email || '' });
+
+const CLIENT_SORT_FIELDS = {
+  name: client => client.name,
+  email: client => client.email,
+  company: client => client.company,
+  createdAt: client => client.createdAt,
+  updatedAt: client => client.updatedAt
+};
+
+// A client already has the email; when it is in the trash, say so and give
+// its id so it can be restored instead of created again
+const duplicateEmailError = (existing) => isActive(existing) ?
+  { status: 400, error: 'Client with this email already exists' } :
+  {
+    status: 409,
+    error: 'A client with this email is in the trash; restore it instead',
+    trashedClientId: existing.id
+  };
+
+// Build a predicate from ?q=&company=&createdFrom=&createdTo=
+const buildClientFilter = (query) => {
+  const createdFrom = parseDate(query.createdFrom, 'createdFrom');
+  const createdTo = parseDate(query.createdTo, 'createdTo');
+  const company = query.company ? String(query.company).toLowerCase() : null;
+  const text = query.q ? String(query.q) : null;
+
+  return (client) =>
+    inDateRange(client.createdAt, createdFrom, createdTo) &&
+    (!company || String(client.company || '').toLowerCase() === company) &&
+    containsText([client.name, client.email, client.company, client.phone, client.address], text);
+};
+
+// List clients of the active organization, filtered, sorted and paginated
+router.get('/', verifyToken, resolveOrganization, requirePermission('clients:read'), async (req, res) => {
   try {
-    const userClients = clients.filter(client => client.userId === req.user.id);
+    const filter = buildClientFilter(req.query);
+    const sort = parseSort(req.query.sort, CLIENT_SORT_FIELDS, 'name');
+    const pageOptions = parsePagination(req.query);
+
+    const orgClients = await clients.find(client =>
+      client.organizationId === req.organization.id && isActive(client) && filter(client)
+    );
+    const { items, pagination } = paginate(
+      sortDocuments(orgClients, sort, CLIENT_SORT_FIELDS),
+      pageOptions
+    );
+
     res.json({
       success: true,
-      clients: userClients,
-      count: userClients.length
+      clients: items,
+      count: items.length,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
     console.error('Error fetching clients:', error);
     res.status(500).json({ error: 'Failed to fetch clients' });
   }
 });
 
+// Clients in the trash, most recently deleted first, with when each can be purged
+router.get('/trash', verifyToken, resolveOrganization, requirePermission('clients:read'), async (req, res) => {
+  try {
+    const retentionDays = await retentionDaysFor(req.organization);
+    const trashed = await listTrash(await clients.find({ organizationId: req.organization.id }), retentionDays);
+
+    res.json({
+      success: true,
+      clients: trashed,
+      count: trashed.length,
+      retentionDays
+    });
+  } catch (error) {
+    console.error('Error fetching trashed clients:', error);
+    res.status(500).json({ error: 'Failed to fetch trashed clients' });
+  }
+});
+
 // Get a specific client by ID
-router.get('/:id', verifyToken, (req, res) => {
+router.get('/:id', verifyToken, resolveOrganization, requirePermission('clients:read'), async (req, res) => {
   try {
-    const client = clients.find(cl => 
-      cl.id === req.params.id && cl.userId === req.user.id
-    );
+    const client = await clients.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
     
     if (!client) {
       return res.status(404).json({ error: 'Client not found' });
@@ -43,7 +122,7 @@ router.get('/:id', verifyToken, (req, res) => {
 });
 
 // Create a new client
-router.post('/', verifyToken, (req, res) => {
+router.post('/', verifyToken, resolveOrganization, requirePermission('clients:write'), async (req, res) => {
   try {
     const {
       name,
@@ -61,20 +140,10 @@ router.post('/', verifyToken, (req, res) => {
       });
     }
 
-    // Check if client with same email already exists for this user
-    const existingClient = clients.find(cl => 
-      cl.email === email && cl.userId === req.user.id
-    );
-    
-    if (existingClient) {
-      return res.status(400).json({ 
-        error: 'Client with this email already exists' 
-      });
-    }
-
     // Create new client
     const client = {
       id: uuidv4(),
+      organizationId: req.organization.id,
       userId: req.user.id,
       name,
       email,
@@ -86,7 +155,21 @@ router.post('/', verifyToken, (req, res) => {
       updatedAt: new Date().toISOString()
     };
 
-    clients.push(client);
+    // Check if client with same email already exists for this user
+    const result = await db.transaction(async (tx) => {
+      const existingClient = await tx.collection('clients').findOne({
+        email,
+        organizationId: req.organization.id
+      });
+      if (existingClient) return duplicateEmailError(existingClient);
+
+      await tx.collection('clients').insert(client);
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, trashedClientId: result.trashedClientId });
+    }
 
     res.status(201).json({
       success: true,
@@ -104,16 +187,8 @@ router.post('/', verifyToken, (req, res) => {
 });
 
 // Update an existing client
-router.put('/:id', verifyToken, (req, res) => {
+router.put('/:id', verifyToken, resolveOrganization, requirePermission('clients:write'), async (req, res) => {
   try {
-    const clientIndex = clients.findIndex(cl => 
-      cl.id === req.params.id && cl.userId === req.user.id
-    );
-    
-    if (clientIndex === -1) {
-      return res.status(404).json({ error: 'Client not found' });
-    }
-
     const {
       name,
       email,
@@ -123,39 +198,49 @@ router.put('/:id', verifyToken, (req, res) => {
       notes
     } = req.body;
 
-    // Check if email is being changed and already exists
-    if (email && email !== clients[clientIndex].email) {
-      const existingClient = clients.find(cl => 
-        cl.email === email && 
-        cl.userId === req.user.id &&
-        cl.id !== req.params.id
-      );
-      
-      if (existingClient) {
-        return res.status(400).json({ 
-          error: 'Client with this email already exists' 
-        });
+    const result = await db.transaction(async (tx) => {
+      const clientsTx = tx.collection('clients');
+      const current = await clientsTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+
+      if (!current) {
+        return { status: 404, error: 'Client not found' };
       }
-    }
 
-    // Update client
-    const updatedClient = {
-      ...clients[clientIndex],
-      ...(name && { name }),
-      ...(email && { email }),
-      phone: phone !== undefined ? phone : clients[clientIndex].phone,
-      address: address !== undefined ? address : clients[clientIndex].address,
-      company: company !== undefined ? company : clients[clientIndex].company,
-      notes: notes !== undefined ? notes : clients[clientIndex].notes,
-      updatedAt: new Date().toISOString()
-    };
+      // Check if email is being changed and already exists
+      if (email && email !== current.email) {
+        const existingClient = await clientsTx.findOne(cl => 
+          cl.email === email && 
+          cl.organizationId === req.organization.id &&
+          cl.id !== req.params.id
+        );
+        
+        if (existingClient) {
+          return duplicateEmailError(existingClient);
+        }
+      }
 
-    clients[clientIndex] = updatedClient;
+      // Update client
+      const updatedClient = await clientsTx.update(current.id, {
+        ...(name && { name }),
+        ...(email && { email }),
+        phone: phone !== undefined ? phone : current.phone,
+        address: address !== undefined ? address : current.address,
+        company: company !== undefined ? company : current.company,
+        notes: notes !== undefined ? notes : current.notes,
+        updatedAt: new Date().toISOString()
+      });
+
+      return { client: updatedClient };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, trashedClientId: result.trashedClientId });
+    }
 
     res.json({
       success: true,
       message: 'Client updated successfully',
-      client: updatedClient
+      client: result.client
     });
 
   } catch (error) {
@@ -167,23 +252,49 @@ router.put('/:id', verifyToken, (req, res) => {
   }
 });
 
-// Delete a client
-router.delete('/:id', verifyToken, (req, res) => {
+// Move a client to the trash. A client with invoices is refused (409)
+// unless ?cascade=true, which moves its invoices to the trash with it, so
+// no invoice is left pointing at a deleted client.
+router.delete('/:id', verifyToken, resolveOrganization, requirePermission('clients:delete'), async (req, res) => {
   try {
-    const clientIndex = clients.findIndex(cl => 
-      cl.id === req.params.id && cl.userId === req.user.id
-    );
-    
-    if (clientIndex === -1) {
-      return res.status(404).json({ error: 'Client not found' });
-    }
+    const trash = await loadShared('trash');
+    const cascade = req.query.cascade === 'true';
+    const result = await db.transaction(async (tx) => {
+      const clientsTx = tx.collection('clients');
+      const invoicesTx = tx.collection('invoices');
+      const client = await clientsTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+      if (!client) {
+        return { status: 404, error: 'Client not found' };
+      }
 
-    const deletedClient = clients.splice(clientIndex, 1)[0];
+      const clientInvoices = await invoicesTx.find(activeMatch({ clientId: client.id, organizationId: req.organization.id }));
+      if (clientInvoices.length > 0 && !cascade) {
+        return {
+          status: 409,
+          error: `Client has ${clientInvoices.length} invoice(s); delete with ?cascade=true to move them to the trash too`,
+          invoiceIds: clientInvoices.map(invoice => invoice.id)
+        };
+      }
+
+      const options = { actor: actorFor(req), now: new Date() };
+      for (const invoice of clientInvoices) {
+        await invoicesTx.update(invoice.id, trash.trashRecord(invoice, { ...options, trashedWith: client.id }));
+      }
+      return {
+        client: await clientsTx.update(client.id, trash.trashRecord(client, options)),
+        invoiceIds: clientInvoices.map(invoice => invoice.id)
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, invoiceIds: result.invoiceIds });
+    }
 
     res.json({
       success: true,
-      message: 'Client deleted successfully',
-      client: deletedClient
+      message: 'Client moved to the trash',
+      client: result.client,
+      invoiceIds: result.invoiceIds
     });
 
   } catch (error) {
@@ -195,13 +306,97 @@ router.delete('/:id', verifyToken, (req, res) => {
   }
 });
 
+// Take a client out of the trash, with the invoices deleted along with it
+router.post('/:id/restore', verifyToken, resolveOrganization, requirePermission('clients:delete'), async (req, res) => {
+  try {
+    const restored = await db.transaction(async (tx) => {
+      const clientsTx = tx.collection('clients');
+      const invoicesTx = tx.collection('invoices');
+      const client = await clientsTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+      if (!client || isActive(client)) return null;
+
+      const now = new Date().toISOString();
+      const trashedWith = await invoicesTx.find({ trashedWith: client.id, organizationId: req.organization.id });
+      for (const invoice of trashedWith) {
+        await invoicesTx.update(invoice.id, { ...RESTORED_FIELDS, updatedAt: now });
+      }
+      return {
+        client: await clientsTx.update(client.id, { ...RESTORED_FIELDS, updatedAt: now }),
+        invoiceIds: trashedWith.map(invoice => invoice.id)
+      };
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Client not found in the trash' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Client restored',
+      ...restored
+    });
+  } catch (error) {
+    console.error('Error restoring client:', error);
+    res.status(500).json({ error: 'Failed to restore client' });
+  }
+});
+
+// Delete a trashed client for good, with its trashed invoices, once the
+// retention period of all of them is over
+router.delete('/:id/purge', verifyToken, resolveOrganization, requirePermission('clients:delete'), async (req, res) => {
+  try {
+    const trash = await loadShared('trash');
+    const retentionDays = await retentionDaysFor(req.organization);
+    const result = await db.transaction(async (tx) => {
+      const clientsTx = tx.collection('clients');
+      const invoicesTx = tx.collection('invoices');
+      const client = await clientsTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+      if (!client || isActive(client)) {
+        return { status: 404, error: 'Client not found in the trash' };
+      }
+
+      const clientInvoices = await invoicesTx.find({ clientId: client.id, organizationId: req.organization.id });
+      if (clientInvoices.some(isActive)) {
+        return { status: 409, error: 'Client has invoices that are not in the trash' };
+      }
+      const waiting = [client, ...clientInvoices].find(doc => !trash.canPurge(doc, retentionDays));
+      if (waiting) {
+        const purgeAvailableAt = trash.purgeAvailableAt(waiting, retentionDays);
+        return { status: 409, error: `Client can be deleted permanently from ${purgeAvailableAt}`, purgeAvailableAt };
+      }
+
+      for (const invoice of clientInvoices) {
+        await invoicesTx.remove(invoice.id);
+      }
+      return {
+        client: await clientsTx.remove(client.id),
+        invoiceIds: clientInvoices.map(invoice => invoice.id)
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, purgeAvailableAt: result.purgeAvailableAt });
+    }
+
+    res.json({
+      success: true,
+      message: 'Client deleted permanently',
+      client: result.client,
+      invoiceIds: result.invoiceIds
+    });
+  } catch (error) {
+    console.error('Error purging client:', error);
+    res.status(500).json({ error: 'Failed to purge client' });
+  }
+});
+
 // Search clients
-router.get('/search/:query', verifyToken, (req, res) => {
+router.get('/search/:query', verifyToken, resolveOrganization, requirePermission('clients:read'), async (req, res) => {
   try {
     const query = req.params.query.toLowerCase();
-    const userClients = clients.filter(client => client.userId === req.user.id);
+    const orgClients = await clients.find(activeMatch({ organizationId: req.organization.id }));
     
-    const filteredClients = userClients.filter(client => 
+    const filteredClients = orgClients.filter(client => 
       client.name.toLowerCase().includes(query) ||
       client.email.toLowerCase().includes(query) ||
       client.company.toLowerCase().includes(query) ||
@@ -222,21 +417,18 @@ router.get('/search/:query', verifyToken, (req, res) => {
 });
 
 // Get client statistics
-router.get('/stats/summary', verifyToken, (req, res) => {
+router.get('/stats/summary', verifyToken, resolveOrganization, requirePermission('clients:read'), async (req, res) => {
   try {
-    const userClients = clients.filter(client => client.userId === req.user.id);
-    
-    // Get invoices for statistics (assuming invoices are available globally)
-    const userInvoices = global.invoices ? 
-      global.invoices.filter(inv => inv.userId === req.user.id) : [];
+    const orgClients = await clients.find(activeMatch({ organizationId: req.organization.id }));
+    const orgInvoices = await invoices.find(activeMatch({ organizationId: req.organization.id }));
     
     const stats = {
-      totalClients: userClients.length,
-      recentClients: userClients
+      totalClients: orgClients.length,
+      recentClients: orgClients
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
         .slice(0, 5),
-      clientsWithInvoices: userClients.filter(client => 
-        userInvoices.some(inv => inv.clientInfo.email === client.email)
+      clientsWithInvoices: orgClients.filter(client => 
+        orgInvoices.some(inv => inv.clientId === client.id || (inv.client && inv.client.email === client.email))
       ).length
     };
 
@@ -252,7 +444,7 @@ router.get('/stats/summary', verifyToken, (req, res) => {
 });
 
 // Import clients from CSV (basic implementation)
-router.post('/import', verifyToken, (req, res) => {
+router.post('/import', verifyToken, resolveOrganization, requirePermission('clients:write'), async (req, res) => {
   try {
     const { clients: importClients } = req.body;
     
@@ -268,46 +460,50 @@ router.post('/import', verifyToken, (req, res) => {
       errors: []
     };
 
-    importClients.forEach((clientData, index) => {
-      try {
-        const { name, email, phone, address, company } = clientData;
-        
-        if (!name || !email) {
-          results.errors.push(`Row ${index + 1}: Missing name or email`);
-          results.skipped++;
-          return;
-        }
-
-        // Check if client already exists
-        const existingClient = clients.find(cl => 
-          cl.email === email && cl.userId === req.user.id
-        );
-        
-        if (existingClient) {
+    // Import as one transaction so duplicates within the batch are caught too
+    await db.transaction(async (tx) => {
+      const clientsTx = tx.collection('clients');
+
+      for (const [index, clientData] of importClients.entries()) {
+        try {
+          const { name, email, phone, address, company } = clientData;
+          
+          if (!name || !email) {
+            results.errors.push(`Row ${index + 1}: Missing name or email`);
+            results.skipped++;
+            continue;
+          }
+
+          // Check if client already exists
+          const existingClient = await clientsTx.findOne({ email, organizationId: req.organization.id });
+          
+          if (existingClient) {
+            results.skipped++;
+            continue;
+          }
+
+          // Create client
+          const client = {
+            id: uuidv4(),
+            organizationId: req.organization.id,
+            userId: req.user.id,
+            name,
+            email,
+            phone: phone || '',
+            address: address || '',
+            company: company || '',
+            notes: '',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+          };
+
+          await clientsTx.insert(client);
+          results.imported++;
+
+        } catch (error) {
+          results.errors.push(`Row ${index + 1}: ${error.message}`);
           results.skipped++;
-          return;
         }
-
-        // Create client
-        const client = {
-          id: uuidv4(),
-          userId: req.user.id,
-          name,
-          email,
-          phone: phone || '',
-          address: address || '',
-          company: company || '',
-          notes: '',
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-
-        clients.push(client);
-        results.imported++;
-
-      } catch (error) {
-        results.errors.push(`Row ${index + 1}: ${error.message}`);
-        results.skipped++;
       }
     });
 
@@ -1,67 +1,12 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { google } = require('googleapis');
 const { verifyToken } = require('./auth');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
+const { getTransporter, isMailConfigured } = require('../lib/mailer');
+const { loadShared } = require('../lib/shared');
 const router = express.Router();
 
-// Gmail OAuth2 setup
-const OAuth2 = google.auth.OAuth2;
-
-// Create OAuth2 client
-const createTransporter = async () => {
-  try {
-    const oauth2Client = new OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      "https://developers.google.com/oauthplayground"
-    );
-
-    oauth2Client.setCredentials({
-      refresh_token: process.env.GMAIL_REFRESH_TOKEN
-    });
-
-    const accessToken = await new Promise((resolve, reject) => {
-      oauth2Client.getAccessToken((err, token) => {
-        if (err) {
-          console.error("Failed to create access token:", err);
-          reject(err);
-        }
-        resolve(token);
-      });
-    });
-
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        type: 'OAuth2',
-        user: process.env.GMAIL_USER,
-        accessToken,
-        clientId: process.env.GOOGLE_CLIENT_ID,
-        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        refreshToken: process.env.GMAIL_REFRESH_TOKEN
-      }
-    });
-
-    return transporter;
-  } catch (error) {
-    console.error('Error creating transporter:', error);
-    throw error;
-  }
-};
-
-// Fallback to basic SMTP if OAuth2 fails
-const createBasicTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.GMAIL_USER,
-      pass: process.env.GMAIL_APP_PASSWORD // Use App Password for Gmail
-    }
-  });
-};
-
 // Send invoice email
-router.post('/send-invoice', verifyToken, async (req, res) => {
+router.post('/send-invoice', verifyToken, resolveOrganization, requirePermission('email:send'), async (req, res) => {
   try {
     const { 
       to, 
@@ -78,15 +23,9 @@ router.post('/send-invoice', verifyToken, async (req, res) => {
       });
     }
 
-    let transporter;
-    try {
-      // Try OAuth2 first
-      transporter = await createTransporter();
-    } catch (oauthError) {
-      console.log('OAuth2 failed, falling back to basic auth:', oauthError.message);
-      // Fallback to basic auth
-      transporter = createBasicTransporter();
-    }
+    const transporter = await getTransporter();
+    // Canonical invoice, or the older API shape upgraded to it
+    const invoice = invoiceData && (await loadShared('invoice-schema')).upgradeInvoice(invoiceData);
 
     // Prepare email content
     const htmlContent = `
@@ -103,21 +42,21 @@ router.post('/send-invoice', verifyToken, async (req, res) => {
             </p>
           </div>
           
-          ${invoiceData ? `
+          ${invoice ? `
           <div style="background: white; padding: 20px; border-radius: 8px; border: 1px solid #e5e7eb; margin: 20px 0;">
             <h3 style="color: #1f2937; margin-top: 0;">Invoice Summary</h3>
             <div style="display: grid; gap: 10px;">
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
                 <span style="color: #6b7280;">Invoice Number:</span>
-                <span style="color: #1f2937; font-weight: 600;">${invoiceData.invoiceNumber || 'N/A'}</span>
+                <span style="color: #1f2937; font-weight: 600;">${invoice.number || 'N/A'}</span>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
                 <span style="color: #6b7280;">Date:</span>
-                <span style="color: #1f2937;">${invoiceData.date || new Date().toLocaleDateString()}</span>
+                <span style="color: #1f2937;">${invoice.issueDate || new Date().toLocaleDateString()}</span>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
                 <span style="color: #6b7280;">Total Amount:</span>
-                <span style="color: #1f2937; font-weight: bold; font-size: 18px;">$${invoiceData.total || '0.00'}</span>
+                <span style="color: #1f2937; font-weight: bold; font-size: 18px;">$${invoice.totals ? Number(invoice.totals.grand).toFixed(2) : '0.00'}</span>
               </div>
             </div>
           </div>
@@ -178,15 +117,9 @@ router.post('/send-invoice', verifyToken, async (req, res) => {
 });
 
 // Test email configuration
-router.post('/test', verifyToken, async (req, res) => {
+router.post('/test', verifyToken, resolveOrganization, requirePermission('email:send'), async (req, res) => {
   try {
-    let transporter;
-    try {
-      transporter = await createTransporter();
-    } catch (oauthError) {
-      console.log('OAuth2 failed, testing basic auth');
-      transporter = createBasicTransporter();
-    }
+    const transporter = await getTransporter();
 
     // Test email
     const testEmail = {
@@ -222,12 +155,8 @@ router.post('/test', verifyToken, async (req, res) => {
 });
 
 // Get email configuration status
-router.get('/config-status', verifyToken, (req, res) => {
-  const hasGmailConfig = !!(
-    process.env.GMAIL_USER && 
-    (process.env.GMAIL_APP_PASSWORD || 
-     (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GMAIL_REFRESH_TOKEN))
-  );
+router.get('/config-status', verifyToken, resolveOrganization, (req, res) => {
+  const hasGmailConfig = isMailConfigured();
 
   res.json({
     success: true,
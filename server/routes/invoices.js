@@ -1,32 +1,386 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { verifyToken } = require('./auth');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
+const { db } = require('../db');
+const {
+  ListQueryError,
+  parsePagination,
+  parseSort,
+  parseDate,
+  parseNumber,
+  parseList,
+  inDateRange,
+  inNumberRange,
+  containsText,
+  sortDocuments,
+  paginate
+} = require('../lib/list-query');
+const { loadShared } = require('../lib/shared');
+const { schemeFor, takeNumber, invoiceNumberCheck } = require('../lib/numbering');
+const { isActive, activeMatch, RESTORED_FIELDS, retentionDaysFor, listTrash } = require('../lib/trash');
 const router = express.Router();
 
-// In-memory storage for invoices (replace with database in production)
-let invoices = [];
+const invoices = db.collection('invoices');
+const clients = db.collection('clients');
 
-// Get all invoices for the authenticated user
-router.get('/', verifyToken, (req, res) => {
+// Who made a change, as recorded in the status history
+const actorFor = (req) => ({ id: req.user.id, name: req.user.name || req.user.email || '' });
+
+const transitionErrorBody = (error) => ({
+  error: error.message,
+  from: error.from,
+  to: error.to,
+  action: error.action,
+  allowed: error.allowed
+});
+
+// Options for the shared payment ledger; the API's open status is "sent"
+const ledgerOptions = (req, invoice) => ({
+  total: invoiceTotal(invoice),
+  unpaidStatus: 'sent',
+  actor: actorFor(req)
+});
+
+// Shared-module errors that mean the request itself was invalid
+const RULE_ERRORS = ['PaymentError', 'RecurrenceError', 'CurrencyError', 'TaxError', 'DecimalError', 'TotalsError',
+  'SchemaError', 'InvoiceValidationError'];
+
+// Map shared-module errors to 400 responses; returns false for anything else
+const sendRuleError = (res, error) => {
+  if (error.name === 'StatusTransitionError') {
+    res.status(400).json(transitionErrorBody(error));
+    return true;
+  }
+  if (RULE_ERRORS.includes(error.name)) {
+    res.status(400).json({ error: error.message, errors: error.errors });
+    return true;
+  }
+  return false;
+};
+
+// Rounding rules for an invoice: as sent, else the invoice's own, else the
+// organization default. Stored on the invoice so later changes to the
+// default do not alter it.
+const roundingFor = (decimal, organization, ...candidates) =>
+  decimal.normalizeRounding(candidates.find(Boolean) || organization.rounding);
+
+// Items and totals calculated with the shared rules (shared/totals); amounts
+// the client sent are checked against them, missing ones are filled in
+const calculateAmounts = ({ totals, taxRules, decimal }, invoice, rounding, sent = {}) => {
+  const {
+    items = [], invoiceDiscount = null, shipping = 0, flatTax = 0, taxInclusive = false, withholdingRate = 0
+  } = invoice;
+  const sentItems = Array.isArray(sent.items) ? sent.items : [];
+  const errors = [];
+
+  if (!Array.isArray(items)) {
+    errors.push({ field: 'items', message: 'Items must be a list' });
+    throw new totals.TotalsError('Invalid invoice amounts', errors);
+  }
+
+  items.forEach((item, index) => {
+    totals.validateLineAmounts(item).forEach(error => errors.push({
+      field: `items[${index}].${error.field}`,
+      line: index,
+      message: error.message
+    }));
+  });
+  errors.push(...totals.validateInvoiceDiscount(invoiceDiscount));
+  errors.push(...taxRules.validateWithholdingRate(withholdingRate));
+
+  const itemizedTax = items.some(item => Array.isArray(item.taxes) && item.taxes.length > 0);
+  if (!Number.isFinite(Number(flatTax)) || Number(flatTax) < 0) {
+    errors.push({ field: 'flatTax', message: 'Tax must be a number of at least 0' });
+  } else if (itemizedTax && Number(flatTax) > 0) {
+    errors.push({ field: 'flatTax', message: 'A flat tax cannot be combined with line taxes' });
+  }
+  if (!Number.isFinite(Number(shipping)) || Number(shipping) < 0) {
+    errors.push({ field: 'shipping', message: 'Shipping must be a number of at least 0' });
+  }
+  if (errors.length > 0) {
+    throw new totals.TotalsError('Invalid invoice amounts', errors);
+  }
+
+  const normalized = items.map(item => ({
+    id: item.id || uuidv4(),
+    description: item.description || '',
+    qty: Number(item.qty),
+    unit: String(item.unit || '').trim(),
+    unitPrice: Number(item.unitPrice),
+    discountType: item.discountType || 'percent',
+    discountRate: Number(item.discountRate || 0),
+    discountAmount: Number(item.discountAmount || 0),
+    taxes: (item.taxes || []).map(taxRules.normalizeTaxDefinition)
+  }));
+  const documentDiscount = invoiceDiscount && Number(invoiceDiscount.value) > 0 ?
+    { type: invoiceDiscount.type, value: Number(invoiceDiscount.value) } : null;
+
+  // A fixed invoice discount cannot be more than the lines it comes off
+  const linesAmount = decimal.sumMoney(normalized.map(line => totals.calculateLineTotals(line, { rounding }).amount));
+  totals.validateInvoiceDiscount(documentDiscount, linesAmount).forEach(error => errors.push(error));
+  if (errors.length > 0) {
+    throw new totals.TotalsError('Invalid invoice amounts', errors);
+  }
+
+  const calculated = totals.calculateDocumentTotals({
+    items: normalized,
+    invoiceDiscount: documentDiscount,
+    shipping: Number(shipping),
+    flatTax: Number(flatTax),
+    taxInclusive: !!taxInclusive,
+    withholdingRate: Number(withholdingRate),
+    rounding
+  });
+
+  // Line amounts (after discount, before tax) sent by older API clients
+  normalized.forEach((line, index) => {
+    const amount = totals.calculateLineTotals(line, { taxInclusive: !!taxInclusive, rounding }).taxableBase;
+    totals.compareAmounts({ amount: (sentItems[index] || {}).amount }, { amount }, rounding.mode).forEach(error =>
+      errors.push({ ...error, field: `items[${index}].amount`, line: index }));
+  });
+
+  const { subtotal, discount, invoiceDiscount: discounted, tax, grand, withholding, netPayable } = calculated;
+  totals.compareAmounts(sent.totals || {}, {
+    subtotal, discount, invoiceDiscount: discounted, tax, grand, withholding, netPayable
+  }, rounding.mode)
+    .forEach(error => errors.push({ ...error, field: `totals.${error.field}` }));
+  if (errors.length > 0) {
+    throw new totals.TotalsError('Invoice amounts do not match its items', errors);
+  }
+
+  return {
+    items: normalized,
+    invoiceDiscount: documentDiscount,
+    shipping: calculated.shipping,
+    flatTax: decimal.roundMoney(Number(flatTax), rounding.mode),
+    taxInclusive: calculated.taxInclusive,
+    withholdingRate: calculated.withholdingRate,
+    rounding,
+    totals: calculated
+  };
+};
+
+// Amounts a request sent, to check against the calculated ones. Older API
+// clients send them at the top level, with the grand total as `total`.
+const sentAmounts = (schema, body) => {
+  if (schema.detectInvoiceFormat(body) !== 'api') {
+    return { items: body.items, totals: body.totals };
+  }
+  const { subtotal, discount, tax, total, withholding } = body;
+  return { items: body.items, totals: { subtotal, discount, tax, grand: total, withholding } };
+};
+
+// Reject invoices missing what every layer relies on (shared/invoice-schema),
+// apart from the fields in `skip`
+const checkShape = (schema, invoice, skip = []) => {
+  const errors = schema.validateInvoiceShape(invoice).filter(error => !skip.includes(error.field));
+  if (errors.length > 0) {
+    throw new schema.SchemaError(`Invalid invoice: ${errors.map(error => error.message).join('; ')}`, errors);
+  }
+};
+
+// Email an invoice is sent to: its client snapshot's, else the client record's
+const clientEmailFor = async (tx, invoice) => {
+  if (invoice.client && invoice.client.email) return invoice.client.email;
+  const client = invoice.clientId ?
+    await tx.collection('clients').findOne({ id: invoice.clientId, organizationId: invoice.organizationId }) :
+    null;
+  return client ? client.email : '';
+};
+
+// Why an invoice cannot point at a client, or null if it can: the client
+// must belong to the organization and not be in the trash
+const clientError = async (tx, organizationId, clientId) => {
+  if (!clientId) return null;
+  const client = await tx.collection('clients').findOne({ id: clientId, organizationId });
+  if (!client) return 'Client not found';
+  return isActive(client) ? null : 'Client is in the trash; restore it first';
+};
+
+// Apply the browser's validation rules (shared/invoice-validation) to an
+// invoice about to be saved: lines, dates, a number no other invoice of the
+// organization uses and, when it is being sent, the client's email. Runs in
+// the saving transaction so concurrent requests cannot claim one number.
+const checkInvoiceRules = async (tx, invoice, { sending = false } = {}) => {
+  const validation = await loadShared('invoice-validation');
+  const others = await tx.collection('invoices').find(inv =>
+    inv.organizationId === invoice.organizationId && inv.id !== invoice.id);
+
+  validation.assertValidInvoice(invoice, {
+    otherNumbers: others.map(inv => inv.number),
+    sending,
+    clientEmail: sending ? await clientEmailFor(tx, invoice) : undefined
+  });
+};
+
+// Client and business snapshots; fields left empty keep their current value
+const mergeParty = (party, current) => party && {
+  name: party.name || (current && current.name) || '',
+  email: party.email || (current && current.email) || '',
+  address: party.address || (current && current.address) || '',
+  phone: party.phone || (current && current.phone) || ''
+};
+
+// Grand total of an invoice
+const invoiceTotal = (invoice) => Number(invoice.totals && invoice.totals.grand) || 0;
+
+const DEFAULT_BASE_CURRENCY = process.env.BASE_CURRENCY || 'PHP';
+
+// Reports convert every invoice into the organization's base currency
+const baseCurrencyOf = (organization) => organization.baseCurrency || DEFAULT_BASE_CURRENCY;
+
+// Currency and exchange rate snapshot to store on an invoice. Invoices in a
+// foreign currency must come with the rate to the base currency.
+const currencyFields = (money, organization, { currency, exchangeRate, date }) => {
+  const base = baseCurrencyOf(organization);
+  const code = money.normalizeCurrencyCode(currency) || base;
+  const fail = (field, message) => { throw new money.CurrencyError(message, [{ field, message }]); };
+
+  if (!money.isCurrencyCode(code)) {
+    fail('currency', `"${code}" is not an ISO 4217 currency code`);
+  }
+  if (code === base) {
+    return { currency: code, exchangeRate: { base, rate: 1, date, source: 'base' } };
+  }
+  if (!exchangeRate || typeof exchangeRate !== 'object') {
+    fail('exchangeRate', `exchangeRate is required for ${code} invoices (base currency ${base})`);
+  }
+  if (exchangeRate.base && money.normalizeCurrencyCode(exchangeRate.base) !== base) {
+    fail('exchangeRate', `exchangeRate must be to the base currency ${base}`);
+  }
+
+  const snapshot = money.normalizeExchangeRate({ ...exchangeRate, currency: code, base, date: exchangeRate.date || date });
+  return {
+    currency: code,
+    exchangeRate: { base, rate: snapshot.rate, date: snapshot.date, source: snapshot.source }
+  };
+};
+
+const INVOICE_SORT_FIELDS = {
+  number: inv => inv.number,
+  issueDate: inv => inv.issueDate,
+  dueDate: inv => inv.dueDate,
+  client: inv => inv.client && inv.client.name,
+  total: inv => invoiceTotal(inv),
+  status: inv => inv.status,
+  createdAt: inv => inv.createdAt,
+  updatedAt: inv => inv.updatedAt,
+  // Names from before the shared invoice schema
+  invoiceNumber: inv => inv.number,
+  date: inv => inv.issueDate
+};
+
+// Build a predicate from ?status=&currency=&dateFrom=&dateTo=&dueFrom=&dueTo=&clientId=&minAmount=&maxAmount=&q=
+// (q also matches the name and email of the client, snapshot or record)
+const buildInvoiceFilter = (query, clientsById = new Map()) => {
+  const statuses = parseList(query.status);
+  const currencies = parseList(query.currency && String(query.currency).toUpperCase());
+  const dateFrom = parseDate(query.dateFrom, 'dateFrom');
+  const dateTo = parseDate(query.dateTo, 'dateTo');
+  const dueFrom = parseDate(query.dueFrom, 'dueFrom');
+  const dueTo = parseDate(query.dueTo, 'dueTo');
+  const minAmount = parseNumber(query.minAmount, 'minAmount');
+  const maxAmount = parseNumber(query.maxAmount, 'maxAmount');
+  const clientIds = parseList(query.clientId);
+  const text = query.q ? String(query.q) : null;
+
+  return (inv) => {
+    const party = inv.client || {};
+    const record = clientsById.get(inv.clientId) || {};
+
+    return (!statuses || statuses.includes(inv.status)) &&
+      (!currencies || currencies.includes(inv.currency)) &&
+      inDateRange(inv.issueDate, dateFrom, dateTo) &&
+      inDateRange(inv.dueDate, dueFrom, dueTo) &&
+      inNumberRange(invoiceTotal(inv), minAmount, maxAmount) &&
+      (!clientIds || clientIds.includes(inv.clientId)) &&
+      containsText([
+        inv.number,
+        party.name,
+        party.email,
+        record.name,
+        record.email,
+        inv.notes,
+        ...(inv.items || []).map(item => item.description)
+      ], text);
+  };
+};
+
+// List invoices of the active organization, filtered, sorted and paginated
+router.get('/', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
   try {
-    const userInvoices = invoices.filter(invoice => invoice.userId === req.user.id);
+    const orgClients = req.query.q ?
+      await clients.find({ organizationId: req.organization.id }) : [];
+    const filter = buildInvoiceFilter(req.query, new Map(orgClients.map(client => [client.id, client])));
+    const sort = parseSort(req.query.sort, INVOICE_SORT_FIELDS, '-createdAt');
+    const pageOptions = parsePagination(req.query);
+
+    const orgInvoices = await invoices.find(inv =>
+      inv.organizationId === req.organization.id && isActive(inv) && filter(inv)
+    );
+    const { items, pagination } = paginate(
+      sortDocuments(orgInvoices, sort, INVOICE_SORT_FIELDS),
+      pageOptions
+    );
+
     res.json({
       success: true,
-      invoices: userInvoices,
-      count: userInvoices.length
+      invoices: items,
+      count: items.length,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
     console.error('Error fetching invoices:', error);
     res.status(500).json({ error: 'Failed to fetch invoices' });
   }
 });
 
+// Gaps and duplicates in the organization's invoice numbers, checked
+// against its invoice numbering scheme (shared/numbering). Numbers that do
+// not follow the scheme, e.g. from before it changed, are listed apart.
+router.get('/numbering-report', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const numbering = await loadShared('numbering');
+    const scheme = await schemeFor(req.organization, 'invoice');
+    const orgInvoices = await invoices.find({ organizationId: req.organization.id });
+
+    res.json({
+      success: true,
+      scheme,
+      report: numbering.findNumberingIssues(orgInvoices.map(invoice => invoice.number), scheme)
+    });
+  } catch (error) {
+    console.error('Error checking invoice numbers:', error);
+    res.status(500).json({ error: 'Failed to check invoice numbers' });
+  }
+});
+
+// Invoices in the trash, most recently deleted first, with when each can be purged
+router.get('/trash', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const retentionDays = await retentionDaysFor(req.organization);
+    const trashed = await listTrash(await invoices.find({ organizationId: req.organization.id }), retentionDays);
+
+    res.json({
+      success: true,
+      invoices: trashed,
+      count: trashed.length,
+      retentionDays
+    });
+  } catch (error) {
+    console.error('Error fetching trashed invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch trashed invoices' });
+  }
+});
+
 // Get a specific invoice by ID
-router.get('/:id', verifyToken, (req, res) => {
+router.get('/:id', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
   try {
-    const invoice = invoices.find(inv => 
-      inv.id === req.params.id && inv.userId === req.user.id
-    );
+    const invoice = await invoices.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
     
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
@@ -42,77 +396,85 @@ router.get('/:id', verifyToken, (req, res) => {
   }
 });
 
-// Create a new invoice
-router.post('/', verifyToken, (req, res) => {
+// Create a new invoice. The body is a canonical invoice
+// (shared/invoice-schema); the API's older shape (invoiceNumber, date,
+// clientInfo, items with quantity and rate, ...) is still accepted. Invoices
+// sent without a number take the next one from the organization's invoice
+// sequence (lib/numbering).
+router.post('/', verifyToken, resolveOrganization, requirePermission('invoices:write'), async (req, res) => {
   try {
-    const {
-      invoiceNumber,
-      date,
-      dueDate,
-      clientInfo,
-      businessInfo,
-      items = [],
-      subtotal = 0,
-      tax = 0,
-      total = 0,
-      notes = '',
-      status = 'draft'
-    } = req.body;
-
-    // Validate required fields
-    if (!invoiceNumber || !date || !clientInfo) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: invoiceNumber, date, clientInfo' 
-      });
-    }
+    const schema = await loadShared('invoice-schema');
+    const data = schema.upgradeInvoice(req.body);
+    checkShape(schema, data, ['number']);
+    const { number, status = 'draft', recurring = null } = data;
 
-    // Check if invoice number already exists for this user
-    const existingInvoice = invoices.find(inv => 
-      inv.invoiceNumber === invoiceNumber && inv.userId === req.user.id
-    );
-    
-    if (existingInvoice) {
-      return res.status(400).json({ 
-        error: 'Invoice number already exists' 
+    const lifecycle = await loadShared('invoice-status');
+    // Later statuses are only reached through the status and payment routes
+    if (!lifecycle.INITIAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Invoices are created as one of: ${lifecycle.INITIAL_STATUSES.join(', ')}`
       });
     }
+    const recurrence = await loadShared('recurrence');
+    const money = await loadShared('currency');
+    const rules = {
+      totals: await loadShared('totals'),
+      taxRules: await loadShared('tax'),
+      decimal: await loadShared('decimal')
+    };
+    const amounts = calculateAmounts(rules, data,
+      roundingFor(rules.decimal, req.organization, data.rounding), sentAmounts(schema, req.body));
 
     // Create new invoice
     const invoice = {
+      schemaVersion: schema.INVOICE_SCHEMA_VERSION,
       id: uuidv4(),
+      organizationId: req.organization.id,
       userId: req.user.id,
-      invoiceNumber,
-      date,
-      dueDate,
-      clientInfo: {
-        name: clientInfo.name || '',
-        email: clientInfo.email || '',
-        address: clientInfo.address || '',
-        phone: clientInfo.phone || ''
-      },
-      businessInfo: {
-        name: businessInfo?.name || req.user.name || '',
-        email: businessInfo?.email || req.user.email || '',
-        address: businessInfo?.address || '',
-        phone: businessInfo?.phone || ''
-      },
-      items: items.map(item => ({
-        id: item.id || uuidv4(),
-        description: item.description || '',
-        quantity: parseFloat(item.quantity) || 0,
-        rate: parseFloat(item.rate) || 0,
-        amount: parseFloat(item.amount) || (parseFloat(item.quantity) * parseFloat(item.rate))
-      })),
-      subtotal: parseFloat(subtotal),
-      tax: parseFloat(tax),
-      total: parseFloat(total),
-      notes,
+      number,
+      clientId: data.clientId || null,
+      client: mergeParty(data.client, null),
+      business: mergeParty(data.business || {}, { name: req.user.name, email: req.user.email }),
+      issueDate: data.issueDate,
+      dueDate: data.dueDate,
+      terms: data.terms || '',
+      ...amounts,
+      notes: data.notes || '',
+      ...currencyFields(money, req.organization, {
+        currency: data.currency,
+        exchangeRate: data.exchangeRate,
+        date: data.issueDate
+      }),
       status,
+      statusHistory: [
+        lifecycle.createStatusHistoryEntry({ to: status, actor: actorFor(req), reason: 'Invoice created' })
+      ],
+      payments: [],
+      // Recurring invoices are templates for the scheduler (lib/recurring-scheduler)
+      recurring: recurring ? recurrence.normalizeRecurring(recurring) : null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    invoices.push(invoice);
+    const result = await db.transaction(async (tx) => {
+      const clientProblem = await clientError(tx, req.organization.id, invoice.clientId);
+      if (clientProblem) {
+        return { status: 400, error: clientProblem };
+      }
+      if (!invoice.number) {
+        const organization = await tx.collection('organizations').findById(req.organization.id);
+        invoice.number = await takeNumber(tx, organization, 'invoice', {
+          isTaken: await invoiceNumberCheck(tx, organization.id)
+        });
+      }
+      await checkInvoiceRules(tx, invoice, { sending: status === 'sent' });
+      await tx.collection('invoices').insert(invoice);
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.status(201).json({
       success: true,
@@ -121,6 +483,7 @@ router.post('/', verifyToken, (req, res) => {
     });
 
   } catch (error) {
+    if (sendRuleError(res, error)) return;
     console.error('Error creating invoice:', error);
     res.status(500).json({ 
       error: 'Failed to create invoice',
@@ -129,92 +492,110 @@ router.post('/', verifyToken, (req, res) => {
   }
 });
 
-// Update an existing invoice
-router.put('/:id', verifyToken, (req, res) => {
+// Update an existing invoice. Fields left out keep their current value;
+// items and amounts are recalculated.
+router.put('/:id', verifyToken, resolveOrganization, requirePermission('invoices:write'), async (req, res) => {
   try {
-    const invoiceIndex = invoices.findIndex(inv => 
-      inv.id === req.params.id && inv.userId === req.user.id
-    );
-    
-    if (invoiceIndex === -1) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
+    const schema = await loadShared('invoice-schema');
+    const data = schema.upgradeInvoice(req.body);
+    const { number, status, recurring, currency, exchangeRate } = data;
 
-    const {
-      invoiceNumber,
-      date,
-      dueDate,
-      clientInfo,
-      businessInfo,
-      items = [],
-      subtotal = 0,
-      tax = 0,
-      total = 0,
-      notes = '',
-      status
-    } = req.body;
-
-    // Check if invoice number is being changed and already exists
-    if (invoiceNumber && invoiceNumber !== invoices[invoiceIndex].invoiceNumber) {
-      const existingInvoice = invoices.find(inv => 
-        inv.invoiceNumber === invoiceNumber && 
-        inv.userId === req.user.id &&
-        inv.id !== req.params.id
-      );
-      
-      if (existingInvoice) {
-        return res.status(400).json({ 
-          error: 'Invoice number already exists' 
-        });
+    const lifecycle = await loadShared('invoice-status');
+    const recurrence = await loadShared('recurrence');
+    const money = await loadShared('currency');
+    const rules = {
+      totals: await loadShared('totals'),
+      taxRules: await loadShared('tax'),
+      decimal: await loadShared('decimal')
+    };
+
+    const result = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const current = await invoicesTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+
+      if (!current) {
+        return { status: 404, error: 'Invoice not found' };
       }
-    }
 
-    // Update invoice
-    const updatedInvoice = {
-      ...invoices[invoiceIndex],
-      ...(invoiceNumber && { invoiceNumber }),
-      ...(date && { date }),
-      ...(dueDate && { dueDate }),
-      ...(clientInfo && { 
-        clientInfo: {
-          name: clientInfo.name || invoices[invoiceIndex].clientInfo.name,
-          email: clientInfo.email || invoices[invoiceIndex].clientInfo.email,
-          address: clientInfo.address || invoices[invoiceIndex].clientInfo.address,
-          phone: clientInfo.phone || invoices[invoiceIndex].clientInfo.phone
+      const changes = {
+        ...(number && { number }),
+        ...(data.clientId !== undefined && { clientId: data.clientId || null }),
+        ...(data.client && { client: mergeParty(data.client, current.client) }),
+        ...(data.business && { business: mergeParty(data.business, current.business) }),
+        ...(data.issueDate && { issueDate: data.issueDate }),
+        ...(data.dueDate && { dueDate: data.dueDate }),
+        ...(data.terms !== undefined && { terms: data.terms }),
+        ...(data.notes !== undefined && { notes: data.notes })
+      };
+      checkShape(schema, { ...current, ...changes });
+      if (changes.clientId && changes.clientId !== current.clientId) {
+        const clientProblem = await clientError(tx, req.organization.id, changes.clientId);
+        if (clientProblem) {
+          return { status: 400, error: clientProblem };
         }
-      }),
-      ...(businessInfo && { 
-        businessInfo: {
-          name: businessInfo.name || invoices[invoiceIndex].businessInfo.name,
-          email: businessInfo.email || invoices[invoiceIndex].businessInfo.email,
-          address: businessInfo.address || invoices[invoiceIndex].businessInfo.address,
-          phone: businessInfo.phone || invoices[invoiceIndex].businessInfo.phone
+      }
+
+      // Status changes made through an edit follow the same lifecycle rules
+      const statusChange = status && status !== current.status ?
+        lifecycle.transitionStatus(current, status, { actor: actorFor(req) }) :
+        null;
+
+      // A new currency or rate takes a new snapshot; the currency is fixed
+      // once money has been received against the invoice
+      let currencyChange = null;
+      if (currency !== undefined || exchangeRate !== undefined) {
+        currencyChange = currencyFields(money, req.organization, {
+          currency: currency !== undefined ? currency : current.currency,
+          exchangeRate: exchangeRate !== undefined ? exchangeRate : current.exchangeRate,
+          date: changes.issueDate || current.issueDate
+        });
+        if ((current.payments || []).length > 0 && current.currency && currencyChange.currency !== current.currency) {
+          return { status: 400, error: 'Currency cannot be changed once payments are recorded' };
         }
-      }),
-      items: items.map(item => ({
-        id: item.id || uuidv4(),
-        description: item.description || '',
-        quantity: parseFloat(item.quantity) || 0,
-        rate: parseFloat(item.rate) || 0,
-        amount: parseFloat(item.amount) || (parseFloat(item.quantity) * parseFloat(item.rate))
-      })),
-      subtotal: parseFloat(subtotal),
-      tax: parseFloat(tax),
-      total: parseFloat(total),
-      notes,
-      ...(status && { status }),
-      updatedAt: new Date().toISOString()
-    };
+      }
+
+      // New items drop the flat tax unless one is sent with them
+      const amounts = calculateAmounts(rules, {
+        items: data.items !== undefined ? data.items : current.items,
+        invoiceDiscount: data.invoiceDiscount !== undefined ? data.invoiceDiscount : current.invoiceDiscount,
+        shipping: data.shipping !== undefined ? data.shipping : current.shipping,
+        flatTax: data.flatTax !== undefined ? data.flatTax : (data.items !== undefined ? 0 : current.flatTax),
+        taxInclusive: data.taxInclusive !== undefined ? data.taxInclusive : current.taxInclusive,
+        withholdingRate: data.withholdingRate !== undefined ? data.withholdingRate : current.withholdingRate
+      }, roundingFor(rules.decimal, req.organization, data.rounding, current.rounding), sentAmounts(schema, req.body));
+
+      await checkInvoiceRules(tx, { ...current, ...changes, ...amounts, ...currencyChange }, {
+        sending: !!statusChange && status === 'sent'
+      });
+
+      // Update invoice
+      const updatedInvoice = await invoicesTx.update(current.id, {
+        ...changes,
+        ...amounts,
+        ...currencyChange,
+        ...statusChange,
+        ...(recurring !== undefined && {
+          recurring: recurring ? recurrence.normalizeRecurring(recurring, current.recurring || {}) : null
+        }),
+        schemaVersion: schema.INVOICE_SCHEMA_VERSION,
+        updatedAt: new Date().toISOString()
+      });
+
+      return { invoice: updatedInvoice };
+    });
 
-    invoices[invoiceIndex] = updatedInvoice;
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.json({
       success: true,
       message: 'Invoice updated successfully',
-      invoice: updatedInvoice
+      invoice: result.invoice
     });
 
   } catch (error) {
+    if (sendRuleError(res, error)) return;
     console.error('Error updating invoice:', error);
     res.status(500).json({ 
       error: 'Failed to update invoice',
@@ -223,22 +604,24 @@ router.put('/:id', verifyToken, (req, res) => {
   }
 });
 
-// Delete an invoice
-router.delete('/:id', verifyToken, (req, res) => {
+// Move an invoice to the trash. It keeps its number and can be restored
+// until it is purged (lib/trash).
+router.delete('/:id', verifyToken, resolveOrganization, requirePermission('invoices:delete'), async (req, res) => {
   try {
-    const invoiceIndex = invoices.findIndex(inv => 
-      inv.id === req.params.id && inv.userId === req.user.id
-    );
+    const trash = await loadShared('trash');
+    const deletedInvoice = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const invoice = await invoicesTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+      return invoice ? invoicesTx.update(invoice.id, trash.trashRecord(invoice, { actor: actorFor(req) })) : null;
+    });
     
-    if (invoiceIndex === -1) {
+    if (!deletedInvoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    const deletedInvoice = invoices.splice(invoiceIndex, 1)[0];
-
     res.json({
       success: true,
-      message: 'Invoice deleted successfully',
+      message: 'Invoice moved to the trash',
       invoice: deletedInvoice
     });
 
@@ -251,35 +634,128 @@ router.delete('/:id', verifyToken, (req, res) => {
   }
 });
 
-// Update invoice status
-router.patch('/:id/status', verifyToken, (req, res) => {
+// Take an invoice out of the trash, with its client if that is trashed too
+router.post('/:id/restore', verifyToken, resolveOrganization, requirePermission('invoices:delete'), async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    if (!status || !['draft', 'sent', 'paid', 'overdue', 'cancelled'].includes(status)) {
+    const restored = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const clientsTx = tx.collection('clients');
+      const invoice = await invoicesTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+      if (!invoice || isActive(invoice)) return null;
+
+      const client = invoice.clientId ?
+        await clientsTx.findOne({ id: invoice.clientId, organizationId: req.organization.id }) :
+        null;
+      if (client && !isActive(client)) {
+        await clientsTx.update(client.id, { ...RESTORED_FIELDS, updatedAt: new Date().toISOString() });
+      }
+      return invoicesTx.update(invoice.id, { ...RESTORED_FIELDS, updatedAt: new Date().toISOString() });
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Invoice not found in the trash' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice restored',
+      invoice: restored
+    });
+  } catch (error) {
+    console.error('Error restoring invoice:', error);
+    res.status(500).json({ error: 'Failed to restore invoice' });
+  }
+});
+
+// Delete a trashed invoice for good, once its retention period is over
+router.delete('/:id/purge', verifyToken, resolveOrganization, requirePermission('invoices:delete'), async (req, res) => {
+  try {
+    const trash = await loadShared('trash');
+    const retentionDays = await retentionDaysFor(req.organization);
+    const result = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const invoice = await invoicesTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+      if (!invoice || isActive(invoice)) {
+        return { status: 404, error: 'Invoice not found in the trash' };
+      }
+      if (!trash.canPurge(invoice, retentionDays)) {
+        const purgeAvailableAt = trash.purgeAvailableAt(invoice, retentionDays);
+        return { status: 409, error: `Invoice can be deleted permanently from ${purgeAvailableAt}`, purgeAvailableAt };
+      }
+      return { invoice: await invoicesTx.remove(invoice.id) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, purgeAvailableAt: result.purgeAvailableAt });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice deleted permanently',
+      invoice: result.invoice
+    });
+  } catch (error) {
+    console.error('Error purging invoice:', error);
+    res.status(500).json({ error: 'Failed to purge invoice' });
+  }
+});
+
+// Update invoice status. Moves out of paid/cancelled need an action
+// (void or reopen) and a reason; every change is appended to statusHistory.
+// Marking an invoice paid records a payment for the remaining balance.
+router.patch('/:id/status', verifyToken, resolveOrganization, requirePermission('invoices:status'), async (req, res) => {
+  try {
+    const { status, action = null, reason = '' } = req.body;
+    const lifecycle = await loadShared('invoice-status');
+    const ledger = await loadShared('payments');
+
+    if (!status || !lifecycle.isValidStatus(status)) {
       return res.status(400).json({ 
-        error: 'Invalid status. Must be one of: draft, sent, paid, overdue, cancelled' 
+        error: `Invalid status. Must be one of: ${lifecycle.INVOICE_STATUSES.join(', ')}` 
       });
     }
 
-    const invoiceIndex = invoices.findIndex(inv => 
-      inv.id === req.params.id && inv.userId === req.user.id
-    );
+    const invoice = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const current = await invoicesTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+      if (!current) return null;
+
+      if (status === 'sent' && current.status !== 'sent') {
+        const validation = await loadShared('invoice-validation');
+        const errors = validation.validateForSending(current, { clientEmail: await clientEmailFor(tx, current) });
+        if (errors.length > 0) throw new validation.InvoiceValidationError(errors[0].message, errors);
+      }
+
+      const balanceDue = ledger.getBalanceDue(current, invoiceTotal(current));
+      if (status === 'paid' && !action && current.status !== 'cancelled' && balanceDue > 0) {
+        const { changes } = ledger.recordPayment(current, {
+          amount: balanceDue,
+          date: new Date().toISOString().split('T')[0],
+          method: 'other',
+          reference: reason
+        }, { id: uuidv4(), ...ledgerOptions(req, current) });
+
+        return invoicesTx.update(current.id, { ...changes, updatedAt: new Date().toISOString() });
+      }
+
+      return invoicesTx.update(current.id, {
+        ...lifecycle.transitionStatus(current, status, { action, reason, actor: actorFor(req) }),
+        updatedAt: new Date().toISOString()
+      });
+    });
     
-    if (invoiceIndex === -1) {
+    if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    invoices[invoiceIndex].status = status;
-    invoices[invoiceIndex].updatedAt = new Date().toISOString();
-
     res.json({
       success: true,
       message: 'Invoice status updated successfully',
-      invoice: invoices[invoiceIndex]
+      invoice
     });
 
   } catch (error) {
+    if (sendRuleError(res, error)) return;
     console.error('Error updating invoice status:', error);
     res.status(500).json({ 
       error: 'Failed to update invoice status',
@@ -288,25 +764,191 @@ router.patch('/:id/status', verifyToken, (req, res) => {
   }
 });
 
+// Get the status history of an invoice
+router.get('/:id/history', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await invoices.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const lifecycle = await loadShared('invoice-status');
+    res.json({
+      success: true,
+      status: invoice.status,
+      history: invoice.statusHistory || [],
+      allowedTransitions: lifecycle.getAllowedTransitions(invoice.status)
+    });
+  } catch (error) {
+    console.error('Error fetching invoice history:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice history' });
+  }
+});
+
+// List the payments recorded against an invoice
+router.get('/:id/payments', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await invoices.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const ledger = await loadShared('payments');
+    const total = invoiceTotal(invoice);
+    res.json({
+      success: true,
+      payments: invoice.payments || [],
+      amountWithheld: ledger.getAmountWithheld(invoice),
+      amountPaid: ledger.getAmountPaid(invoice, total),
+      balanceDue: ledger.getBalanceDue(invoice, total),
+      status: invoice.status
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Record a payment; the invoice moves to partially_paid or paid
+router.post('/:id/payments', verifyToken, resolveOrganization, requirePermission('payments:write'), async (req, res) => {
+  try {
+    const { amount, date, method, reference, note } = req.body;
+    const ledger = await loadShared('payments');
+
+    const result = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const current = await invoicesTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+      if (!current) return null;
+
+      const { payment, changes } = ledger.recordPayment(
+        current,
+        { amount, date, method, reference, note },
+        { id: uuidv4(), ...ledgerOptions(req, current) }
+      );
+      const invoice = await invoicesTx.update(current.id, { ...changes, updatedAt: new Date().toISOString() });
+
+      return { payment, invoice };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      payment: result.payment,
+      balanceDue: ledger.getBalanceDue(result.invoice, invoiceTotal(result.invoice)),
+      invoice: result.invoice
+    });
+  } catch (error) {
+    if (sendRuleError(res, error)) return;
+    console.error('Error recording payment:', error);
+    res.status(500).json({
+      error: 'Failed to record payment',
+      details: error.message
+    });
+  }
+});
+
+// Remove a payment; the invoice status follows the new balance
+router.delete('/:id/payments/:paymentId', verifyToken, resolveOrganization, requirePermission('payments:write'), async (req, res) => {
+  try {
+    const ledger = await loadShared('payments');
+
+    const result = await db.transaction(async (tx) => {
+      const invoicesTx = tx.collection('invoices');
+      const current = await invoicesTx.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+      if (!current) return null;
+
+      const { payment, changes } = ledger.removePayment(current, req.params.paymentId, ledgerOptions(req, current));
+      const invoice = await invoicesTx.update(current.id, { ...changes, updatedAt: new Date().toISOString() });
+
+      return { payment, invoice };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment removed successfully',
+      payment: result.payment,
+      invoice: result.invoice
+    });
+  } catch (error) {
+    if (sendRuleError(res, error)) return;
+    console.error('Error removing payment:', error);
+    res.status(500).json({ error: 'Failed to remove payment' });
+  }
+});
+
+// Get a recurring invoice's schedule and the invoices generated from it
+router.get('/:id/recurring', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await invoices.findOne(activeMatch({ id: req.params.id, organizationId: req.organization.id }));
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const generated = await invoices.find(inv =>
+      inv.organizationId === req.organization.id && isActive(inv) &&
+      inv.recurrence && inv.recurrence.templateId === invoice.id
+    );
+    res.json({
+      success: true,
+      recurring: invoice.recurring || null,
+      invoices: generated.sort((a, b) => a.recurrence.occurrence - b.recurrence.occurrence)
+    });
+  } catch (error) {
+    console.error('Error fetching recurring invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring invoices' });
+  }
+});
+
 // Get invoice statistics
-router.get('/stats/summary', verifyToken, (req, res) => {
+router.get('/stats/summary', verifyToken, resolveOrganization, requirePermission('invoices:read'), async (req, res) => {
   try {
-    const userInvoices = invoices.filter(invoice => invoice.userId === req.user.id);
+    const orgInvoices = await invoices.find(activeMatch({ organizationId: req.organization.id }));
+    const ledger = await loadShared('payments');
+    const money = await loadShared('currency');
+    const now = new Date();
+    const thisMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    // Money figures are in the base currency, converted with each invoice's
+    // rate snapshot. Invoices without a rate to the current base are left out.
+    const baseCurrency = baseCurrencyOf(req.organization);
+    const convertible = (inv) => !inv.currency || inv.currency === baseCurrency ||
+      (!!inv.exchangeRate && inv.exchangeRate.base === baseCurrency);
+    const toBase = (inv, amount) => inv.currency && inv.currency !== baseCurrency ?
+      money.convertToBase(amount, inv.exchangeRate) : (Number(amount) || 0);
+    const converted = orgInvoices.filter(convertible);
+    const payments = converted.flatMap(inv => ledger.getEffectivePayments(inv, invoiceTotal(inv))
+      .map(payment => ({ ...payment, amount: toBase(inv, payment.amount) })));
     
     const stats = {
-      total: userInvoices.length,
-      draft: userInvoices.filter(inv => inv.status === 'draft').length,
-      sent: userInvoices.filter(inv => inv.status === 'sent').length,
-      paid: userInvoices.filter(inv => inv.status === 'paid').length,
-      overdue: userInvoices.filter(inv => inv.status === 'overdue').length,
-      cancelled: userInvoices.filter(inv => inv.status === 'cancelled').length,
-      totalAmount: userInvoices.reduce((sum, inv) => sum + inv.total, 0),
-      paidAmount: userInvoices
-        .filter(inv => inv.status === 'paid')
-        .reduce((sum, inv) => sum + inv.total, 0),
-      pendingAmount: userInvoices
-        .filter(inv => ['sent', 'overdue'].includes(inv.status))
-        .reduce((sum, inv) => sum + inv.total, 0)
+      total: orgInvoices.length,
+      draft: orgInvoices.filter(inv => inv.status === 'draft').length,
+      sent: orgInvoices.filter(inv => inv.status === 'sent').length,
+      partiallyPaid: orgInvoices.filter(inv => inv.status === 'partially_paid').length,
+      paid: orgInvoices.filter(inv => inv.status === 'paid').length,
+      overdue: orgInvoices.filter(inv => inv.status === 'overdue').length,
+      cancelled: orgInvoices.filter(inv => inv.status === 'cancelled').length,
+      baseCurrency,
+      unconverted: orgInvoices.length - converted.length,
+      totalAmount: ledger.roundMoney(converted.reduce((sum, inv) => sum + toBase(inv, invoiceTotal(inv)), 0)),
+      // Money actually received, from the payment ledger
+      paidAmount: ledger.roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0)),
+      collectedThisMonth: ledger.roundMoney(payments
+        .filter(payment => payment.date.startsWith(thisMonth))
+        .reduce((sum, payment) => sum + payment.amount, 0)),
+      pendingAmount: ledger.roundMoney(converted
+        .filter(inv => ['sent', 'overdue', 'partially_paid'].includes(inv.status))
+        .reduce((sum, inv) => sum + toBase(inv, ledger.getBalanceDue(inv, invoiceTotal(inv))), 0))
     };
 
     res.json({
@@ -0,0 +1,254 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { verifyToken } = require('./auth');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
+const { db } = require('../db');
+const {
+  ListQueryError,
+  parsePagination,
+  parseSort,
+  parseNumber,
+  inNumberRange,
+  containsText,
+  sortDocuments,
+  paginate
+} = require('../lib/list-query');
+const { loadShared } = require('../lib/shared');
+const router = express.Router();
+
+// Product and service catalog of the organization. Entries hold the
+// defaults for new invoice lines (shared/catalog); SKUs are unique per
+// organization, ignoring case.
+const items = db.collection('items');
+
+const ITEM_SORT_FIELDS = {
+  sku: item => item.sku,
+  description: item => item.description,
+  unitPrice: item => Number(item.unitPrice) || 0,
+  createdAt: item => item.createdAt,
+  updatedAt: item => item.updatedAt
+};
+
+// Build a predicate from ?q=&unit=&minPrice=&maxPrice=
+const buildItemFilter = (query) => {
+  const unit = query.unit ? String(query.unit).toLowerCase() : null;
+  const minPrice = parseNumber(query.minPrice, 'minPrice');
+  const maxPrice = parseNumber(query.maxPrice, 'maxPrice');
+  const text = query.q ? String(query.q) : null;
+
+  return (item) =>
+    (!unit || String(item.unit || '').toLowerCase() === unit) &&
+    inNumberRange(item.unitPrice, minPrice, maxPrice) &&
+    containsText([item.sku, item.description, item.unit], text);
+};
+
+const sendCatalogError = (res, error) => {
+  if (error.name !== 'CatalogError') return false;
+  res.status(400).json({ error: error.message, errors: error.errors });
+  return true;
+};
+
+const findSkuOwner = (itemsTx, organizationId, sku, exceptId) => {
+  const wanted = String(sku || '').toLowerCase();
+  if (!wanted) return null;
+  return itemsTx.findOne(item =>
+    item.organizationId === organizationId &&
+    item.id !== exceptId &&
+    String(item.sku || '').toLowerCase() === wanted
+  );
+};
+
+// List catalog entries, filtered, sorted and paginated
+router.get('/', verifyToken, resolveOrganization, requirePermission('items:read'), async (req, res) => {
+  try {
+    const filter = buildItemFilter(req.query);
+    const sort = parseSort(req.query.sort, ITEM_SORT_FIELDS, 'description');
+    const pageOptions = parsePagination(req.query);
+
+    const orgItems = await items.find(item =>
+      item.organizationId === req.organization.id && filter(item)
+    );
+    const { items: page, pagination } = paginate(
+      sortDocuments(orgItems, sort, ITEM_SORT_FIELDS),
+      pageOptions
+    );
+
+    res.json({
+      success: true,
+      items: page,
+      count: page.length,
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
+    console.error('Error fetching items:', error);
+    res.status(500).json({ error: 'Failed to fetch items' });
+  }
+});
+
+// Autocomplete: best matches on SKU or description for ?q=
+router.get('/search', verifyToken, resolveOrganization, requirePermission('items:read'), async (req, res) => {
+  try {
+    const catalog = await loadShared('catalog');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 50);
+    const orgItems = await items.find({ organizationId: req.organization.id });
+    const matches = catalog.searchCatalog(orgItems, req.query.q, limit);
+
+    res.json({
+      success: true,
+      items: matches,
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('Error searching items:', error);
+    res.status(500).json({ error: 'Failed to search items' });
+  }
+});
+
+// Get a specific catalog entry by ID
+router.get('/:id', verifyToken, resolveOrganization, requirePermission('items:read'), async (req, res) => {
+  try {
+    const item = await items.findOne({ id: req.params.id, organizationId: req.organization.id });
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('Error fetching item:', error);
+    res.status(500).json({ error: 'Failed to fetch item' });
+  }
+});
+
+// Create a catalog entry
+router.post('/', verifyToken, resolveOrganization, requirePermission('items:write'), async (req, res) => {
+  try {
+    const catalog = await loadShared('catalog');
+    const entry = catalog.normalizeCatalogItem(req.body);
+
+    const item = {
+      id: uuidv4(),
+      organizationId: req.organization.id,
+      userId: req.user.id,
+      ...entry,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Check the SKU and insert in one transaction so concurrent requests
+    // cannot both claim it
+    const created = await db.transaction(async (tx) => {
+      const itemsTx = tx.collection('items');
+      if (await findSkuOwner(itemsTx, req.organization.id, item.sku)) return null;
+
+      return itemsTx.insert(item);
+    });
+
+    if (!created) {
+      return res.status(400).json({
+        error: 'An item with this SKU already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Item created successfully',
+      item
+    });
+
+  } catch (error) {
+    if (sendCatalogError(res, error)) return;
+    console.error('Error creating item:', error);
+    res.status(500).json({
+      error: 'Failed to create item',
+      details: error.message
+    });
+  }
+});
+
+// Update a catalog entry. Fields left out keep their current value; lines
+// already made from the entry are not changed.
+router.put('/:id', verifyToken, resolveOrganization, requirePermission('items:write'), async (req, res) => {
+  try {
+    const catalog = await loadShared('catalog');
+
+    const result = await db.transaction(async (tx) => {
+      const itemsTx = tx.collection('items');
+      const current = await itemsTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+
+      if (!current) {
+        return { status: 404, error: 'Item not found' };
+      }
+
+      const fields = ['sku', 'description', 'unit', 'unitPrice', 'discountRate', 'taxes'];
+      const merged = Object.fromEntries(fields.map(field =>
+        [field, req.body[field] !== undefined ? req.body[field] : current[field]]));
+      const entry = catalog.normalizeCatalogItem(merged);
+
+      if (await findSkuOwner(itemsTx, req.organization.id, entry.sku, current.id)) {
+        return { status: 400, error: 'An item with this SKU already exists' };
+      }
+
+      const updatedItem = await itemsTx.update(current.id, {
+        ...entry,
+        updatedAt: new Date().toISOString()
+      });
+
+      return { item: updatedItem };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item updated successfully',
+      item: result.item
+    });
+
+  } catch (error) {
+    if (sendCatalogError(res, error)) return;
+    console.error('Error updating item:', error);
+    res.status(500).json({
+      error: 'Failed to update item',
+      details: error.message
+    });
+  }
+});
+
+// Delete a catalog entry
+router.delete('/:id', verifyToken, resolveOrganization, requirePermission('items:delete'), async (req, res) => {
+  try {
+    const deletedItem = await db.transaction(async (tx) => {
+      const itemsTx = tx.collection('items');
+      const item = await itemsTx.findOne({ id: req.params.id, organizationId: req.organization.id });
+      return item ? itemsTx.remove(item.id) : null;
+    });
+
+    if (!deletedItem) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item deleted successfully',
+      item: deletedItem
+    });
+
+  } catch (error) {
+    console.error('Error deleting item:', error);
+    res.status(500).json({
+      error: 'Failed to delete item',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
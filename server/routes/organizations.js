@@ -0,0 +1,550 @@
+const express = require('express');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { verifyToken } = require('./auth');
+const { db } = require('../db');
+const { loadShared } = require('../lib/shared');
+const { schemeFor, takeNumber, invoiceNumberCheck, setNextNumber, peekNumber } = require('../lib/numbering');
+const {
+  ROLES,
+  hasPermission,
+  ensurePersonalOrganization
+} = require('../middleware/organization');
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = 14;
+
+const organizations = db.collection('organizations');
+const memberships = db.collection('memberships');
+const invitations = db.collection('invitations');
+
+// Load the caller's membership for :id and check a permission
+const loadMembership = async (req, res, permission) => {
+  const membership = await memberships.findOne({
+    organizationId: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!membership) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+
+  if (permission && !hasPermission(membership.role, permission)) {
+    res.status(403).json({
+      error: 'You do not have permission to perform this action',
+      required: permission,
+      role: membership.role
+    });
+    return null;
+  }
+
+  return membership;
+};
+
+// Only owners may hand out or take away the owner role
+const canAssignRole = (actorRole, role) =>
+  ROLES.includes(role) && (role !== 'owner' || actorRole === 'owner');
+
+// List organizations the user belongs to
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    await ensurePersonalOrganization(req.user);
+
+    const userMemberships = await memberships.find({ userId: req.user.id });
+    const result = [];
+    for (const membership of userMemberships) {
+      const organization = await organizations.findById(membership.organizationId);
+      if (organization) {
+        result.push({ ...organization, role: membership.role });
+      }
+    }
+
+    res.json({
+      success: true,
+      organizations: result,
+      count: result.length
+    });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+// Create a new organization owned by the caller
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Missing required field: name' });
+    }
+
+    const now = new Date().toISOString();
+    const organization = await db.transaction(async (tx) => {
+      const created = await tx.collection('organizations').insert({
+        id: uuidv4(),
+        name: name.trim(),
+        ownerId: req.user.id,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      await tx.collection('memberships').insert({
+        id: uuidv4(),
+        organizationId: created.id,
+        userId: req.user.id,
+        role: 'owner',
+        createdAt: now
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      organization: { ...organization, role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({
+      error: 'Failed to create organization',
+      details: error.message
+    });
+  }
+});
+
+// Update name, baseCurrency, rounding (for new invoices), numbering
+// ({ [type]: { format, prefix, reset, next } }) or trashRetentionDays
+router.put('/:id', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'organization:manage');
+    if (!membership) return;
+
+    const { name, baseCurrency, rounding, numbering, trashRetentionDays } = req.body;
+    if (baseCurrency === undefined && rounding === undefined && numbering === undefined &&
+        trashRetentionDays === undefined && (!name || !name.trim())) {
+      return res.status(400).json({ error: 'Missing required field: name' });
+    }
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    const money = await loadShared('currency');
+    const currency = money.normalizeCurrencyCode(baseCurrency);
+    if (baseCurrency !== undefined && !money.isCurrencyCode(currency)) {
+      return res.status(400).json({ error: `"${baseCurrency}" is not an ISO 4217 currency code` });
+    }
+
+    const decimal = await loadShared('decimal');
+    const roundingErrors = rounding !== undefined ? decimal.validateRounding(rounding) : [];
+    if (roundingErrors.length > 0) {
+      return res.status(400).json({ error: roundingErrors[0].message, errors: roundingErrors });
+    }
+
+    const numberingRules = await loadShared('numbering');
+    const numberingChanges = numbering !== undefined ? Object.entries(numbering || {}) : [];
+    if (numbering !== undefined && (!numbering || typeof numbering !== 'object' ||
+        numberingChanges.some(([type]) => !numberingRules.DOCUMENT_TYPES.includes(type)))) {
+      return res.status(400).json({
+        error: `Numbering must be an object keyed by ${numberingRules.DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+    const invalidNext = numberingChanges.find(([, scheme]) =>
+      scheme && scheme.next !== undefined && !(Number.isInteger(scheme.next) && scheme.next >= 1));
+    if (invalidNext) {
+      return res.status(400).json({ error: `Next ${invalidNext[0]} number must be a whole number of at least 1` });
+    }
+    if (trashRetentionDays !== undefined &&
+        !(Number.isInteger(trashRetentionDays) && trashRetentionDays >= 0 && trashRetentionDays <= 3650)) {
+      return res.status(400).json({ error: 'Trash retention must be a whole number of days between 0 and 3650' });
+    }
+
+    const organization = await db.transaction(async (tx) => {
+      const organizationsTx = tx.collection('organizations');
+      const current = await organizationsTx.findById(req.params.id);
+
+      // Validated against the current scheme, so a partial change (only the
+      // reset policy, say) is checked as it will be stored
+      const schemes = { ...current.numbering };
+      numberingChanges.forEach(([type, scheme]) => {
+        const { next, ...fields } = scheme || {};
+        schemes[type] = numberingRules.normalizeNumberingScheme({ ...schemes[type], ...fields }, type);
+      });
+
+      const updated = await organizationsTx.update(req.params.id, {
+        ...(name !== undefined && { name: String(name).trim() }),
+        ...(baseCurrency !== undefined && { baseCurrency: currency }),
+        ...(rounding !== undefined && { rounding: { mode: rounding.mode, strategy: rounding.strategy } }),
+        ...(numbering !== undefined && { numbering: schemes }),
+        ...(trashRetentionDays !== undefined && { trashRetentionDays }),
+        updatedAt: new Date().toISOString()
+      });
+
+      for (const [type, scheme] of numberingChanges) {
+        if (scheme && scheme.next !== undefined) await setNextNumber(tx, updated, type, scheme.next);
+      }
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      organization
+    });
+  } catch (error) {
+    if (error.name === 'NumberingError') {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('Error updating organization:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+// Numbering scheme of each document type and the number it gives out next
+router.get('/:id/numbering', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'invoices:read');
+    if (!membership) return;
+
+    const numberingRules = await loadShared('numbering');
+    const organization = await organizations.findById(req.params.id);
+    const numbering = await db.transaction(async (tx) => {
+      const result = {};
+      for (const type of numberingRules.DOCUMENT_TYPES) {
+        result[type] = { ...(await schemeFor(organization, type)), nextNumber: await peekNumber(tx, organization, type) };
+      }
+      return result;
+    });
+
+    res.json({
+      success: true,
+      numbering
+    });
+  } catch (error) {
+    console.error('Error fetching numbering:', error);
+    res.status(500).json({ error: 'Failed to fetch numbering' });
+  }
+});
+
+// Take the next number of a document type, e.g. for a quote or credit note
+// kept outside the API. The number is used up even if it is never issued.
+router.post('/:id/numbers/:type', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'invoices:write');
+    if (!membership) return;
+
+    const numberingRules = await loadShared('numbering');
+    const { type } = req.params;
+    if (!numberingRules.DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Document type must be one of: ${numberingRules.DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    const number = await db.transaction(async (tx) => {
+      const organization = await tx.collection('organizations').findById(req.params.id);
+      return takeNumber(tx, organization, type, {
+        isTaken: type === 'invoice' ? await invoiceNumberCheck(tx, organization.id) : undefined
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      type,
+      number
+    });
+  } catch (error) {
+    console.error('Error allocating number:', error);
+    res.status(500).json({ error: 'Failed to allocate number' });
+  }
+});
+
+// List members of an organization
+router.get('/:id/members', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:read');
+    if (!membership) return;
+
+    const orgMemberships = await memberships.find({ organizationId: req.params.id });
+    const users = db.collection('users');
+    const members = [];
+    for (const member of orgMemberships) {
+      const user = await users.findById(member.userId);
+      members.push({
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.createdAt,
+        email: user ? user.email : null,
+        name: user ? user.name : null,
+        picture: user ? user.picture : null
+      });
+    }
+
+    res.json({
+      success: true,
+      members,
+      count: members.length
+    });
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Change a member's role
+router.patch('/:id/members/:userId', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+
+    const { role } = req.body;
+    if (!canAssignRole(membership.role, role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')} (only owners can assign owner)`
+      });
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const membershipsTx = tx.collection('memberships');
+      const target = await membershipsTx.findOne(m =>
+        m.organizationId === req.params.id && String(m.userId) === req.params.userId
+      );
+
+      if (!target) {
+        return { status: 404, error: 'Member not found' };
+      }
+
+      if (target.role === 'owner' && membership.role !== 'owner') {
+        return { status: 403, error: 'Only owners can change another owner\'s role' };
+      }
+
+      // Never leave an organization without an owner
+      if (target.role === 'owner' && role !== 'owner') {
+        const owners = await membershipsTx.count({ organizationId: req.params.id, role: 'owner' });
+        if (owners <= 1) {
+          return { status: 400, error: 'An organization must keep at least one owner' };
+        }
+      }
+
+      return { member: await membershipsTx.update(target.id, { role }) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      member: result.member
+    });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+// Remove a member (members may also remove themselves)
+router.delete('/:id/members/:userId', verifyToken, async (req, res) => {
+  try {
+    const isSelf = String(req.user.id) === req.params.userId;
+    const membership = await loadMembership(req, res, isSelf ? null : 'members:manage');
+    if (!membership) return;
+
+    const result = await db.transaction(async (tx) => {
+      const membershipsTx = tx.collection('memberships');
+      const target = await membershipsTx.findOne(m =>
+        m.organizationId === req.params.id && String(m.userId) === req.params.userId
+      );
+
+      if (!target) {
+        return { status: 404, error: 'Member not found' };
+      }
+
+      if (target.role === 'owner') {
+        if (!isSelf && membership.role !== 'owner') {
+          return { status: 403, error: 'Only owners can remove another owner' };
+        }
+        const owners = await membershipsTx.count({ organizationId: req.params.id, role: 'owner' });
+        if (owners <= 1) {
+          return { status: 400, error: 'An organization must keep at least one owner' };
+        }
+      }
+
+      return { member: await membershipsTx.remove(target.id) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      member: result.member
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// List pending invitations
+router.get('/:id/invitations', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+
+    const pending = await invitations.find(inv =>
+      inv.organizationId === req.params.id && !inv.acceptedAt && !inv.revokedAt
+    );
+
+    res.json({
+      success: true,
+      invitations: pending.map(({ tokenHash, ...invitation }) => invitation),
+      count: pending.length
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone by email
+router.post('/:id/invitations', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+
+    const { email, role = 'viewer' } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Missing required field: email' });
+    }
+
+    if (!canAssignRole(membership.role, role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')} (only owners can invite owners)`
+      });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const now = new Date();
+    const invitation = await invitations.insert({
+      id: uuidv4(),
+      organizationId: req.params.id,
+      email: email.toLowerCase(),
+      role,
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      invitedBy: req.user.id,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      acceptedAt: null,
+      revokedAt: null
+    });
+
+    const { tokenHash, ...publicInvitation } = invitation;
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      invitation: publicInvitation,
+      // The token is only shown once; share it with the invitee
+      token
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      details: error.message
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', verifyToken, async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'members:manage');
+    if (!membership) return;
+
+    const invitation = await invitations.findOne({
+      id: req.params.invitationId,
+      organizationId: req.params.id
+    });
+    if (!invitation || invitation.acceptedAt) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    await invitations.update(invitation.id, { revokedAt: new Date().toISOString() });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Accept an invitation addressed to the signed-in user's email
+router.post('/invitations/:token/accept', verifyToken, async (req, res) => {
+  try {
+    const tokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const result = await db.transaction(async (tx) => {
+      const invitationsTx = tx.collection('invitations');
+      const invitation = await invitationsTx.findOne({ tokenHash });
+
+      if (!invitation || invitation.revokedAt || invitation.acceptedAt ||
+          new Date(invitation.expiresAt) < new Date()) {
+        return { status: 404, error: 'Invitation is invalid or has expired' };
+      }
+
+      if (invitation.email !== String(req.user.email || '').toLowerCase()) {
+        return { status: 403, error: 'This invitation was sent to a different email address' };
+      }
+
+      const membershipsTx = tx.collection('memberships');
+      let membership = await membershipsTx.findOne({
+        organizationId: invitation.organizationId,
+        userId: req.user.id
+      });
+
+      if (!membership) {
+        membership = await membershipsTx.insert({
+          id: uuidv4(),
+          organizationId: invitation.organizationId,
+          userId: req.user.id,
+          role: invitation.role,
+          createdAt: new Date().toISOString()
+        });
+      }
+
+      await invitationsTx.update(invitation.id, {
+        acceptedAt: new Date().toISOString(),
+        acceptedBy: req.user.id
+      });
+
+      return {
+        membership,
+        organization: await tx.collection('organizations').findById(invitation.organizationId)
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      organization: { ...result.organization, role: result.membership.role }
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+module.exports = router;
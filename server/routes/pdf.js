@@ -2,10 +2,14 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { verifyToken } = require('./auth');
+const { resolveOrganization, requirePermission } = require('../middleware/organization');
 const router = express.Router();
 
+// Saved PDFs are shared by everyone in the organization
+const getUploadsDir = (req) => path.join(__dirname, '../uploads/pdfs', req.organization.id);
+
 // Generate PDF from invoice data
-router.post('/generate', verifyToken, async (req, res) => {
+router.post('/generate', verifyToken, resolveOrganization, requirePermission('pdf:read'), async (req, res) => {
   try {
     const { invoiceData, pdfBuffer } = req.body;
     
@@ -20,7 +24,7 @@ router.post('/generate', verifyToken, async (req, res) => {
       res.json({
         success: true,
         message: 'PDF generated successfully',
-        fileName: `invoice-${invoiceData.invoiceNumber || 'draft'}.pdf`,
+        fileName: `invoice-${invoiceData.number || invoiceData.invoiceNumber || 'draft'}.pdf`,
         size: Buffer.from(pdfBuffer, 'base64').length
       });
       return;
@@ -44,7 +48,7 @@ router.post('/generate', verifyToken, async (req, res) => {
 });
 
 // Save PDF to server (optional)
-router.post('/save', verifyToken, async (req, res) => {
+router.post('/save', verifyToken, resolveOrganization, requirePermission('pdf:write'), async (req, res) => {
   try {
     const { pdfBuffer, fileName, invoiceId } = req.body;
     
@@ -55,14 +59,14 @@ router.post('/save', verifyToken, async (req, res) => {
     }
 
     // Create uploads directory if it doesn't exist
-    const uploadsDir = path.join(__dirname, '../uploads/pdfs');
+    const uploadsDir = getUploadsDir(req);
     if (!fs.existsSync(uploadsDir)) {
       fs.mkdirSync(uploadsDir, { recursive: true });
     }
 
     // Generate unique filename
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const uniqueFileName = `${req.user.id}-${timestamp}-${fileName}`;
+    const uniqueFileName = `${req.user.id}-${timestamp}-${path.basename(fileName)}`;
     const filePath = path.join(uploadsDir, uniqueFileName);
 
     // Save PDF file
@@ -87,13 +91,13 @@ router.post('/save', verifyToken, async (req, res) => {
 });
 
 // Download saved PDF
-router.get('/download/:fileName', verifyToken, (req, res) => {
+router.get('/download/:fileName', verifyToken, resolveOrganization, requirePermission('pdf:read'), (req, res) => {
   try {
-    const { fileName } = req.params;
-    const filePath = path.join(__dirname, '../uploads/pdfs', fileName);
+    const fileName = path.basename(req.params.fileName);
+    const filePath = path.join(getUploadsDir(req), fileName);
     
-    // Check if file exists and belongs to user
-    if (!fs.existsSync(filePath) || !fileName.startsWith(req.user.id + '-')) {
+    // Check if file exists in the organization's folder
+    if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'PDF not found' });
     }
 
@@ -115,9 +119,9 @@ router.get('/download/:fileName', verifyToken, (req, res) => {
 });
 
 // List saved PDFs for user
-router.get('/list', verifyToken, (req, res) => {
+router.get('/list', verifyToken, resolveOrganization, requirePermission('pdf:read'), (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, '../uploads/pdfs');
+    const uploadsDir = getUploadsDir(req);
     
     if (!fs.existsSync(uploadsDir)) {
       return res.json({
@@ -128,8 +132,7 @@ router.get('/list', verifyToken, (req, res) => {
     }
 
     const files = fs.readdirSync(uploadsDir);
-    const userFiles = files
-      .filter(file => file.startsWith(req.user.id + '-'))
+    const orgFiles = files
       .map(file => {
         const filePath = path.join(uploadsDir, file);
         const stats = fs.statSync(filePath);
@@ -146,8 +149,8 @@ router.get('/list', verifyToken, (req, res) => {
 
     res.json({
       success: true,
-      pdfs: userFiles,
-      count: userFiles.length
+      pdfs: orgFiles,
+      count: orgFiles.length
     });
 
   } catch (error) {
@@ -160,13 +163,13 @@ router.get('/list', verifyToken, (req, res) => {
 });
 
 // Delete saved PDF
-router.delete('/:fileName', verifyToken, (req, res) => {
+router.delete('/:fileName', verifyToken, resolveOrganization, requirePermission('pdf:delete'), (req, res) => {
   try {
-    const { fileName } = req.params;
-    const filePath = path.join(__dirname, '../uploads/pdfs', fileName);
+    const fileName = path.basename(req.params.fileName);
+    const filePath = path.join(getUploadsDir(req), fileName);
     
-    // Check if file exists and belongs to user
-    if (!fs.existsSync(filePath) || !fileName.startsWith(req.user.id + '-')) {
+    // Check if file exists in the organization's folder
+    if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'PDF not found' });
     }
 
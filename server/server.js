@@ -11,7 +11,12 @@ const emailRoutes = require('./routes/email');
 const { router: authRoutes } = require('./routes/auth');
 const invoiceRoutes = require('./routes/invoices');
 const clientRoutes = require('./routes/clients');
+const itemRoutes = require('./routes/items');
 const pdfRoutes = require('./routes/pdf');
+const organizationRoutes = require('./routes/organizations');
+const { db } = require('./db');
+const { createRecurringScheduler } = require('./lib/recurring-scheduler');
+const { migrateInvoices } = require('./lib/invoice-migration');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,7 +37,9 @@ app.use('/api/email', emailRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/clients', clientRoutes);
+app.use('/api/items', itemRoutes);
 app.use('/api/pdf', pdfRoutes);
+app.use('/api/organizations', organizationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -62,12 +69,32 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Invoice Automation Server running on port ${PORT}`);
-  console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔗 API Base: http://localhost:${PORT}/api`);
-  console.log(`💻 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Start server once persisted data is loaded and upgraded
+db.init()
+  .then(() => migrateInvoices(db))
+  .then((migrated) => {
+    if (migrated > 0) {
+      console.log(`📦 Upgraded ${migrated} invoice(s) to the current invoice schema`);
+    }
+    app.listen(PORT, () => {
+      console.log(`🚀 Invoice Automation Server running on port ${PORT}`);
+      console.log(`📱 Frontend: http://localhost:${PORT}`);
+      console.log(`🔗 API Base: http://localhost:${PORT}/api`);
+      console.log(`💻 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`💾 Storage: ${process.env.DB_DRIVER || 'json'}`);
+    });
+
+    // Generate due recurring invoices now and then periodically
+    if (process.env.RECURRING_SCHEDULER !== 'off') {
+      createRecurringScheduler({
+        db,
+        intervalMs: Number(process.env.RECURRING_INTERVAL_MS) || undefined
+      }).start();
+    }
+  })
+  .catch((error) => {
+    console.error('Failed to load data store:', error);
+    process.exit(1);
+  });
 
 module.exports = app;